@@ -1,13 +1,28 @@
 #!/usr/bin/env node
-import { readFileSync, writeFileSync } from 'fs';
-import { resolve, relative } from 'path';
+import { readFileSync, writeFileSync, statSync } from 'fs';
+import { resolve, relative, dirname, basename, sep } from 'path';
 import { program } from 'commander';
 import chalk from 'chalk';
 
-import { walkFiles } from '../src/scanner.js';
-import { checkFile, checkFiles } from '../src/checker.js';
-import { formatFindings, generateReport, printSummary } from '../src/reporter.js';
-import { RULES } from '../src/rules.js';
+import { walkFiles, isScannablePath, getLanguage } from '../src/scanner.js';
+import { checkFile } from '../src/checker.js';
+import { formatFindings, generateReport, printSummary, printBaselineSummary, printStats, printBudgetSummary, printWatchUpdate, formatRoutes, formatDeps, formatHistory, formatRuleTests, MACHINE_FORMATS, REPORT_FORMATS, ROUTE_FORMATS, DEPS_FORMATS, HISTORY_FORMATS, RULE_TEST_FORMATS } from '../src/reporter.js';
+import { loadConfig, isIgnored, rulesForFile, allRules, CONFIG_FILES, SEVERITIES } from '../src/config.js';
+import { loadPlugins } from '../src/plugins.js';
+import { DEFAULT_BASELINE_FILE, writeBaseline, loadBaseline, compareBaseline } from '../src/baseline.js';
+import { getChangedRanges, filterToChangedLines, getCommitInfo } from '../src/git.js';
+import { fixFile, createUnifiedDiff } from '../src/fixer.js';
+import { runScan, defaultJobs } from '../src/runner.js';
+import { watchTree, diffFindings } from '../src/watch.js';
+import { loadSchema } from '../src/schema.js';
+import { routeInventory, ROUTE_LANGUAGES } from '../src/routes.js';
+import { dependencyInventory } from '../src/deps.js';
+import { evaluateBudgets } from '../src/budget.js';
+import { startLanguageServer } from '../src/lsp.js';
+import { loadCpuProfile, tagHotness, compareHotness } from '../src/profile.js';
+import { runFixtures } from '../src/fixtures.js';
+import { historyPath, createSnapshot, recordSnapshot, loadHistory, historyTrends } from '../src/history.js';
+import { detectWorkspace, packageForFile, tagPackages } from '../src/workspaces.js';
 
 const ACCENT = chalk.hex('#3B82F6');
 
@@ -31,6 +46,100 @@ function parseIgnore(raw) {
   return raw.split(',').map((s) => s.trim()).filter(Boolean);
 }
 
+// --schema wins over the config's "schema"; loading it up front surfaces parse errors early
+async function readProjectConfig(startDir, opts) {
+  const config = loadConfig(startDir, { configPath: opts.config });
+  if (opts.schema) config.schema = resolve(opts.schema);
+  loadSchema(config.schema);
+  return { ...config, pluginRules: await loadPlugins(config) };
+}
+
+async function loadProjectConfig(startDir, opts) {
+  try {
+    return await readProjectConfig(startDir, opts);
+  } catch (err) {
+    process.stderr.write(chalk.red(`  ${err.message}\n`));
+    process.exit(2);
+  }
+}
+
+async function scanFiles(files, config, opts) {
+  try {
+    return await runScan(files, { config, cache: opts.cache, jobs: opts.jobs ? Number(opts.jobs) : undefined });
+  } catch (err) {
+    process.stderr.write(chalk.red(`  ${err.message}\n`));
+    process.exit(2);
+  }
+}
+
+// Loaded before scanning so a bad profile fails fast
+function loadProfileOption(opts) {
+  if (opts.demoteCold && !opts.cpuProfile) {
+    process.stderr.write(chalk.red('  --demote-cold needs a --cpu-profile to tell hot code from cold\n'));
+    process.exit(2);
+  }
+  if (!opts.cpuProfile) return null;
+  try {
+    return loadCpuProfile(resolve(opts.cpuProfile));
+  } catch (err) {
+    process.stderr.write(chalk.red(`  ${err.message}\n`));
+    process.exit(2);
+  }
+}
+
+// Workspace packages to tag findings with, and whether a file is in the
+// packages --package scopes the run to
+function loadWorkspace(root, opts, files) {
+  const workspace = detectWorkspace(root, { files });
+  const names = parseIgnore(opts.package);
+  if (!names.length) return { workspace, inScope: () => true };
+  if (!workspace.packages.length) {
+    process.stderr.write(chalk.red('  --package needs a monorepo, but no npm, yarn or pnpm workspace packages or Go modules were found\n'));
+    process.exit(2);
+  }
+  const known = [...new Set(workspace.packages.map((p) => p.name))].sort();
+  const unknown = names.find((name) => !known.includes(name));
+  if (unknown) {
+    process.stderr.write(chalk.red(`  Unknown package "${unknown}" (expected one of: ${known.join(', ')})\n`));
+    process.exit(2);
+  }
+  return { workspace, inScope: (fp) => names.includes(packageForFile(workspace, fp)?.name) };
+}
+
+// Snapshots count every finding the rules produce, before -s and baseline
+// filtering, so runs with different flags stay comparable
+function recordHistory(config, root, findings, fileCount) {
+  const path = historyPath(config);
+  try {
+    recordSnapshot(path, createSnapshot(findings, { root, configDir: config.dir, files: fileCount, git: getCommitInfo(root) }));
+  } catch (err) {
+    process.stderr.write(chalk.red(`  Cannot record history ${path}: ${err.message}\n`));
+    process.exit(2);
+  }
+  return path;
+}
+
+// CLI flags win over config defaults, which win over built-in defaults
+function withConfigDefaults(opts, config) {
+  if (opts.failOn !== undefined && !SEVERITIES.includes(opts.failOn)) {
+    process.stderr.write(chalk.red(`  --fail-on must be one of ${SEVERITIES.join('|')}, got "${opts.failOn}"\n`));
+    process.exit(2);
+  }
+  return {
+    ...opts,
+    severity: opts.severity ?? config.severity ?? 'low',
+    format: opts.format ?? config.format ?? 'text',
+  };
+}
+
+// Exit code for the reported findings: 1 when a budget or --fail-on is
+// exceeded, or on any finding when neither is configured
+function budgetExitCode(findings, config, opts, fileCount, out) {
+  const result = evaluateBudgets(findings, config, { failOn: opts.failOn, files: fileCount });
+  printBudgetSummary(result, out);
+  return result.passed ? 0 : 1;
+}
+
 // ─── CLI definition ───────────────────────────────────────────────────────────
 
 program
@@ -42,41 +151,117 @@ program
 program
   .command('scan [path]', { isDefault: true })
   .description('Scan a directory for performance issues (default: current directory)')
-  .option('-s, --severity <level>', 'Minimum severity to report: low|medium|high|critical', 'low')
-  .option('-f, --format <type>', 'Output format: text|json|markdown', 'text')
+  .option('-s, --severity <level>', 'Minimum severity to report: low|medium|high|critical (default: low)')
+  .option('-f, --format <type>', 'Output format: text|json|markdown|sarif (default: text)')
   .option('-i, --ignore <patterns>', 'Comma-separated dir/file patterns to ignore')
+  .option('-c, --config <file>', 'Config file (default: nearest perf-x-ray.config.json or .perfxrayrc)')
   .option('--fix', 'Include fix suggestions in output')
-  .action((scanPath, opts) => {
+  .option('--baseline <file>', 'Only report and fail on findings not recorded in this baseline')
+  .option('--write-baseline [file]', `Record current findings as the baseline (default: ${DEFAULT_BASELINE_FILE})`)
+  .option('--changed-since <ref>', 'Only check lines changed since a git ref (e.g. origin/main)')
+  .option('--staged', 'Only check lines staged in the git index')
+  .option('-j, --jobs <n>', `Worker threads for large scans (default: ${defaultJobs()})`)
+  .option('--no-cache', 'Ignore and do not update the .perf-x-ray/cache findings cache')
+  .option('--stats', 'Report files scanned, cache hits and time spent per rule')
+  .option('--schema <path>', 'SQL schema file or migrations directory for index-aware query checks')
+  .option('--fail-on <level>', 'Exit 1 only for findings at or above this severity: low|medium|high|critical')
+  .option('--cpu-profile <file>', 'V8 .cpuprofile (node --cpu-prof) to rank findings by sampled CPU time')
+  .option('--demote-cold', 'Lower findings in code the CPU profile never sampled by one severity level')
+  .option('--record', 'Append a snapshot of finding counts to .perf-x-ray/history.jsonl')
+  .option('--package <names>', 'Only scan these comma-separated workspace packages (npm/yarn/pnpm name or Go module path)')
+  .action(async (scanPath, rawOpts) => {
     const root = resolve(scanPath ?? '.');
+    const config = await loadProjectConfig(root, rawOpts);
+    const opts = withConfigDefaults(rawOpts, config);
     const ignore = parseIgnore(opts.ignore);
+    const quiet = MACHINE_FORMATS.has(opts.format);
+    const profile = loadProfileOption(opts);
 
-    process.stdout.write(`\n  ${ACCENT.bold('perf-x-ray')} scanning ${chalk.dim(root)} ...\n`);
+    if (opts.record && (opts.changedSince || opts.staged || opts.package)) {
+      process.stderr.write(chalk.red('  --record needs a full scan and cannot be combined with --changed-since, --staged or --package\n'));
+      process.exit(2);
+    }
+
+    if (!quiet) process.stdout.write(`\n  ${ACCENT.bold('perf-x-ray')} scanning ${chalk.dim(root)} ...\n`);
+
+    let files = walkFiles(root, { ignore, exclude: (p) => isIgnored(config, p) });
+    const { workspace, inScope } = loadWorkspace(root, opts, files);
+    files = files.filter(inScope);
 
-    const files = walkFiles(root, { ignore });
-    if (files.length === 0) {
+    let changed;
+    if (opts.changedSince || opts.staged) {
+      try {
+        changed = getChangedRanges(root, { since: opts.changedSince, staged: opts.staged });
+      } catch (err) {
+        process.stderr.write(chalk.red(`  ${err.message}\n`));
+        process.exit(2);
+      }
+      files = files.filter((fp) => changed.has(fp));
+    }
+
+    if (files.length === 0 && !quiet) {
       process.stdout.write(chalk.yellow('  No supported source files found.\n'));
       process.exit(0);
     }
 
-    const findings = checkFiles(files, (fp) => readFileSync(fp, 'utf8'), { severity: opts.severity });
-    const filtered = applyFilters(findings, opts);
+    const { findings, stats } = await scanFiles(files, config, opts);
+    const recorded = opts.record ? recordHistory(config, root, findings, files.length) : null;
+    tagPackages(findings, workspace);
+    if (profile) {
+      tagHotness(findings, profile, { root, demoteCold: opts.demoteCold });
+      // Once here, so every format (JSON and SARIF included) lists the hottest first
+      findings.sort(compareHotness);
+    }
+    let filtered = applyFilters(findings, opts);
+    if (changed) filtered = filterToChangedLines(filtered, changed);
+
+    if (opts.writeBaseline) {
+      const outFile = resolve(root, opts.writeBaseline === true ? DEFAULT_BASELINE_FILE : opts.writeBaseline);
+      const count = writeBaseline(outFile, filtered, root);
+      printSummary(filtered);
+      process.stdout.write(`  ${chalk.green('Baseline saved:')} ${chalk.dim(outFile)} ${chalk.dim(`(${count} entries)`)}\n\n`);
+      process.exit(0);
+    }
 
-    const output = formatFindings(filtered, opts.format);
+    let comparison;
+    if (opts.baseline) {
+      let baseline;
+      try {
+        baseline = loadBaseline(resolve(opts.baseline));
+      } catch (err) {
+        process.stderr.write(chalk.red(`  ${err.message}\n`));
+        process.exit(2);
+      }
+      comparison = compareBaseline(filtered, baseline, root);
+      filtered = comparison.introduced;
+    }
+
+    const output = formatFindings(filtered, opts.format, { root });
     if (output) process.stdout.write(output + '\n');
-    printSummary(filtered);
+    if (!quiet) {
+      printSummary(filtered);
+      if (comparison) printBaselineSummary(comparison);
+      if (recorded) process.stdout.write(`  ${chalk.green('History recorded:')} ${chalk.dim(recorded)}\n\n`);
+    }
+    if (opts.stats) printStats(stats, quiet ? process.stderr : process.stdout);
 
-    process.exit(filtered.length > 0 ? 1 : 0);
+    process.exit(budgetExitCode(filtered, config, opts, files.length, quiet ? process.stderr : process.stdout));
   });
 
 // check <file>
 program
   .command('check <file>')
   .description('Check a single file for performance issues')
-  .option('-s, --severity <level>', 'Minimum severity to report: low|medium|high|critical', 'low')
-  .option('-f, --format <type>', 'Output format: text|json|markdown', 'text')
+  .option('-s, --severity <level>', 'Minimum severity to report: low|medium|high|critical (default: low)')
+  .option('-f, --format <type>', 'Output format: text|json|markdown|sarif (default: text)')
+  .option('-c, --config <file>', 'Config file (default: nearest perf-x-ray.config.json or .perfxrayrc)')
   .option('--fix', 'Include fix suggestions in output')
-  .action((filePath, opts) => {
+  .option('--schema <path>', 'SQL schema file or migrations directory for index-aware query checks')
+  .option('--fail-on <level>', 'Exit 1 only for findings at or above this severity: low|medium|high|critical')
+  .action(async (filePath, rawOpts) => {
     const absPath = resolve(filePath);
+    const config = await loadProjectConfig(dirname(absPath), rawOpts);
+    const opts = withConfigDefaults(rawOpts, config);
     let content;
     try {
       content = readFileSync(absPath, 'utf8');
@@ -85,52 +270,426 @@ program
       process.exit(2);
     }
 
-    const findings = checkFile(absPath, content);
+    const findings = checkFile(absPath, content, {
+      rules: rulesForFile(config, absPath),
+      suppressions: config.suppressions,
+      schema: loadSchema(config.schema),
+    });
     const filtered = applyFilters(findings, opts);
 
-    const output = formatFindings(filtered, opts.format);
+    const output = formatFindings(filtered, opts.format, { root: process.cwd() });
     if (output) process.stdout.write(output + '\n');
-    printSummary(filtered);
+    const quiet = MACHINE_FORMATS.has(opts.format);
+    if (!quiet) printSummary(filtered);
 
-    process.exit(filtered.length > 0 ? 1 : 0);
+    process.exit(budgetExitCode(filtered, config, opts, 1, quiet ? process.stderr : process.stdout));
   });
 
 // report [path]
 program
   .command('report [path]')
-  .description('Generate a Markdown performance report')
-  .option('-o, --output <file>', 'Write report to file (default: perf-xray-report.md)')
-  .option('-s, --severity <level>', 'Minimum severity to report: low|medium|high|critical', 'low')
+  .description('Generate a Markdown or HTML performance report')
+  .option('-o, --output <file>', 'Write report to file (default: perf-xray-report.md or .html)')
+  .option('-f, --format <type>', 'Report format: markdown|html (default: markdown)')
+  .option('-s, --severity <level>', 'Minimum severity to report: low|medium|high|critical (default: low)')
   .option('-i, --ignore <patterns>', 'Comma-separated dir/file patterns to ignore')
-  .action((scanPath, opts) => {
+  .option('-c, --config <file>', 'Config file (default: nearest perf-x-ray.config.json or .perfxrayrc)')
+  .option('-j, --jobs <n>', `Worker threads for large scans (default: ${defaultJobs()})`)
+  .option('--no-cache', 'Ignore and do not update the .perf-x-ray/cache findings cache')
+  .option('--schema <path>', 'SQL schema file or migrations directory for index-aware query checks')
+  .option('--fail-on <level>', 'Exit 1 only for findings at or above this severity: low|medium|high|critical')
+  .option('--cpu-profile <file>', 'V8 .cpuprofile (node --cpu-prof) to rank findings by sampled CPU time')
+  .option('--demote-cold', 'Lower findings in code the CPU profile never sampled by one severity level')
+  .option('--record', 'Append a snapshot of finding counts to .perf-x-ray/history.jsonl')
+  .option('--package <names>', 'Only scan these comma-separated workspace packages (npm/yarn/pnpm name or Go module path)')
+  .action(async (scanPath, rawOpts) => {
     const root = resolve(scanPath ?? '.');
+    const config = await loadProjectConfig(root, rawOpts);
+    const opts = withConfigDefaults(rawOpts, config);
     const ignore = parseIgnore(opts.ignore);
-    const outFile = resolve(opts.output ?? 'perf-xray-report.md');
+    // config.format names a scan output format, so reports don't inherit it
+    const format = rawOpts.format ?? 'markdown';
+    if (!REPORT_FORMATS.includes(format)) {
+      process.stderr.write(chalk.red(`  Unknown report format "${format}" (expected one of: ${REPORT_FORMATS.join(', ')})\n`));
+      process.exit(2);
+    }
+    const outFile = resolve(opts.output ?? `perf-xray-report.${format === 'html' ? 'html' : 'md'}`);
+    const profile = loadProfileOption(opts);
+    if (opts.record && opts.package) {
+      process.stderr.write(chalk.red('  --record needs a full scan and cannot be combined with --package\n'));
+      process.exit(2);
+    }
 
     process.stdout.write(`\n  ${ACCENT.bold('perf-x-ray')} generating report for ${chalk.dim(root)} ...\n`);
 
-    const files = walkFiles(root, { ignore });
-    const findings = checkFiles(files, (fp) => readFileSync(fp, 'utf8'), { severity: opts.severity });
+    const walked = walkFiles(root, { ignore, exclude: (p) => isIgnored(config, p) });
+    const { workspace, inScope } = loadWorkspace(root, opts, walked);
+    const files = walked.filter(inScope);
+    const scanned = await scanFiles(files, config, opts);
+    const recorded = opts.record ? recordHistory(config, root, scanned.findings, files.length) : null;
+    tagPackages(scanned.findings, workspace);
+    if (profile) {
+      tagHotness(scanned.findings, profile, { root, demoteCold: opts.demoteCold });
+      scanned.findings.sort(compareHotness);
+    }
+    const findings = applyFilters(scanned.findings, { severity: opts.severity });
 
-    const report = generateReport(findings);
+    const report = generateReport(findings, { format, root });
     writeFileSync(outFile, report, 'utf8');
 
     printSummary(findings);
-    process.stdout.write(`  ${chalk.green('Report saved:')} ${chalk.dim(outFile)}\n\n`);
+    process.stdout.write(`  ${chalk.green('Report saved:')} ${chalk.dim(outFile)}\n`);
+    if (recorded) process.stdout.write(`  ${chalk.green('History recorded:')} ${chalk.dim(recorded)}\n`);
+    process.stdout.write('\n');
+
+    // Reports only gate the build once a budget or --fail-on is configured
+    const result = evaluateBudgets(findings, config, { failOn: opts.failOn, files: files.length });
+    printBudgetSummary(result);
+    if (result.enforced && !result.passed) process.exit(1);
   });
 
-// rules — list all rules
+// fix [path]
 program
+  .command('fix [path]')
+  .description('Apply safe automatic rewrites for fixable rules (file or directory)')
+  .option('--dry-run', 'Print a unified diff instead of writing files')
+  .option('-r, --rule <ids>', 'Comma-separated rule ids to fix (default: all fixable rules)')
+  .option('--logger <name>', 'Replace console calls with this logger when the file already declares it')
+  .option('-i, --ignore <patterns>', 'Comma-separated dir/file patterns to ignore')
+  .option('-c, --config <file>', 'Config file (default: nearest perf-x-ray.config.json or .perfxrayrc)')
+  .action(async (targetPath, opts) => {
+    const target = resolve(targetPath ?? '.');
+    let isDir;
+    try {
+      isDir = statSync(target).isDirectory();
+    } catch (err) {
+      process.stderr.write(chalk.red(`  Error reading path: ${err.message}\n`));
+      process.exit(2);
+    }
+    const root = isDir ? target : dirname(target);
+    const config = await loadProjectConfig(root, opts);
+    const files = isDir ? walkFiles(root, { ignore: parseIgnore(opts.ignore), exclude: (p) => isIgnored(config, p) }) : [target];
+    const only = parseIgnore(opts.rule);
+
+    let changedFiles = 0;
+    let changes = 0;
+    for (const fp of files) {
+      let content;
+      try {
+        content = readFileSync(fp, 'utf8');
+      } catch {
+        continue;
+      }
+      const result = fixFile(fp, content, {
+        rules: rulesForFile(config, fp),
+        only,
+        fixOptions: { logger: opts.logger },
+      });
+      if (!result.applied.length) continue;
+
+      changedFiles++;
+      changes += result.applied.length;
+      const rel = relative(process.cwd(), fp) || fp;
+      if (opts.dryRun) {
+        process.stdout.write(createUnifiedDiff(result.original, result.output, rel.split('\\').join('/')));
+      } else {
+        writeFileSync(fp, result.output, 'utf8');
+        const summary = result.applied.map((a) => `${a.ruleId}:${a.line}`).join(', ');
+        process.stdout.write(`  ${chalk.green('fixed')} ${chalk.dim(rel)}  ${chalk.dim(summary)}\n`);
+      }
+    }
+
+    const verb = opts.dryRun ? 'would apply' : 'applied';
+    process.stderr.write(`\n  ${ACCENT.bold('perf-x-ray')} ${verb} ${changes} fix${changes !== 1 ? 'es' : ''} in ${changedFiles} file${changedFiles !== 1 ? 's' : ''}\n\n`);
+  });
+
+// watch [path]
+program
+  .command('watch [path]')
+  .description('Scan, then re-check files as they change and print findings added and resolved')
+  .option('-s, --severity <level>', 'Minimum severity to report: low|medium|high|critical (default: low)')
+  .option('-i, --ignore <patterns>', 'Comma-separated dir/file patterns to ignore')
+  .option('-c, --config <file>', 'Config file (default: nearest perf-x-ray.config.json or .perfxrayrc)')
+  .option('--schema <path>', 'SQL schema file or migrations directory for index-aware query checks')
+  .action(async (watchPath, rawOpts) => {
+    const root = resolve(watchPath ?? '.');
+    let config = await loadProjectConfig(root, rawOpts);
+    let opts = withConfigDefaults(rawOpts, config);
+    const ignore = parseIgnore(opts.ignore);
+    const byFile = new Map();
+    const display = (fp) => relative(root, fp) || fp;
+    const current = () => [...byFile.values()].flat();
+
+    const isWatchedConfig = (fp) =>
+      config.path ? fp === config.path : dirname(fp) === root && CONFIG_FILES.includes(basename(fp));
+    const isSchemaFile = (fp) => config.schema && (fp === config.schema || fp.startsWith(config.schema + sep));
+
+    // Rebuild byFile from a full scan and return the files whose findings changed
+    const rescan = async () => {
+      const files = walkFiles(root, { ignore, exclude: (p) => isIgnored(config, p) });
+      const { findings } = await runScan(files, { config });
+      const next = new Map(files.map((fp) => [fp, []]));
+      for (const f of applyFilters(findings, opts)) next.get(f.file).push(f);
+
+      const changes = { added: [], resolved: [], files: [] };
+      for (const fp of new Set([...byFile.keys(), ...next.keys()])) {
+        const { added, resolved } = diffFindings(byFile.get(fp) ?? [], next.get(fp) ?? []);
+        if (!added.length && !resolved.length) continue;
+        changes.added.push(...added);
+        changes.resolved.push(...resolved);
+        changes.files.push(fp);
+      }
+      byFile.clear();
+      for (const [fp, list] of next) byFile.set(fp, list);
+      return changes;
+    };
+
+    const recheck = (fp) => {
+      let content;
+      try {
+        content = readFileSync(fp, 'utf8');
+      } catch {
+        // Deleted or renamed away
+        return [];
+      }
+      const findings = checkFile(fp, content, {
+        rules: rulesForFile(config, fp),
+        suppressions: config.suppressions,
+        schema: loadSchema(config.schema),
+      });
+      return applyFilters(findings, opts);
+    };
+
+    const onChange = async (paths) => {
+      const schemaChanged = paths.some(isSchemaFile);
+      if (paths.some(isWatchedConfig) || schemaChanged) {
+        try {
+          if (schemaChanged) loadSchema(config.schema, { reload: true });
+          config = await readProjectConfig(root, rawOpts);
+          opts = withConfigDefaults(rawOpts, config);
+        } catch (err) {
+          process.stderr.write(chalk.red(`\n  ${err.message}\n`));
+          return;
+        }
+        let changes;
+        try {
+          changes = await rescan();
+        } catch (err) {
+          process.stderr.write(chalk.red(`\n  ${err.message}\n`));
+          return;
+        }
+        printWatchUpdate({ ...changes, files: [schemaChanged ? 'schema' : 'config'] }, current(), display);
+        return;
+      }
+
+      const changes = { added: [], resolved: [], files: [] };
+      for (const fp of paths) {
+        // A removed directory takes its files' findings with it
+        const targets = isScannablePath(fp, root, { ignore })
+          ? [fp]
+          : [...byFile.keys()].filter((known) => known.startsWith(fp + sep));
+        for (const target of targets) {
+          if (isIgnored(config, target)) continue;
+          let after;
+          try {
+            after = recheck(target);
+          } catch (err) {
+            process.stderr.write(chalk.red(`\n  ${err.message}\n`));
+            continue;
+          }
+          const { added, resolved } = diffFindings(byFile.get(target) ?? [], after);
+          if (after.length) byFile.set(target, after);
+          else byFile.delete(target);
+          changes.added.push(...added);
+          changes.resolved.push(...resolved);
+          changes.files.push(target);
+        }
+      }
+      if (changes.files.length) printWatchUpdate(changes, current(), display);
+    };
+
+    process.stdout.write(`\n  ${ACCENT.bold('perf-x-ray')} watching ${chalk.dim(root)} ...\n`);
+    try {
+      await rescan();
+    } catch (err) {
+      process.stderr.write(chalk.red(`  ${err.message}\n`));
+      process.exit(2);
+    }
+    printSummary(current());
+    process.stdout.write(chalk.dim('  Waiting for changes (Ctrl+C to stop)\n'));
+
+    // Serialise updates so a slow re-check can't interleave with the next batch.
+    // A failed update is reported and the queue moves on to the next one.
+    let queue = Promise.resolve();
+    const stop = watchTree(root, (paths) => {
+      queue = queue
+        .then(() => onChange(paths))
+        .catch((err) => process.stderr.write(chalk.red(`\n  ${err.message}\n`)));
+    }, { ignore });
+
+    process.on('SIGINT', () => {
+      stop();
+      process.stdout.write('\n');
+      process.exit(0);
+    });
+  });
+
+// routes [path]
+program
+  .command('routes [path]')
+  .description('List HTTP routes (Express, Fastify, Koa, NestJS, Flask, FastAPI) with the findings in each handler')
+  .option('-s, --severity <level>', 'Minimum severity to report: low|medium|high|critical (default: low)')
+  .option('-f, --format <type>', 'Output format: text|json (default: text)')
+  .option('-i, --ignore <patterns>', 'Comma-separated dir/file patterns to ignore')
+  .option('-c, --config <file>', 'Config file (default: nearest perf-x-ray.config.json or .perfxrayrc)')
+  .option('-j, --jobs <n>', `Worker threads for large scans (default: ${defaultJobs()})`)
+  .option('--no-cache', 'Ignore and do not update the .perf-x-ray/cache findings cache')
+  .option('--schema <path>', 'SQL schema file or migrations directory for index-aware query checks')
+  .action(async (scanPath, rawOpts) => {
+    const root = resolve(scanPath ?? '.');
+    const config = await loadProjectConfig(root, rawOpts);
+    const opts = withConfigDefaults(rawOpts, config);
+    // Like report, don't inherit config.format: it names a scan output format
+    const format = rawOpts.format ?? 'text';
+    if (!ROUTE_FORMATS.includes(format)) {
+      process.stderr.write(chalk.red(`  Unknown routes format "${format}" (expected one of: ${ROUTE_FORMATS.join(', ')})\n`));
+      process.exit(2);
+    }
+
+    const files = walkFiles(root, { ignore: parseIgnore(opts.ignore), exclude: (p) => isIgnored(config, p) })
+      .filter((fp) => ROUTE_LANGUAGES.has(getLanguage(fp)));
+    const scanned = await scanFiles(files, config, opts);
+    const findings = applyFilters(scanned.findings, { severity: opts.severity });
+
+    process.stdout.write(formatRoutes(routeInventory(files, findings), format, { root }) + '\n');
+    if (format === 'text') process.stdout.write('\n');
+  });
+
+// deps [path]
+program
+  .command('deps [path]')
+  .description('Rank imported npm packages by the estimated bytes they add, measured from node_modules')
+  .option('-f, --format <type>', 'Output format: text|json (default: text)')
+  .option('-i, --ignore <patterns>', 'Comma-separated dir/file patterns to ignore')
+  .option('-c, --config <file>', 'Config file (default: nearest perf-x-ray.config.json or .perfxrayrc)')
+  .option('-n, --top <n>', 'Only list the n heaviest packages')
+  .action(async (scanPath, opts) => {
+    const root = resolve(scanPath ?? '.');
+    const config = await loadProjectConfig(root, opts);
+    const format = opts.format ?? 'text';
+    if (!DEPS_FORMATS.includes(format)) {
+      process.stderr.write(chalk.red(`  Unknown deps format "${format}" (expected one of: ${DEPS_FORMATS.join(', ')})\n`));
+      process.exit(2);
+    }
+    const top = opts.top === undefined ? undefined : Number(opts.top);
+    if (top !== undefined && (!Number.isInteger(top) || top < 1)) {
+      process.stderr.write(chalk.red(`  --top must be a positive integer, got "${opts.top}"\n`));
+      process.exit(2);
+    }
+
+    const files = walkFiles(root, { ignore: parseIgnore(opts.ignore), exclude: (p) => isIgnored(config, p) })
+      .filter((fp) => ['js', 'ts'].includes(getLanguage(fp)));
+    process.stdout.write(formatDeps(dependencyInventory(files), format, { root, top }) + '\n');
+    if (format === 'text') process.stdout.write('\n');
+  });
+
+// history [path]
+program
+  .command('history [path]')
+  .description('Show how findings per rule and directory changed over recorded scans (see scan --record)')
+  .option('-n, --last <n>', 'Number of recent snapshots to compare (default: 10)')
+  .option('-f, --format <type>', 'Output format: text|markdown|json (default: text)')
+  .option('-c, --config <file>', 'Config file (default: nearest perf-x-ray.config.json or .perfxrayrc)')
+  .action(async (scanPath, opts) => {
+    const root = resolve(scanPath ?? '.');
+    const config = await loadProjectConfig(root, opts);
+    const format = opts.format ?? 'text';
+    if (!HISTORY_FORMATS.includes(format)) {
+      process.stderr.write(chalk.red(`  Unknown history format "${format}" (expected one of: ${HISTORY_FORMATS.join(', ')})\n`));
+      process.exit(2);
+    }
+    const last = opts.last === undefined ? 10 : Number(opts.last);
+    if (!Number.isInteger(last) || last < 1) {
+      process.stderr.write(chalk.red(`  --last must be a positive integer, got "${opts.last}"\n`));
+      process.exit(2);
+    }
+
+    let snapshots;
+    try {
+      snapshots = loadHistory(historyPath(config));
+    } catch (err) {
+      process.stderr.write(chalk.red(`  ${err.message}\n`));
+      process.exit(2);
+    }
+    // Snapshots of other scan roots in the same project aren't comparable
+    const scope = relative(config.dir, root).split(sep).join('/') || '.';
+    const trends = historyTrends(snapshots.filter((s) => s.root === scope), { last });
+    process.stdout.write(formatHistory(trends, format) + '\n');
+    if (format === 'text') process.stdout.write('\n');
+  });
+
+// lsp — editor diagnostics over stdio
+program
+  .command('lsp')
+  .description('Run a Language Server Protocol server on stdin/stdout for editor diagnostics')
+  .option('--stdio', 'Use stdin/stdout (the default; accepted because editors pass it)')
+  .option('-c, --config <file>', 'Config file (default: nearest perf-x-ray.config.json or .perfxrayrc for each document)')
+  .option('--schema <path>', 'SQL schema file or migrations directory for index-aware query checks')
+  .action(async (opts) => {
+    // stdout carries the protocol, so config errors go to the client instead of exiting
+    const code = await startLanguageServer({ loadConfig: (dir) => readProjectConfig(dir, opts) });
+    process.exit(code);
+  });
+
+// rules — list all rules
+const rulesCommand = program
   .command('rules')
-  .description('List all available performance rules')
-  .action(() => {
+  .description('List all available performance rules, including plugin rules from the config')
+  .option('-c, --config <file>', 'Config file (default: nearest perf-x-ray.config.json or .perfxrayrc)')
+  .action(async (opts) => {
+    const config = await loadProjectConfig(process.cwd(), opts);
     process.stdout.write(`\n  ${ACCENT.bold('perf-x-ray')} rules\n\n`);
     const severityColor = { critical: chalk.red.bold, high: chalk.yellow.bold, medium: chalk.cyan, low: chalk.dim };
-    for (const rule of RULES) {
+    const rules = allRules(config);
+    // Plugin and React rule ids run long; size the column to the longest
+    const idWidth = Math.max(26, ...rules.map((r) => r.id.length));
+    for (const rule of rules) {
       const sc = severityColor[rule.severity] ?? chalk.white;
-      process.stdout.write(`  ${sc(rule.severity.padEnd(8))}  ${chalk.bold(rule.id.padEnd(22))}  ${chalk.dim(rule.languages.join(', ').padEnd(16))}  ${rule.name}\n`);
+      const fixable = rule.fix ? chalk.green('fix') : '   ';
+      const source = rule.plugin ? chalk.magenta(`  (${rule.plugin})`) : '';
+      process.stdout.write(`  ${sc(rule.severity.padEnd(8))}  ${chalk.bold(rule.id.padEnd(idWidth))}  ${chalk.dim(rule.languages.join(', ').padEnd(20))}  ${fixable}  ${rule.name}${source}\n`);
     }
     process.stdout.write('\n');
   });
 
-program.parse();
+// rules test [dir] — run expectation-annotated fixtures
+rulesCommand
+  .command('test [dir]')
+  .description('Run fixture files annotated with // expect: <rule-id> and // expect-none, and report precision and recall per rule')
+  .option('-r, --rule <ids>', 'Comma-separated rule ids to score (default: every rule the fixtures mention)')
+  .option('-f, --format <type>', 'Output format: text|json (default: text)')
+  .option('-c, --config <file>', 'Config file (default: nearest perf-x-ray.config.json or .perfxrayrc)')
+  .option('--schema <path>', 'SQL schema file or migrations directory for index-aware query checks')
+  .action(async (dir, opts) => {
+    const root = resolve(dir ?? '.');
+    const config = await loadProjectConfig(root, opts);
+    const format = opts.format ?? 'text';
+    if (!RULE_TEST_FORMATS.includes(format)) {
+      process.stderr.write(chalk.red(`  Unknown rules test format "${format}" (expected one of: ${RULE_TEST_FORMATS.join(', ')})\n`));
+      process.exit(2);
+    }
+
+    const files = walkFiles(root, { exclude: (p) => isIgnored(config, p) });
+    let report;
+    try {
+      report = runFixtures(files, config, { only: parseIgnore(opts.rule) });
+    } catch (err) {
+      process.stderr.write(chalk.red(`  ${err.message}\n`));
+      process.exit(2);
+    }
+    process.stdout.write(formatRuleTests(report, format, { root }) + '\n');
+    if (format === 'text') process.stdout.write('\n');
+    process.exit(report.files === 0 ? 2 : report.passed ? 0 : 1);
+  });
+
+program.parseAsync();
@@ -0,0 +1,17 @@
+// Division and regex literals share the `/` character; only real regexes may be analyzed.
+
+export function ratios(total, count, width, height) {
+  const half = total / 2 / count; // expect-none
+  const aspect = width / height / 1.5; // expect-none
+  const scaled = (total / count) / (width / height); // expect-none
+  return [half, aspect, scaled];
+}
+
+export const NESTED = /^(a+)+$/; // expect: blocking-regex
+export const ALTERNATION = /^(a|a)*$/; // expect: blocking-regex
+export const EMAIL = /^([a-zA-Z0-9_.-]+)+@example\.com$/; // expect: blocking-regex
+export const DYNAMIC = new RegExp('^(\\d+)*$'); // expect: blocking-regex
+
+export const SAFE = /^[a-z0-9-]+$/; // expect-none: blocking-regex
+export const BOUNDED = /^\d{1,3}(\.\d{1,3}){3}$/; // expect-none: blocking-regex
+export const ANCHORED_WORDS = /^\w+(?:\s\w+)*$/; // expect-none: blocking-regex
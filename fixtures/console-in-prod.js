@@ -0,0 +1,14 @@
+// Standalone debug logging with side-effect-free arguments is removed by `fix`;
+// warn/error stay, and so does logging that calls something.
+
+export function handle(order) {
+  console.log('handling', order.id); // expect: console-in-prod
+  console.debug(order); // expect: console-in-prod
+  console.log(describe(order)); // expect: console-in-prod
+  console.error('failed', order.id); // expect: console-in-prod
+  return order;
+}
+
+function describe(order) {
+  return `#${order.id}`;
+}
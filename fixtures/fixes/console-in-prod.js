@@ -0,0 +1,14 @@
+// Standalone debug logging with side-effect-free arguments is deleted;
+// warn/error stay, and so does logging whose arguments call something.
+
+export function handle(order) {
+  console.log('handling', order.id);
+  console.debug(order);
+  console.log(describe(order));
+  console.error('failed', order.id);
+  return order;
+}
+
+function describe(order) {
+  return `#${order.id}`;
+}
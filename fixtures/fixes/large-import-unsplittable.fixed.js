@@ -0,0 +1,10 @@
+// Left alone: VERSION has no lodash/VERSION module, and templateSettings is
+// written through, so the namespace import has to stay.
+import _ from 'lodash';
+import lodash from 'lodash';
+
+export const save = _.debounce((doc) => doc, 100);
+export const version = _.VERSION;
+
+lodash.templateSettings.interpolate = /{{([\s\S]+?)}}/g;
+export const throttled = lodash.throttle(() => 1, 50);
@@ -0,0 +1,6 @@
+// Every member read off the import has its own module, so the import is split.
+import debounce from 'lodash/debounce';
+import throttle from 'lodash/throttle';
+
+export const save = debounce((doc) => doc, 100);
+export const scroll = throttle(() => window.scrollY, 50);
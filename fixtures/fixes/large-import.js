@@ -0,0 +1,5 @@
+// Every member read off the import has its own module, so the import is split.
+import _ from 'lodash';
+
+export const save = _.debounce((doc) => doc, 100);
+export const scroll = _.throttle(() => window.scrollY, 50);
@@ -0,0 +1,15 @@
+// The awaited call is parenthesized wherever the parent would otherwise read
+// off the Promise; synchronous functions are left alone.
+import fs from 'fs';
+
+export async function sizes(path) {
+  const text = await fs.promises.readFile(path, 'utf8');
+  const length = (await fs.promises.readFile(path))?.length;
+  const size = (await fs.promises.stat(path)).size;
+  const upper = (await fs.promises.readFile(path, 'utf8'))?.toUpperCase();
+  return [text, length, size, upper];
+}
+
+export function atStartup(path) {
+  return fs.readFileSync(path, 'utf8');
+}
@@ -0,0 +1,15 @@
+// The awaited call is parenthesized wherever the parent would otherwise read
+// off the Promise; synchronous functions are left alone.
+import fs from 'fs';
+
+export async function sizes(path) {
+  const text = fs.readFileSync(path, 'utf8');
+  const length = fs.readFileSync(path)?.length;
+  const size = fs.statSync(path).size;
+  const upper = fs.readFileSync(path, 'utf8')?.toUpperCase();
+  return [text, length, size, upper];
+}
+
+export function atStartup(path) {
+  return fs.readFileSync(path, 'utf8');
+}
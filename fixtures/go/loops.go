@@ -0,0 +1,148 @@
+// Go hot-path patterns: work repeated per iteration or per request that
+// could be done once.
+package fixtures
+
+import (
+	"database/sql"
+	"fmt"
+	"net/http"
+	"os"
+	"regexp"
+	"strconv"
+	"strings"
+)
+
+var slugPattern = regexp.MustCompile(`^[a-z0-9-]+$`)
+
+func readAll(paths []string) error {
+	for _, p := range paths {
+		f, err := os.Open(p)
+		if err != nil {
+			return err
+		}
+		defer f.Close() // expect: go-defer-in-loop
+	}
+	return nil
+}
+
+func readOne(path string) error {
+	f, err := os.Open(path)
+	if err != nil {
+		return err
+	}
+	defer f.Close() // expect-none: go-defer-in-loop
+	return nil
+}
+
+func validSlugs(slugs []string) int {
+	n := 0
+	for _, s := range slugs {
+		re := regexp.MustCompile(`^[a-z0-9-]+$`) // expect: go-regexp-compile-per-call
+		if re.MatchString(s) {
+			n++
+		}
+		if slugPattern.MatchString(s) { // expect-none: go-regexp-compile-per-call
+			n++
+		}
+	}
+	return n
+}
+
+func joinIDs(ids []int) string {
+	out := ""
+	for _, id := range ids {
+		out += strconv.Itoa(id) + "," // expect: go-string-concat-in-loop
+	}
+	return out
+}
+
+func joinIDsBuilder(ids []int) string {
+	var b strings.Builder
+	for _, id := range ids {
+		b.WriteString(strconv.Itoa(id)) // expect-none: go-string-concat-in-loop
+	}
+	return b.String()
+}
+
+func squares(ns []int) []int {
+	var out []int
+	for _, n := range ns {
+		out = append(out, n*n) // expect: go-append-without-capacity
+	}
+	return out
+}
+
+func squaresPrealloc(ns []int) []int {
+	out := make([]int, 0, len(ns))
+	for _, n := range ns {
+		out = append(out, n*n) // expect-none: go-append-without-capacity
+	}
+	return out
+}
+
+func labels(ns []int) []string {
+	out := make([]string, 0, len(ns))
+	for _, n := range ns {
+		out = append(out, fmt.Sprintf("%d", n)) // expect: go-sprintf-conversion
+	}
+	return out
+}
+
+func label(n int) string {
+	return fmt.Sprintf("item %d of many", n) // expect-none: go-sprintf-conversion
+}
+
+func pingPong(items []int) int {
+	requests := make(chan int)
+	replies := make(chan int)
+	go func() {
+		for v := range requests {
+			replies <- v * 2
+		}
+	}()
+	total := 0
+	for _, item := range items {
+		requests <- item // expect: go-channel-ping-pong
+		total += <-replies
+	}
+	return total
+}
+
+func userNames(db *sql.DB) ([]string, error) {
+	rows, err := db.Query("SELECT name FROM users LIMIT 100") // expect: go-rows-not-closed
+	if err != nil {
+		return nil, err
+	}
+	names := make([]string, 0, 100)
+	for rows.Next() {
+		var name string
+		if err := rows.Scan(&name); err != nil {
+			return nil, err
+		}
+		names = append(names, name)
+	}
+	return names, nil
+}
+
+func userEmails(db *sql.DB) ([]string, error) {
+	rows, err := db.Query("SELECT email FROM users LIMIT 100") // expect-none: go-rows-not-closed
+	if err != nil {
+		return nil, err
+	}
+	defer rows.Close()
+	emails := make([]string, 0, 100)
+	for rows.Next() {
+		var email string
+		if err := rows.Scan(&email); err != nil {
+			return nil, err
+		}
+		emails = append(emails, email)
+	}
+	return emails, nil
+}
+
+func handler(w http.ResponseWriter, r *http.Request) {
+	if regexp.MustCompile(`^/api/`).MatchString(r.URL.Path) { // expect: go-regexp-compile-per-call
+		w.WriteHeader(http.StatusOK)
+	}
+}
@@ -0,0 +1,16 @@
+// Only regexp2 backtracks; the standard regexp package is RE2 and runs in
+// linear time whatever the pattern.
+package fixtures
+
+import (
+	"regexp"
+
+	"github.com/dlclark/regexp2"
+)
+
+var (
+	nested      = regexp2.MustCompile(`^(a+)+$`, 0)       // expect: blocking-regex
+	alternation = regexp2.MustCompile("^(a|a)*$", 0)      // expect: blocking-regex
+	safe        = regexp2.MustCompile(`^[a-z0-9-]+$`, 0)  // expect-none: blocking-regex
+	linear      = regexp.MustCompile(`^(a+)+$`)           // expect-none: blocking-regex
+)
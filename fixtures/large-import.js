@@ -0,0 +1,12 @@
+// Sizes come from fixtures/node_modules: lodash is ~2 KB of CommonJS, over
+// the 1 KB minKb set in this directory's config; tiny is well under it.
+import _ from 'lodash'; // expect: large-import
+import * as lodash from 'lodash'; // expect: large-import
+import { chunk } from 'lodash'; // expect: large-import
+import debounce from 'lodash/debounce'; // expect-none: large-import
+import { id } from 'tiny'; // expect-none: large-import
+
+const merge = require('lodash').merge; // expect: large-import
+
+export const run = debounce(() => id(_.uniq(lodash.compact(chunk([1, 2], 1)))), 10);
+export { merge };
@@ -0,0 +1,30 @@
+// Queries issued once per loop iteration, directly or from an iteration callback.
+
+export async function loadAuthors(db, posts) {
+  for (const post of posts) {
+    post.author = await db.query('SELECT name FROM users WHERE id = $1 LIMIT 1', [post.authorId]); // expect: n-plus-one
+  }
+  return posts;
+}
+
+export async function loadOrders(prisma, users) {
+  return Promise.all(users.map((u) => prisma.order.findMany({ where: { userId: u.id }, take: 10 }))); // expect: n-plus-one
+}
+
+export class ReportService {
+  async totals(ids) {
+    const out = [];
+    for (const id of ids) out.push(await this.orderRepository.findOneBy({ id })); // expect: n-plus-one
+    return out;
+  }
+}
+
+export async function loadOnce(db, ids) {
+  const rows = await db.query('SELECT id, name FROM users WHERE id = ANY($1) LIMIT 100', [ids]); // expect-none: n-plus-one
+  for (const row of rows) row.label = row.name.toUpperCase(); // expect-none: n-plus-one
+  return rows;
+}
+
+export function plainArrays(items, lookup) {
+  return items.map((item) => lookup.get(item.id)); // expect-none: n-plus-one
+}
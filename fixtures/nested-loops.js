@@ -0,0 +1,20 @@
+// Only a loop inside another loop's body counts; sequential loops do not.
+
+export function pairs(a, b) {
+  const out = [];
+  for (const x of a) {
+    for (const y of b) { // expect: nested-loops
+      if (x.id === y.id) out.push([x, y]);
+    }
+  }
+  return out;
+}
+
+export function matches(users, orders) {
+  return users.map((u) => orders.filter((o) => o.userId === u.id)); // expect: nested-loops
+}
+
+export function sequential(a, b) {
+  const ids = new Set(a.map((x) => x.id)); // expect-none: nested-loops
+  return b.filter((y) => ids.has(y.id)); // expect-none: nested-loops
+}
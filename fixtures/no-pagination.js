@@ -0,0 +1,20 @@
+// GET list endpoints need a limit, page or cursor; writes and single lookups don't.
+import express from 'express';
+
+const app = express();
+const db = { query: async () => [] };
+
+app.get('/users', async (req, res) => { // expect: no-pagination
+  res.json(await db.query('SELECT id, name FROM users'));
+});
+
+app.get('/orders', async (req, res) => { // expect-none: no-pagination
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  res.json(await db.query('SELECT id FROM orders LIMIT $1', [limit]));
+});
+
+app.post('/users', async (req, res) => { // expect-none: no-pagination
+  res.json(await db.query('INSERT INTO users (name) VALUES ($1)', [req.body.name]));
+});
+
+export default app;
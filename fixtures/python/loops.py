@@ -0,0 +1,58 @@
+# Python idioms that turn a loop quadratic or stall the event loop.
+import asyncio
+import time
+
+import pandas as pd
+import requests
+
+
+def frame_rows(df):
+    total = 0
+    for _, row in df.iterrows():  # expect: pandas-row-loop
+        total += row["amount"]
+    df["double"] = df.apply(lambda r: r["amount"] * 2, axis=1)  # expect: pandas-row-loop
+    for i in range(len(df)):
+        total += df.iloc[i]["amount"]  # expect: pandas-row-loop
+    return total + pd.to_numeric(df["amount"]).sum()  # expect-none: pandas-row-loop
+
+
+def dedupe(items):
+    seen = []
+    out = []
+    for item in items:
+        if item not in seen:  # expect: py-list-membership-in-loop
+            seen.append(item)
+            out.append(item)
+    return out
+
+
+def dedupe_fast(items):
+    seen = set()
+    for item in items:
+        if item in seen:  # expect-none: py-list-membership-in-loop
+            continue
+        seen.add(item)
+    return seen
+
+
+def render(lines):
+    html = ""
+    for line in lines:
+        html += "<li>" + line + "</li>"  # expect: py-string-concat-in-loop
+    return html
+
+
+def render_joined(lines):
+    return "".join("<li>" + line + "</li>" for line in lines)  # expect-none: py-string-concat-in-loop
+
+
+async def fetch_status(url):
+    time.sleep(1)  # expect: py-blocking-call-in-async
+    response = requests.get(url)  # expect: py-blocking-call-in-async
+    await asyncio.sleep(1)  # expect-none: py-blocking-call-in-async
+    return response.status_code
+
+
+def fetch_status_sync(url):
+    time.sleep(1)  # expect-none: py-blocking-call-in-async
+    return requests.get(url).status_code  # expect-none: py-blocking-call-in-async
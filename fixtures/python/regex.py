@@ -0,0 +1,15 @@
+# Backtracking regexes in Python's re module, which has no linear-time engine.
+import re
+
+NESTED = re.compile(r"^(a+)+$")  # expect: blocking-regex
+EMAIL = re.compile(r"^([a-zA-Z0-9_.-]+)+@example\.com$")  # expect: blocking-regex
+SAFE = re.compile(r"^[a-z0-9-]+$")  # expect-none: blocking-regex
+BOUNDED = re.compile(r"^\d{1,3}(\.\d{1,3}){3}$")  # expect-none: blocking-regex
+
+
+def is_code(value):
+    return re.fullmatch(r"(\d+)*x", value) is not None  # expect: blocking-regex
+
+
+def words(value):
+    return re.findall(r"\w+", value)  # expect-none: blocking-regex
@@ -0,0 +1,26 @@
+# SQLAlchemy: queries per row and lazy-loaded relationships. The models live
+# in another module, so relationships are inferred from attribute chains.
+from sqlalchemy.orm import selectinload
+
+from .models import Order, User
+
+
+def order_totals(session, user_ids):
+    totals = []
+    for user_id in user_ids:
+        totals.append(session.query(Order).filter_by(user_id=user_id).count())  # expect: sqlalchemy-lazy-load
+    return totals
+
+
+def customer_names(session):
+    orders = session.query(Order).limit(100).all()
+    return [order.customer.name for order in orders]  # expect: sqlalchemy-lazy-load
+
+
+def eager_customer_names(session):
+    orders = session.query(Order).options(selectinload(Order.customer)).limit(100).all()
+    return [order.customer.name for order in orders]  # expect-none: sqlalchemy-lazy-load
+
+
+def one_query(session, user_ids):
+    return session.query(User).filter(User.id.in_(user_ids)).all()  # expect-none: sqlalchemy-lazy-load
@@ -0,0 +1,32 @@
+# Django: queries and relation reads per row, and views that load whole tables.
+from django.http import JsonResponse
+
+from .models import Author, Post
+
+
+def post_titles(request):
+    posts = Post.objects.all()[:50]
+    out = []
+    for post in posts:
+        out.append(post.author.name)  # expect: django-n-plus-one
+        out.append(Author.objects.get(id=post.author_id).name)  # expect: django-n-plus-one
+    return JsonResponse({"titles": out})
+
+
+def eager_titles(request):
+    posts = Post.objects.select_related("author")[:50]
+    return JsonResponse({"titles": [post.author.name for post in posts]})  # expect-none: django-n-plus-one
+
+
+def all_posts(request):
+    posts = Post.objects.all()  # expect: django-unsliced-queryset
+    return JsonResponse({"ids": [p.id for p in posts]})
+
+
+def first_page(request):
+    posts = Post.objects.all()[:20]  # expect-none: django-unsliced-queryset
+    return JsonResponse({"ids": [p.id for p in posts]})
+
+
+def post_count(request):
+    return JsonResponse({"count": Post.objects.all().count()})  # expect-none: django-unsliced-queryset
@@ -0,0 +1,142 @@
+// React render-cost patterns: values that defeat memo(), work repeated
+// on every render, and lists that mount or re-key every row.
+import { createContext, memo, useCallback, useEffect, useMemo, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+
+const Row = memo(function Row({ item, style, onSelect }) {
+  return <li style={style} onClick={() => onSelect(item.id)}>{item.name}</li>;
+});
+
+const ROW_STYLE = { padding: 4 };
+
+export const ThemeContext = createContext(null);
+
+export function ItemList({ items, onSelect }) {
+  const handleSelect = useCallback((id) => onSelect(id), [onSelect]);
+  return (
+    <ul>
+      {items.map((item) => (
+        <Row
+          key={item.id}
+          item={item}
+          style={{ padding: 4 }} // expect: react-inline-prop
+          onSelect={handleSelect} // expect-none: react-inline-prop
+        />
+      ))}
+    </ul>
+  );
+}
+
+export function StableItemList({ items, onSelect }) {
+  return items.map((item) => <Row key={item.id} item={item} style={ROW_STYLE} onSelect={onSelect} />); // expect-none
+}
+
+export function ThemeProvider({ children }) {
+  const [theme, setTheme] = useState('light');
+  return (
+    <ThemeContext.Provider
+      value={{ theme, setTheme }} // expect: react-context-value
+    >
+      {children}
+    </ThemeContext.Provider>
+  );
+}
+
+export function MemoThemeProvider({ children }) {
+  const [theme, setTheme] = useState('light');
+  const value = useMemo(() => ({ theme, setTheme }), [theme]);
+  return (
+    <ThemeContext.Provider
+      value={value} // expect-none: react-context-value
+    >
+      {children}
+    </ThemeContext.Provider>
+  );
+}
+
+export function Leaderboard({ players }) {
+  const ranked = players.filter((p) => p.active).sort((a, b) => b.score - a.score); // expect: react-unmemoized-computation
+  return <ol>{ranked.map((p) => <li key={p.id}>{p.name}</li>)}</ol>;
+}
+
+export function MemoLeaderboard({ players }) {
+  const ranked = useMemo(() => players.filter((p) => p.active).sort((a, b) => b.score - a.score), [players]); // expect-none: react-unmemoized-computation
+  return <ol>{ranked.map((p) => <li key={p.id}>{p.name}</li>)}</ol>;
+}
+
+export function Search({ query, onResults }) {
+  const params = { q: query, limit: 20 };
+  useEffect(() => {
+    fetch(`/api/search?q=${params.q}&limit=${params.limit}`).then((r) => r.json()).then(onResults);
+  }, [params, onResults]); // expect: react-unstable-deps
+  return null;
+}
+
+export function StableSearch({ query, onResults }) {
+  useEffect(() => {
+    fetch(`/api/search?q=${query}&limit=20`).then((r) => r.json()).then(onResults);
+  }, [query, onResults]); // expect-none: react-unstable-deps
+  return null;
+}
+
+export function TodoList() {
+  const [todos, setTodos] = useState([]);
+  const add = (text) => setTodos([text, ...todos]);
+  return (
+    <ul onDoubleClick={() => add('New todo')}>
+      {todos.map((name, i) => (
+        <li
+          key={i} // expect: react-index-key
+        >
+          {name}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export function StaticSteps() {
+  const steps = ['Sign up', 'Verify email', 'Done'];
+  return (
+    <ol>
+      {steps.map((step, i) => (
+        <li
+          key={i} // expect-none: react-index-key
+        >
+          {step}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+export function OrderTable() {
+  const { data: orders } = useQuery({ queryKey: ['orders'], queryFn: fetchOrders });
+  return (
+    <table>
+      <tbody>
+        {orders.map((order) => ( // expect: react-unvirtualized-list
+          <tr key={order.id}>
+            <td>{order.total}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export function RecentOrders() {
+  const { data: orders } = useQuery({ queryKey: ['orders'], queryFn: fetchOrders });
+  return (
+    <ul>
+      {orders.slice(0, 10).map((order) => ( // expect-none: react-unvirtualized-list
+        <li key={order.id}>{order.total}</li>
+      ))}
+    </ul>
+  );
+}
+
+async function fetchOrders() {
+  const res = await fetch('/api/orders?limit=50');
+  return res.json();
+}
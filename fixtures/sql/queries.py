@@ -0,0 +1,16 @@
+# The SQL rules read queries embedded in application code too.
+
+
+def find_by_name(cursor, term):
+    cursor.execute("SELECT id, email FROM users WHERE name LIKE '%' || %s LIMIT 20", (term,))  # expect: leading-wildcard-like, missing-index-hint
+    return cursor.fetchall()
+
+
+def load_user(cursor, user_id):
+    cursor.execute("SELECT * FROM users WHERE id = %s", (user_id,))  # expect: select-star
+    return cursor.fetchone()
+
+
+def active_users(cursor):
+    cursor.execute("SELECT id, email FROM users WHERE status = 'active' LIMIT 50")  # expect: missing-index-hint
+    return cursor.fetchall()
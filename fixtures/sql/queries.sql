@@ -0,0 +1,11 @@
+-- Index-aware checks, run against schema.sql from perf-x-ray.config.json.
+SELECT id, email FROM users WHERE email = 'a@example.com' LIMIT 1; -- expect-none: missing-index-hint
+SELECT id, email FROM users WHERE status = 'active' LIMIT 50; -- expect: missing-index-hint
+SELECT o.id, o.total FROM orders o WHERE o.user_id = 42 ORDER BY o.id LIMIT 20; -- expect-none: missing-index-hint
+
+SELECT * FROM users WHERE id = 1; -- expect: select-star
+SELECT * FROM orders WHERE id = 1; -- expect-none: select-star
+SELECT u.id FROM users u WHERE EXISTS (SELECT * FROM orders o WHERE o.user_id = u.id) LIMIT 10; -- expect-none: select-star
+
+SELECT id FROM users WHERE name LIKE '%smith' LIMIT 20; -- expect: leading-wildcard-like, missing-index-hint
+SELECT id FROM users WHERE email LIKE 'smith%' LIMIT 20; -- expect-none: leading-wildcard-like
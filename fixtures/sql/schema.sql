@@ -0,0 +1,26 @@
+-- Schema for the SQL fixtures: missing-index-hint and select-star check
+-- queries against these tables and indexes.
+CREATE TABLE users (
+  id BIGINT PRIMARY KEY,
+  email TEXT NOT NULL,
+  name TEXT NOT NULL,
+  status TEXT NOT NULL,
+  bio TEXT,
+  avatar_url TEXT,
+  locale TEXT,
+  timezone TEXT,
+  last_login_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL,
+  updated_at TIMESTAMP NOT NULL,
+  settings JSONB,
+  deleted_at TIMESTAMP
+);
+CREATE UNIQUE INDEX users_email_idx ON users (email);
+
+CREATE TABLE orders (
+  id BIGINT PRIMARY KEY,
+  user_id BIGINT NOT NULL REFERENCES users (id),
+  total NUMERIC NOT NULL,
+  created_at TIMESTAMP NOT NULL
+);
+CREATE INDEX orders_user_id_idx ON orders (user_id);
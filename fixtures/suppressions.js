@@ -0,0 +1,21 @@
+// fixture: capped — runs with the per-file cap of a normal scan, so the sixth
+// console call is dropped and the suppression after it must still count as used.
+
+export function noisy(a) {
+  console.log(a, 1); // expect: console-in-prod
+  console.log(a, 2); // expect: console-in-prod
+  console.log(a, 3); // expect: console-in-prod
+  console.log(a, 4); // expect: console-in-prod
+  console.log(a, 5); // expect: console-in-prod
+  console.log(a, 6);
+  // perf-x-ray-disable-next-line console-in-prod -- kept for the fixture  // expect-none: unused-suppression
+  console.log(a, 7); // expect-none: console-in-prod
+  // perf-x-ray-disable-next-line nested-loops -- nothing to silence here  // expect: unused-suppression
+  return a;
+}
+
+// requireReason is on in this directory's config, so a bare suppression is ignored
+export async function load(fs, path) {
+  // perf-x-ray-disable-next-line sync-io  // expect: invalid-suppression
+  return fs.readFileSync(path); // expect: sync-io
+}
@@ -0,0 +1,17 @@
+// More than the 5-per-file cap a normal scan applies; every line must still be reported.
+import fs from 'fs';
+
+export async function loadAll(dir) {
+  const a = fs.readFileSync(`${dir}/a.json`); // expect: sync-io
+  const b = fs.readFileSync(`${dir}/b.json`); // expect: sync-io
+  const c = fs.readFileSync(`${dir}/c.json`); // expect: sync-io
+  const d = fs.readFileSync(`${dir}/d.json`); // expect: sync-io
+  const e = fs.readFileSync(`${dir}/e.json`); // expect: sync-io
+  const f = fs.readFileSync(`${dir}/f.json`); // expect: sync-io
+  const names = fs.readdirSync(dir); // expect: sync-io
+  return [a, b, c, d, e, f, names];
+}
+
+export function loadAtStartup(path) {
+  return fs.readFileSync(path); // expect-none: sync-io
+}
@@ -0,0 +1,25 @@
+// LIMIT may follow WHERE, ORDER BY or GROUP BY; any of them bounds the query.
+
+export async function listUsers(db) {
+  return db.query('SELECT id, name FROM users'); // expect: unbounded-query
+}
+
+export async function activeUsers(db) {
+  return db.query('SELECT id FROM users WHERE active = true'); // expect: unbounded-query
+}
+
+export async function recentOrders(db, userId) {
+  return db.query('SELECT * FROM orders WHERE user_id = $1 ORDER BY created_at DESC'); // expect: unbounded-query
+}
+
+export async function firstPage(db) {
+  return db.query('SELECT id FROM users WHERE active = true LIMIT 50'); // expect-none: unbounded-query
+}
+
+export async function sortedPage(db, userId) {
+  return db.query('SELECT * FROM orders WHERE user_id = $1 ORDER BY created_at DESC LIMIT 20 OFFSET 40'); // expect-none: unbounded-query
+}
+
+export async function countUsers(db) {
+  return db.query('SELECT COUNT(*) FROM users WHERE active = true'); // expect-none: unbounded-query
+}
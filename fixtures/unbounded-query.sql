@@ -0,0 +1,5 @@
+SELECT id, email FROM users; -- expect: unbounded-query
+SELECT id FROM users WHERE created_at > now() - interval '1 day'; -- expect: unbounded-query
+SELECT id FROM users WHERE created_at > now() - interval '1 day' LIMIT 100; -- expect-none: unbounded-query
+SELECT id FROM users WHERE email = 'a@example.com' ORDER BY id LIMIT 1; -- expect-none: unbounded-query
+SELECT max(id) FROM users; -- expect-none: unbounded-query
@@ -0,0 +1,203 @@
+import { parse } from '@babel/parser';
+import { extname } from 'path';
+
+/**
+ * JavaScript/TypeScript syntax trees for structural rules.
+ * Rules receive the tree via `context.ast` and use the helpers below to ask
+ * questions like "is this call inside a loop body?".
+ */
+
+const SKIP_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments', 'comments', 'tokens']);
+
+const LOOP_STATEMENTS = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod']);
+
+/** Array methods whose callback runs once per element. */
+export const ITERATION_METHODS = new Set([
+  'forEach', 'map', 'filter', 'reduce', 'reduceRight', 'some', 'every',
+  'find', 'findIndex', 'findLast', 'findLastIndex', 'flatMap',
+]);
+
+/**
+ * Parse JS/TS source, choosing parser plugins from the file extension.
+ * Returns null when the file cannot be parsed even with error recovery.
+ *
+ * @param {string} content
+ * @param {string} filePath
+ * @returns {object|null} Babel File node
+ */
+export function parseSource(content, filePath) {
+  const ext = extname(filePath).toLowerCase();
+  const plugins = ext === '.ts' || ext === '.mts' || ext === '.cts'
+    ? ['typescript']
+    : ext === '.tsx'
+      ? ['typescript', 'jsx']
+      : ['jsx'];
+
+  try {
+    return parse(content, {
+      sourceType: 'unambiguous',
+      errorRecovery: true,
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      allowImportExportEverywhere: true,
+      plugins: [...plugins, 'decorators-legacy', 'classProperties', 'topLevelAwait'],
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Depth-first walk. The visitor receives each node and its ancestors
+ * (outermost first, not including the node itself).
+ *
+ * @param {object} root
+ * @param {(node: object, ancestors: object[]) => void} visitor
+ */
+export function walk(root, visitor) {
+  const ancestors = [];
+
+  function visit(node) {
+    visitor(node, ancestors);
+    ancestors.push(node);
+    for (const key of Object.keys(node)) {
+      if (SKIP_KEYS.has(key)) continue;
+      const value = node[key];
+      if (Array.isArray(value)) {
+        for (const child of value) {
+          if (child && typeof child.type === 'string') visit(child);
+        }
+      } else if (value && typeof value.type === 'string') {
+        visit(value);
+      }
+    }
+    ancestors.pop();
+  }
+
+  visit(root);
+}
+
+/** @param {object} node */
+export function isFunction(node) {
+  return FUNCTION_TYPES.has(node?.type);
+}
+
+/**
+ * Name of the called function or method: `readFileSync` for both
+ * `readFileSync(p)` and `fs.readFileSync(p)`.
+ *
+ * @param {object} call - CallExpression
+ * @returns {string|null}
+ */
+export function calleeName(call) {
+  const callee = call.callee;
+  if (callee?.type === 'Identifier') return callee.name;
+  if ((callee?.type === 'MemberExpression' || callee?.type === 'OptionalMemberExpression') && !callee.computed) {
+    return callee.property.name ?? null;
+  }
+  return null;
+}
+
+/**
+ * Leftmost identifier of a call's member chain: `db` for `db.users.find()`.
+ *
+ * @param {object} call - CallExpression
+ * @returns {string|null}
+ */
+export function calleeRoot(call) {
+  let node = call.callee;
+  while (node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'ThisExpression') return 'this';
+    if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') node = node.object;
+    else if (node.type === 'CallExpression' || node.type === 'OptionalCallExpression') node = node.callee;
+    else if (node.type === 'AwaitExpression') node = node.argument;
+    else return null;
+  }
+  return null;
+}
+
+/**
+ * Whether fn is the callback argument of an array iteration method call.
+ *
+ * @param {object} fn
+ * @param {object|undefined} parent
+ * @returns {boolean}
+ */
+export function isIterationCallback(fn, parent) {
+  return (
+    parent?.type === 'CallExpression' &&
+    parent.arguments[0] === fn &&
+    (parent.callee.type === 'MemberExpression' || parent.callee.type === 'OptionalMemberExpression') &&
+    ITERATION_METHODS.has(calleeName(parent))
+  );
+}
+
+/**
+ * Whether node starts a loop: a loop statement or an iteration method call
+ * with an inline callback.
+ *
+ * @param {object} node
+ * @returns {boolean}
+ */
+export function isLoop(node) {
+  if (LOOP_STATEMENTS.has(node.type)) return true;
+  return node.type === 'CallExpression' && isFunction(node.arguments[0]) && isIterationCallback(node.arguments[0], node);
+}
+
+/**
+ * Nearest loop whose body contains the node, or null. Stops at function
+ * boundaries other than iteration callbacks, since a function defined in a
+ * loop is not necessarily called per iteration.
+ *
+ * @param {object} node
+ * @param {object[]} ancestors
+ * @returns {object|null} loop statement or iteration CallExpression
+ */
+export function enclosingLoop(node, ancestors) {
+  let child = node;
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    const current = ancestors[i];
+    if (LOOP_STATEMENTS.has(current.type) && current.body === child) return current;
+    if (isFunction(current)) {
+      return isIterationCallback(current, ancestors[i - 1]) ? ancestors[i - 1] : null;
+    }
+    child = current;
+  }
+  return null;
+}
+
+/**
+ * Innermost enclosing function, or null at module top level.
+ *
+ * @param {object[]} ancestors
+ * @returns {object|null}
+ */
+export function enclosingFunction(ancestors) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    if (isFunction(ancestors[i])) return ancestors[i];
+  }
+  return null;
+}
+
+/**
+ * Whether code at this position runs after startup, where blocking matters:
+ * inside an async function, or inside a callback handed to something other
+ * than a synchronous array method (route handlers, event listeners, timers).
+ *
+ * @param {object[]} ancestors
+ * @returns {boolean}
+ */
+export function isInAsyncContext(ancestors) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    const fn = ancestors[i];
+    if (!isFunction(fn)) continue;
+    if (fn.async) return true;
+    const parent = ancestors[i - 1];
+    const isCallback = (parent?.type === 'CallExpression' || parent?.type === 'NewExpression') && parent.arguments.includes(fn);
+    if (isCallback && !isIterationCallback(fn, parent)) return true;
+  }
+  return false;
+}
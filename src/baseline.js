@@ -0,0 +1,136 @@
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync } from 'fs';
+import { relative } from 'path';
+
+export const DEFAULT_BASELINE_FILE = 'perf-x-ray.baseline.json';
+
+/**
+ * @typedef {Object} BaselineEntry
+ * @property {string} fingerprint
+ * @property {string} ruleId
+ * @property {string} file - path relative to the scan root
+ * @property {string} snippet
+ * @property {number} count - identical findings in the same file
+ *
+ * @typedef {Object} BaselineComparison
+ * @property {import('./checker.js').Finding[]} introduced - not in the baseline
+ * @property {import('./checker.js').Finding[]} existing - already in the baseline
+ * @property {BaselineEntry[]} fixed - baseline entries no longer found
+ */
+
+/**
+ * Stable identity for a finding: rule, root-relative path and whitespace-
+ * normalised snippet. Line numbers are left out so edits elsewhere in the
+ * file don't invalidate the baseline.
+ *
+ * @param {import('./checker.js').Finding} finding
+ * @param {string} root
+ * @returns {string}
+ */
+export function fingerprint(finding, root) {
+  const file = relativePath(root, finding.file);
+  const snippet = normalizeSnippet(finding.snippet);
+  return createHash('sha1').update(`${finding.ruleId}\0${file}\0${snippet}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Build baseline entries from the current findings.
+ *
+ * @param {import('./checker.js').Finding[]} findings
+ * @param {string} root
+ * @returns {BaselineEntry[]}
+ */
+export function createBaseline(findings, root) {
+  const byFingerprint = new Map();
+  for (const f of findings) {
+    const fp = fingerprint(f, root);
+    const entry = byFingerprint.get(fp);
+    if (entry) {
+      entry.count++;
+    } else {
+      byFingerprint.set(fp, {
+        fingerprint: fp,
+        ruleId: f.ruleId,
+        file: relativePath(root, f.file),
+        snippet: normalizeSnippet(f.snippet),
+        count: 1,
+      });
+    }
+  }
+  return [...byFingerprint.values()].sort(
+    (a, b) => a.file.localeCompare(b.file) || a.ruleId.localeCompare(b.ruleId) || a.fingerprint.localeCompare(b.fingerprint),
+  );
+}
+
+/**
+ * @param {string} path
+ * @param {import('./checker.js').Finding[]} findings
+ * @param {string} root
+ * @returns {number} number of entries written
+ */
+export function writeBaseline(path, findings, root) {
+  const entries = createBaseline(findings, root);
+  const doc = { version: 1, generatedAt: new Date().toISOString(), findings: entries };
+  writeFileSync(path, JSON.stringify(doc, null, 2) + '\n', 'utf8');
+  return entries.length;
+}
+
+/**
+ * @param {string} path
+ * @returns {BaselineEntry[]}
+ */
+export function loadBaseline(path) {
+  let doc;
+  try {
+    doc = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read baseline ${path}: ${err.message}`);
+  }
+  if (!Array.isArray(doc?.findings)) {
+    throw new Error(`Invalid baseline ${path}: missing "findings" array`);
+  }
+  return doc.findings;
+}
+
+/**
+ * Split findings into new and already-known, and list baseline entries that
+ * no longer occur. Duplicate fingerprints are matched by count, so adding a
+ * second copy of a known problem still counts as introduced.
+ *
+ * @param {import('./checker.js').Finding[]} findings
+ * @param {BaselineEntry[]} baseline
+ * @param {string} root
+ * @returns {BaselineComparison}
+ */
+export function compareBaseline(findings, baseline, root) {
+  const remaining = new Map(baseline.map((e) => [e.fingerprint, e.count ?? 1]));
+  const introduced = [];
+  const existing = [];
+
+  for (const f of findings) {
+    const fp = fingerprint(f, root);
+    const left = remaining.get(fp) ?? 0;
+    if (left > 0) {
+      remaining.set(fp, left - 1);
+      existing.push(f);
+    } else {
+      introduced.push(f);
+    }
+  }
+
+  const fixed = [];
+  for (const e of baseline) {
+    const left = remaining.get(e.fingerprint) ?? 0;
+    if (left > 0) fixed.push({ ...e, count: left });
+  }
+
+  return { introduced, existing, fixed };
+}
+
+function relativePath(root, file) {
+  return relative(root, file).split('\\').join('/');
+}
+
+function normalizeSnippet(snippet) {
+  return (snippet ?? '').replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,94 @@
+import { configRelativePath } from './config.js';
+import { matchGlob } from './glob.js';
+
+/**
+ * Performance budgets: the failure policy behind the exit code. A budget caps
+ * the findings per severity, per rule or per path glob, or sets a minimum
+ * performance score; `failOn` fails on any finding at or above a severity.
+ * Without either, any finding fails, as before budgets existed.
+ *
+ * @typedef {Object} Budgets
+ * @property {Record<string, number>} [severity] - max findings per severity
+ * @property {Record<string, number>} [rules] - max findings per rule id
+ * @property {Record<string, number>} [paths] - max findings per glob, relative to the config directory
+ * @property {number} [score] - minimum performance score, 0–100
+ *
+ * @typedef {Object} BudgetViolation
+ * @property {'severity'|'rule'|'path'|'score'|'fail-on'|'any'} kind
+ * @property {string} key - severity, rule id or glob; "score" for the score
+ * @property {number} limit
+ * @property {number} actual
+ * @property {number} over - how far past the limit, in findings or score points
+ *
+ * @typedef {Object} BudgetResult
+ * @property {boolean} passed
+ * @property {boolean} enforced - budgets or failOn were set
+ * @property {number} score
+ * @property {BudgetViolation[]} violations
+ */
+
+// Penalty points per finding. Ten lows weigh less than one critical.
+export const SCORE_WEIGHTS = { critical: 10, high: 4, medium: 1, low: 0.25 };
+
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+
+/**
+ * Score from 100 (no findings) towards 0, from the severity-weighted
+ * penalty per scanned file: one critical per ten files scores 50.
+ *
+ * @param {import('./checker.js').Finding[]} findings
+ * @param {number} fileCount
+ * @returns {number}
+ */
+export function performanceScore(findings, fileCount) {
+  const penalty = findings.reduce((sum, f) => sum + (SCORE_WEIGHTS[f.severity] ?? 0), 0);
+  return Math.round(100 / (1 + penalty / Math.max(1, fileCount)));
+}
+
+/**
+ * Check findings against the config's budgets and a fail-on severity.
+ *
+ * @param {import('./checker.js').Finding[]} findings - the findings being reported
+ * @param {import('./config.js').Config} config
+ * @param {{ failOn?: string, files?: number }} [opts] - failOn overrides config.failOn
+ * @returns {BudgetResult}
+ */
+export function evaluateBudgets(findings, config, opts = {}) {
+  const budgets = config.budgets ?? {};
+  const failOn = opts.failOn ?? config.failOn;
+  const score = performanceScore(findings, opts.files ?? new Set(findings.map((f) => f.file)).size);
+  const enforced = Boolean(failOn) || Object.keys(budgets).length > 0;
+  const violations = [];
+  const cap = (kind, key, limit, actual) => {
+    if (actual > limit) violations.push({ kind, key, limit, actual, over: actual - limit });
+  };
+
+  if (!enforced) {
+    cap('any', 'findings', 0, findings.length);
+    return { passed: violations.length === 0, enforced, score, violations };
+  }
+
+  if (failOn) {
+    const min = SEVERITY_RANK[failOn];
+    cap('fail-on', failOn, 0, findings.filter((f) => SEVERITY_RANK[f.severity] >= min).length);
+  }
+  for (const [severity, limit] of Object.entries(budgets.severity ?? {})) {
+    cap('severity', severity, limit, findings.filter((f) => f.severity === severity).length);
+  }
+  for (const [ruleId, limit] of Object.entries(budgets.rules ?? {})) {
+    cap('rule', ruleId, limit, findings.filter((f) => f.ruleId === ruleId).length);
+  }
+  for (const [glob, limit] of Object.entries(budgets.paths ?? {})) {
+    cap('path', glob, limit, findings.filter((f) => inConfigDir(config, f.file) && matchGlob(configRelativePath(config, f.file), [glob])).length);
+  }
+  if (budgets.score !== undefined && score < budgets.score) {
+    violations.push({ kind: 'score', key: 'score', limit: budgets.score, actual: score, over: budgets.score - score });
+  }
+  return { passed: violations.length === 0, enforced, score, violations };
+}
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+function inConfigDir(config, file) {
+  return !configRelativePath(config, file).startsWith('..');
+}
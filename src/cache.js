@@ -0,0 +1,89 @@
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, mkdirSync, renameSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { allRules } from './config.js';
+import { loadSchema } from './schema.js';
+import { depsFingerprint } from './deps.js';
+
+const PKG = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+export const CACHE_DIR = '.perf-x-ray';
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} hash - sha1 of the file content
+ * @property {number} mtimeMs
+ * @property {number} size
+ * @property {import('./checker.js').Finding[]} findings
+ *
+ * @typedef {Object} FindingsCache
+ * @property {string} path
+ * @property {string} version - rule set + config fingerprint the entries were produced with
+ * @property {Record<string, CacheEntry>} entries - keyed by absolute file path
+ */
+
+/**
+ * @param {string} content
+ * @returns {string}
+ */
+export function hashContent(content) {
+  return createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Fingerprint of everything besides file content that affects findings:
+ * tool version, rule definitions, the config, the schema content and the
+ * installed dependencies (via lockfiles). Any change invalidates the whole cache.
+ *
+ * @param {import('./config.js').Config} config
+ * @returns {string}
+ */
+export function cacheVersion(config) {
+  const rules = allRules(config).map((r) => [
+    r.id,
+    r.severity,
+    r.languages.join(','),
+    r.pattern ? `${r.pattern.source}/${r.pattern.flags}` : '',
+    r.check ? String(r.check) : '',
+  ]);
+  const { path, dir, pluginRules, ...settings } = config;
+  const schema = loadSchema(config.schema)?.hash ?? null;
+  return hashContent(JSON.stringify([PKG.version, rules, settings, schema, depsFingerprint(config.dir)]));
+}
+
+/**
+ * Load the findings cache for a project. A missing, corrupt or outdated cache
+ * yields an empty one.
+ *
+ * @param {import('./config.js').Config} config
+ * @returns {FindingsCache}
+ */
+export function loadCache(config) {
+  const path = join(config.dir, CACHE_DIR, 'cache', 'findings.json');
+  const version = cacheVersion(config);
+  try {
+    const doc = JSON.parse(readFileSync(path, 'utf8'));
+    if (doc.version === version && doc.entries && typeof doc.entries === 'object') {
+      return { path, version, entries: doc.entries };
+    }
+  } catch {
+    // No usable cache yet
+  }
+  return { path, version, entries: {} };
+}
+
+/**
+ * Write the cache atomically so an interrupted scan can't leave it corrupt.
+ * The cache directory gets its own .gitignore, so a scan never leaves
+ * untracked files in the project for someone to commit.
+ *
+ * @param {FindingsCache} cache
+ */
+export function saveCache(cache) {
+  const dir = dirname(cache.path);
+  mkdirSync(dir, { recursive: true });
+  if (!existsSync(join(dir, '.gitignore'))) writeFileSync(join(dir, '.gitignore'), '*\n', 'utf8');
+  const tmp = `${cache.path}.${process.pid}.tmp`;
+  writeFileSync(tmp, JSON.stringify({ version: cache.version, entries: cache.entries }), 'utf8');
+  renameSync(tmp, cache.path);
+}
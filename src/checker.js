@@ -1,5 +1,13 @@
 import { getRulesForLanguage } from './rules.js';
 import { getLanguage } from './scanner.js';
+import { rulesForFile } from './config.js';
+import { parseSuppressions } from './suppressions.js';
+import { parseSource } from './ast.js';
+import { loadSchema } from './schema.js';
+import { extractRoutes, tagRoutes, ROUTE_LANGUAGES } from './routes.js';
+
+// Languages parsed into an AST for structural rules
+const AST_LANGUAGES = new Set(['js', 'ts']);
 
 /**
  * @typedef {Object} Finding
@@ -11,35 +19,70 @@ import { getLanguage } from './scanner.js';
  * @property {string} snippet
  * @property {string} message
  * @property {string} suggestion
+ * @property {string} [route] - `GET /users` when the finding sits in an HTTP route handler
+ * @property {string} [package] - workspace package the file belongs to, see workspaces.js
+ * @property {import('./profile.js').Hotness} [hotness] - sampled CPU time, set when scanning with a CPU profile
+ * @property {string} [demotedFrom] - original severity of a finding lowered by --demote-cold
  */
 
+/**
+ * Passed to a rule's `check()`.
+ *
+ * @typedef {Object} RuleContext
+ * @property {string} filePath
+ * @property {string} content
+ * @property {string} lang - canonical language id from getLanguage()
+ * @property {string[]} lines
+ * @property {object|null} ast - Babel AST for JS/TS files, null otherwise
+ * @property {object} options - the rule's options, with config overrides applied
+ * @property {import('./schema.js').Schema|null} schema - database schema from --schema, for SQL rules
+ * @property {(hit: { node?: object, index?: number, line?: number, message?: string, route?: string }) => void} report
+ *   Record a finding at a node, character offset or 1-based line; message overrides the rule's default,
+ *   route attributes it to one route (`GET /users`) rather than every route sharing the handler.
+ */
+
+// Cap matches per rule per file to avoid noise from generated files
+const MAX_HITS_PER_RULE = 5;
+
 /**
  * Run all applicable rules against a single file's content.
  *
  * @param {string} filePath
  * @param {string} content
+ * @param {{ rules?: import('./rules.js').Rule[], suppressions?: SuppressionOptions, schema?: import('./schema.js').Schema|null, cap?: boolean, timings?: Record<string, number> }} opts
+ *   rules: enabled rule set (default: all built-in rules);
+ *   schema: tables and indexes the SQL rules check queries against;
+ *   cap: stop each rule after 5 findings (default: true);
+ *   timings: accumulates milliseconds per rule id (and `<parse>` / `<routes>` for AST parsing and route extraction)
  * @returns {Finding[]}
  */
-export function checkFile(filePath, content) {
+export function checkFile(filePath, content, opts = {}) {
+  const { timings } = opts;
+  const limit = opts.cap === false ? Infinity : MAX_HITS_PER_RULE;
   const lang = getLanguage(filePath);
-  const rules = getRulesForLanguage(lang);
+  const rules = getRulesForLanguage(lang, opts.rules);
   const lines = content.split('\n');
+  const suppressions = parseSuppressions(content, lang, opts.suppressions);
   const findings = [];
 
+  let ast = null;
+  if (AST_LANGUAGES.has(lang) && rules.some((r) => r.check)) {
+    const started = timings ? performance.now() : 0;
+    ast = parseSource(content, filePath);
+    if (timings) timings['<parse>'] = (timings['<parse>'] ?? 0) + performance.now() - started;
+  }
+
   for (const rule of rules) {
-    // Clone regex so lastIndex resets per rule
-    const rx = new RegExp(rule.pattern.source, rule.pattern.flags.includes('g') ? rule.pattern.flags : rule.pattern.flags + 'g');
-
-    let match;
-    while ((match = rx.exec(content)) !== null) {
-      // Guard against infinite loops on zero-length matches
-      if (match.index === rx.lastIndex) {
-        rx.lastIndex++;
-        continue;
-      }
+    // Suppression rules report from the comments below, not from the source
+    if (!rule.check && !rule.pattern) continue;
+    let hits = 0;
 
-      const lineNumber = getLineNumber(content, match.index);
-      const snippet = getSnippet(lines, lineNumber - 1);
+    // Past the cap, matches still go through isSuppressed so that later
+    // suppressions count as used; returns false once nothing more can change
+    const keepGoing = () => hits < limit || suppressions.covers(rule.id);
+    const add = (lineNumber, message, route) => {
+      if (suppressions.isSuppressed(rule.id, lineNumber)) return true;
+      if (hits >= limit) return keepGoing();
 
       findings.push({
         ruleId: rule.id,
@@ -47,20 +90,111 @@ export function checkFile(filePath, content) {
         severity: rule.severity,
         file: filePath,
         line: lineNumber,
-        snippet,
-        message: rule.message,
+        snippet: getSnippet(lines, lineNumber - 1),
+        message: message ?? rule.message,
         suggestion: rule.suggestion,
+        ...(route ? { route } : {}),
       });
 
-      // Cap matches per rule per file to avoid noise from generated files
-      const ruleHits = findings.filter((f) => f.ruleId === rule.id && f.file === filePath).length;
-      if (ruleHits >= 5) break;
+      hits++;
+      return keepGoing();
+    };
+
+    const started = timings ? performance.now() : 0;
+    if (rule.check && (ast || !rule.pattern)) {
+      runCheck(rule, filePath, {
+        filePath,
+        content,
+        lang,
+        lines,
+        ast,
+        options: rule.options ?? {},
+        schema: opts.schema ?? null,
+        report({ node, index, line, message, route }) {
+          const lineNumber = node?.loc?.start.line ?? line ?? getLineNumber(content, index ?? 0);
+          add(lineNumber, message, route);
+        },
+      });
+    } else {
+      runPattern(rule, content, add);
     }
+    if (timings) timings[rule.id] = (timings[rule.id] ?? 0) + performance.now() - started;
+  }
+
+  for (const problem of suppressions.problems(opts.suppressions)) {
+    const rule = rules.find((r) => r.id === PROBLEM_RULES[problem.kind]);
+    if (rule) findings.push(suppressionFinding(rule, problem, filePath, lines));
+  }
+
+  if (findings.length && ROUTE_LANGUAGES.has(lang)) {
+    const started = timings ? performance.now() : 0;
+    tagRoutes(findings, extractRoutes({ filePath, content, lang, ast }));
+    if (timings) timings['<routes>'] = (timings['<routes>'] ?? 0) + performance.now() - started;
   }
 
   return findings;
 }
 
+function runPattern(rule, content, add) {
+  // Clone regex so lastIndex resets per rule
+  const rx = new RegExp(rule.pattern.source, rule.pattern.flags.includes('g') ? rule.pattern.flags : rule.pattern.flags + 'g');
+
+  let match;
+  while ((match = rx.exec(content)) !== null) {
+    // Guard against infinite loops on zero-length matches
+    if (match.index === rx.lastIndex) {
+      rx.lastIndex++;
+      continue;
+    }
+
+    if (!add(getLineNumber(content, match.index))) break;
+  }
+}
+
+// Plugin rules run arbitrary code; name the rule and file when one throws
+function runCheck(rule, filePath, context) {
+  try {
+    rule.check(context);
+  } catch (err) {
+    throw new Error(`Rule ${rule.id} failed on ${filePath}: ${err.message}`);
+  }
+}
+
+/**
+ * @typedef {Object} SuppressionOptions
+ * @property {boolean} [requireReason] - ignore suppressions without a `-- reason`
+ * @property {boolean} [reportUnused] - report suppressions that silenced nothing (default: true)
+ */
+
+// Suppression problem kind → the rule that reports it
+const PROBLEM_RULES = { 'missing-reason': 'invalid-suppression', unused: 'unused-suppression' };
+
+/**
+ * Turn an unused or malformed suppression comment into a Finding of the
+ * (config-resolved) rule that reports it.
+ *
+ * @param {import('./rules.js').Rule} rule
+ * @param {{ line: number, kind: string, rules: string[] }} problem
+ * @param {string} filePath
+ * @param {string[]} lines
+ * @returns {Finding}
+ */
+function suppressionFinding(rule, problem, filePath, lines) {
+  const target = problem.rules.includes('*') ? 'all rules' : problem.rules.join(', ');
+  return {
+    ruleId: rule.id,
+    ruleName: rule.name,
+    severity: rule.severity,
+    file: filePath,
+    line: problem.line,
+    snippet: getSnippet(lines, problem.line - 1),
+    message: problem.kind === 'missing-reason'
+      ? `Suppression for ${target || 'all rules'} has no reason and was ignored.`
+      : `Suppression for ${target} did not match any finding.`,
+    suggestion: rule.suggestion,
+  };
+}
+
 /**
  * Return the 1-based line number for a character offset in content.
  *
@@ -93,11 +227,13 @@ function getSnippet(lines, lineIdx) {
  *
  * @param {string[]} filePaths
  * @param {(path: string) => string} readFn - supply file content
- * @param {{ severity?: string }} opts
+ * @param {{ severity?: string, config?: import('./config.js').Config }} opts
  * @returns {Finding[]}
  */
 export function checkFiles(filePaths, readFn, opts = {}) {
-  const { severity } = opts;
+  const { severity, config } = opts;
+  const suppressions = config?.suppressions;
+  const schema = loadSchema(config?.schema);
   const severityRank = { low: 0, medium: 1, high: 2, critical: 3 };
   const minRank = severity ? (severityRank[severity] ?? 0) : 0;
 
@@ -109,7 +245,8 @@ export function checkFiles(filePaths, readFn, opts = {}) {
     } catch {
       continue;
     }
-    const findings = checkFile(fp, content);
+    const rules = config ? rulesForFile(config, fp) : undefined;
+    const findings = checkFile(fp, content, { rules, suppressions, schema });
     for (const f of findings) {
       if ((severityRank[f.severity] ?? 0) >= minRank) {
         all.push(f);
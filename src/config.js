@@ -0,0 +1,303 @@
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname, resolve, relative } from 'path';
+import { RULES } from './rules.js';
+import { matchGlob } from './glob.js';
+
+/**
+ * @typedef {'off'|'on'|'low'|'medium'|'high'|'critical'|{ enabled?: boolean, severity?: string, options?: object }} RuleSetting
+ *
+ * @typedef {Object} Config
+ * @property {string|null} path - file the config was loaded from, null for defaults
+ * @property {string} dir - directory globs are resolved against
+ * @property {Record<string, RuleSetting>} rules
+ * @property {string[]} ignore - path globs excluded from scanning
+ * @property {{ files: string[], rules: Record<string, RuleSetting> }[]} overrides
+ * @property {string} [format] - default output format
+ * @property {string} [severity] - default minimum severity
+ * @property {{ requireReason?: boolean, reportUnused?: boolean }} suppressions - inline comment policy
+ * @property {string[]} plugins - rule pack modules, see plugins.js
+ * @property {string|null} schema - SQL schema file or migrations directory, see schema.js
+ * @property {import('./budget.js').Budgets} budgets - finding caps that decide the exit code, see budget.js
+ * @property {string} [failOn] - fail on any finding at or above this severity
+ * @property {import('./rules.js').Rule[]} [pluginRules] - set once plugins are loaded
+ */
+
+export const CONFIG_FILES = ['perf-x-ray.config.json', '.perfxrayrc'];
+
+export const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const FORMATS = ['text', 'json', 'markdown', 'sarif'];
+
+// Removed rule ids, so old configs fail with a pointer instead of "unknown rule"
+const REPLACED_RULES = {
+  'missing-memo': 'the React rules (react-inline-prop, react-context-value, react-unmemoized-computation, react-unstable-deps, react-index-key, react-unvirtualized-list)',
+  'list-membership-in-loop': 'py-list-membership-in-loop',
+  'string-concat-in-loop': 'py-string-concat-in-loop',
+  'blocking-call-in-async': 'py-blocking-call-in-async',
+};
+
+/**
+ * Locate the nearest config file, searching upward from startDir.
+ *
+ * @param {string} startDir
+ * @returns {string|null}
+ */
+export function findConfigFile(startDir) {
+  let dir = resolve(startDir);
+  for (;;) {
+    for (const name of CONFIG_FILES) {
+      const candidate = join(dir, name);
+      if (existsSync(candidate)) return candidate;
+    }
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Load and validate the config for a scan root. An explicit configPath
+ * skips discovery; when nothing is found the defaults are returned.
+ *
+ * @param {string} startDir
+ * @param {{ configPath?: string }} opts
+ * @returns {Config}
+ */
+export function loadConfig(startDir, opts = {}) {
+  const path = opts.configPath ? resolve(opts.configPath) : findConfigFile(startDir);
+  if (!path) return normalizeConfig({}, null, resolve(startDir));
+
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid config ${path}: ${err.message}`);
+  }
+  return normalizeConfig(raw, path, dirname(path));
+}
+
+/**
+ * Validate a raw config object and fill in defaults.
+ *
+ * @param {object} raw
+ * @param {string|null} path
+ * @param {string} dir
+ * @returns {Config}
+ */
+export function normalizeConfig(raw, path, dir) {
+  const where = path ?? 'config';
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid config ${where}: expected a JSON object`);
+  }
+
+  const rules = raw.rules ?? {};
+  validateRuleSettings(rules, where);
+
+  const ignore = raw.ignore ?? [];
+  if (!Array.isArray(ignore) || ignore.some((g) => typeof g !== 'string')) {
+    throw new Error(`Invalid config ${where}: "ignore" must be an array of globs`);
+  }
+
+  if (raw.overrides !== undefined && !Array.isArray(raw.overrides)) {
+    throw new Error(`Invalid config ${where}: "overrides" must be an array`);
+  }
+  const overrides = (raw.overrides ?? []).map((o, i) => {
+    const files = typeof o?.files === 'string' ? [o.files] : o?.files;
+    if (!Array.isArray(files) || files.length === 0) {
+      throw new Error(`Invalid config ${where}: overrides[${i}].files must be a glob or array of globs`);
+    }
+    const rules = o.rules ?? {};
+    validateRuleSettings(rules, `${where} overrides[${i}]`);
+    return { ...o, files, rules };
+  });
+
+  if (raw.format !== undefined && !FORMATS.includes(raw.format)) {
+    throw new Error(`Invalid config ${where}: "format" must be one of ${FORMATS.join('|')}`);
+  }
+  if (raw.severity !== undefined && !SEVERITIES.includes(raw.severity)) {
+    throw new Error(`Invalid config ${where}: "severity" must be one of ${SEVERITIES.join('|')}`);
+  }
+
+  const suppressions = raw.suppressions ?? {};
+  if (typeof suppressions !== 'object' || Array.isArray(suppressions)) {
+    throw new Error(`Invalid config ${where}: "suppressions" must be an object`);
+  }
+
+  const plugins = raw.plugins ?? [];
+  if (!Array.isArray(plugins) || plugins.some((p) => typeof p !== 'string')) {
+    throw new Error(`Invalid config ${where}: "plugins" must be an array of module names or paths`);
+  }
+
+  if (raw.schema !== undefined && raw.schema !== null && typeof raw.schema !== 'string') {
+    throw new Error(`Invalid config ${where}: "schema" must be a path to a .sql file or migrations directory`);
+  }
+  const schema = raw.schema ? resolve(dir, raw.schema) : null;
+
+  if (raw.failOn !== undefined && !SEVERITIES.includes(raw.failOn)) {
+    throw new Error(`Invalid config ${where}: "failOn" must be one of ${SEVERITIES.join('|')}`);
+  }
+  const budgets = raw.budgets ?? {};
+  validateBudgets(budgets, where);
+
+  return { ...raw, path, dir, rules, ignore, overrides, suppressions, plugins, schema, budgets };
+}
+
+function validateBudgets(budgets, where) {
+  if (typeof budgets !== 'object' || budgets === null || Array.isArray(budgets)) {
+    throw new Error(`Invalid config ${where}: "budgets" must be an object`);
+  }
+  const known = new Set(RULES.map((r) => r.id));
+  for (const [key, value] of Object.entries(budgets)) {
+    if (key === 'score') {
+      if (typeof value !== 'number' || value < 0 || value > 100) {
+        throw new Error(`Invalid config ${where}: "budgets.score" must be a number from 0 to 100`);
+      }
+      continue;
+    }
+    if (!['severity', 'rules', 'paths'].includes(key)) {
+      throw new Error(`Invalid config ${where}: unknown budget "${key}" (expected severity, rules, paths or score)`);
+    }
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      throw new Error(`Invalid config ${where}: "budgets.${key}" must be an object of limits`);
+    }
+    for (const [name, limit] of Object.entries(value)) {
+      if (key === 'severity' && !SEVERITIES.includes(name)) {
+        throw new Error(`Invalid config ${where}: "budgets.severity" has unknown severity "${name}"`);
+      }
+      if (key === 'rules' && REPLACED_RULES[name]) {
+        throw new Error(`Invalid config ${where}: "budgets.rules" rule "${name}" was replaced by ${REPLACED_RULES[name]}`);
+      }
+      // Namespaced plugin ids are checked once plugins are loaded
+      if (key === 'rules' && !name.includes('/') && !known.has(name)) {
+        throw new Error(`Invalid config ${where}: "budgets.rules" has unknown rule "${name}"`);
+      }
+      if (!Number.isInteger(limit) || limit < 0) {
+        throw new Error(`Invalid config ${where}: budget "${key}.${name}" must be a non-negative integer`);
+      }
+    }
+  }
+}
+
+function validateRuleSettings(settings, where) {
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error(`Invalid config ${where}: "rules" must be an object`);
+  }
+  const known = new Set(RULES.map((r) => r.id));
+  for (const [id, setting] of Object.entries(settings)) {
+    // Namespaced plugin ids are checked once plugins are loaded
+    if (REPLACED_RULES[id]) throw new Error(`Invalid config ${where}: rule "${id}" was replaced by ${REPLACED_RULES[id]}`);
+    if (!id.includes('/') && !known.has(id)) throw new Error(`Invalid config ${where}: unknown rule "${id}"`);
+    const { severity, options } = parseRuleSetting(setting);
+    if (severity && !SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid config ${where}: rule "${id}" has invalid severity "${severity}"`);
+    }
+    if (options !== undefined && (typeof options !== 'object' || options === null || Array.isArray(options))) {
+      throw new Error(`Invalid config ${where}: rule "${id}" options must be an object`);
+    }
+  }
+}
+
+function parseRuleSetting(setting) {
+  if (setting === 'off' || setting === false) return { enabled: false };
+  if (setting === 'on' || setting === true) return { enabled: true };
+  if (typeof setting === 'string') return { enabled: true, severity: setting };
+  if (setting && typeof setting === 'object') {
+    return { enabled: setting.enabled ?? true, severity: setting.severity, options: setting.options };
+  }
+  return { enabled: true };
+}
+
+/**
+ * Every rule id mentioned in the config's rule settings, overrides and
+ * rule budgets.
+ *
+ * @param {Config} config
+ * @returns {string[]}
+ */
+export function ruleSettingIds(config) {
+  const ids = new Set(Object.keys(config.rules));
+  for (const o of config.overrides) {
+    for (const id of Object.keys(o.rules)) ids.add(id);
+  }
+  for (const id of Object.keys(config.budgets?.rules ?? {})) ids.add(id);
+  return [...ids];
+}
+
+/**
+ * Built-in rules plus any loaded plugin rules.
+ *
+ * @param {Config} config
+ * @returns {import('./rules.js').Rule[]}
+ */
+export function allRules(config) {
+  return config.pluginRules?.length ? [...RULES, ...config.pluginRules] : RULES;
+}
+
+/**
+ * Path of a file relative to the config directory, slash-separated.
+ *
+ * @param {Config} config
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function configRelativePath(config, filePath) {
+  return relative(config.dir, resolve(filePath)).split('\\').join('/');
+}
+
+/**
+ * Whether a path is excluded by the config's ignore globs.
+ *
+ * @param {Config} config
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isIgnored(config, filePath) {
+  if (!config.ignore.length) return false;
+  const rel = configRelativePath(config, filePath);
+  if (rel.startsWith('..')) return false;
+  return matchGlob(rel, config.ignore);
+}
+
+/**
+ * Resolve the enabled rules for a file, with severity and option overrides
+ * applied. Options from the config are merged over the rule's defaults.
+ *
+ * @param {Config} config
+ * @param {string} filePath
+ * @returns {import('./rules.js').Rule[]}
+ */
+export function rulesForFile(config, filePath) {
+  const rel = configRelativePath(config, filePath);
+  const matched = config.overrides.filter((o) => matchGlob(rel, o.files));
+
+  const settings = {};
+  for (const layer of [config.rules, ...matched.map((o) => o.rules)]) {
+    for (const [id, setting] of Object.entries(layer)) {
+      const parsed = stripUndefined(parseRuleSetting(setting));
+      const options = parsed.options ? { ...settings[id]?.options, ...parsed.options } : settings[id]?.options;
+      settings[id] = stripUndefined({ ...settings[id], ...parsed, options });
+    }
+  }
+
+  const result = [];
+  for (const rule of allRules(config)) {
+    const s = settings[rule.id];
+    if (!s) {
+      result.push(rule);
+    } else if (s.enabled !== false) {
+      if (!s.severity && !s.options) {
+        result.push(rule);
+        continue;
+      }
+      const resolved = { ...rule };
+      if (s.severity) resolved.severity = s.severity;
+      if (s.options) resolved.options = { ...rule.options, ...s.options };
+      result.push(resolved);
+    }
+  }
+  return result;
+}
+
+function stripUndefined(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
@@ -0,0 +1,464 @@
+import { createHash } from 'crypto';
+import { readFileSync, statSync, readdirSync } from 'fs';
+import { builtinModules } from 'module';
+import { join, dirname, resolve } from 'path';
+import { walk, parseSource } from './ast.js';
+
+/**
+ * Bundle weight of imported packages, measured from the local node_modules:
+ * the package's entry point and everything it imports, transitively, with an
+ * estimate of the minified size and whether a bundler can tree-shake it.
+ * Works offline; a package that isn't installed has no weight.
+ *
+ * @typedef {Object} PackageWeight
+ * @property {string} name
+ * @property {string|null} version
+ * @property {string} dir - package directory
+ * @property {string} entry - resolved entry file
+ * @property {number} bytes - on-disk size of every file the entry pulls in
+ * @property {number} minBytes - estimated minified size of the same files
+ * @property {number} files
+ * @property {boolean} esm - ships ES modules
+ * @property {boolean|'some'} sideEffects - package.json "sideEffects": false, an array, or unset
+ * @property {boolean} treeShakeable - ESM with "sideEffects": false
+ * @property {boolean} subpaths - exposes per-module subpath imports
+ *
+ * @typedef {Object} ImportRef
+ * @property {string} specifier - e.g. "lodash" or "lodash/debounce"
+ * @property {'default'|'namespace'|'named'|'require'|'side-effect'|'dynamic'} kind
+ * @property {string[]} names - named bindings, for kind "named"
+ * @property {number} line
+ */
+
+const BUILTINS = new Set(builtinModules);
+
+// Files followed per package graph; a runaway graph is reported as a lower bound
+const MAX_FILES = 4000;
+
+const RESOLVE_EXTENSIONS = ['', '.js', '.mjs', '.cjs', '.json', '/index.js', '/index.mjs', '/index.cjs', '/index.json'];
+
+const LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb', 'node_modules/.package-lock.json'];
+
+/**
+ * Imports and requires of a parsed JS/TS file. Type-only imports are skipped.
+ *
+ * @param {object} ast - Babel File node
+ * @returns {ImportRef[]}
+ */
+export function collectImports(ast) {
+  const refs = [];
+  walk(ast, (node, ancestors) => {
+    if (node.type === 'ImportDeclaration' && node.importKind !== 'type') {
+      const specs = node.specifiers.filter((s) => s.importKind !== 'type');
+      const line = node.loc.start.line;
+      const specifier = node.source.value;
+      if (node.specifiers.length === 0) refs.push({ specifier, kind: 'side-effect', names: [], line });
+      for (const s of specs) {
+        if (s.type === 'ImportDefaultSpecifier') refs.push({ specifier, kind: 'default', names: [], line });
+        if (s.type === 'ImportNamespaceSpecifier') refs.push({ specifier, kind: 'namespace', names: [], line });
+      }
+      const named = specs.filter((s) => s.type === 'ImportSpecifier').map((s) => s.imported.name ?? s.imported.value);
+      if (named.length) refs.push({ specifier, kind: 'named', names: named, line });
+    } else if (node.type === 'ImportExpression' || (node.type === 'CallExpression' && node.callee.type === 'Import')) {
+      const source = node.source ?? node.arguments?.[0];
+      if (source?.type === 'StringLiteral') refs.push({ specifier: source.value, kind: 'dynamic', names: [], line: node.loc.start.line });
+    } else if (node.type === 'CallExpression' && node.arguments[0]?.type === 'StringLiteral') {
+      const isRequire = node.callee.type === 'Identifier' && node.callee.name === 'require' && !ancestors.some((a) => isShadowingRequire(a));
+      if (isRequire) refs.push({ specifier: node.arguments[0].value, kind: 'require', names: [], line: node.loc.start.line });
+    }
+  });
+  return refs;
+}
+
+/**
+ * Package name of a bare specifier: "lodash" for "lodash/debounce",
+ * "@mui/material" for "@mui/material/Button". Null for relative paths,
+ * absolute paths and Node built-ins.
+ *
+ * @param {string} specifier
+ * @returns {string|null}
+ */
+export function packageName(specifier) {
+  if (/^[./]|^[a-z]+:/i.test(specifier)) return null;
+  const parts = specifier.split('/');
+  const name = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+  if (BUILTINS.has(name)) return null;
+  return name;
+}
+
+/**
+ * Weight of what an import of `specifier` pulls in, resolved from the
+ * importing file's directory the way Node and bundlers do. Cached per
+ * resolved entry for the life of the process.
+ *
+ * @param {string} specifier
+ * @param {string} fromFile
+ * @param {'import'|'require'} [style]
+ * @returns {PackageWeight|null} null when the package isn't installed or has no JS entry
+ */
+export function importWeight(specifier, fromFile, style = 'import') {
+  const name = packageName(specifier);
+  if (!name) return null;
+  const pkg = findPackage(name, dirname(resolve(fromFile)));
+  if (!pkg) return null;
+  const subpath = specifier === name ? '.' : `.${specifier.slice(name.length)}`;
+  const entry = packageEntry(pkg, subpath, style);
+  if (!entry) return null;
+
+  const key = `${entry}\0${style}`;
+  if (weights.has(key)) return weights.get(key);
+  const size = measure(entry, style);
+  const info = packageInfo(pkg);
+  const weight = {
+    name,
+    version: pkg.json.version ?? null,
+    dir: pkg.dir,
+    entry,
+    bytes: size.bytes,
+    minBytes: size.minBytes,
+    files: size.files,
+    ...info,
+    esm: info.esm || /\.mjs$/.test(entry),
+  };
+  weight.treeShakeable = weight.esm && weight.sideEffects === false;
+  weights.set(key, weight);
+  return weight;
+}
+
+/**
+ * The file an import of `specifier` from `fromFile` resolves to, or null
+ * when the package isn't installed or has no such module.
+ *
+ * @param {string} specifier
+ * @param {string} fromFile
+ * @param {'import'|'require'} [style]
+ * @returns {string|null}
+ */
+export function resolveImport(specifier, fromFile, style = 'import') {
+  const name = packageName(specifier);
+  const pkg = name && findPackage(name, dirname(resolve(fromFile)));
+  if (!pkg) return null;
+  return packageEntry(pkg, specifier === name ? '.' : `.${specifier.slice(name.length)}`, style);
+}
+
+/**
+ * Rule check for `large-import`: default, namespace and require imports of
+ * packages above `options.minKb` (estimated minified), and named imports of
+ * ones a bundler can't tree-shake.
+ *
+ * @param {import('./checker.js').RuleContext} context
+ */
+export function checkLargeImports(context) {
+  if (!context.ast) return;
+  const minBytes = (context.options.minKb ?? 30) * 1024;
+  for (const ref of collectImports(context.ast)) {
+    if (ref.kind === 'side-effect' || ref.kind === 'dynamic') continue;
+    const weight = importWeight(ref.specifier, context.filePath, ref.kind === 'require' ? 'require' : 'import');
+    if (!weight || weight.minBytes < minBytes) continue;
+    if (ref.kind === 'named' && weight.treeShakeable) continue;
+    context.report({ line: ref.line, message: describeImport(ref, weight) });
+  }
+}
+
+/**
+ * Every package imported across the files, heaviest first. A package's cost
+ * is its full weight when any file imports it whole (default, namespace,
+ * require, or named from a package that can't be tree-shaken), and zero
+ * when every import is a tree-shakeable named import.
+ *
+ * @param {string[]} files
+ * @param {{ readFile?: (file: string) => string }} [opts]
+ * @returns {{ name: string, version: string|null, weight: PackageWeight, cost: number, imports: { file: string, line: number, kind: string, specifier: string }[] }[]}
+ */
+export function dependencyInventory(files, opts = {}) {
+  const readFile = opts.readFile ?? ((f) => readFileSync(f, 'utf8'));
+  const byPackage = new Map();
+  for (const file of files) {
+    let ast;
+    try {
+      ast = parseSource(readFile(file), file);
+    } catch {
+      continue;
+    }
+    if (!ast) continue;
+    for (const ref of collectImports(ast)) {
+      const weight = importWeight(ref.specifier, file, ref.kind === 'require' ? 'require' : 'import');
+      if (!weight) continue;
+      const key = `${weight.name}@${weight.version}`;
+      if (!byPackage.has(key)) byPackage.set(key, { name: weight.name, version: weight.version, weight, cost: 0, imports: [] });
+      const entry = byPackage.get(key);
+      entry.imports.push({ file, line: ref.line, kind: ref.kind, specifier: ref.specifier });
+      // Subpath imports weigh what that subpath pulls in
+      const whole = ref.kind !== 'dynamic' && !(ref.kind === 'named' && weight.treeShakeable);
+      if (whole) entry.cost = Math.max(entry.cost, weight.minBytes);
+      if (weight.minBytes > entry.weight.minBytes) entry.weight = weight;
+    }
+  }
+  return [...byPackage.values()].sort((a, b) => b.cost - a.cost || b.weight.minBytes - a.weight.minBytes || a.name.localeCompare(b.name));
+}
+
+/**
+ * Fingerprint of the installed dependencies a project's imports resolve to,
+ * for the findings cache: its lockfiles plus every package installed in the
+ * node_modules directories importWeight() searches, so a reinstall, upgrade
+ * or hand-edited package changes it with or without a lockfile.
+ *
+ * @param {string} dir
+ * @returns {string|null} null when there is neither a lockfile nor a node_modules
+ */
+export function depsFingerprint(dir) {
+  const parts = [];
+  for (const file of LOCKFILES) {
+    try {
+      const st = statSync(join(dir, file));
+      parts.push(`${file}:${st.size}:${st.mtimeMs}`);
+    } catch {
+      // Not this package manager
+    }
+  }
+  for (let d = resolve(dir); ; d = dirname(d)) {
+    for (const pkgDir of installedPackages(join(d, 'node_modules'))) {
+      parts.push(`${pkgDir}:${statKey(pkgDir)}:${statKey(join(pkgDir, 'package.json'))}`);
+    }
+    if (dirname(d) === d) break;
+  }
+  return parts.length ? createHash('sha1').update(parts.join('\n')).digest('hex') : null;
+}
+
+/**
+ * Kilobytes with one decimal below 10 KB: "4.2", "73", "1,204".
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatKb(bytes) {
+  const kb = bytes / 1024;
+  return kb < 10 ? kb.toFixed(1) : Math.round(kb).toLocaleString('en-US');
+}
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+const packages = new Map();
+const weights = new Map();
+const infos = new Map();
+
+// Package directories in one node_modules, scoped packages included
+function installedPackages(nodeModules) {
+  const list = (dir) => {
+    try {
+      return readdirSync(dir, { withFileTypes: true }).filter((e) => !e.name.startsWith('.') && (e.isDirectory() || e.isSymbolicLink()));
+    } catch {
+      return [];
+    }
+  };
+  const dirs = [];
+  for (const entry of list(nodeModules)) {
+    const path = join(nodeModules, entry.name);
+    if (entry.name.startsWith('@')) dirs.push(...list(path).map((e) => join(path, e.name)));
+    else dirs.push(path);
+  }
+  return dirs.sort();
+}
+
+// A directory's mtime moves when files are added or removed; package.json's when a version is installed
+function statKey(path) {
+  try {
+    const st = statSync(path);
+    return `${st.size}:${st.mtimeMs}`;
+  } catch {
+    return '-';
+  }
+}
+
+function isShadowingRequire(node) {
+  return (node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression')
+    && node.params.some((p) => p.type === 'Identifier' && p.name === 'require');
+}
+
+function describeImport(ref, weight) {
+  const how = {
+    default: `Default import of ${ref.specifier}`,
+    namespace: `Namespace import of ${ref.specifier}`,
+    require: `require('${ref.specifier}')`,
+    named: `Named import from ${ref.specifier}`,
+  }[ref.kind];
+  const size = `~${formatKb(weight.minBytes)} KB minified (${formatKb(weight.bytes)} KB on disk, ${weight.files} file${weight.files === 1 ? '' : 's'})`;
+  let why;
+  if (weight.treeShakeable) why = 'Switch to named imports so the bundler can drop what you don\'t use.';
+  else if (weight.esm) why = 'It ships ES modules but doesn\'t declare "sideEffects": false, so bundlers keep unused code.';
+  else why = 'It ships CommonJS only, so none of it can be tree-shaken.';
+  const subpath = weight.subpaths && ref.specifier === weight.name ? ` Import single modules from subpaths such as ${weight.name}/<name>.` : '';
+  return `${how} adds ${size}. ${why}${subpath}`;
+}
+
+// Nearest node_modules/<name> above dir, with its package.json
+function findPackage(name, dir) {
+  const key = `${dir}\0${name}`;
+  if (packages.has(key)) return packages.get(key);
+  let found = null;
+  for (let d = dir; ; d = dirname(d)) {
+    const pkgDir = join(d, 'node_modules', name);
+    const json = readJson(join(pkgDir, 'package.json'));
+    if (json) {
+      found = { dir: pkgDir, json };
+      break;
+    }
+    if (dirname(d) === d) break;
+  }
+  packages.set(key, found);
+  return found;
+}
+
+function readJson(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function packageInfo(pkg) {
+  if (infos.has(pkg.dir)) return infos.get(pkg.dir);
+  const { json } = pkg;
+  const exportsText = JSON.stringify(json.exports ?? null);
+  const esm = json.type === 'module' || Boolean(json.module) || /"(?:import|module)"\s*:/.test(exportsText);
+  const sideEffects = json.sideEffects === false ? false : Array.isArray(json.sideEffects) ? 'some' : true;
+  let subpaths = false;
+  if (json.exports && typeof json.exports === 'object') {
+    subpaths = Object.keys(json.exports).some((k) => k.startsWith('./') && k !== './package.json');
+  } else {
+    // lodash-style: one module per top-level file
+    try {
+      subpaths = readdirSync(pkg.dir).filter((f) => f.endsWith('.js')).length >= 20;
+    } catch {
+      subpaths = false;
+    }
+  }
+  const info = { esm, sideEffects, subpaths };
+  infos.set(pkg.dir, info);
+  return info;
+}
+
+function packageEntry(pkg, subpath, style) {
+  const conditions = style === 'require' ? ['require', 'browser', 'node', 'default'] : ['import', 'module', 'browser', 'default', 'require'];
+  const { json, dir } = pkg;
+  if (json.exports !== undefined && json.exports !== null) {
+    const target = resolveExports(json.exports, subpath, conditions);
+    return target ? resolveFile(join(dir, target)) : null;
+  }
+  if (subpath !== '.') return resolveFile(join(dir, subpath));
+  const field = style === 'import' && typeof json.module === 'string' ? json.module
+    : typeof json.browser === 'string' ? json.browser
+      : json.main;
+  return resolveFile(join(dir, field ?? 'index.js'));
+}
+
+function resolveExports(exports, subpath, conditions) {
+  const isMap = typeof exports === 'object' && !Array.isArray(exports) && Object.keys(exports).some((k) => k.startsWith('.'));
+  if (!isMap) return subpath === '.' ? resolveConditions(exports, conditions) : null;
+  if (exports[subpath] !== undefined) return resolveConditions(exports[subpath], conditions);
+  for (const [key, value] of Object.entries(exports)) {
+    const star = key.indexOf('*');
+    if (star === -1) continue;
+    const prefix = key.slice(0, star);
+    const suffix = key.slice(star + 1);
+    if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= key.length - 1) {
+      const match = subpath.slice(prefix.length, subpath.length - suffix.length);
+      const target = resolveConditions(value, conditions);
+      return target ? target.replaceAll('*', match) : null;
+    }
+  }
+  return null;
+}
+
+function resolveConditions(value, conditions) {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) {
+    for (const v of value) {
+      const target = resolveConditions(v, conditions);
+      if (target) return target;
+    }
+    return null;
+  }
+  if (value && typeof value === 'object') {
+    for (const [condition, target] of Object.entries(value)) {
+      if (!conditions.includes(condition)) continue;
+      const resolved = resolveConditions(target, conditions);
+      if (resolved) return resolved;
+    }
+  }
+  return null;
+}
+
+function resolveFile(path) {
+  for (const ext of RESOLVE_EXTENSIONS) {
+    const candidate = path + ext;
+    try {
+      if (statSync(candidate).isFile()) return candidate;
+    } catch {
+      // Try the next extension
+    }
+  }
+  // A directory with its own package.json (e.g. "lodash/fp")
+  const json = readJson(join(path, 'package.json'));
+  return json?.main ? resolveFile(join(path, json.main)) : null;
+}
+
+// Sum the entry and every file it imports, following bare imports into
+// other installed packages (they end up in the bundle too)
+function measure(entry, style) {
+  const seen = new Set([entry]);
+  const queue = [entry];
+  let bytes = 0;
+  let minBytes = 0;
+  while (queue.length && seen.size <= MAX_FILES) {
+    const file = queue.pop();
+    let content;
+    try {
+      content = readFileSync(file, 'utf8');
+    } catch {
+      continue;
+    }
+    bytes += Buffer.byteLength(content);
+    minBytes += minifiedSize(file, content);
+    if (file.endsWith('.json')) continue;
+    for (const specifier of staticSpecifiers(content)) {
+      const next = specifier.startsWith('.')
+        ? resolveFile(resolve(dirname(file), specifier))
+        : dependencyEntry(specifier, file, style);
+      if (next && !seen.has(next)) {
+        seen.add(next);
+        queue.push(next);
+      }
+    }
+  }
+  return { bytes, minBytes, files: seen.size };
+}
+
+function dependencyEntry(specifier, fromFile, style) {
+  const name = packageName(specifier);
+  if (!name) return null;
+  const pkg = findPackage(name, dirname(fromFile));
+  if (!pkg) return null;
+  return packageEntry(pkg, specifier === name ? '.' : `.${specifier.slice(name.length)}`, style);
+}
+
+function staticSpecifiers(content) {
+  const specs = new Set();
+  const re = /\brequire\s*\(\s*(['"])([^'"\n]+)\1\s*\)|\b(?:import|export)\s[^'";]*?\bfrom\s*(['"])([^'"\n]+)\3|\bimport\s*(['"])([^'"\n]+)\5/g;
+  for (const m of content.matchAll(re)) specs.add(m[2] ?? m[4] ?? m[6]);
+  return specs;
+}
+
+// Already-minified files count as they are; others lose comments and
+// indentation, which is most of what a minifier removes before renaming
+function minifiedSize(file, content) {
+  if (/\.min\.[cm]?js$/.test(file) || file.endsWith('.json')) return Buffer.byteLength(content);
+  const lines = content.split('\n');
+  if (content.length / lines.length > 300) return Buffer.byteLength(content);
+  const stripped = content
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/(^|[^:\\'"`\w])\/\/[^\n]*/g, '$1')
+    .replace(/\s+/g, ' ');
+  return Buffer.byteLength(stripped);
+}
@@ -0,0 +1,173 @@
+import { getRulesForLanguage } from './rules.js';
+import { getLanguage } from './scanner.js';
+import { parseSource } from './ast.js';
+import { parseSuppressions } from './suppressions.js';
+
+/**
+ * @typedef {Object} FixResult
+ * @property {string} file
+ * @property {string} original
+ * @property {string} output
+ * @property {{ ruleId: string, line: number }[]} applied
+ */
+
+/**
+ * Apply every available fixer to one file's content. Edits on suppressed
+ * lines are skipped, and an edit overlapping one already accepted is dropped.
+ * A fixer's grouped edits are one unit: if any of them is suppressed or
+ * overlaps, none is applied.
+ *
+ * @param {string} filePath
+ * @param {string} content
+ * @param {{ rules?: import('./rules.js').Rule[], only?: string[], line?: number, fixOptions?: import('./fixes.js').FixOptions }} opts
+ *   only: restrict to these rule ids; line: only apply fixes for findings on this 1-based line
+ * @returns {FixResult}
+ */
+export function fixFile(filePath, content, opts = {}) {
+  const lang = getLanguage(filePath);
+  const rules = getRulesForLanguage(lang, opts.rules).filter(
+    (r) => r.fix && (!opts.only?.length || opts.only.includes(r.id)),
+  );
+  const result = { file: filePath, original: content, output: content, applied: [] };
+  if (!rules.length) return result;
+
+  const ast = parseSource(content, filePath);
+  if (!ast || ast.errors?.length) return result;
+
+  const suppressions = parseSuppressions(content, lang);
+  const lines = content.split('\n');
+  const units = [];
+
+  for (const rule of rules) {
+    const ruleEdits = rule.fix({ filePath, content, lang, lines, ast, options: opts.fixOptions ?? {} });
+    const groups = new Map();
+    for (const edit of ruleEdits) {
+      const tagged = { ...edit, ruleId: rule.id };
+      if (edit.group === undefined) units.push([tagged]);
+      else if (groups.has(edit.group)) groups.get(edit.group).push(tagged);
+      else groups.set(edit.group, [tagged]);
+    }
+    units.push(...groups.values());
+  }
+
+  const candidates = units
+    .filter((unit) => !unit.some((e) => suppressions.isSuppressed(e.ruleId, e.line)))
+    .filter((unit) => !opts.line || unit[0].line === opts.line)
+    .sort((a, b) => firstStart(a) - firstStart(b));
+  const accepted = [];
+  for (const unit of candidates) {
+    if (unit.some((e) => accepted.some((a) => e.start < a.end && a.start < e.end))) continue;
+    accepted.push(...unit);
+  }
+  accepted.sort((a, b) => a.start - b.start || a.end - b.end);
+
+  let output = content;
+  for (let i = accepted.length - 1; i >= 0; i--) {
+    const e = accepted[i];
+    output = output.slice(0, e.start) + e.text + output.slice(e.end);
+  }
+
+  const seen = new Set();
+  for (const e of accepted) {
+    const key = `${e.ruleId}:${e.line}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    result.applied.push({ ruleId: e.ruleId, line: e.line });
+  }
+  result.output = output;
+  return result;
+}
+
+/**
+ * Line-based unified diff (Myers) between two versions of a file.
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {string} path - shown in the ---/+++ headers
+ * @param {number} [context=3]
+ * @returns {string} empty string when the texts are equal
+ */
+export function createUnifiedDiff(oldText, newText, path, context = 3) {
+  if (oldText === newText) return '';
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+  const ops = diffLines(a, b);
+
+  // Annotate each op with the line numbers it sits at
+  let oldLine = 1;
+  let newLine = 1;
+  for (const op of ops) {
+    op.oldLine = oldLine;
+    op.newLine = newLine;
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  }
+
+  // Group changes whose unchanged gap is small enough to share context
+  const changed = ops.flatMap((op, i) => (op.type === ' ' ? [] : [i]));
+  const groups = [];
+  for (const i of changed) {
+    const last = groups[groups.length - 1];
+    if (last && i - last.end <= context * 2 + 1) last.end = i;
+    else groups.push({ start: i, end: i });
+  }
+
+  const out = [`--- a/${path}`, `+++ b/${path}`];
+  for (const g of groups) {
+    const from = Math.max(0, g.start - context);
+    const to = Math.min(ops.length - 1, g.end + context);
+    const slice = ops.slice(from, to + 1);
+    const oldCount = slice.filter((op) => op.type !== '+').length;
+    const newCount = slice.filter((op) => op.type !== '-').length;
+    out.push(`@@ -${slice[0].oldLine},${oldCount} +${slice[0].newLine},${newCount} @@`);
+    for (const op of slice) out.push(op.type + op.text);
+  }
+  return out.join('\n') + '\n';
+}
+
+// ─── Internal helpers ────────────────────────────────────────────────────────
+
+function firstStart(unit) {
+  return Math.min(...unit.map((e) => e.start));
+}
+
+function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const v = new Map([[1, 0]]);
+  const trace = [];
+
+  outer: for (let d = 0; d <= max; d++) {
+    trace.push(new Map(v));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && (v.get(k - 1) ?? -1) < (v.get(k + 1) ?? -1)) ? v.get(k + 1) : v.get(k - 1) + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v.set(k, x);
+      if (x >= n && y >= m) break outer;
+    }
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && (vd.get(k - 1) ?? -1) < (vd.get(k + 1) ?? -1)) ? k + 1 : k - 1;
+    const prevX = vd.get(prevK) ?? 0;
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', text: a[--x] });
+      y--;
+    }
+    if (d === 0) break;
+    if (x === prevX) ops.push({ type: '+', text: b[--y] });
+    else ops.push({ type: '-', text: a[--x] });
+  }
+  return ops.reverse();
+}
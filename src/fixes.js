@@ -0,0 +1,302 @@
+import { walk, calleeName, enclosingFunction } from './ast.js';
+import { resolveImport } from './deps.js';
+
+/**
+ * Automatic rewrites referenced by rules as `rule.fix`. Each fixer receives
+ * the same context as `check()` (plus `options`) and returns text edits.
+ * A fixer must only return an edit when the rewrite is safe; anything it
+ * cannot prove is left for a human.
+ *
+ * @typedef {Object} Edit
+ * @property {number} start - character offset
+ * @property {number} end - character offset (exclusive)
+ * @property {string} text - replacement
+ * @property {number} line - 1-based line the edit belongs to, for suppressions
+ * @property {string} [group] - edits sharing a group are applied together or not at all;
+ *   the group's first edit sits on the finding's line
+ *
+ * @typedef {Object} FixOptions
+ * @property {string} [logger] - identifier to route console calls to, e.g. "logger"
+ */
+
+// Packages with per-method subpath modules, or tree-shakeable named exports
+const IMPORT_STRATEGIES = {
+  lodash: { subpath: true },
+  'date-fns': { subpath: false },
+  ramda: { subpath: false },
+};
+
+/**
+ * Rewrite `import _ from 'lodash'` (or `import * as _`) into one import per
+ * member actually used, then replace `_.debounce` with `debounce`. Skipped
+ * when the binding is used other than by reading `_.member`, a name would
+ * clash, or a member has no module file of its own (`_.VERSION`).
+ *
+ * @param {import('./checker.js').RuleContext} context
+ * @returns {Edit[]}
+ */
+export function fixLargeImport(context) {
+  const { ast } = context;
+  const edits = [];
+  const declared = collectDeclaredNames(ast);
+
+  for (const decl of ast.program.body) {
+    if (decl.type !== 'ImportDeclaration' || decl.importKind === 'type') continue;
+    const strategy = IMPORT_STRATEGIES[decl.source.value];
+    if (!strategy || decl.specifiers.length !== 1) continue;
+    const spec = decl.specifiers[0];
+    if (spec.type !== 'ImportDefaultSpecifier' && spec.type !== 'ImportNamespaceSpecifier') continue;
+
+    const local = spec.local.name;
+    const usages = memberUsages(ast, local, spec.local);
+    if (!usages || usages.length === 0) continue;
+
+    const members = [...new Set(usages.map((u) => u.member))].sort();
+    if (members.some((m) => m !== local && declared.has(m))) continue;
+    const source = decl.source.value;
+    if (strategy.subpath && !members.every((m) => resolveImport(`${source}/${m}`, context.filePath))) continue;
+
+    const quote = context.content[decl.source.start];
+    const semi = context.content[decl.end - 1] === ';' ? ';' : '';
+    const text = strategy.subpath
+      ? members.map((m) => `import ${m} from ${quote}${source}/${m}${quote}${semi}`).join('\n')
+      : `import { ${members.join(', ')} } from ${quote}${source}${quote}${semi}`;
+
+    // Rewriting the import without every usage would leave `_` undefined
+    const group = `import:${decl.start}`;
+    edits.push({ start: decl.start, end: decl.end, text, line: decl.loc.start.line, group });
+    for (const u of usages) {
+      edits.push({ start: u.node.start, end: u.node.end, text: u.member, line: u.node.loc.start.line, group });
+    }
+  }
+  return edits;
+}
+
+const CONSOLE_TO_LOGGER = { log: 'info', info: 'info', debug: 'debug', trace: 'trace', warn: 'warn', error: 'error' };
+const REMOVABLE_CONSOLE = new Set(['log', 'debug', 'info', 'trace']);
+
+/**
+ * Route console calls to a logger that the file already declares, or delete
+ * standalone debug logging (`log`/`debug`/`info`/`trace`) whose arguments
+ * have no side effects. `console.warn`/`console.error` are never deleted.
+ *
+ * @param {import('./checker.js').RuleContext & { options: FixOptions }} context
+ * @returns {Edit[]}
+ */
+export function fixConsoleInProd(context) {
+  const { ast, content, options = {} } = context;
+  const logger = options.logger && collectDeclaredNames(ast).has(options.logger) ? options.logger : null;
+  const edits = [];
+
+  walk(ast, (node, ancestors) => {
+    if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') return;
+    const { object, property } = node.callee;
+    if (object.type !== 'Identifier' || object.name !== 'console' || node.callee.computed) return;
+    const method = property.name;
+    if (!CONSOLE_TO_LOGGER[method]) return;
+
+    if (logger) {
+      edits.push({ start: node.callee.start, end: node.callee.end, text: `${logger}.${CONSOLE_TO_LOGGER[method]}`, line: node.loc.start.line });
+      return;
+    }
+
+    const stmt = ancestors[ancestors.length - 1];
+    const container = ancestors[ancestors.length - 2];
+    if (!REMOVABLE_CONSOLE.has(method) || stmt?.type !== 'ExpressionStatement' || stmt.expression !== node) return;
+    if (!['Program', 'BlockStatement', 'StaticBlock', 'SwitchCase'].includes(container?.type)) return;
+    if (!node.arguments.every(isSideEffectFree)) return;
+
+    edits.push({ ...wholeLineRange(content, stmt.start, stmt.end), text: '', line: node.loc.start.line });
+  });
+  return edits;
+}
+
+const SYNC_TO_PROMISES = {
+  readFileSync: 'readFile',
+  writeFileSync: 'writeFile',
+  appendFileSync: 'appendFile',
+  mkdirSync: 'mkdir',
+  readdirSync: 'readdir',
+  statSync: 'stat',
+  unlinkSync: 'unlink',
+  renameSync: 'rename',
+  copyFileSync: 'copyFile',
+};
+
+/**
+ * Turn `fs.readFileSync(p)` into `await fs.promises.readFile(p)` when the
+ * nearest enclosing function is already async and the object is the `fs`
+ * module. Bare `readFileSync(p)` is
+ * rewritten only if the file also has a default or namespace `fs` import to
+ * reach `promises` through.
+ *
+ * @param {import('./checker.js').RuleContext} context
+ * @returns {Edit[]}
+ */
+export function fixSyncIo(context) {
+  const { ast } = context;
+  const fsBinding = findFsBinding(ast);
+  const edits = [];
+
+  walk(ast, (node, ancestors) => {
+    if (node.type !== 'CallExpression') return;
+    const name = calleeName(node);
+    const asyncName = SYNC_TO_PROMISES[name];
+    if (!asyncName) return;
+    if (!enclosingFunction(ancestors)?.async) return;
+
+    let target;
+    if (node.callee.type === 'MemberExpression' && node.callee.object.type === 'Identifier') {
+      target = node.callee.object.name;
+      if (target !== fsBinding && target !== 'fs') return;
+    } else if (node.callee.type === 'Identifier' && fsBinding) {
+      target = fsBinding;
+    } else {
+      return;
+    }
+
+    const args = context.content.slice(node.callee.end, node.end);
+    const call = `await ${target}.promises.${asyncName}${args}`;
+    const text = bindsTighterThanAwait(node, ancestors[ancestors.length - 1]) ? `(${call})` : call;
+    edits.push({ start: node.start, end: node.end, text, line: node.loc.start.line });
+  });
+  return edits;
+}
+
+// ─── Internal helpers ────────────────────────────────────────────────────────
+
+// Whether the parent would take the Promise rather than the awaited value
+// from an unparenthesized `await call`: `call.x`, `call?.x`, `call()`,
+// `call\`\``, `call!`, `new call`, `call ** 2`
+function bindsTighterThanAwait(node, parent) {
+  switch (parent?.type) {
+    case 'MemberExpression':
+    case 'OptionalMemberExpression':
+      return parent.object === node;
+    case 'CallExpression':
+    case 'OptionalCallExpression':
+    case 'NewExpression':
+      return parent.callee === node;
+    case 'TaggedTemplateExpression':
+      return parent.tag === node;
+    case 'TSNonNullExpression':
+      return true;
+    case 'BinaryExpression':
+      return parent.operator === '**' && parent.left === node;
+    default:
+      return false;
+  }
+}
+
+function findFsBinding(ast) {
+  for (const decl of ast.program.body) {
+    if (decl.type !== 'ImportDeclaration' || !['fs', 'node:fs'].includes(decl.source.value)) continue;
+    for (const spec of decl.specifiers) {
+      if (spec.type === 'ImportDefaultSpecifier' || spec.type === 'ImportNamespaceSpecifier') return spec.local.name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Every identifier name bound or referenced in the file. Coarse, but a
+ * rewrite that introduces a name found here is never attempted.
+ */
+function collectDeclaredNames(ast) {
+  const names = new Set();
+  walk(ast, (node, ancestors) => {
+    if (node.type !== 'Identifier') return;
+    const parent = ancestors[ancestors.length - 1];
+    if (isPropertyName(node, parent)) return;
+    names.add(node.name);
+  });
+  return names;
+}
+
+// `b` in `a.b` and `{ b: 1 }` names a property, not a binding
+function isPropertyName(node, parent) {
+  if ((parent?.type === 'MemberExpression' || parent?.type === 'OptionalMemberExpression') && parent.property === node) {
+    return !parent.computed;
+  }
+  return ['ObjectProperty', 'ObjectMethod', 'ClassProperty', 'ClassMethod'].includes(parent?.type) &&
+    parent.key === node && !parent.computed && parent.value !== node;
+}
+
+/**
+ * All reads of `local.member`, or null when `local` is used any other way
+ * (called, passed around, computed access, shadowed) or a member is
+ * assigned to or mutated.
+ */
+function memberUsages(ast, local, bindingNode) {
+  const usages = [];
+  let unsafe = false;
+
+  walk(ast, (node, ancestors) => {
+    if (unsafe || node.type !== 'Identifier' || node.name !== local || node === bindingNode) return;
+    const parent = ancestors[ancestors.length - 1];
+    if (parent?.type === 'ImportDefaultSpecifier' || parent?.type === 'ImportNamespaceSpecifier') return;
+    if (isPropertyName(node, parent)) return;
+
+    if (parent?.type === 'MemberExpression' && parent.object === node && !parent.computed && parent.property.type === 'Identifier' &&
+        !isWritten(parent, ancestors.slice(0, -1))) {
+      usages.push({ node: parent, member: parent.property.name });
+      return;
+    }
+    unsafe = true;
+  });
+  return unsafe ? null : usages;
+}
+
+// `_.x = 1`, `_.x++`, `delete _.x`, `[_.x] = ...`, and writes through it like `_.x.y = 1`
+function isWritten(member, ancestors) {
+  let node = member;
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    const parent = ancestors[i];
+    if (parent.type === 'AssignmentExpression' || parent.type === 'AssignmentPattern') return parent.left === node;
+    if (parent.type === 'UpdateExpression') return true;
+    if (parent.type === 'UnaryExpression') return parent.operator === 'delete';
+    if (parent.type === 'ForInStatement' || parent.type === 'ForOfStatement') return parent.left === node;
+    if (parent.type === 'ArrayPattern' || parent.type === 'RestElement' || parent.type === 'ObjectPattern') return true;
+    if (parent.type === 'ObjectProperty' && ancestors[i - 1]?.type === 'ObjectPattern') return parent.value === node;
+    if (parent.type !== 'MemberExpression' || parent.object !== node) return false;
+    node = parent;
+  }
+  return false;
+}
+
+function isSideEffectFree(node) {
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+    case 'NullLiteral':
+    case 'Identifier':
+    case 'ThisExpression':
+      return true;
+    case 'TemplateLiteral':
+      return node.expressions.every(isSideEffectFree);
+    case 'MemberExpression':
+      return isSideEffectFree(node.object) && (!node.computed || isSideEffectFree(node.property));
+    case 'BinaryExpression':
+      return isSideEffectFree(node.left) && isSideEffectFree(node.right);
+    case 'ObjectExpression':
+      return node.properties.every((p) => p.type === 'ObjectProperty' && !p.computed && isSideEffectFree(p.value));
+    case 'ArrayExpression':
+      return node.elements.every((e) => e && isSideEffectFree(e));
+    default:
+      return false;
+  }
+}
+
+/** Expand a statement's range to its whole line(s) when nothing else shares them. */
+function wholeLineRange(content, start, end) {
+  const lineStart = content.lastIndexOf('\n', start - 1) + 1;
+  let lineEnd = content.indexOf('\n', end);
+  if (lineEnd === -1) lineEnd = content.length;
+  const before = content.slice(lineStart, start);
+  const after = content.slice(end, lineEnd);
+  if (before.trim() === '' && after.trim() === '') {
+    return { start: lineStart, end: Math.min(lineEnd + 1, content.length) };
+  }
+  return { start, end };
+}
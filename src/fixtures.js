@@ -0,0 +1,207 @@
+import { readFileSync } from 'fs';
+import { getLanguage } from './scanner.js';
+import { checkFile } from './checker.js';
+import { fixFile } from './fixer.js';
+import { rulesForFile, allRules } from './config.js';
+import { loadSchema } from './schema.js';
+
+/**
+ * Rule fixtures: source files annotated with what each line should produce.
+ *
+ *   for (const u of users) await db.query(sql);   // expect: n-plus-one
+ *   const half = total / 2 / count;               // expect-none
+ *   fs.readFileSync(path);                        // expect-none: sync-io
+ *
+ * `expect:` lists rules that must report on that line. `expect-none` means
+ * no rule may report there; with a rule list, only those rules. Python uses
+ * `#` and SQL `--`. Run with `perf-x-ray rules test [dir]`.
+ *
+ * Fixtures run without the per-file cap unless a comment says
+ * `fixture: capped`. A sibling `<name>.fixed.<ext>` holds what
+ * `perf-x-ray fix` must turn the fixture into.
+ *
+ * @typedef {Object} Expectation
+ * @property {number} line
+ * @property {'expect'|'expect-none'} kind
+ * @property {string[]} rules - for expect-none, empty means every rule
+ *
+ * @typedef {Object} FixtureMiss
+ * @property {string} file
+ * @property {number} line
+ * @property {string} ruleId
+ * @property {string} [message] - the finding's message, for unexpected findings
+ *
+ * @typedef {Object} RuleScore
+ * @property {string} ruleId
+ * @property {number} expected
+ * @property {number} matched
+ * @property {FixtureMiss[]} missed - expected but not reported
+ * @property {FixtureMiss[]} unexpected - reported where the fixtures say it shouldn't be
+ * @property {number|null} precision - matched / (matched + unexpected); null when nothing was reported
+ * @property {number|null} recall - matched / expected; null when nothing was expected
+ *
+ * @typedef {Object} FixCheck
+ * @property {string} file - the fixture
+ * @property {string} expected - its `.fixed` sibling
+ * @property {boolean} passed
+ * @property {number|null} line - first 1-based line where the fixed output differs
+ *
+ * @typedef {Object} FixtureReport
+ * @property {number} files - fixture files run
+ * @property {RuleScore[]} rules - by rule id
+ * @property {FixCheck[]} fixes - fixtures with a `.fixed` sibling
+ * @property {boolean} passed
+ */
+
+const DIRECTIVE = 'expect(-none)?\\b\\s*(?::\\s*([\\w/\\-,\\s]*))?';
+
+const FIXED = /\.fixed(\.\w+)$/;
+const CAPPED = /(?:\/\/|\/\*|#|--)\s*fixture:\s*capped\b/;
+
+const COMMENT_PATTERNS = {
+  js: new RegExp(`(?://|/\\*)\\s*${DIRECTIVE}`),
+  ts: new RegExp(`(?://|/\\*)\\s*${DIRECTIVE}`),
+  go: new RegExp(`(?://|/\\*)\\s*${DIRECTIVE}`),
+  py: new RegExp(`#\\s*${DIRECTIVE}`),
+  sql: new RegExp(`(?:--|/\\*)\\s*${DIRECTIVE}`),
+};
+
+/**
+ * Expectation comments in a fixture, one per annotated line.
+ *
+ * @param {string} content
+ * @param {string} lang - canonical language id from getLanguage()
+ * @returns {Expectation[]}
+ */
+export function parseExpectations(content, lang) {
+  const rx = COMMENT_PATTERNS[lang] ?? COMMENT_PATTERNS.js;
+  const expectations = [];
+  const lines = content.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].includes('expect')) continue;
+    const m = rx.exec(lines[i]);
+    if (!m) continue;
+    const rules = (m[2] ?? '').split(/[\s,]+/).filter(Boolean);
+    const kind = m[1] ? 'expect-none' : 'expect';
+    // A bare `expect` is a typo for expect-none or a missing rule list; either way it asserts nothing
+    if (kind === 'expect' && !rules.length) continue;
+    expectations.push({ line: i + 1, kind, rules });
+  }
+  return expectations;
+}
+
+/**
+ * Check every fixture file and score each rule the fixtures mention.
+ *
+ * A rule is only scored in files that mention it, so a fixture for one rule
+ * doesn't count another rule's legitimate findings against it. There, every
+ * finding on a line without an `expect:` for the rule is unexpected. A bare
+ * `expect-none` line also catches rules the file doesn't mention. Naming a
+ * rule that doesn't exist throws, so a typo can't pass silently.
+ *
+ * @param {string[]} files
+ * @param {import('./config.js').Config} config
+ * @param {{ only?: string[], readFile?: (path: string) => string }} [opts]
+ *   only: score just these rule ids
+ * @returns {FixtureReport}
+ */
+export function runFixtures(files, config, opts = {}) {
+  const { readFile = (p) => readFileSync(p, 'utf8') } = opts;
+  const scores = new Map();
+  const score = (ruleId) => {
+    if (!scores.has(ruleId)) scores.set(ruleId, { ruleId, expected: 0, matched: 0, missed: [], unexpected: [] });
+    return scores.get(ruleId);
+  };
+  const wanted = (ruleId) => !opts.only?.length || opts.only.includes(ruleId);
+  const known = new Set(allRules(config).map((r) => r.id));
+  let fixtures = 0;
+  const fixes = [];
+
+  for (const file of files) {
+    if (FIXED.test(file)) continue;
+    const content = readFile(file);
+    const fixed = fixedSibling(file, readFile);
+    if (fixed) fixes.push(checkFix(file, content, fixed, config));
+    const expectations = parseExpectations(content, getLanguage(file));
+    if (!expectations.length) {
+      if (fixed) fixtures++;
+      continue;
+    }
+    fixtures++;
+    for (const e of expectations) {
+      const unknown = e.rules.find((r) => !known.has(r));
+      if (unknown) throw new Error(`Unknown rule "${unknown}" in ${file}:${e.line}`);
+    }
+
+    // Uncapped unless asked: the per-file cap would turn a fixture's sixth expectation into a miss
+    const findings = checkFile(file, content, {
+      rules: rulesForFile(config, file),
+      suppressions: config.suppressions,
+      schema: loadSchema(config.schema),
+      cap: CAPPED.test(content),
+    });
+    const mentioned = new Set(expectations.flatMap((e) => e.rules));
+    const expected = new Set();
+    const forbidAll = new Set();
+    for (const e of expectations) {
+      if (e.kind === 'expect') for (const r of e.rules) expected.add(`${r}:${e.line}`);
+      else if (!e.rules.length) forbidAll.add(e.line);
+    }
+
+    const reported = new Set();
+    for (const f of findings) {
+      const key = `${f.ruleId}:${f.line}`;
+      if (reported.has(key) || !wanted(f.ruleId)) continue;
+      reported.add(key);
+      if (expected.has(key)) score(f.ruleId).matched++;
+      else if (mentioned.has(f.ruleId) || forbidAll.has(f.line)) {
+        score(f.ruleId).unexpected.push({ file, line: f.line, ruleId: f.ruleId, message: f.message });
+      }
+    }
+    for (const key of expected) {
+      const [ruleId, line] = splitKey(key);
+      if (!wanted(ruleId)) continue;
+      score(ruleId).expected++;
+      if (!reported.has(key)) score(ruleId).missed.push({ file, line, ruleId });
+    }
+    for (const ruleId of mentioned) if (wanted(ruleId)) score(ruleId);
+  }
+
+  const rules = [...scores.values()]
+    .map((s) => ({
+      ...s,
+      precision: s.matched + s.unexpected.length ? s.matched / (s.matched + s.unexpected.length) : null,
+      recall: s.expected ? s.matched / s.expected : null,
+    }))
+    .sort((a, b) => a.ruleId.localeCompare(b.ruleId));
+  const passed = rules.every((r) => !r.missed.length && !r.unexpected.length) && fixes.every((f) => f.passed);
+  return { files: fixtures, rules, fixes, passed };
+}
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+// The fixture's `.fixed` sibling as { path, content }, or null
+function fixedSibling(file, readFile) {
+  const path = file.replace(/(\.\w+)$/, '.fixed$1');
+  try {
+    return { path, content: readFile(path) };
+  } catch {
+    return null;
+  }
+}
+
+// Every fixer, as `perf-x-ray fix` runs them, must produce the .fixed file
+function checkFix(file, content, fixed, config) {
+  const { output } = fixFile(file, content, { rules: rulesForFile(config, file) });
+  const got = output.split('\n');
+  const want = fixed.content.split('\n');
+  const at = want.findIndex((line, i) => got[i] !== line);
+  const line = at !== -1 ? at + 1 : got.length !== want.length ? want.length + 1 : null;
+  return { file, expected: fixed.path, passed: line === null, line };
+}
+
+// Keys are `${ruleId}:${line}`; rule ids never contain a colon
+function splitKey(key) {
+  const at = key.lastIndexOf(':');
+  return [key.slice(0, at), Number(key.slice(at + 1))];
+}
@@ -0,0 +1,133 @@
+import { execFileSync } from 'child_process';
+import { realpathSync } from 'fs';
+import { join, resolve, relative, sep } from 'path';
+
+/**
+ * @typedef {Map<string, [number, number][]>} ChangedRanges
+ *   absolute file path → inclusive 1-based [start, end] line ranges
+ */
+
+function git(args, cwd) {
+  try {
+    return execFileSync('git', ['-c', 'core.quotePath=false', ...args], {
+      cwd,
+      encoding: 'utf8',
+      maxBuffer: 256 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+  } catch (err) {
+    const detail = err.stderr?.toString().trim() || err.message;
+    throw new Error(`git ${args[0]} failed: ${detail}`);
+  }
+}
+
+/**
+ * Collect the lines added or modified relative to a ref (working tree vs
+ * ref), or in the index when `staged` is set. Untracked files count as fully
+ * changed unless only staged changes are requested.
+ *
+ * @param {string} cwd - scan root, any directory inside the repository
+ * @param {{ since?: string, staged?: boolean }} opts
+ * @returns {ChangedRanges}
+ */
+export function getChangedRanges(cwd, opts = {}) {
+  const top = git(['rev-parse', '--show-toplevel'], cwd).trim();
+  // Fixed prefixes whatever diff.noprefix or diff.mnemonicPrefix say; parseUnifiedDiff strips b/
+  const args = ['diff', '--unified=0', '--no-color', '--no-ext-diff', '--diff-filter=ACMR', '--src-prefix=a/', '--dst-prefix=b/'];
+  if (opts.staged) args.push('--cached');
+  if (opts.since) args.push(opts.since);
+  args.push('--');
+
+  const ranges = parseUnifiedDiff(git(args, top), top);
+
+  if (!opts.staged) {
+    const untracked = git(['ls-files', '--others', '--exclude-standard', '-z'], top);
+    for (const rel of untracked.split('\0').filter(Boolean)) {
+      ranges.set(join(top, rel), [[1, Infinity]]);
+    }
+  }
+  return rebase(ranges, cwd);
+}
+
+// git reports real paths; map them back onto cwd in case it goes through a symlink
+function rebase(ranges, cwd) {
+  const base = resolve(cwd);
+  const real = realpathSync(base);
+  if (real === base) return ranges;
+  const out = new Map();
+  for (const [file, r] of ranges) {
+    out.set(file.startsWith(real + sep) ? join(base, relative(real, file)) : file, r);
+  }
+  return out;
+}
+
+/**
+ * Parse `git diff --unified=0` output into changed line ranges of the new
+ * file version. Pure deletions add no range.
+ *
+ * @param {string} diff
+ * @param {string} top - repository root the diff paths are relative to
+ * @returns {ChangedRanges}
+ */
+export function parseUnifiedDiff(diff, top) {
+  const ranges = new Map();
+  let current = null;
+
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('+++ ')) {
+      const target = unquote(line.slice(4));
+      current = target === '/dev/null' ? null : resolve(top, target.replace(/^b\//, ''));
+      if (current && !ranges.has(current)) ranges.set(current, []);
+      continue;
+    }
+    if (!current || !line.startsWith('@@')) continue;
+
+    const m = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/.exec(line);
+    if (!m) continue;
+    const start = Number(m[1]);
+    const count = m[2] === undefined ? 1 : Number(m[2]);
+    if (count > 0) ranges.get(current).push([start, start + count - 1]);
+  }
+  return ranges;
+}
+
+/**
+ * Keep findings whose line falls inside a changed range.
+ *
+ * @param {import('./checker.js').Finding[]} findings
+ * @param {ChangedRanges} ranges
+ * @returns {import('./checker.js').Finding[]}
+ */
+export function filterToChangedLines(findings, ranges) {
+  return findings.filter((f) => {
+    const fileRanges = ranges.get(resolve(f.file));
+    return fileRanges?.some(([start, end]) => f.line >= start && f.line <= end) ?? false;
+  });
+}
+
+/**
+ * The commit checked out in the repository containing cwd, or null outside
+ * a repository (or without git installed).
+ *
+ * @param {string} cwd
+ * @returns {{ commit: string, branch: string|null, dirty: boolean }|null}
+ */
+export function getCommitInfo(cwd) {
+  try {
+    const commit = git(['rev-parse', 'HEAD'], cwd).trim();
+    const branch = git(['rev-parse', '--abbrev-ref', 'HEAD'], cwd).trim();
+    const dirty = git(['status', '--porcelain', '--untracked-files=no'], cwd).trim() !== '';
+    return { commit, branch: branch === 'HEAD' ? null : branch, dirty };
+  } catch {
+    return null;
+  }
+}
+
+function unquote(path) {
+  if (!path.startsWith('"')) return path;
+  try {
+    return JSON.parse(path);
+  } catch {
+    return path.slice(1, -1);
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Minimal glob matching for config ignores and overrides.
+ * Supports `*`, `**`, `?`, `[...]` and `{a,b}`. Patterns without a slash
+ * match the basename at any depth, like .gitignore entries.
+ */
+
+const cache = new Map();
+
+/**
+ * Compile a glob into an anchored RegExp.
+ *
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  const cached = cache.get(glob);
+  if (cached) return cached;
+
+  let pattern = glob.replace(/\\/g, '/').replace(/^\.\//, '');
+  if (!pattern.replace(/\/$/, '').includes('/')) pattern = '**/' + pattern;
+  if (pattern.startsWith('/')) pattern = pattern.slice(1);
+  if (pattern.endsWith('/')) pattern += '**';
+
+  let src = '';
+  let braceDepth = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*') {
+      if (pattern[i + 1] === '*') {
+        const atStart = i === 0 || pattern[i - 1] === '/';
+        const atEnd = i + 2 === pattern.length || pattern[i + 2] === '/';
+        if (atStart && atEnd) {
+          // `**/` matches zero or more directories; trailing `/**` matches the dir itself too
+          if (i + 2 === pattern.length) {
+            src = src.endsWith('/') ? src.slice(0, -1) + '(?:/.*)?' : src + '.*';
+          } else {
+            src += '(?:.*/)?';
+            i++;
+          }
+          i++;
+          continue;
+        }
+      }
+      src += '[^/]*';
+    } else if (ch === '?') {
+      src += '[^/]';
+    } else if (ch === '[') {
+      const close = pattern.indexOf(']', i + 1);
+      if (close === -1) {
+        src += '\\[';
+      } else {
+        src += '[' + pattern.slice(i + 1, close).replace(/^!/, '^') + ']';
+        i = close;
+      }
+    } else if (ch === '{') {
+      braceDepth++;
+      src += '(?:';
+    } else if (ch === '}' && braceDepth > 0) {
+      braceDepth--;
+      src += ')';
+    } else if (ch === ',' && braceDepth > 0) {
+      src += '|';
+    } else {
+      src += ch.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+
+  const rx = new RegExp(`^${src}$`);
+  cache.set(glob, rx);
+  return rx;
+}
+
+/**
+ * Test a slash-separated relative path against one or more globs.
+ *
+ * @param {string} relPath
+ * @param {string|string[]} globs
+ * @returns {boolean}
+ */
+export function matchGlob(relPath, globs) {
+  const path = relPath.replace(/\\/g, '/');
+  const list = Array.isArray(globs) ? globs : [globs];
+  return list.some((g) => globToRegExp(g).test(path));
+}
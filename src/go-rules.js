@@ -0,0 +1,185 @@
+import { readGo, findAll, lineOf, blockAt, loopAt, enclosingFunc, isPerRequest, stringAt } from './go.js';
+
+/**
+ * Go rule pack: defers and allocations in loops, per-request regex
+ * compilation, channel hand-offs and unclosed database/sql rows. Built on
+ * the block structure from go.js; spread into RULES in rules.js.
+ */
+
+const REGEXP_COMPILE = /\bregexp\.(MustCompile|Compile|MustCompilePOSIX|CompilePOSIX|MatchString|Match)\s*\(\s*["`]/g;
+const ROWS_QUERY = /(?<![\w.])(\w+)\s*,\s*\w+\s*:?=\s*(?:[\w.]+\.)?(Query|QueryContext|Queryx|QueryxContext)\s*\(/g;
+const UNBUFFERED_CHAN = /(?<![\w.])(\w+)\s*:?=\s*make\(\s*chan\s+[\w.*[\]{}]+\s*(?:,\s*0\s*)?\)/g;
+
+// One-verb format strings and the strconv call that replaces them
+const SPRINTF_REPLACEMENT = {
+  d: 'strconv.Itoa() or strconv.FormatInt()',
+  s: 'the string itself, or its String() method',
+  v: 'strconv or the value\'s String() method',
+  t: 'strconv.FormatBool()',
+  x: 'strconv.FormatInt(n, 16) or hex.EncodeToString()',
+  q: 'strconv.Quote()',
+  f: 'strconv.FormatFloat()',
+};
+
+export const GO_RULES = [
+  {
+    id: 'go-defer-in-loop',
+    name: 'defer Inside a Loop',
+    severity: 'high',
+    languages: ['go'],
+    check(context) {
+      const source = readGo(context.content);
+      for (const { index } of findAll(source, /\bdefer\b/g)) {
+        if (loopAt(source, index)) context.report({ line: lineOf(source, index) });
+      }
+    },
+    message: 'defer inside a loop only runs when the function returns, so every iteration\'s file, lock or rows stay open until the loop ends.',
+    suggestion: 'Move the loop body into its own function so the defer runs per iteration, or close the resource explicitly at the end of each iteration.',
+  },
+  {
+    id: 'go-regexp-compile-per-call',
+    name: 'Regex Compiled Per Request',
+    severity: 'high',
+    languages: ['go'],
+    check(context) {
+      const source = readGo(context.content);
+      for (const { index, match } of findAll(source, REGEXP_COMPILE)) {
+        if (!enclosingFunc(source, index)) continue;
+        const where = loopAt(source, index) ? 'on every loop iteration' : isPerRequest(source, index) ? 'on every request' : null;
+        if (!where) continue;
+        const compiles = match[1].startsWith('Match') ? `regexp.${match[1]}() compiles its pattern` : `regexp.${match[1]}() compiles a constant pattern`;
+        context.report({ line: lineOf(source, index), message: `${compiles} ${where}. Compile it once into a package-level var.` });
+      }
+    },
+    message: 'Regex compiled inside a hot function instead of once at package level.',
+    suggestion: 'Hoist it: var emailRe = regexp.MustCompile(`...`) at package level, then call emailRe.MatchString() in the handler.',
+  },
+  {
+    id: 'go-string-concat-in-loop',
+    name: 'String Concatenation in a Loop',
+    severity: 'medium',
+    languages: ['go'],
+    check(context) {
+      const source = readGo(context.content);
+      for (const { index, match } of findAll(source, /(?<![\w.])(\w+)\s*(?:\+=|=\s*\1\s*\+)\s*/g)) {
+        if (!loopAt(source, index)) continue;
+        const rhs = source.code.slice(index + match[0].length);
+        if (!/^(?:["`]|string\(|fmt\.Sprint|strconv\.)/.test(rhs) && !isStringVar(source, match[1], index)) continue;
+        context.report({
+          line: lineOf(source, index),
+          message: `${match[1]} is rebuilt with + on every iteration, copying the whole string each time. Write the pieces to a strings.Builder instead.`,
+        });
+      }
+    },
+    message: 'String built with + in a loop copies the whole string on every iteration.',
+    suggestion: 'Use a strings.Builder (call Grow() when the final size is known) and read it once with String(), or collect parts and strings.Join() them.',
+  },
+  {
+    id: 'go-append-without-capacity',
+    name: 'append Without Preallocated Capacity',
+    severity: 'low',
+    languages: ['go'],
+    check(context) {
+      const source = readGo(context.content);
+      for (const { index, match } of findAll(source, /(?<![\w.])(\w+)\s*=\s*append\(\s*(\w+)\s*,/g)) {
+        if (match[1] !== match[2]) continue;
+        // Only unconditional appends: the loop's size is then the slice's size
+        const loop = blockAt(source, index);
+        if (loop?.kind !== 'for' || !(loop.iter || loop.header.includes(';'))) continue;
+        const fn = enclosingFunc(source, index);
+        if (!fn || !declaredEmpty(source.code.slice(fn.start, loop.headerStart), match[1])) continue;
+        const size = loop.iter && /^[\w.]+$/.test(loop.iter) ? `len(${loop.iter})` : 'the loop count';
+        context.report({
+          line: lineOf(source, index),
+          message: `${match[1]} grows one append at a time, reallocating and copying as it goes. Preallocate with make([]T, 0, ${size}).`,
+        });
+      }
+    },
+    message: 'Slice appended to in a loop without preallocated capacity is reallocated as it grows.',
+    suggestion: 'Create it with make([]T, 0, n) when the final length is known, or make([]T, n) and assign by index.',
+  },
+  {
+    id: 'go-sprintf-conversion',
+    name: 'fmt.Sprintf for a Simple Conversion',
+    severity: 'low',
+    languages: ['go'],
+    check(context) {
+      const source = readGo(context.content);
+      for (const { index, match } of findAll(source, /\bfmt\.Sprintf\s*\(\s*(["`])/g)) {
+        const format = stringAt(source, index + match[0].length - 1);
+        const verb = /^%([dstvxqf])$/.exec(format ?? '');
+        if (!verb || !(loopAt(source, index) || isPerRequest(source, index))) continue;
+        context.report({
+          line: lineOf(source, index),
+          message: `fmt.Sprintf("%${verb[1]}", ...) on a hot path parses the format and boxes the argument on every call. Use ${SPRINTF_REPLACEMENT[verb[1]]}.`,
+        });
+      }
+    },
+    message: 'fmt.Sprintf used for a single-value conversion on a hot path.',
+    suggestion: 'Use strconv (Itoa, FormatInt, FormatBool, Quote) for single values; they avoid reflection and interface allocation.',
+  },
+  {
+    id: 'go-channel-ping-pong',
+    name: 'Unbuffered Channel Round Trip in a Loop',
+    severity: 'medium',
+    languages: ['go'],
+    check(context) {
+      const source = readGo(context.content);
+      const unbuffered = new Set(findAll(source, UNBUFFERED_CHAN).map(({ match }) => match[1]));
+      if (!unbuffered.size) return;
+      const sends = findAll(source, /(?<![\w.<])(\w+)\s*<-/g).filter(({ match }) => unbuffered.has(match[1]));
+      const receives = findAll(source, /<-\s*(\w+)\b(?!\s*\()/g).filter(({ match }) => unbuffered.has(match[1]));
+      const reported = new Set();
+      for (const send of sends) {
+        const loop = loopAt(source, send.index);
+        if (!loop || reported.has(loop)) continue;
+        const reply = receives.find((r) => loopAt(source, r.index) === loop && r.index !== send.index);
+        if (!reply) continue;
+        reported.add(loop);
+        context.report({
+          line: lineOf(source, send.index),
+          message: `Each iteration sends on unbuffered channel ${send.match[1]} and waits on ${reply.match[1]}, so the loop pays two goroutine hand-offs per item and never runs ahead.`,
+        });
+      }
+    },
+    message: 'Loop sends on an unbuffered channel and waits for the reply every iteration.',
+    suggestion: 'Send batches instead of single items, give the channels a buffer so the producer can run ahead, or do the work inline if the goroutine only serialises it.',
+  },
+  {
+    id: 'go-rows-not-closed',
+    name: 'database/sql Rows Not Closed',
+    severity: 'high',
+    languages: ['go'],
+    check(context) {
+      const source = readGo(context.content);
+      for (const { index, match } of findAll(source, ROWS_QUERY)) {
+        const fn = enclosingFunc(source, index);
+        if (!fn) continue;
+        const rest = source.code.slice(index + match[0].length, fn.end);
+        const rows = match[1];
+        if (new RegExp(`\\b${rows}\\.Close\\s*\\(|\\breturn\\s+${rows}\\b|[(,]\\s*${rows}\\s*[,)]`).test(rest)) continue;
+        context.report({
+          line: lineOf(source, index),
+          message: `${rows} from ${match[2]}() is never closed, so its connection stays checked out of the pool until the garbage collector finds it. Add defer ${rows}.Close() after the error check.`,
+        });
+      }
+    },
+    message: 'database/sql rows are never closed, leaking a pooled connection per call.',
+    suggestion: 'Call defer rows.Close() right after checking the Query error, and check rows.Err() after the loop.',
+  },
+];
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+// Declared as a string in the enclosing function (or the file) before the offset
+function isStringVar(source, name, index) {
+  const fn = enclosingFunc(source, index);
+  const before = source.code.slice(fn ? fn.headerStart : 0, index);
+  return new RegExp(`\\bvar\\s+${name}\\s+string\\b|(?<![\\w.])${name}\\s*:?=\\s*(?:["\`]|string\\(|fmt\\.Sprint|strconv\\.)|[(,]\\s*${name}\\s+string\\b`).test(before);
+}
+
+// var xs []T, xs := []T{} or xs := make([]T, 0): a slice with no capacity
+function declaredEmpty(code, name) {
+  const type = '\\[\\][\\w.*[\\]]+';
+  return new RegExp(`\\bvar\\s+${name}\\s+${type}\\s*(?:\\n|;)|(?<![\\w.])${name}\\s*:?=\\s*(?:${type}\\{\\s*\\}|make\\(\\s*${type}\\s*,\\s*0\\s*\\))`).test(code);
+}
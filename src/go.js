@@ -0,0 +1,270 @@
+/**
+ * A light structural reading of Go source for the Go rule pack: strings and
+ * comments masked out, and the brace blocks (func, for, if, switch...) each
+ * position sits in. Enough to ask "is this inside a loop?" or "does this run
+ * per request?" without a full parser.
+ */
+
+/**
+ * @typedef {Object} GoBlock
+ * @property {'func'|'for'|'if'|'else'|'switch'|'select'|'other'} kind
+ * @property {number} start - offset of the opening brace
+ * @property {number} end - offset of the closing brace
+ * @property {string} header - masked text before the brace, trimmed
+ * @property {number} headerStart - offset where the header begins
+ * @property {GoBlock|null} parent
+ * @property {string|null} [name] - func name; null for func literals
+ * @property {string|null} [target] - range loop variables, e.g. "i, v"
+ * @property {string|null} [iter] - range loop operand
+ *
+ * @typedef {Object} GoSource
+ * @property {string} content
+ * @property {string} code - content with string contents and comments blanked; same length
+ * @property {GoBlock[]} blocks - in source order
+ */
+
+const HANDLER_PARAMS = /http\.ResponseWriter|\*http\.Request\b|\*gin\.Context|echo\.Context|\*fiber\.Ctx|\*fasthttp\.RequestCtx/;
+
+/**
+ * Read Go source into masked code and blocks. The last result is memoised,
+ * since every Go rule reads the same file.
+ *
+ * @param {string} content
+ * @returns {GoSource}
+ */
+export function readGo(content) {
+  if (memo.content === content) return memo.source;
+
+  const code = maskGo(content);
+  const blocks = [];
+  const stack = [];
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === '{') {
+      const headerStart = headerStartOf(code, i);
+      const block = { ...classify(code.slice(headerStart, i).trim()), start: i, end: code.length - 1, headerStart, parent: stack[stack.length - 1] ?? null };
+      blocks.push(block);
+      stack.push(block);
+    } else if (code[i] === '}' && stack.length) {
+      stack.pop().end = i;
+    }
+  }
+
+  const source = { content, code, blocks };
+  memo.content = content;
+  memo.source = source;
+  return source;
+}
+
+/**
+ * Every match of a regex (which must have the g flag) in the masked code.
+ *
+ * @param {GoSource} source
+ * @param {RegExp} regex
+ * @returns {{ index: number, match: RegExpExecArray }[]}
+ */
+export function findAll(source, regex) {
+  return [...source.code.matchAll(regex)].map((match) => ({ index: match.index, match }));
+}
+
+/**
+ * 1-based line number of an offset.
+ *
+ * @param {GoSource} source
+ * @param {number} index
+ * @returns {number}
+ */
+export function lineOf(source, index) {
+  let n = 1;
+  for (let i = 0; i < index; i++) {
+    if (source.code[i] === '\n') n++;
+  }
+  return n;
+}
+
+/**
+ * Innermost block containing an offset, or null at package level.
+ *
+ * @param {GoSource} source
+ * @param {number} index
+ * @returns {GoBlock|null}
+ */
+export function blockAt(source, index) {
+  let found = null;
+  for (const block of source.blocks) {
+    if (block.start > index) break;
+    if (block.end >= index) found = block;
+  }
+  return found;
+}
+
+/**
+ * Innermost for loop whose body contains the offset. Stops at func
+ * boundaries: a closure defined in a loop runs when it's called, and a
+ * goroutine's body isn't part of the loop's iteration cost.
+ *
+ * @param {GoSource} source
+ * @param {number} index
+ * @returns {GoBlock|null}
+ */
+export function loopAt(source, index) {
+  for (let block = blockAt(source, index); block; block = block.parent) {
+    if (block.kind === 'func') return null;
+    if (block.kind === 'for') return block;
+  }
+  return null;
+}
+
+/**
+ * Innermost func (declaration or literal) containing the offset.
+ *
+ * @param {GoSource} source
+ * @param {number} index
+ * @returns {GoBlock|null}
+ */
+export function enclosingFunc(source, index) {
+  for (let block = blockAt(source, index); block; block = block.parent) {
+    if (block.kind === 'func') return block;
+  }
+  return null;
+}
+
+/**
+ * Whether code at the offset runs once per HTTP request: inside a handler
+ * (net/http, gin, echo, fiber, fasthttp signatures), or inside a function
+ * the file's handlers call, directly or transitively.
+ *
+ * @param {GoSource} source
+ * @param {number} index
+ * @returns {boolean}
+ */
+export function isPerRequest(source, index) {
+  const hot = perRequestFuncs(source);
+  for (let block = blockAt(source, index); block; block = block.parent) {
+    if (hot.has(block)) return true;
+  }
+  return false;
+}
+
+/**
+ * Raw source of the string literal starting at an offset, or null.
+ *
+ * @param {GoSource} source
+ * @param {number} index - offset of the opening quote
+ * @returns {string|null} contents without quotes; escapes left as written
+ */
+export function stringAt(source, index) {
+  const quote = source.content[index];
+  if (quote !== '"' && quote !== '`') return null;
+  const close = source.code.indexOf(quote, index + 1);
+  return close === -1 ? null : source.content.slice(index + 1, close);
+}
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+const memo = { content: null, source: null };
+
+// Blank string, rune and comment contents, keeping quotes, newlines and offsets
+function maskGo(content) {
+  let out = '';
+  let i = 0;
+  while (i < content.length) {
+    const ch = content[i];
+    if (content.startsWith('//', i)) {
+      while (i < content.length && content[i] !== '\n') {
+        out += ' ';
+        i++;
+      }
+    } else if (content.startsWith('/*', i)) {
+      const end = content.indexOf('*/', i + 2);
+      const stop = end === -1 ? content.length : end + 2;
+      out += content.slice(i, stop).replace(/[^\n]/g, ' ');
+      i = stop;
+    } else if (ch === '`') {
+      const end = content.indexOf('`', i + 1);
+      const stop = end === -1 ? content.length : end;
+      out += '`' + content.slice(i + 1, stop).replace(/[^\n]/g, ' ') + (end === -1 ? '' : '`');
+      i = stop + 1;
+    } else if (ch === '"' || ch === "'") {
+      out += ch;
+      i++;
+      while (i < content.length && content[i] !== ch && content[i] !== '\n') {
+        if (content[i] === '\\' && i + 1 < content.length && content[i + 1] !== '\n') {
+          out += '  ';
+          i += 2;
+        } else {
+          out += ' ';
+          i++;
+        }
+      }
+      if (content[i] === ch) {
+        out += ch;
+        i++;
+      }
+    } else {
+      out += ch;
+      i++;
+    }
+  }
+  return out;
+}
+
+// Start of the statement a brace belongs to: back to the previous line break,
+// brace or unclosed paren, skipping over parenthesised parameter lists
+function headerStartOf(code, brace) {
+  let depth = 0;
+  let i = brace - 1;
+  for (; i >= 0; i--) {
+    const ch = code[i];
+    if (ch === ')' || ch === ']') depth++;
+    else if (ch === '(' || ch === '[') {
+      if (depth === 0) break;
+      depth--;
+    } else if (depth === 0 && (ch === '\n' || ch === '{' || ch === '}' || ch === ';' && !/^\s*(?:\}\s*else\s+)?(?:for|if|switch)\b/.test(lineBefore(code, i)))) {
+      break;
+    }
+  }
+  return i + 1;
+}
+
+function lineBefore(code, i) {
+  return code.slice(code.lastIndexOf('\n', i) + 1, i);
+}
+
+function classify(header) {
+  if (/^for\b/.test(header)) {
+    const range = /^for\s+(?:(.+?)\s*:?=\s*)?range\s+([\s\S]+)$/.exec(header);
+    return { kind: 'for', header, target: range?.[1] ?? null, iter: range?.[2].trim() ?? null };
+  }
+  if (/^(?:else\s+)?if\b/.test(header)) return { kind: 'if', header };
+  if (header === 'else') return { kind: 'else', header };
+  if (/^switch\b/.test(header)) return { kind: 'switch', header };
+  if (/^select$/.test(header)) return { kind: 'select', header };
+  const decl = /^func\s*(?:\([^)]*\)\s*)?(\w+)\s*(?:\[[^\]]*\]\s*)?\(/.exec(header);
+  if (decl) return { kind: 'func', header, name: decl[1] };
+  if (/\bfunc\s*\(/.test(header)) return { kind: 'func', header, name: null };
+  return { kind: 'other', header };
+}
+
+// Handler funcs, plus the top-level funcs they reach through same-file calls
+function perRequestFuncs(source) {
+  if (source.hot) return source.hot;
+  const topLevel = new Map();
+  for (const block of source.blocks) {
+    if (block.kind === 'func' && block.name && !block.parent) topLevel.set(block.name, block);
+  }
+  const hot = new Set(source.blocks.filter((b) => b.kind === 'func' && HANDLER_PARAMS.test(b.header)));
+  const queue = [...hot];
+  while (queue.length) {
+    const fn = queue.pop();
+    const body = source.code.slice(fn.start, fn.end);
+    for (const m of body.matchAll(/\b(\w+)\s*\(/g)) {
+      const callee = topLevel.get(m[1]);
+      if (callee && !hot.has(callee)) {
+        hot.add(callee);
+        queue.push(callee);
+      }
+    }
+  }
+  source.hot = hot;
+  return hot;
+}
@@ -0,0 +1,165 @@
+import { readFileSync, appendFileSync, mkdirSync } from 'fs';
+import { join, dirname, relative, sep } from 'path';
+import { CACHE_DIR } from './cache.js';
+
+/**
+ * Scan history: `scan --record` appends one snapshot of finding counts per
+ * run to .perf-x-ray/history.jsonl, and `history` turns the recent ones into
+ * per-rule and per-directory trends.
+ *
+ * @typedef {Object} Snapshot
+ * @property {number} version
+ * @property {string} timestamp - ISO 8601
+ * @property {string} root - scan root relative to the config directory, "." for the project
+ * @property {string|null} commit
+ * @property {string|null} branch
+ * @property {boolean} dirty - uncommitted changes to tracked files
+ * @property {number} files - files scanned
+ * @property {number} total
+ * @property {Record<string, number>} bySeverity
+ * @property {Record<string, number>} byRule
+ * @property {Record<string, number>} byDirectory - first two path segments under the root
+ *
+ * @typedef {Object} Series
+ * @property {string} key - rule id, directory or severity
+ * @property {number[]} values - one count per snapshot, oldest first
+ * @property {number} from
+ * @property {number} to
+ * @property {number} delta
+ *
+ * @typedef {Object} Trends
+ * @property {Snapshot[]} snapshots - the window, oldest first
+ * @property {Series} total
+ * @property {Series[]} severity
+ * @property {Series[]} rules - largest change first
+ * @property {Series[]} directories - largest change first
+ */
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+/**
+ * Where a project's history is kept.
+ *
+ * @param {import('./config.js').Config} config
+ * @returns {string}
+ */
+export function historyPath(config) {
+  return join(config.dir, CACHE_DIR, 'history.jsonl');
+}
+
+/**
+ * Summarise a scan as a snapshot.
+ *
+ * @param {import('./checker.js').Finding[]} findings
+ * @param {{ root: string, configDir: string, files: number, git?: { commit: string, branch: string|null, dirty: boolean }|null, now?: Date }} opts
+ * @returns {Snapshot}
+ */
+export function createSnapshot(findings, opts) {
+  const bySeverity = Object.fromEntries(SEVERITY_ORDER.map((s) => [s, 0]));
+  const byRule = {};
+  const byDirectory = {};
+  for (const f of findings) {
+    bySeverity[f.severity] = (bySeverity[f.severity] ?? 0) + 1;
+    byRule[f.ruleId] = (byRule[f.ruleId] ?? 0) + 1;
+    const dir = directoryKey(opts.root, f.file);
+    byDirectory[dir] = (byDirectory[dir] ?? 0) + 1;
+  }
+  return {
+    version: 1,
+    timestamp: (opts.now ?? new Date()).toISOString(),
+    root: slash(relative(opts.configDir, opts.root)) || '.',
+    commit: opts.git?.commit ?? null,
+    branch: opts.git?.branch ?? null,
+    dirty: opts.git?.dirty ?? false,
+    files: opts.files,
+    total: findings.length,
+    bySeverity,
+    byRule: sortKeys(byRule),
+    byDirectory: sortKeys(byDirectory),
+  };
+}
+
+/**
+ * Append a snapshot to the history file, creating it if needed.
+ *
+ * @param {string} path
+ * @param {Snapshot} snapshot
+ */
+export function recordSnapshot(path, snapshot) {
+  mkdirSync(dirname(path), { recursive: true });
+  appendFileSync(path, JSON.stringify(snapshot) + '\n', 'utf8');
+}
+
+/**
+ * Read every snapshot, oldest first. A missing file is an empty history; a
+ * line that isn't valid JSON (an interrupted write) is skipped.
+ *
+ * @param {string} path
+ * @returns {Snapshot[]}
+ */
+export function loadHistory(path) {
+  let text;
+  try {
+    text = readFileSync(path, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw new Error(`Cannot read history ${path}: ${err.message}`);
+  }
+  const snapshots = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const snap = JSON.parse(line);
+      if (snap && typeof snap.total === 'number' && snap.byRule) snapshots.push(snap);
+    } catch {
+      // Partial line from an interrupted run
+    }
+  }
+  return snapshots;
+}
+
+/**
+ * Trends over the last `last` snapshots: series for the total, each severity,
+ * each rule and each directory, with the change from the first snapshot in
+ * the window to the latest.
+ *
+ * @param {Snapshot[]} snapshots - oldest first
+ * @param {{ last?: number }} [opts]
+ * @returns {Trends}
+ */
+export function historyTrends(snapshots, opts = {}) {
+  const window = snapshots.slice(-(opts.last ?? 10));
+  const seriesOf = (key, pick) => {
+    const values = window.map((s) => pick(s) ?? 0);
+    const from = values[0] ?? 0;
+    const to = values[values.length - 1] ?? 0;
+    return { key, values, from, to, delta: to - from };
+  };
+  const keysOf = (field) => [...new Set(window.flatMap((s) => Object.keys(s[field] ?? {})))];
+  const byChange = (a, b) => Math.abs(b.delta) - Math.abs(a.delta) || b.to - a.to || a.key.localeCompare(b.key);
+
+  return {
+    snapshots: window,
+    total: seriesOf('total', (s) => s.total),
+    severity: SEVERITY_ORDER.map((sev) => seriesOf(sev, (s) => s.bySeverity?.[sev])),
+    rules: keysOf('byRule').map((id) => seriesOf(id, (s) => s.byRule[id])).sort(byChange),
+    directories: keysOf('byDirectory').map((dir) => seriesOf(dir, (s) => s.byDirectory[dir])).sort(byChange),
+  };
+}
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+// First two segments of the file's directory under the root: src/api, lib, .
+function directoryKey(root, file) {
+  const dir = slash(relative(root, dirname(file)));
+  if (!dir || dir.startsWith('..')) return '.';
+  return dir.split('/').slice(0, 2).join('/');
+}
+
+function slash(p) {
+  return p.split(sep).join('/');
+}
+
+function sortKeys(obj) {
+  return Object.fromEntries(Object.entries(obj).sort(([a], [b]) => a.localeCompare(b)));
+}
@@ -0,0 +1,410 @@
+import { readFileSync } from 'fs';
+import { relative, dirname, sep } from 'path';
+
+// Source lines shown above and below a finding in the drill-down
+const CONTEXT_LINES = 4;
+
+/**
+ * Build a self-contained HTML report: no external scripts, styles or fonts,
+ * so it can be mailed around or archived as a CI artifact and still open
+ * offline.
+ *
+ * @param {import('./checker.js').Finding[]} findings
+ * @param {{ root?: string, version?: string, readFile?: (path: string) => string }} opts
+ *   root: paths are shown relative to it (default: cwd);
+ *   readFile: supplies source for the context excerpts (default: fs)
+ * @returns {string}
+ */
+export function buildHtmlReport(findings, opts = {}) {
+  const root = opts.root ?? process.cwd();
+  const readFile = opts.readFile ?? ((p) => readFileSync(p, 'utf8'));
+  const sources = new Map();
+
+  const rows = findings.map((f, i) => {
+    if (!sources.has(f.file)) sources.set(f.file, readLines(readFile, f.file));
+    const file = displayPath(root, f.file);
+    return {
+      id: i,
+      severity: f.severity,
+      ruleId: f.ruleId,
+      ruleName: f.ruleName,
+      file,
+      dir: dirname(file),
+      package: f.package ?? '',
+      line: f.line,
+      message: f.message,
+      suggestion: f.suggestion,
+      context: excerpt(sources.get(f.file), f.line, f.snippet),
+    };
+  });
+
+  const data = {
+    root,
+    version: opts.version ?? '',
+    generated: new Date().toISOString(),
+    findings: rows,
+  };
+
+  // Keep "</script>" and friends inside strings from closing the data block
+  const json = JSON.stringify(data).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>perf-x-ray report</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>perf-x-ray report</h1>
+  <p class="meta" id="meta"></p>
+  <div class="cards" id="cards"></div>
+</header>
+<main>
+  <section class="filters">
+    <label>Severity <select id="f-severity"><option value="">All</option></select></label>
+    <label>Rule <select id="f-rule"><option value="">All</option></select></label>
+    <label>Directory <select id="f-dir"><option value="">All</option></select></label>
+    <label id="f-package-label" hidden>Package <select id="f-package"><option value="">All</option></select></label>
+    <label>Search <input id="f-text" type="search" placeholder="file, message..."></label>
+    <span class="count" id="f-count"></span>
+  </section>
+  <nav class="tabs">
+    <button data-tab="findings" class="active">Findings</button>
+    <button data-tab="files">Files</button>
+    <button data-tab="rules">Rules</button>
+    <button data-tab="packages" hidden>Packages</button>
+  </nav>
+  <section id="tab-findings" class="tab">
+    <table id="t-findings"><thead><tr>
+      <th data-key="severity">Severity</th><th data-key="ruleId">Rule</th><th data-key="file">File</th><th data-key="line" class="num">Line</th><th data-key="message">Message</th>
+    </tr></thead><tbody></tbody></table>
+  </section>
+  <section id="tab-files" class="tab" hidden>
+    <table id="t-files"><thead><tr>
+      <th data-key="file">File</th><th data-key="total" class="num">Findings</th><th data-key="critical" class="num">Critical</th><th data-key="high" class="num">High</th><th data-key="medium" class="num">Medium</th><th data-key="low" class="num">Low</th>
+    </tr></thead><tbody></tbody></table>
+  </section>
+  <section id="tab-rules" class="tab" hidden>
+    <table id="t-rules"><thead><tr>
+      <th data-key="severity">Severity</th><th data-key="ruleId">Rule</th><th data-key="ruleName">Name</th><th data-key="total" class="num">Findings</th><th data-key="files" class="num">Files</th>
+    </tr></thead><tbody></tbody></table>
+  </section>
+  <section id="tab-packages" class="tab" hidden>
+    <table id="t-packages"><thead><tr>
+      <th data-key="package">Package</th><th data-key="total" class="num">Findings</th><th data-key="critical" class="num">Critical</th><th data-key="high" class="num">High</th><th data-key="medium" class="num">Medium</th><th data-key="low" class="num">Low</th><th data-key="topFile">Top file</th>
+    </tr></thead><tbody></tbody></table>
+  </section>
+  <section id="detail" hidden>
+    <div class="detail-head"><h2 id="detail-title"></h2><button id="detail-close">Close</button></div>
+    <div id="detail-body"></div>
+  </section>
+</main>
+<script type="application/json" id="report-data">${json}</script>
+<script>${CLIENT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+function displayPath(root, file) {
+  const rel = relative(root, file);
+  const shown = !rel || rel.startsWith('..') ? file : rel;
+  return shown.split(sep).join('/');
+}
+
+function readLines(readFile, file) {
+  try {
+    const lines = readFile(file).split('\n');
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  } catch {
+    return null;
+  }
+}
+
+// Falls back to the stored snippet when the file can't be read anymore
+function excerpt(lines, line, snippet) {
+  if (!lines) return { start: line, lines: [snippet ?? ''] };
+  const start = Math.max(1, line - CONTEXT_LINES);
+  const end = Math.min(lines.length, line + CONTEXT_LINES);
+  return { start, lines: lines.slice(start - 1, end).map((l) => (l.length > 240 ? l.slice(0, 237) + '...' : l)) };
+}
+
+const STYLES = `
+:root { --bg: #f8fafc; --fg: #0f172a; --muted: #64748b; --line: #e2e8f0; --accent: #3b82f6;
+  --critical: #b91c1c; --high: #ea580c; --medium: #ca8a04; --low: #64748b; }
+* { box-sizing: border-box; }
+body { margin: 0; font: 14px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; background: var(--bg); color: var(--fg); }
+header { padding: 24px 32px 8px; }
+h1 { margin: 0; font-size: 22px; }
+h1::before { content: ""; display: inline-block; width: 10px; height: 10px; margin-right: 10px; border-radius: 50%; background: var(--accent); }
+.meta { color: var(--muted); margin: 4px 0 16px; }
+.cards { display: flex; gap: 12px; flex-wrap: wrap; }
+.card { background: #fff; border: 1px solid var(--line); border-left: 4px solid var(--muted); border-radius: 6px; padding: 10px 16px; min-width: 120px; cursor: pointer; }
+.card b { display: block; font-size: 22px; }
+.card.critical { border-left-color: var(--critical); } .card.high { border-left-color: var(--high); }
+.card.medium { border-left-color: var(--medium); } .card.low { border-left-color: var(--low); }
+main { padding: 8px 32px 32px; }
+.filters { display: flex; gap: 16px; flex-wrap: wrap; align-items: center; margin: 16px 0; }
+.filters label { color: var(--muted); }
+.filters select, .filters input { margin-left: 6px; padding: 4px 6px; border: 1px solid var(--line); border-radius: 4px; font: inherit; }
+.count { color: var(--muted); margin-left: auto; }
+.tabs { display: flex; gap: 4px; border-bottom: 1px solid var(--line); }
+.tabs button { border: 0; background: none; padding: 8px 14px; font: inherit; cursor: pointer; color: var(--muted); border-bottom: 2px solid transparent; }
+.tabs button.active { color: var(--fg); border-bottom-color: var(--accent); }
+table { width: 100%; border-collapse: collapse; background: #fff; }
+th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid var(--line); vertical-align: top; }
+th { position: sticky; top: 0; background: #f1f5f9; cursor: pointer; user-select: none; white-space: nowrap; }
+th.asc::after { content: " \\25B2"; } th.desc::after { content: " \\25BC"; }
+.num { text-align: right; }
+tbody tr { cursor: pointer; } tbody tr:hover { background: #eff6ff; }
+.file { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 13px; word-break: break-all; }
+.sev { display: inline-block; padding: 0 8px; border-radius: 10px; color: #fff; font-size: 12px; font-weight: 600; }
+.sev.critical { background: var(--critical); } .sev.high { background: var(--high); }
+.sev.medium { background: var(--medium); } .sev.low { background: var(--low); }
+#detail { margin-top: 24px; }
+.detail-head { display: flex; align-items: center; justify-content: space-between; }
+.detail-head h2 { font-size: 16px; margin: 0; }
+.finding { background: #fff; border: 1px solid var(--line); border-radius: 6px; margin: 12px 0; }
+.finding.focus { outline: 2px solid var(--accent); }
+.finding-head { padding: 8px 12px; border-bottom: 1px solid var(--line); }
+.finding p { margin: 6px 12px; }
+.finding .fix { color: #166534; }
+pre { margin: 0; padding: 8px 0; overflow-x: auto; background: #0f172a; color: #e2e8f0; font: 12px/1.6 ui-monospace, SFMono-Regular, Menlo, monospace; }
+pre span { display: block; padding: 0 12px; white-space: pre; }
+pre span i { display: inline-block; width: 4em; color: #64748b; font-style: normal; text-align: right; margin-right: 12px; }
+pre span.hit { background: #7f1d1d; }
+.empty { color: var(--muted); padding: 24px 0; }
+`;
+
+// Plain ES5-ish DOM code: it runs wherever the report is opened. All report
+// data goes through textContent, never innerHTML.
+const CLIENT_SCRIPT = `
+(function () {
+  var data = JSON.parse(document.getElementById('report-data').textContent);
+  var ORDER = ['critical', 'high', 'medium', 'low'];
+  var RANK = { critical: 0, high: 1, medium: 2, low: 3 };
+  var state = { severity: '', rule: '', dir: '', pkg: '', text: '', tab: 'findings', sort: {} };
+
+  function el(tag, cls, text) {
+    var node = document.createElement(tag);
+    if (cls) node.className = cls;
+    if (text !== undefined) node.textContent = String(text);
+    return node;
+  }
+  function sevBadge(sev) { return el('span', 'sev ' + sev, sev); }
+  function unique(values) { return values.filter(function (v, i) { return values.indexOf(v) === i; }).sort(); }
+  function fill(select, values) {
+    values.forEach(function (v) { var o = el('option', '', v); o.value = v; select.appendChild(o); });
+  }
+  function inDir(file, dir) { return !dir || file === dir || file.indexOf(dir + '/') === 0; }
+
+  var counts = { critical: 0, high: 0, medium: 0, low: 0 };
+  data.findings.forEach(function (f) { counts[f.severity] = (counts[f.severity] || 0) + 1; });
+
+  document.getElementById('meta').textContent = data.findings.length + ' findings in ' + data.root +
+    ' \\u00b7 generated ' + new Date(data.generated).toLocaleString() + (data.version ? ' \\u00b7 perf-x-ray ' + data.version : '');
+  var cards = document.getElementById('cards');
+  ORDER.forEach(function (sev) {
+    var card = el('div', 'card ' + sev);
+    card.appendChild(el('b', '', counts[sev]));
+    card.appendChild(document.createTextNode(sev));
+    card.onclick = function () { sevSelect.value = state.severity === sev ? '' : sev; sevSelect.onchange(); };
+    cards.appendChild(card);
+  });
+
+  var sevSelect = document.getElementById('f-severity');
+  var ruleSelect = document.getElementById('f-rule');
+  var dirSelect = document.getElementById('f-dir');
+  var textInput = document.getElementById('f-text');
+  fill(sevSelect, ORDER);
+  fill(ruleSelect, unique(data.findings.map(function (f) { return f.ruleId; })));
+  // Every ancestor directory, so a filter on "src" covers "src/api" too
+  var dirs = [];
+  data.findings.forEach(function (f) {
+    var parts = f.dir.split('/');
+    for (var i = 1; i <= parts.length; i++) {
+      var d = parts.slice(0, i).join('/');
+      if (d && d !== '.') dirs.push(d);
+    }
+  });
+  fill(dirSelect, unique(dirs));
+  // Package filter and tab only for monorepos; "(no package)" covers files outside every package
+  var pkgSelect = document.getElementById('f-package');
+  var packages = unique(data.findings.map(function (f) { return f.package; }).filter(Boolean));
+  if (packages.length) {
+    document.getElementById('f-package-label').hidden = false;
+    document.querySelector('.tabs button[data-tab="packages"]').hidden = false;
+    fill(pkgSelect, packages);
+  }
+
+  sevSelect.onchange = function () { state.severity = sevSelect.value; render(); };
+  ruleSelect.onchange = function () { state.rule = ruleSelect.value; render(); };
+  dirSelect.onchange = function () { state.dir = dirSelect.value; render(); };
+  pkgSelect.onchange = function () { state.pkg = pkgSelect.value; render(); };
+  textInput.oninput = function () { state.text = textInput.value.toLowerCase(); render(); };
+
+  function visible() {
+    return data.findings.filter(function (f) {
+      if (state.severity && f.severity !== state.severity) return false;
+      if (state.rule && f.ruleId !== state.rule) return false;
+      if (!inDir(f.file, state.dir)) return false;
+      if (state.pkg && f.package !== state.pkg) return false;
+      if (state.text && (f.file + ' ' + f.message + ' ' + f.ruleId).toLowerCase().indexOf(state.text) < 0) return false;
+      return true;
+    });
+  }
+
+  function compare(key) {
+    return function (a, b) {
+      var x = a[key], y = b[key];
+      if (key === 'severity') { x = RANK[x]; y = RANK[y]; }
+      if (typeof x === 'number' && typeof y === 'number') return x - y;
+      return String(x).localeCompare(String(y));
+    };
+  }
+  function sorted(table, rows, fallback) {
+    var s = state.sort[table] || fallback;
+    var out = rows.slice().sort(compare(s.key));
+    if (s.dir === 'desc') out.reverse();
+    return out;
+  }
+
+  var DEFAULT_SORT = {
+    findings: { key: 'severity', dir: 'asc' },
+    files: { key: 'total', dir: 'desc' },
+    rules: { key: 'total', dir: 'desc' },
+    packages: { key: 'total', dir: 'desc' },
+  };
+
+  function renderTable(name, rows, cells, onClick) {
+    var table = document.getElementById('t-' + name);
+    var s = state.sort[name] || DEFAULT_SORT[name];
+    Array.prototype.forEach.call(table.querySelectorAll('th'), function (th) {
+      th.className = (th.classList.contains('num') ? 'num ' : '') + (th.dataset.key === s.key ? s.dir : '');
+      th.onclick = function () {
+        var dir = s.key === th.dataset.key && s.dir === 'asc' ? 'desc' : 'asc';
+        state.sort[name] = { key: th.dataset.key, dir: dir };
+        render();
+      };
+    });
+    var body = table.querySelector('tbody');
+    body.textContent = '';
+    sorted(name, rows, DEFAULT_SORT[name]).forEach(function (row) {
+      var tr = el('tr');
+      cells(row).forEach(function (cell) { tr.appendChild(cell); });
+      tr.onclick = function () { onClick(row); };
+      body.appendChild(tr);
+    });
+    if (!rows.length) {
+      var td = el('td', 'empty', 'No findings match the filters.');
+      td.colSpan = table.querySelectorAll('th').length;
+      var tr = el('tr'); tr.appendChild(td); body.appendChild(tr);
+    }
+  }
+
+  function td(content, cls) {
+    var cell = el('td', cls);
+    if (content instanceof Node) cell.appendChild(content); else cell.textContent = String(content);
+    return cell;
+  }
+
+  function render() {
+    var rows = visible();
+    document.getElementById('f-count').textContent = rows.length + ' of ' + data.findings.length + ' findings';
+
+    renderTable('findings', rows, function (f) {
+      return [td(sevBadge(f.severity)), td(f.ruleId, 'file'), td(f.file, 'file'), td(f.line, 'num'), td(f.message)];
+    }, function (f) { showFile(f.file, f.id); });
+
+    var files = {};
+    rows.forEach(function (f) {
+      var entry = files[f.file] || (files[f.file] = { file: f.file, total: 0, critical: 0, high: 0, medium: 0, low: 0 });
+      entry.total++; entry[f.severity]++;
+    });
+    renderTable('files', Object.keys(files).map(function (k) { return files[k]; }), function (r) {
+      return [td(r.file, 'file'), td(r.total, 'num'), td(r.critical, 'num'), td(r.high, 'num'), td(r.medium, 'num'), td(r.low, 'num')];
+    }, function (r) { showFile(r.file); });
+
+    var rules = {};
+    rows.forEach(function (f) {
+      var entry = rules[f.ruleId] || (rules[f.ruleId] = { ruleId: f.ruleId, ruleName: f.ruleName, severity: f.severity, total: 0, fileSet: {} });
+      entry.total++; entry.fileSet[f.file] = true;
+    });
+    renderTable('rules', Object.keys(rules).map(function (k) {
+      var r = rules[k]; r.files = Object.keys(r.fileSet).length; return r;
+    }), function (r) {
+      return [td(sevBadge(r.severity)), td(r.ruleId, 'file'), td(r.ruleName), td(r.total, 'num'), td(r.files, 'num')];
+    }, function (r) { ruleSelect.value = r.ruleId; ruleSelect.onchange(); showTab('findings'); });
+
+    if (!packages.length) return;
+    var pkgs = {};
+    rows.forEach(function (f) {
+      var name = f.package || '(no package)';
+      var entry = pkgs[name] || (pkgs[name] = { package: name, total: 0, critical: 0, high: 0, medium: 0, low: 0, fileCounts: {} });
+      entry.total++; entry[f.severity]++;
+      entry.fileCounts[f.file] = (entry.fileCounts[f.file] || 0) + 1;
+    });
+    renderTable('packages', Object.keys(pkgs).map(function (k) {
+      var r = pkgs[k];
+      r.topFile = Object.keys(r.fileCounts).sort(function (a, b) { return r.fileCounts[b] - r.fileCounts[a]; })[0];
+      return r;
+    }), function (r) {
+      return [td(r.package, 'file'), td(r.total, 'num'), td(r.critical, 'num'), td(r.high, 'num'), td(r.medium, 'num'), td(r.low, 'num'), td(r.topFile + ' (' + r.fileCounts[r.topFile] + ')', 'file')];
+    }, function (r) {
+      if (r.package === '(no package)') return;
+      pkgSelect.value = r.package; pkgSelect.onchange(); showTab('findings');
+    });
+  }
+
+  function showTab(tab) {
+    state.tab = tab;
+    Array.prototype.forEach.call(document.querySelectorAll('.tabs button'), function (b) {
+      b.classList.toggle('active', b.dataset.tab === tab);
+      document.getElementById('tab-' + b.dataset.tab).hidden = b.dataset.tab !== tab;
+    });
+  }
+  Array.prototype.forEach.call(document.querySelectorAll('.tabs button'), function (b) {
+    b.onclick = function () { showTab(b.dataset.tab); };
+  });
+
+  function showFile(file, focusId) {
+    var detail = document.getElementById('detail');
+    var body = document.getElementById('detail-body');
+    var findings = data.findings.filter(function (f) { return f.file === file; }).sort(compare('line'));
+    document.getElementById('detail-title').textContent = file + ' \\u2014 ' + findings.length + ' finding' + (findings.length === 1 ? '' : 's');
+    body.textContent = '';
+    var focus = null;
+    findings.forEach(function (f) {
+      var box = el('div', 'finding');
+      var head = el('div', 'finding-head');
+      head.appendChild(sevBadge(f.severity));
+      head.appendChild(document.createTextNode(' ' + f.ruleName + ' (' + f.ruleId + ') \\u00b7 line ' + f.line));
+      box.appendChild(head);
+      var pre = el('pre');
+      f.context.lines.forEach(function (text, i) {
+        var n = f.context.start + i;
+        var line = el('span', n === f.line ? 'hit' : '');
+        line.appendChild(el('i', '', n));
+        line.appendChild(document.createTextNode(text));
+        pre.appendChild(line);
+      });
+      box.appendChild(pre);
+      box.appendChild(el('p', '', f.message));
+      box.appendChild(el('p', 'fix', 'Fix: ' + f.suggestion));
+      if (f.id === focusId) { box.className += ' focus'; focus = box; }
+      body.appendChild(box);
+    });
+    detail.hidden = false;
+    (focus || detail).scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+  document.getElementById('detail-close').onclick = function () { document.getElementById('detail').hidden = true; };
+
+  render();
+})();
+`;
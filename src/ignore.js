@@ -0,0 +1,111 @@
+import { readFileSync, existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { dirname, join, relative, sep } from 'path';
+import { globToRegExp } from './glob.js';
+
+/**
+ * .gitignore and .perfxrayignore handling for the file walkers. Ignore files
+ * are read at every directory level, plus those above the scan root up to
+ * the git repository root. Patterns follow .gitignore: a deeper file and a
+ * later line win, `!` re-includes, a trailing `/` matches directories only,
+ * and a pattern with a slash is relative to its ignore file's directory.
+ *
+ * @typedef {Object} IgnoreRule
+ * @property {RegExp} rx - matches paths relative to the ignore file's directory
+ * @property {boolean} negate
+ * @property {boolean} dirOnly
+ *
+ * @typedef {Object} IgnoreFilter
+ * @property {(path: string, isDir: boolean) => boolean} ignores - whether the ignore files exclude this path
+ * @property {(dir: string) => Promise<void>} preload - read a directory's ignore files without blocking
+ */
+
+export const IGNORE_FILES = ['.gitignore', '.perfxrayignore'];
+
+/**
+ * Parse the contents of one ignore file.
+ *
+ * @param {string} content
+ * @returns {IgnoreRule[]}
+ */
+export function parseIgnoreFile(content) {
+  const rules = [];
+  for (const raw of content.split(/\r?\n/)) {
+    let line = raw.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) continue;
+    const negate = line.startsWith('!');
+    if (negate) line = line.slice(1);
+    line = line.replace(/^\\([#!])/, '$1');
+    const dirOnly = line.endsWith('/');
+    if (dirOnly) line = line.slice(0, -1);
+    if (!line) continue;
+    rules.push({ rx: globToRegExp(line), negate, dirOnly });
+  }
+  return rules;
+}
+
+/**
+ * Ignore-file filter for walking rootPath. Directories are read lazily the
+ * first time a path under them is tested; walkers that must not block call
+ * preload() first.
+ *
+ * @param {string} rootPath - absolute scan root
+ * @returns {IgnoreFilter}
+ */
+export function createIgnoreFilter(rootPath) {
+  const top = repositoryRoot(rootPath) ?? rootPath;
+  const rules = new Map(); // directory → IgnoreRule[]
+
+  const load = (dir) => {
+    if (!rules.has(dir)) {
+      rules.set(dir, IGNORE_FILES.flatMap((name) => {
+        try {
+          return parseIgnoreFile(readFileSync(join(dir, name), 'utf8'));
+        } catch {
+          return [];
+        }
+      }));
+    }
+    return rules.get(dir);
+  };
+
+  return {
+    ignores(path, isDir) {
+      let ignored = false;
+      for (const dir of ancestors(top, dirname(path))) {
+        const rel = relative(dir, path).split(sep).join('/');
+        for (const rule of load(dir)) {
+          if (rule.dirOnly && !isDir) continue;
+          if (rule.rx.test(rel)) ignored = !rule.negate;
+        }
+      }
+      return ignored;
+    },
+    async preload(dir) {
+      for (const d of ancestors(top, dir)) {
+        if (rules.has(d)) continue;
+        const contents = await Promise.all(IGNORE_FILES.map((name) => readFile(join(d, name), 'utf8').catch(() => '')));
+        rules.set(d, contents.flatMap(parseIgnoreFile));
+      }
+    },
+  };
+}
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+// The nearest directory at or above dir with a .git entry, or null outside a repository
+function repositoryRoot(dir) {
+  for (let d = dir; ; d = dirname(d)) {
+    if (existsSync(join(d, '.git'))) return d;
+    if (dirname(d) === d) return null;
+  }
+}
+
+// top, then each directory down to dir; just dir when it isn't under top
+function ancestors(top, dir) {
+  const rel = relative(top, dir);
+  if (rel.startsWith('..')) return [dir];
+  const dirs = [top];
+  for (const part of rel ? rel.split(sep) : []) dirs.push(join(dirs[dirs.length - 1], part));
+  return dirs;
+}
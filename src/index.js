@@ -1,6 +1,33 @@
 // Barrel re-exports — import from here for programmatic use
 
-export { walkFiles, getLanguage } from './scanner.js';
+export { walkFiles, walkFilesAsync, walkDirs, isScannablePath, isWalkedDir, getLanguage } from './scanner.js';
 export { RULES, getRulesForLanguage } from './rules.js';
 export { checkFile, checkFiles } from './checker.js';
-export { formatFindings, generateReport, printSummary } from './reporter.js';
+export { formatFindings, generateReport, formatSummary, printSummary, printBaselineSummary, printStats, printBudgetSummary, printWatchUpdate, formatRoutes, formatDeps, formatHistory, formatRuleTests, REPORT_FORMATS, ROUTE_FORMATS, DEPS_FORMATS, HISTORY_FORMATS, RULE_TEST_FORMATS } from './reporter.js';
+export { buildHtmlReport } from './html.js';
+export { loadConfig, findConfigFile, rulesForFile, isIgnored, allRules } from './config.js';
+export { analyzeRegex, parseRegex, verifyAttack } from './redos.js';
+export { tokenizeSql, extractQueries, readScopes } from './sql.js';
+export { extractRoutes, routeLabel, tagRoutes, routeInventory, ROUTE_LANGUAGES } from './routes.js';
+export { PYTHON_RULES } from './python-rules.js';
+export { readPython, loopAt, enclosingDef } from './python.js';
+export { GO_RULES } from './go-rules.js';
+export { readGo } from './go.js';
+export { REACT_RULES } from './react-rules.js';
+export { collectImports, packageName, importWeight, dependencyInventory, depsFingerprint } from './deps.js';
+export { loadSchema, parseSchema, indexCovers, suggestIndex } from './schema.js';
+export { evaluateBudgets, performanceScore, SCORE_WEIGHTS } from './budget.js';
+export { fingerprint, createBaseline, writeBaseline, loadBaseline, compareBaseline } from './baseline.js';
+export { getChangedRanges, parseUnifiedDiff, filterToChangedLines, getCommitInfo } from './git.js';
+export { historyPath, createSnapshot, recordSnapshot, loadHistory, historyTrends } from './history.js';
+export { fixFile, createUnifiedDiff } from './fixer.js';
+export { loadPlugins, validateRule } from './plugins.js';
+export { parseExpectations, runFixtures } from './fixtures.js';
+export { parseSource, walk, calleeName, calleeRoot, isLoop, enclosingLoop, enclosingFunction, isInAsyncContext } from './ast.js';
+export { runScan, defaultJobs } from './runner.js';
+export { detectWorkspace, addGoModules, packageForFile, tagPackages } from './workspaces.js';
+export { createIgnoreFilter, parseIgnoreFile, IGNORE_FILES } from './ignore.js';
+export { scan } from './scan.js';
+export { watchTree, diffFindings } from './watch.js';
+export { startLanguageServer } from './lsp.js';
+export { loadCpuProfile, parseCpuProfile, tagHotness, compareHotness } from './profile.js';
@@ -0,0 +1,308 @@
+import { dirname, basename } from 'path';
+import { fileURLToPath } from 'url';
+import { checkFile } from './checker.js';
+import { fixFile } from './fixer.js';
+import { getLanguage } from './scanner.js';
+import { getRulesForLanguage } from './rules.js';
+import { rulesForFile, isIgnored, allRules, CONFIG_FILES } from './config.js';
+import { loadSchema } from './schema.js';
+
+/**
+ * Language server: speaks LSP (JSON-RPC with Content-Length framing) over a
+ * pair of streams, checks open documents from their in-memory text and
+ * publishes findings as diagnostics. Hover shows the rule's suggestion; code
+ * actions insert a suppression comment or apply the rule's fixer to the line.
+ */
+
+const DEBOUNCE_MS = 200;
+
+// LSP DiagnosticSeverity: 1 Error, 2 Warning, 3 Information, 4 Hint
+const DIAGNOSTIC_SEVERITY = { critical: 1, high: 2, medium: 2, low: 3 };
+
+const LINE_COMMENT = { py: '#', sql: '--' };
+
+const ERROR = { parse: -32700, invalidRequest: -32600, methodNotFound: -32601, internal: -32603 };
+
+/**
+ * Run a language server until the client sends `exit` or closes the input.
+ *
+ * @param {{ input?: NodeJS.ReadableStream, output?: NodeJS.WritableStream, loadConfig: (dir: string) => Promise<import('./config.js').Config>, debounceMs?: number }} opts
+ *   loadConfig: resolves the config (with plugins) for a document's directory
+ * @returns {Promise<number>} exit code: 0 after a shutdown request, 1 otherwise, as the spec asks
+ */
+export function startLanguageServer(opts) {
+  const { input = process.stdin, output = process.stdout, debounceMs = DEBOUNCE_MS } = opts;
+  const documents = new Map(); // uri → { uri, path, version, text, findings }
+  const configs = new Map(); // directory → Promise<Config>
+  const timers = new Map();
+  let shuttingDown = false;
+
+  const send = (message) => {
+    const body = JSON.stringify({ jsonrpc: '2.0', ...message });
+    output.write(`Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`);
+  };
+  const notify = (method, params) => send({ method, params });
+  const log = (message, type = 3) => notify('window/logMessage', { type, message: `perf-x-ray: ${message}` });
+
+  const configFor = (path) => {
+    const dir = dirname(path);
+    if (!configs.has(dir)) {
+      // A broken config is reported once and stays broken until a config file is saved
+      configs.set(dir, opts.loadConfig(dir).catch((err) => {
+        notify('window/showMessage', { type: 1, message: `perf-x-ray: ${err.message}` });
+        return null;
+      }));
+    }
+    return configs.get(dir);
+  };
+
+  const check = async (doc) => {
+    const config = await configFor(doc.path);
+    // The document may have been closed or edited while the config loaded
+    if (documents.get(doc.uri) !== doc) return;
+    doc.findings = [];
+    if (config && !isIgnored(config, doc.path)) {
+      try {
+        doc.findings = checkFile(doc.path, doc.text, {
+          rules: rulesForFile(config, doc.path),
+          suppressions: config.suppressions,
+          schema: loadSchema(config.schema),
+        });
+      } catch (err) {
+        log(`${doc.path}: ${err.message}`, 1);
+      }
+    }
+    doc.config = config;
+    notify('textDocument/publishDiagnostics', {
+      uri: doc.uri,
+      version: doc.version,
+      diagnostics: doc.findings.map((f) => toDiagnostic(f, doc.text)),
+    });
+  };
+
+  const schedule = (doc, delay) => {
+    clearTimeout(timers.get(doc.uri));
+    timers.set(doc.uri, setTimeout(() => {
+      timers.delete(doc.uri);
+      check(doc);
+    }, delay));
+  };
+
+  const open = (uri, version, text) => {
+    const path = filePathOf(uri);
+    // getLanguage falls back to the bare extension, so ask whether any rule reads it
+    if (!path || !getRulesForLanguage(getLanguage(path)).length) return;
+    const doc = { uri, path, version, text, findings: [], config: null };
+    documents.set(uri, doc);
+    schedule(doc, 0);
+  };
+
+  const handlers = {
+    initialize: () => ({
+      capabilities: {
+        // Full sync: rules need the whole file anyway
+        textDocumentSync: { openClose: true, change: 1, save: { includeText: false } },
+        hoverProvider: true,
+        codeActionProvider: { codeActionKinds: ['quickfix'] },
+      },
+      serverInfo: { name: 'perf-x-ray' },
+    }),
+    initialized: () => {},
+    shutdown: () => {
+      shuttingDown = true;
+      return null;
+    },
+    'textDocument/didOpen': ({ textDocument: d }) => open(d.uri, d.version, d.text),
+    'textDocument/didChange': ({ textDocument, contentChanges }) => {
+      const doc = documents.get(textDocument.uri);
+      const last = contentChanges[contentChanges.length - 1];
+      if (!doc || !last) return;
+      // Full sync sends the whole text; a ranged change would mean a client ignoring our capabilities
+      if (last.range) return log(`ignoring incremental change to ${doc.path}`, 2);
+      const next = { ...doc, version: textDocument.version, text: last.text };
+      documents.set(doc.uri, next);
+      schedule(next, debounceMs);
+    },
+    'textDocument/didSave': ({ textDocument }) => {
+      const path = filePathOf(textDocument.uri);
+      if (!path || !CONFIG_FILES.includes(basename(path))) return;
+      // A saved config changes rules for every open document
+      configs.clear();
+      for (const doc of documents.values()) schedule(doc, 0);
+    },
+    'textDocument/didClose': ({ textDocument }) => {
+      clearTimeout(timers.get(textDocument.uri));
+      timers.delete(textDocument.uri);
+      if (documents.delete(textDocument.uri)) notify('textDocument/publishDiagnostics', { uri: textDocument.uri, diagnostics: [] });
+    },
+    'textDocument/hover': ({ textDocument, position }) => {
+      const doc = documents.get(textDocument.uri);
+      const here = doc?.findings.filter((f) => f.line === position.line + 1) ?? [];
+      if (!here.length) return null;
+      const value = here
+        .map((f) => `**${f.ruleName}** \`${f.ruleId}\` · ${f.severity}\n\n${f.message}\n\n**Suggestion:** ${f.suggestion}`)
+        .join('\n\n---\n\n');
+      return { contents: { kind: 'markdown', value }, range: lineRange(doc.text, here[0].line) };
+    },
+    'textDocument/codeAction': ({ textDocument, range }) => {
+      const doc = documents.get(textDocument.uri);
+      if (!doc) return [];
+      const findings = doc.findings.filter((f) => f.line >= range.start.line + 1 && f.line <= range.end.line + 1);
+      const actions = [];
+      for (const f of findings) {
+        const diagnostics = [toDiagnostic(f, doc.text)];
+        const fix = fixAction(doc, f);
+        if (fix) actions.push({ ...fix, diagnostics });
+        actions.push({
+          title: `Disable ${f.ruleId} for this line`,
+          kind: 'quickfix',
+          diagnostics,
+          edit: { changes: { [doc.uri]: [suppressionEdit(doc, f)] } },
+        });
+      }
+      return actions;
+    },
+  };
+
+  const dispatch = async (message) => {
+    if (typeof message?.method !== 'string') {
+      if (message?.id !== undefined && message.result === undefined && message.error === undefined) {
+        send({ id: message.id, error: { code: ERROR.invalidRequest, message: 'Invalid request' } });
+      }
+      return;
+    }
+    const isRequest = message.id !== undefined;
+    const handler = handlers[message.method];
+    if (!handler) {
+      // Unknown notifications ($/cancelRequest, workspace/didChangeConfiguration, ...) are ignored
+      if (isRequest) send({ id: message.id, error: { code: ERROR.methodNotFound, message: `Unhandled method ${message.method}` } });
+      return;
+    }
+    if (shuttingDown && isRequest && message.method !== 'shutdown') {
+      send({ id: message.id, error: { code: ERROR.invalidRequest, message: 'Server is shutting down' } });
+      return;
+    }
+    try {
+      const result = await handler(message.params ?? {});
+      if (isRequest) send({ id: message.id, result: result ?? null });
+    } catch (err) {
+      log(`${message.method} failed: ${err.message}`, 1);
+      if (isRequest) send({ id: message.id, error: { code: ERROR.internal, message: err.message } });
+    }
+  };
+
+  return new Promise((resolvePromise) => {
+    const finish = (code) => {
+      for (const timer of timers.values()) clearTimeout(timer);
+      input.pause();
+      resolvePromise(code);
+    };
+    readMessages(input, (message) => {
+      if (message === null) return send({ id: null, error: { code: ERROR.parse, message: 'Parse error' } });
+      if (message.method === 'exit') return finish(shuttingDown ? 0 : 1);
+      dispatch(message);
+    });
+    input.on('end', () => finish(shuttingDown ? 0 : 1));
+  });
+}
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+function fixAction(doc, finding) {
+  const rule = allRules(doc.config ?? { pluginRules: [] }).find((r) => r.id === finding.ruleId);
+  if (!rule?.fix) return null;
+  const rules = doc.config ? rulesForFile(doc.config, doc.path) : [rule];
+  // The whole fix for this finding, e.g. a large-import rewrite plus every `_.member` it renames
+  const result = fixFile(doc.path, doc.text, { rules, only: [finding.ruleId], line: finding.line });
+  if (result.output === doc.text) return null;
+  return {
+    title: `Fix: ${rule.name}`,
+    kind: 'quickfix',
+    isPreferred: true,
+    edit: { changes: { [doc.uri]: [minimalEdit(doc.text, result.output)] } },
+  };
+}
+
+function suppressionEdit(doc, finding) {
+  const line = doc.text.split('\n')[finding.line - 1] ?? '';
+  const indent = /^\s*/.exec(line)[0];
+  const prefix = LINE_COMMENT[getLanguage(doc.path)] ?? '//';
+  const reason = doc.config?.suppressions?.requireReason ? ' -- reason' : '';
+  return {
+    range: { start: { line: finding.line - 1, character: 0 }, end: { line: finding.line - 1, character: 0 } },
+    newText: `${indent}${prefix} perf-x-ray-disable-next-line ${finding.ruleId}${reason}\n`,
+  };
+}
+
+// Calls onMessage with each parsed message, or null for a body that isn't JSON
+function readMessages(input, onMessage) {
+  let buffer = Buffer.alloc(0);
+  input.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    for (;;) {
+      const headerEnd = buffer.indexOf('\r\n\r\n');
+      if (headerEnd < 0) return;
+      const length = Number(/Content-Length:\s*(\d+)/i.exec(buffer.subarray(0, headerEnd).toString('ascii'))?.[1]);
+      const start = headerEnd + 4;
+      if (!Number.isInteger(length)) {
+        buffer = buffer.subarray(start);
+        continue;
+      }
+      if (buffer.length < start + length) return;
+      const body = buffer.subarray(start, start + length).toString('utf8');
+      buffer = buffer.subarray(start + length);
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch {
+        message = null;
+      }
+      onMessage(message);
+    }
+  });
+}
+
+function filePathOf(uri) {
+  if (!uri?.startsWith('file:')) return null;
+  try {
+    return fileURLToPath(uri);
+  } catch {
+    return null;
+  }
+}
+
+function toDiagnostic(finding, text) {
+  return {
+    range: lineRange(text, finding.line),
+    severity: DIAGNOSTIC_SEVERITY[finding.severity] ?? 2,
+    code: finding.ruleId,
+    source: 'perf-x-ray',
+    message: finding.route ? `${finding.message} (${finding.route})` : finding.message,
+  };
+}
+
+// The line from its first non-blank character, so the squiggle skips indentation
+function lineRange(text, lineNumber) {
+  const line = (text.split('\n')[lineNumber - 1] ?? '').replace(/\r$/, '');
+  const start = line.length - line.trimStart().length;
+  return { start: { line: lineNumber - 1, character: start }, end: { line: lineNumber - 1, character: line.length } };
+}
+
+// One TextEdit covering only the span that differs between the two texts
+function minimalEdit(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let end = 0;
+  while (end < before.length - start && end < after.length - start && before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+  return {
+    range: { start: positionAt(before, start), end: positionAt(before, before.length - end) },
+    newText: after.slice(start, after.length - end),
+  };
+}
+
+// LSP positions count UTF-16 code units, which is what JS string offsets are
+function positionAt(text, offset) {
+  const before = text.slice(0, offset);
+  const line = before.split('\n').length - 1;
+  return { line, character: offset - (before.lastIndexOf('\n') + 1) };
+}
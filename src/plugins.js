@@ -0,0 +1,116 @@
+import { createRequire } from 'module';
+import { join, resolve, isAbsolute } from 'path';
+import { pathToFileURL } from 'url';
+import { RULES } from './rules.js';
+import { SEVERITIES, ruleSettingIds } from './config.js';
+
+/**
+ * Rule packs loaded from npm packages or local modules listed in the config:
+ *
+ *   { "plugins": ["@acme/perf-x-ray-plugin", "./perf-rules/index.js"] }
+ *
+ * A plugin module exports (default or named) `{ name?, rules }`. Each rule
+ * follows the built-in Rule shape and gets its id namespaced as
+ * `<plugin>/<id>`; the namespace is `name`, or derived from the package name.
+ */
+
+const RULE_ID = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Import every plugin listed in config.plugins and return their validated,
+ * namespaced rules. Throws on the first invalid plugin or rule, listing
+ * everything wrong with it.
+ *
+ * @param {import('./config.js').Config} config
+ * @returns {Promise<import('./rules.js').Rule[]>}
+ */
+export async function loadPlugins(config) {
+  const rules = [];
+  for (const spec of config.plugins) {
+    const mod = await importPlugin(spec, config.dir);
+    const plugin = mod.default?.rules ? mod.default : mod;
+    if (!Array.isArray(plugin.rules)) {
+      throw new Error(`Plugin ${spec} does not export a "rules" array`);
+    }
+    const namespace = plugin.name ?? namespaceFor(spec);
+    if (!RULE_ID.test(namespace)) {
+      throw new Error(`Plugin ${spec} has invalid name "${namespace}" (use lowercase letters, digits and dashes)`);
+    }
+    for (const [i, rule] of plugin.rules.entries()) {
+      const problems = validateRule(rule);
+      if (problems.length) {
+        throw new Error(`Plugin ${spec} rule ${rule?.id ?? `#${i}`} is invalid:\n    - ${problems.join('\n    - ')}`);
+      }
+      rules.push({ ...rule, id: `${namespace}/${rule.id}`, plugin: spec });
+    }
+  }
+
+  const seen = new Set(RULES.map((r) => r.id));
+  for (const rule of rules) {
+    if (seen.has(rule.id)) throw new Error(`Duplicate rule id "${rule.id}" (from plugin ${rule.plugin})`);
+    seen.add(rule.id);
+  }
+
+  // Settings for plugin rules can only be checked once the plugins are loaded
+  for (const id of ruleSettingIds(config)) {
+    if (!seen.has(id)) throw new Error(`Invalid config ${config.path ?? 'config'}: unknown rule "${id}"`);
+  }
+
+  return rules;
+}
+
+/**
+ * Check a rule object against the Rule schema.
+ *
+ * @param {object} rule
+ * @returns {string[]} problems, empty when valid
+ */
+export function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') return ['rule must be an object'];
+  const problems = [];
+  if (typeof rule.id !== 'string' || !RULE_ID.test(rule.id)) {
+    problems.push('"id" must be lowercase letters, digits and dashes (the plugin namespace is added for you)');
+  }
+  for (const key of ['name', 'message', 'suggestion']) {
+    if (typeof rule[key] !== 'string' || !rule[key]) problems.push(`"${key}" must be a non-empty string`);
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    problems.push(`"severity" must be one of ${SEVERITIES.join('|')}`);
+  }
+  if (!Array.isArray(rule.languages) || rule.languages.length === 0 || rule.languages.some((l) => typeof l !== 'string')) {
+    problems.push('"languages" must be a non-empty array of language ids (js, ts, py, go, sql)');
+  }
+  if (rule.pattern !== undefined && !(rule.pattern instanceof RegExp)) problems.push('"pattern" must be a RegExp');
+  if (rule.check !== undefined && typeof rule.check !== 'function') problems.push('"check" must be a function');
+  if (rule.fix !== undefined && typeof rule.fix !== 'function') problems.push('"fix" must be a function');
+  if (rule.pattern === undefined && rule.check === undefined) problems.push('rule needs a "pattern" or a "check(context)" function');
+  return problems;
+}
+
+async function importPlugin(spec, baseDir) {
+  let path;
+  if (spec.startsWith('.') || isAbsolute(spec)) {
+    path = resolve(baseDir, spec);
+  } else {
+    try {
+      path = createRequire(join(baseDir, 'noop.js')).resolve(spec);
+    } catch {
+      throw new Error(`Cannot find plugin "${spec}" from ${baseDir} — is it installed?`);
+    }
+  }
+  try {
+    return await import(pathToFileURL(path).href);
+  } catch (err) {
+    throw new Error(`Failed to load plugin "${spec}": ${err.message}`);
+  }
+}
+
+/** `@acme/perf-x-ray-plugin` → `acme`, `perf-x-ray-plugin-cache` → `cache`, `./rules/orm.js` → `orm` */
+function namespaceFor(spec) {
+  const scoped = /^@([^/]+)\/perf-x-ray-plugin$/.exec(spec);
+  if (scoped) return scoped[1].toLowerCase();
+  const parts = spec.split(/[\\/]+/).filter(Boolean).map((p) => p.replace(/\.[cm]?js$/, ''));
+  if (parts.length > 1 && parts[parts.length - 1] === 'index') parts.pop();
+  const base = parts[parts.length - 1] ?? 'plugin';
+  return base.replace(/^perf-x-ray-plugin-/, '').toLowerCase().replace(/[^a-z0-9-]/g, '-');
+}
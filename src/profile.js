@@ -0,0 +1,276 @@
+import { readFileSync } from 'fs';
+import { isAbsolute, relative, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { parseSource, walk, isFunction } from './ast.js';
+import { getLanguage } from './scanner.js';
+
+/**
+ * V8 CPU profiles (`node --cpu-prof`): sampled time per function and line,
+ * mapped back onto findings so the ones on hot paths sort first.
+ *
+ * @typedef {Object} ProfileFunction
+ * @property {string} name
+ * @property {number} line - 1-based line the function starts on
+ * @property {number} selfMs - time sampled in the function itself
+ * @property {number} totalMs - time sampled in the function and its callees
+ *
+ * @typedef {Object} CpuProfile
+ * @property {number} busyMs - sampled time, excluding idle
+ * @property {Map<string, ProfileFunction[]>} functions - by absolute file path
+ * @property {Map<string, Map<number, number>>} lines - self ms per 1-based line, by absolute file path
+ *
+ * @typedef {Object} Hotness
+ * @property {number} percent - share of busy time spent in the enclosing function, callees included
+ * @property {number} totalMs
+ * @property {number} lineMs - self time sampled on the finding's own line
+ * @property {string|null} function - profiled function the finding sits in; null when never sampled
+ */
+
+// Profiles only cover JavaScript; other languages are left untagged
+const PROFILED_LANGUAGES = new Set(['js', 'ts']);
+
+const SEVERITY_BELOW = { critical: 'high', high: 'medium', medium: 'low', low: 'low' };
+
+/**
+ * Read and parse a .cpuprofile file.
+ *
+ * @param {string} path
+ * @returns {CpuProfile}
+ */
+export function loadCpuProfile(path) {
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read CPU profile ${path}: ${err.message}`);
+  }
+  try {
+    return parseCpuProfile(raw);
+  } catch (err) {
+    throw new Error(`Invalid CPU profile ${path}: ${err.message}`);
+  }
+}
+
+/**
+ * Aggregate a V8 profile's call tree into self and total time per source
+ * function. A function that recurses counts its total once, at the
+ * outermost call.
+ *
+ * @param {{ nodes: object[], samples?: number[], timeDeltas?: number[], startTime: number, endTime: number }} raw
+ * @returns {CpuProfile}
+ */
+export function parseCpuProfile(raw) {
+  if (!Array.isArray(raw?.nodes) || raw.nodes.length === 0) throw new Error('expected a "nodes" array (is this a .cpuprofile from node --cpu-prof?)');
+
+  const nodes = new Map(raw.nodes.map((n) => [n.id, n]));
+  const selfMs = sampledTime(raw, nodes);
+
+  const childIds = new Set(raw.nodes.flatMap((n) => n.children ?? []));
+  const root = raw.nodes.find((n) => !childIds.has(n.id));
+  const totalMs = new Map();
+  const functions = new Map();
+  const lines = new Map();
+  let busyMs = 0;
+
+  // Iterative DFS: deep call stacks would overflow a recursive one
+  const active = new Map();
+  const stack = [{ node: root, exit: false }];
+  while (stack.length) {
+    const { node, exit } = stack.pop();
+    const key = functionKey(node);
+    if (exit) {
+      const total = (node.children ?? []).reduce((sum, id) => sum + (totalMs.get(id) ?? 0), selfMs.get(node.id) ?? 0);
+      totalMs.set(node.id, total);
+      if (key) {
+        const depth = active.get(key) - 1;
+        active.set(key, depth);
+        const fn = functionEntry(functions, node);
+        if (depth === 0) fn.totalMs += total;
+      }
+      continue;
+    }
+
+    const self = selfMs.get(node.id) ?? 0;
+    if (node.callFrame?.functionName !== '(idle)') busyMs += self;
+    if (key) {
+      active.set(key, (active.get(key) ?? 0) + 1);
+      functionEntry(functions, node).selfMs += self;
+      addLineTicks(lines, node, self);
+    }
+    stack.push({ node, exit: true });
+    for (const id of node.children ?? []) {
+      const child = nodes.get(id);
+      if (child) stack.push({ node: child, exit: false });
+    }
+  }
+
+  const byFile = new Map();
+  for (const fn of functions.values()) {
+    if (!byFile.has(fn.file)) byFile.set(fn.file, []);
+    byFile.get(fn.file).push({ name: fn.name, line: fn.line, selfMs: fn.selfMs, totalMs: fn.totalMs });
+  }
+  return { busyMs, functions: byFile, lines };
+}
+
+/**
+ * Set `hotness` on each JavaScript/TypeScript finding from the profiled time
+ * of its innermost enclosing function, or of the module for top-level code.
+ * Profile paths that don't exist locally (a profile taken in a container or
+ * on CI) are matched by their path relative to the root.
+ *
+ * @param {import('./checker.js').Finding[]} findings
+ * @param {CpuProfile} profile
+ * @param {{ root?: string, demoteCold?: boolean, readFile?: (path: string) => string }} [opts]
+ *   demoteCold: lower findings in never-sampled code one severity level and set `demotedFrom`
+ */
+export function tagHotness(findings, profile, opts = {}) {
+  const { root = process.cwd(), demoteCold = false, readFile = (p) => readFileSync(p, 'utf8') } = opts;
+  const profiledFile = fileMatcher(profile, root);
+  const scopes = new Map();
+
+  for (const f of findings) {
+    if (!PROFILED_LANGUAGES.has(getLanguage(f.file))) continue;
+    const file = profiledFile(f.file);
+    const fns = file ? profile.functions.get(file) : null;
+
+    // Only the innermost scope counts: a callee that never ran is cold however hot its caller is
+    let hit = null;
+    let topLevel = false;
+    if (fns) {
+      if (!scopes.has(f.file)) scopes.set(f.file, functionScopes(f.file, readFile));
+      const scope = scopes.get(f.file).find((s) => f.line >= s.start && f.line <= s.end);
+      const matches = fns.filter((fn) => fn.line === scope.start && fn.totalMs > 0);
+      if (matches.length) hit = matches.reduce((a, b) => (b.totalMs > a.totalMs ? b : a));
+      topLevel = scope.end === Infinity;
+    }
+
+    f.hotness = {
+      percent: hit && profile.busyMs ? Math.round((hit.totalMs / profile.busyMs) * 1000) / 10 : 0,
+      totalMs: round(hit?.totalMs ?? 0),
+      lineMs: round((file && profile.lines.get(file)?.get(f.line)) ?? 0),
+      function: hit ? hit.name || (topLevel ? '(top level)' : '(anonymous)') : null,
+    };
+    if (!hit && demoteCold && f.severity !== 'low') {
+      f.demotedFrom = f.severity;
+      f.severity = SEVERITY_BELOW[f.severity];
+    }
+  }
+}
+
+/**
+ * Sort order for profiled findings: hottest enclosing function first, then
+ * most time on the line itself. Findings without hotness keep their place
+ * after the profiled ones.
+ *
+ * @param {import('./checker.js').Finding} a
+ * @param {import('./checker.js').Finding} b
+ * @returns {number}
+ */
+export function compareHotness(a, b) {
+  if (!a.hotness || !b.hotness) return (a.hotness ? 0 : 1) - (b.hotness ? 0 : 1);
+  return b.hotness.percent - a.hotness.percent || b.hotness.lineMs - a.hotness.lineMs;
+}
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+// Milliseconds per node id. Each sample lasts until the next one.
+function sampledTime(raw, nodes) {
+  const selfMs = new Map();
+  const { samples, timeDeltas } = raw;
+  if (Array.isArray(samples) && Array.isArray(timeDeltas) && samples.length) {
+    const meanUs = samples.length > 1 ? ((raw.endTime ?? 0) - (raw.startTime ?? 0)) / samples.length : 0;
+    for (let i = 0; i < samples.length; i++) {
+      const us = timeDeltas[i + 1] ?? meanUs;
+      selfMs.set(samples[i], (selfMs.get(samples[i]) ?? 0) + Math.max(0, us) / 1000);
+    }
+    return selfMs;
+  }
+  // Older profiles carry only hit counts
+  const hits = [...nodes.values()].reduce((n, node) => n + (node.hitCount ?? 0), 0);
+  const intervalMs = hits ? ((raw.endTime ?? 0) - (raw.startTime ?? 0)) / hits / 1000 : 0;
+  for (const node of nodes.values()) selfMs.set(node.id, (node.hitCount ?? 0) * intervalMs);
+  return selfMs;
+}
+
+// Source functions only: natives, (program), (idle) and (garbage collector) have no file
+function functionKey(node) {
+  const file = pathOf(node.callFrame?.url);
+  return file ? `${file}:${node.callFrame.lineNumber}:${node.callFrame.columnNumber}` : null;
+}
+
+function functionEntry(functions, node) {
+  const key = functionKey(node);
+  if (!functions.has(key)) {
+    functions.set(key, {
+      name: node.callFrame.functionName,
+      file: pathOf(node.callFrame.url),
+      line: node.callFrame.lineNumber + 1,
+      selfMs: 0,
+      totalMs: 0,
+    });
+  }
+  return functions.get(key);
+}
+
+// positionTicks split a node's self time across the lines it was sampled on
+function addLineTicks(lines, node, self) {
+  const ticks = node.positionTicks ?? [];
+  const count = ticks.reduce((n, t) => n + t.ticks, 0);
+  if (!count) return;
+  const file = pathOf(node.callFrame.url);
+  if (!lines.has(file)) lines.set(file, new Map());
+  const byLine = lines.get(file);
+  for (const t of ticks) byLine.set(t.line, (byLine.get(t.line) ?? 0) + (self * t.ticks) / count);
+}
+
+function pathOf(url) {
+  if (!url) return null;
+  if (url.startsWith('file:')) {
+    try {
+      return fileURLToPath(url);
+    } catch {
+      return null;
+    }
+  }
+  return isAbsolute(url) ? url : null;
+}
+
+// Local path → profile path, exact or by the longest shared path suffix
+function fileMatcher(profile, root) {
+  const cache = new Map();
+  const files = [...profile.functions.keys()];
+  return (file) => {
+    const abs = resolve(file);
+    if (!cache.has(abs)) {
+      let match = profile.functions.has(abs) ? abs : null;
+      const rel = relative(root, abs).split('\\').join('/');
+      if (!match && !rel.startsWith('..')) {
+        match = files.find((p) => p.split('\\').join('/').endsWith('/' + rel)) ?? null;
+      }
+      cache.set(abs, match);
+    }
+    return cache.get(abs);
+  };
+}
+
+// Line spans of every function in the file plus the module itself, innermost first
+function functionScopes(file, readFile) {
+  const scopes = [{ start: 1, end: Infinity }];
+  let content;
+  try {
+    content = readFile(file);
+  } catch {
+    return scopes;
+  }
+  const ast = parseSource(content, file);
+  if (ast) {
+    walk(ast, (node) => {
+      if (isFunction(node) && node.loc) scopes.push({ start: node.loc.start.line, end: node.loc.end.line });
+    });
+  }
+  return scopes.sort((a, b) => a.end - a.start - (b.end - b.start));
+}
+
+function round(ms) {
+  return Math.round(ms * 10) / 10;
+}
@@ -0,0 +1,344 @@
+import { readPython, findAll, lineAt, loopAt, enclosingDef, blockBody, assignmentsOf } from './python.js';
+
+/**
+ * Python rule pack: Django and SQLAlchemy query patterns, pandas row loops,
+ * and the quadratic or blocking idioms that JS-shaped rules can't see.
+ * Built on the block structure from python.js; spread into RULES in rules.js.
+ */
+
+// ── Django ──
+
+const DJANGO_QUERY = /\b([A-Z]\w*)\.objects\.(\w+)\s*\(/g;
+const DJANGO_WRITES = new Set(['create', 'update_or_create', 'get_or_create']);
+const DJANGO_RELATION_FIELD = /^\s*(\w+)\s*=\s*(?:models\.)?(?:ForeignKey|OneToOneField|ManyToManyField)\s*\(/gm;
+const EAGER_DJANGO = /\b(?:select_related|prefetch_related)\s*\(/;
+
+// Related-manager calls: each one is a query. Names shared with str / dict
+// methods (count, get, values) only count on a known relation.
+const MANAGER_METHODS = /^(?:all|filter|exclude|exists|order_by|values_list|aggregate|annotate)$/;
+const RELATION_METHODS = /^(?:count|first|last|get|values|select_related|prefetch_related)$/;
+
+// Attributes that end a chain without touching a relation (dates, files, strings)
+const PLAIN_ATTRS = new Set([
+  'year', 'month', 'day', 'hour', 'minute', 'second', 'microsecond', 'date', 'time', 'tzinfo', 'days', 'seconds',
+  'url', 'path', 'size', 'width', 'height', 'file', 'real', 'imag', 'value', 'label',
+]);
+
+// Terminal queryset methods that bound the result
+const BOUNDED_QUERYSET = new Set(['count', 'exists', 'first', 'last', 'get', 'aggregate', 'update', 'delete', 'in_bulk', 'earliest', 'latest']);
+
+// ── SQLAlchemy ──
+
+const SA_QUERY = /\b(\w*session|db\.session)\.(query|get|execute|scalar|scalars)\s*\(|\b([A-Z]\w*)\.query\.(get|filter|filter_by|all|first|one|get_or_404|first_or_404)\s*\(/g;
+const SA_RESULT = /\.query\s*\(|\.query\.|\.scalars\s*\(|\.execute\s*\(\s*select\s*\(/;
+const SA_RELATIONSHIP = /^\s*(\w+)\s*(?::[^=\n]+)?=\s*(?:\w+\.)?relationship\s*\(/gm;
+const EAGER_SA = /\b(?:joinedload|selectinload|subqueryload|contains_eager|immediateload|raiseload)\s*\(/;
+
+// ── Strings and blocking calls ──
+
+const STRING_START = /^(?:[rRbBuUfF]{0,2}["']|str\s*\()/;
+
+const BLOCKING_CALL = /\b(time\.sleep|requests\.(?:get|post|put|patch|delete|head|options|request)|urllib\.request\.urlopen|subprocess\.(?:run|call|check_call|check_output))\s*\(/g;
+const BLOCKING_ALTERNATIVE = {
+  time: 'await asyncio.sleep()',
+  requests: 'an async client such as httpx.AsyncClient or aiohttp',
+  urllib: 'an async client such as httpx.AsyncClient or aiohttp',
+  subprocess: 'asyncio.create_subprocess_exec()',
+};
+
+export const PYTHON_RULES = [
+  {
+    id: 'django-n-plus-one',
+    name: 'Django ORM Access in a Loop',
+    severity: 'critical',
+    languages: ['py'],
+    check(context) {
+      const source = readPython(context.content);
+      for (const { line, index, match } of findAll(source, DJANGO_QUERY)) {
+        if (!loopAt(line, index)) continue;
+        const call = `${match[1]}.objects.${match[2]}()`;
+        const message = DJANGO_WRITES.has(match[2])
+          ? `${call} inside a loop runs one query per iteration. Use ${match[1]}.objects.bulk_create() or bulk_update() instead.`
+          : `${call} inside a loop runs one query per iteration (N+1). Fetch everything up front with filter(..._in=...) or in_bulk(), then look rows up in a dict.`;
+        context.report({ line: lineAt(line, index), message });
+      }
+      const relations = namesMatching(context.content, DJANGO_RELATION_FIELD);
+      for (const loop of querysetLoops(source, isDjangoQueryset, EAGER_DJANGO)) {
+        const hit = relationAccess(source, loop, relations);
+        if (!hit) continue;
+        const fix = hit.many ? `prefetch_related('${hit.attr}')` : `select_related('${hit.attr}')`;
+        context.report({
+          line: hit.lineNumber,
+          message: `${loop.target}.${hit.attr} loads related rows with one query per ${loop.target} (N+1). Add ${fix} to the queryset.`,
+        });
+      }
+    },
+    message: 'Django query inside a loop runs once per iteration (N+1 queries).',
+    suggestion: 'Use select_related() for foreign keys and prefetch_related() for reverse and many-to-many relations, or fetch in bulk before the loop.',
+  },
+  {
+    id: 'django-unsliced-queryset',
+    name: 'Unsliced Queryset in a View',
+    severity: 'high',
+    languages: ['py'],
+    check(context) {
+      const source = readPython(context.content);
+      const viewsFile = /(?:^|[\\/])views(?:\.py$|[\\/])/.test(context.filePath);
+      for (const { line, index, match } of findAll(source, /\.all\s*\(\s*\)/g)) {
+        if (!/\.objects\b/.test(chainBefore(line.code, index))) continue;
+        const def = enclosingDef(line, index);
+        if (!def || !(viewsFile || /^\s*(?:self\s*,\s*)?request\b/.test(def.params))) continue;
+        if (isBoundedChain(line.code, index + match[0].length)) continue;
+        // Class-based views paginate with paginate_by on the class
+        const scope = def.parent?.kind === 'class' ? def.parent : def;
+        const body = [source.lines[scope.start], ...blockBody(source, scope)].map((l) => l.code).join('\n');
+        if (/\bPaginator\s*\(|paginat|\[\s*\w*\s*:\s*[\w.]+\s*\]/.test(body)) continue;
+        context.report({ line: lineAt(line, index) });
+      }
+    },
+    message: 'View loads every row of a queryset with .all() — the response grows with the table.',
+    suggestion: 'Slice the queryset (qs[:50]), paginate it with django.core.paginator.Paginator, or use a paginated ListView (paginate_by).',
+  },
+  {
+    id: 'sqlalchemy-lazy-load',
+    name: 'SQLAlchemy Lazy Load in a Loop',
+    severity: 'critical',
+    languages: ['py'],
+    check(context) {
+      const source = readPython(context.content);
+      for (const { line, index, match } of findAll(source, SA_QUERY)) {
+        if (!loopAt(line, index)) continue;
+        const call = match[1] ? `${match[1]}.${match[2]}()` : `${match[3]}.query.${match[4]}()`;
+        context.report({ line: lineAt(line, index), message: `${call} inside a loop runs one query per iteration (N+1). Load the rows in one query with .in_() before the loop.` });
+      }
+      const relations = namesMatching(context.content, SA_RELATIONSHIP);
+      for (const loop of querysetLoops(source, (expr) => SA_RESULT.test(expr), EAGER_SA)) {
+        // Models usually live in models.py, so a chain through the row (order.customer.name) counts as a relation too
+        const hit = relationAccess(source, loop, relations);
+        if (!hit) continue;
+        context.report({
+          line: hit.lineNumber,
+          message: `${loop.target}.${hit.attr} lazy-loads a relationship with one query per ${loop.target} (N+1). Add .options(selectinload(...${hit.attr})) or joinedload() to the query.`,
+        });
+      }
+    },
+    message: 'Relationship accessed inside a loop lazy-loads with one query per row (N+1).',
+    suggestion: 'Eager-load with .options(selectinload(Model.rel)) for collections or joinedload(Model.rel) for many-to-one, or query the related rows in bulk.',
+  },
+  {
+    id: 'pandas-row-loop',
+    name: 'Row-by-Row pandas Loop',
+    severity: 'medium',
+    languages: ['py'],
+    check(context) {
+      const source = readPython(context.content);
+      for (const { line, index, match } of findAll(source, /\.(iterrows|itertuples)\s*\(/g)) {
+        context.report({ line: lineAt(line, index), message: `.${match[1]}() walks the DataFrame one row at a time in Python. Use vectorised column operations instead.` });
+      }
+      if (!/^\s*(?:import|from)\s+(?:modin\.)?pandas\b/m.test(context.content)) return;
+      for (const { line, index } of findAll(source, /\.apply\s*\(/g)) {
+        const args = callArgs(line.raw, line.code.indexOf('(', index));
+        if (/\baxis\s*=\s*(?:1|["']columns["'])/.test(args)) {
+          context.report({ line: lineAt(line, index), message: '.apply(..., axis=1) calls a Python function once per row. Rewrite it with vectorised column arithmetic, np.where() or merge().' });
+        }
+      }
+      // for i in range(len(df)): ... df.iloc[i]
+      for (const line of source.lines) {
+        const block = line.opens;
+        const range = block?.kind === 'for' && /^range\s*\(\s*len\s*\(\s*(\w+)\s*\)\s*\)$/.exec(block.iter);
+        if (!range) continue;
+        const indexer = new RegExp(`\\b${range[1]}\\.(?:iloc|loc|at|iat)\\[`);
+        const hit = blockBody(source, block).find((l) => indexer.test(l.code));
+        if (hit) context.report({ line: hit.line, message: `Indexing ${range[1]} row by row inside range(len(${range[1]})) is a Python-speed loop. Use vectorised column operations instead.` });
+      }
+    },
+    message: 'Row-by-row DataFrame loop runs at Python speed instead of vectorised.',
+    suggestion: 'Operate on whole columns (df["a"] * df["b"]), use np.where()/np.select() for conditions, and merge() instead of per-row lookups.',
+  },
+  {
+    id: 'py-list-membership-in-loop',
+    name: 'List Membership Test in a Loop',
+    severity: 'medium',
+    languages: ['py'],
+    check(context) {
+      const source = readPython(context.content);
+      for (const { line, index, match } of findAll(source, /\b(?:not\s+)?in\s+([A-Za-z_]\w*)\b(?!\s*[([.])/g)) {
+        if (/\bfor\s+[^:=]*$/.test(line.code.slice(0, index).split(/\bif\b|\band\b|\bor\b/).pop())) continue;
+        const loop = loopAt(line, index);
+        if (!loop) continue;
+        const name = match[1];
+        const def = enclosingDef(line, index);
+        // A list rebuilt inside the loop is a fresh small list, not a growing one
+        const loopStart = loop.block ? source.lines[loop.block.start].line : lineAt(line, index);
+        const values = assignmentsOf(source, def, name, loopStart);
+        const last = values[values.length - 1] ?? paramAnnotation(def, name);
+        if (!last || !isGrowingList(last)) continue;
+        context.report({
+          line: lineAt(line, index),
+          message: `\`in ${name}\` scans the list on every iteration, making the loop O(n²). Make ${name} a set (or dict) for O(1) lookups.`,
+        });
+      }
+    },
+    message: 'Membership test against a list inside a loop is O(n) per check, O(n²) overall.',
+    suggestion: 'Build a set once (seen = set(items)) and test membership against it; use a dict when you also need a value.',
+  },
+  {
+    id: 'py-string-concat-in-loop',
+    name: 'String Built with += in a Loop',
+    severity: 'low',
+    languages: ['py'],
+    check(context) {
+      const source = readPython(context.content);
+      for (const { line, index, match } of findAll(source, /^(\s*)([A-Za-z_]\w*)\s*\+=\s*(\S)/g)) {
+        const at = index + match[1].length;
+        if (!loopAt(line, at)) continue;
+        const initial = assignmentsOf(source, enclosingDef(line, at), match[2], line.line);
+        const values = [line.code.slice(index + match[0].length - 1), initial[initial.length - 1] ?? ''];
+        if (!values.some((v) => STRING_START.test(v))) continue;
+        context.report({ line: lineAt(line, at), message: `${match[2]} += ... copies the whole string on every iteration. Append the pieces to a list and "".join() them once.` });
+      }
+    },
+    message: 'String built with += in a loop is copied on every iteration.',
+    suggestion: 'Collect the pieces in a list and join them once with "".join(parts), or write to io.StringIO.',
+  },
+  {
+    id: 'py-blocking-call-in-async',
+    name: 'Blocking Call in async def',
+    severity: 'high',
+    languages: ['py'],
+    check(context) {
+      const source = readPython(context.content);
+      const sleepImported = /^\s*from\s+time\s+import\s+[^\n]*\bsleep\b/m.test(context.content);
+      const pattern = sleepImported ? new RegExp(`${BLOCKING_CALL.source}|(?<![\\w.])(sleep)\\s*\\(`, 'g') : BLOCKING_CALL;
+      for (const { line, index, match } of findAll(source, pattern)) {
+        if (!enclosingDef(line, index)?.async) continue;
+        const call = match[1] ?? 'time.sleep';
+        const alternative = BLOCKING_ALTERNATIVE[call.split('.')[0]] ?? BLOCKING_ALTERNATIVE.time;
+        context.report({ line: lineAt(line, index), message: `${call}() blocks the event loop inside async def, stalling every other request. Use ${alternative}.` });
+      }
+    },
+    message: 'Blocking call inside async def stalls the whole event loop.',
+    suggestion: 'Use the asyncio equivalent (asyncio.sleep, httpx.AsyncClient, asyncio.create_subprocess_exec) or move the call to a thread with asyncio.to_thread().',
+  },
+];
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+function namesMatching(content, regex) {
+  return new Set([...content.matchAll(regex)].map((m) => m[1]));
+}
+
+function isDjangoQueryset(expr) {
+  return /\.objects\b/.test(expr);
+}
+
+// for-loops and comprehensions over a query result that isn't eager-loaded,
+// either directly or through a variable assigned earlier in the same scope
+function querysetLoops(source, isQuery, eager) {
+  const loops = [];
+  const seen = new Set();
+  const consider = (loop, line) => {
+    if (seen.has(loop) || !loop.target || !/^[A-Za-z_]\w*$/.test(loop.target)) return;
+    seen.add(loop);
+    let expr = loop.iter;
+    if (/^[A-Za-z_]\w*$/.test(expr)) {
+      const values = assignmentsOf(source, enclosingDef(line), expr, line.line);
+      expr = values[values.length - 1] ?? '';
+    }
+    if (isQuery(expr) && !eager.test(expr)) loops.push({ ...loop, line });
+  };
+  for (const line of source.lines) {
+    if (line.opens?.kind === 'for') consider(line.opens, line);
+    for (const { index } of findAll({ lines: [line] }, /\sfor\s/g)) {
+      const loop = loopAt(line, index + 1);
+      if (loop?.kind === 'comprehension') consider(loop, line);
+    }
+  }
+  return loops.map((loop) => (loop.kind === 'comprehension' ? loop : { kind: 'for', target: loop.target, iter: loop.iter, line: loop.line, block: loop }));
+}
+
+// First access to a related object through the loop variable
+function relationAccess(source, loop, relations, { chains = true } = {}) {
+  const t = loop.target;
+  const access = new RegExp(`\\b${t}\\.(\\w+)(?:\\.(\\w+)(\\s*\\()?)?`, 'g');
+  const lines = loop.block ? [...(loop.line.bodyAt !== -1 ? [loop.line] : []), ...blockBody(source, loop.block)] : [loop.line];
+
+  for (const line of lines) {
+    access.lastIndex = 0;
+    let m;
+    while ((m = access.exec(line.code)) !== null) {
+      if (loop.region && (m.index < loop.region.start || m.index > loop.region.end)) continue;
+      if (!loop.block && m.index >= loop.iterStart && m.index < loop.iterEnd) continue;
+      const [, attr, next, call] = m;
+      const at = lineAt(line, m.index);
+      if (attr.endsWith('_set')) return { attr, many: true, lineNumber: at };
+      if (next && call && (MANAGER_METHODS.test(next) || (relations.has(attr) && RELATION_METHODS.test(next)))) return { attr, many: true, lineNumber: at };
+      if (relations.has(attr) && !call) return { attr, many: false, lineNumber: at };
+      if (chains && next && !call && !PLAIN_ATTRS.has(next) && !/^_/.test(next)) return { attr, many: false, lineNumber: at };
+    }
+    // for item in order.items / len(order.items)
+    const iterated = new RegExp(`(?:\\bin\\s+|\\blen\\s*\\(\\s*)${t}\\.(\\w+)\\b(?!\\s*[.(])`).exec(line.code);
+    if (iterated && !PLAIN_ATTRS.has(iterated[1])) return { attr: iterated[1], many: true, lineNumber: lineAt(line, iterated.index) };
+  }
+  return null;
+}
+
+// Queryset chain continuing after `.all()`: sliced, or ending in a bounded method
+function isBoundedChain(code, from) {
+  let i = from;
+  for (;;) {
+    const rest = code.slice(i);
+    if (/^\s*\[/.test(rest)) return true;
+    const m = /^\s*\.\s*(\w+)\s*\(/.exec(rest);
+    if (!m) return false;
+    if (BOUNDED_QUERYSET.has(m[1])) return true;
+    let depth = 0;
+    let j = i + m[0].length - 1;
+    for (; j < code.length; j++) {
+      if (code[j] === '(') depth++;
+      else if (code[j] === ')' && --depth === 0) break;
+    }
+    i = j + 1;
+  }
+}
+
+// The receiver chain ending at an offset: `Post.objects.filter(a=1)` before `.all()`
+function chainBefore(code, end) {
+  let i = end - 1;
+  while (i >= 0) {
+    if (code[i] === ')' || code[i] === ']') {
+      let depth = 0;
+      for (; i >= 0; i--) {
+        if (code[i] === ')' || code[i] === ']') depth++;
+        else if ((code[i] === '(' || code[i] === '[') && --depth === 0) break;
+      }
+      i--;
+    } else if (/[\w.]/.test(code[i])) {
+      i--;
+    } else {
+      break;
+    }
+  }
+  return code.slice(i + 1, end);
+}
+
+function callArgs(raw, open) {
+  let depth = 0;
+  for (let i = open; i < raw.length; i++) {
+    if (raw[i] === '(') depth++;
+    else if (raw[i] === ')' && --depth === 0) return raw.slice(open + 1, i);
+  }
+  return raw.slice(open + 1);
+}
+
+function paramAnnotation(def, name) {
+  const m = def && new RegExp(`\\b${name}\\s*:\\s*([\\w.\\[\\]]+)`).exec(def.params);
+  return m && /^(?:list|List|typing\.List)\b/.test(m[1]) ? '[]' : null;
+}
+
+// Lists that grow or come from data; a short literal of constants is fine
+function isGrowingList(value) {
+  if (/^\[\s*\]$|^(?:list|sorted)\s*\(/.test(value)) return true;
+  if (/^\[[\s\S]*\sfor\s[\s\S]*\]$/.test(value)) return true;
+  return /\.(?:split|readlines|tolist)\s*\([^)]*\)$/.test(value);
+}
@@ -0,0 +1,396 @@
+/**
+ * A light structural reading of Python source for the Python rule pack:
+ * logical lines with strings and comments masked out, the block each line
+ * sits in (def, class, for, while, if...), and comprehensions. Enough to ask
+ * "is this call inside a loop?" or "is this inside an async def?" without a
+ * full parser.
+ */
+
+const HEADER = /^(async\s+)?(def|class|for|while|with|if|elif|else|try|except|finally)\b/;
+
+/**
+ * @typedef {Object} PyBlock
+ * @property {'def'|'class'|'for'|'while'|'with'|'if'|'elif'|'else'|'try'|'except'|'finally'} kind
+ * @property {boolean} async
+ * @property {number} indent
+ * @property {number} start - index of the header in PySource.lines
+ * @property {number} end - index of the last logical line of the body
+ * @property {PyBlock|null} parent
+ * @property {string} [name] - def / class name
+ * @property {string} [params] - def parameter list, masked
+ * @property {string} [target] - for-loop target, e.g. "i, row"
+ * @property {string} [iter] - for-loop iterable (while: condition), masked
+ *
+ * @typedef {Object} PyLine - one logical line (continuations joined with "\n")
+ * @property {number} line - 1-based physical line it starts on
+ * @property {number} indent
+ * @property {string} code - source with string contents and comments blanked; same length as raw
+ * @property {string} raw
+ * @property {PyBlock|null} block - innermost block the line sits in
+ * @property {PyBlock|null} opens - block this line is the header of
+ * @property {number} bodyAt - offset of a one-line body after the header colon, or -1
+ *
+ * @typedef {Object} PyLoop
+ * @property {'for'|'while'|'comprehension'} kind
+ * @property {string|null} target
+ * @property {string} iter
+ * @property {PyLine} line - where the loop starts
+ * @property {PyBlock|null} block - the loop block, null for comprehensions
+ * @property {{ start: number, end: number }} [region] - comprehension span within line.code
+ *
+ * @typedef {Object} PySource
+ * @property {PyLine[]} lines
+ */
+
+/**
+ * Read Python source into logical lines and blocks. The last result is
+ * memoised, since every Python rule reads the same file.
+ *
+ * @param {string} content
+ * @returns {PySource}
+ */
+export function readPython(content) {
+  if (memo.content === content) return memo.source;
+
+  const { code, continued } = maskPython(content);
+  const codeLines = code.split('\n');
+  const rawLines = content.split('\n');
+  const lines = [];
+  const stack = [];
+
+  for (let i = 0; i < codeLines.length; i++) {
+    const first = i;
+    let depth = bracketDelta(codeLines[i]);
+    while (i + 1 < codeLines.length && (depth > 0 || continued.has(i) || /\\\s*$/.test(codeLines[i]))) {
+      i++;
+      depth += bracketDelta(codeLines[i]);
+    }
+    const lineCode = codeLines.slice(first, i + 1).join('\n');
+    if (!lineCode.trim()) continue;
+
+    const indent = lineCode.length - lineCode.trimStart().length;
+    while (stack.length && stack[stack.length - 1].indent >= indent) {
+      stack.pop().end = lines.length - 1;
+    }
+    const line = {
+      line: first + 1,
+      indent,
+      code: lineCode,
+      raw: rawLines.slice(first, i + 1).join('\n'),
+      block: stack[stack.length - 1] ?? null,
+      opens: null,
+      bodyAt: -1,
+    };
+    const header = readHeader(lineCode, indent);
+    if (header) {
+      const block = { ...header.block, start: lines.length, end: lines.length, parent: line.block };
+      line.opens = block;
+      line.bodyAt = header.bodyAt;
+      stack.push(block);
+    }
+    lines.push(line);
+  }
+  for (const block of stack) block.end = lines.length - 1;
+
+  const source = { lines };
+  memo.content = content;
+  memo.source = source;
+  return source;
+}
+
+/**
+ * Every match of a regex (which must have the g flag) in the masked code,
+ * with the logical line it's on.
+ *
+ * @param {PySource} source
+ * @param {RegExp} regex
+ * @returns {{ line: PyLine, index: number, match: RegExpExecArray }[]}
+ */
+export function findAll(source, regex) {
+  const hits = [];
+  for (const line of source.lines) {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(line.code)) !== null) {
+      hits.push({ line, index: match.index, match });
+      if (match[0] === '') regex.lastIndex++;
+    }
+  }
+  return hits;
+}
+
+/**
+ * Physical line number of an offset within a logical line.
+ *
+ * @param {PyLine} line
+ * @param {number} index
+ * @returns {number}
+ */
+export function lineAt(line, index) {
+  let n = line.line;
+  for (let i = 0; i < index && i < line.code.length; i++) {
+    if (line.code[i] === '\n') n++;
+  }
+  return n;
+}
+
+/**
+ * Innermost loop whose body contains the position: a comprehension on the
+ * same line, or an enclosing for / while block. Stops at def and class
+ * boundaries, since a function defined in a loop isn't called per iteration.
+ *
+ * @param {PyLine} line
+ * @param {number} index
+ * @returns {PyLoop|null}
+ */
+export function loopAt(line, index) {
+  const comp = comprehensions(line)
+    .filter((c) => index > c.region.start && index < c.region.end && (index < c.iterStart || index >= c.iterEnd))
+    .sort((a, b) => (a.region.end - a.region.start) - (b.region.end - b.region.start))[0];
+  if (comp) return comp;
+
+  for (let block = blockAt(line, index); block; block = block.parent) {
+    if (block.kind === 'def' || block.kind === 'class') return null;
+    if (block.kind === 'for' || block.kind === 'while') {
+      return { kind: block.kind, target: block.target ?? null, iter: block.iter, line: null, block };
+    }
+  }
+  return null;
+}
+
+/**
+ * Innermost def containing the position, or null at module or class level.
+ *
+ * @param {PyLine} line
+ * @param {number} [index]
+ * @returns {PyBlock|null}
+ */
+export function enclosingDef(line, index = 0) {
+  for (let block = blockAt(line, index); block; block = block.parent) {
+    if (block.kind === 'def') return block;
+    if (block.kind === 'class') return null;
+  }
+  return null;
+}
+
+/**
+ * Logical lines in a block's body (not including its header).
+ *
+ * @param {PySource} source
+ * @param {PyBlock} block
+ * @returns {PyLine[]}
+ */
+export function blockBody(source, block) {
+  return source.lines.slice(block.start + 1, block.end + 1);
+}
+
+/**
+ * Simple assignments (`name = value`, `name: T = value`) made directly in a
+ * scope before a given line, most recent last. Scope null is module level.
+ *
+ * @param {PySource} source
+ * @param {PyBlock|null} scope - a def block, or null
+ * @param {string} name
+ * @param {number} beforeLine - physical line number
+ * @returns {string[]} masked right-hand sides
+ */
+export function assignmentsOf(source, scope, name, beforeLine) {
+  const values = [];
+  const target = new RegExp(`^\\s*${name}\\s*(?::[^=\\n]+)?=(?!=)\\s*`);
+  const lines = scope ? blockBody(source, scope) : source.lines;
+  for (const line of lines) {
+    if (line.line >= beforeLine) break;
+    if (enclosingDef(line) !== scope) continue;
+    const m = target.exec(line.code);
+    if (m) values.push(line.code.slice(m[0].length).trim());
+  }
+  return values;
+}
+
+/**
+ * Raw source of a masked span, for string contents the rules need.
+ *
+ * @param {PyLine} line
+ * @param {number} start
+ * @param {number} end
+ * @returns {string}
+ */
+export function rawSlice(line, start, end) {
+  return line.raw.slice(start, end);
+}
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+const memo = { content: null, source: null };
+
+// Blank string contents and comments, keeping quotes, newlines and offsets.
+// `continued` holds indexes of physical lines that end inside a string.
+function maskPython(content) {
+  let out = '';
+  let lineNo = 0;
+  const continued = new Set();
+  let i = 0;
+  while (i < content.length) {
+    const ch = content[i];
+    if (ch === '\n') {
+      out += ch;
+      lineNo++;
+      i++;
+    } else if (ch === '#') {
+      while (i < content.length && content[i] !== '\n') {
+        out += ' ';
+        i++;
+      }
+    } else if (ch === '"' || ch === "'") {
+      const quote = content.startsWith(ch.repeat(3), i) ? ch.repeat(3) : ch;
+      out += quote;
+      i += quote.length;
+      while (i < content.length) {
+        if (content.startsWith(quote, i)) {
+          out += quote;
+          i += quote.length;
+          break;
+        }
+        if (content[i] === '\n') {
+          if (quote.length === 1 && content[i - 1] !== '\\') break;
+          continued.add(lineNo);
+          lineNo++;
+          out += '\n';
+          i++;
+          continue;
+        }
+        // A backslash escapes the next character, even in raw strings' quoting rules
+        if (content[i] === '\\' && content[i + 1] !== '\n') {
+          out += '  ';
+          i += 2;
+          continue;
+        }
+        out += ' ';
+        i++;
+      }
+    } else {
+      out += ch;
+      i++;
+    }
+  }
+  return { code: out, continued };
+}
+
+function bracketDelta(code) {
+  let d = 0;
+  for (const ch of code) {
+    if (ch === '(' || ch === '[' || ch === '{') d++;
+    else if (ch === ')' || ch === ']' || ch === '}') d--;
+  }
+  return d;
+}
+
+// Offset of the colon ending a block header, skipping brackets, walrus and lambdas
+function headerColon(code, from) {
+  let depth = 0;
+  let lambdas = 0;
+  for (let i = from; i < code.length; i++) {
+    const ch = code[i];
+    if (ch === '(' || ch === '[' || ch === '{') depth++;
+    else if (ch === ')' || ch === ']' || ch === '}') depth--;
+    else if (depth === 0 && code.startsWith('lambda', i) && !/\w/.test(code[i - 1] ?? '') && !/\w/.test(code[i + 6] ?? '')) lambdas++;
+    else if (ch === ':' && depth === 0 && code[i + 1] !== '=') {
+      if (lambdas) lambdas--;
+      else return i;
+    }
+  }
+  return -1;
+}
+
+function readHeader(code, indent) {
+  const text = code.slice(indent);
+  const m = HEADER.exec(text);
+  if (!m) return null;
+  const colon = headerColon(code, indent + m[0].length);
+  if (colon === -1) return null;
+
+  const kind = m[2];
+  const head = code.slice(indent + m[0].length, colon);
+  const block = { kind, async: Boolean(m[1]), indent };
+  if (kind === 'for') {
+    const inAt = topLevelIn(head);
+    if (inAt === -1) return null;
+    block.target = head.slice(0, inAt).trim();
+    block.iter = head.slice(inAt + 2).trim();
+  } else if (kind === 'while') {
+    block.iter = head.trim();
+  } else if (kind === 'def' || kind === 'class') {
+    const dm = /^\s*(\w+)\s*(\(([\s\S]*)\))?/.exec(head);
+    block.name = dm?.[1];
+    block.params = dm?.[3] ?? '';
+  }
+  const rest = code.slice(colon + 1);
+  return { block, bodyAt: rest.trim() ? colon + 1 + (rest.length - rest.trimStart().length) : -1 };
+}
+
+// Offset of the ` in ` separating a for target from its iterable, at depth 0
+function topLevelIn(text) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '(' || ch === '[' || ch === '{') depth++;
+    else if (ch === ')' || ch === ']' || ch === '}') depth--;
+    else if (depth === 0 && text.startsWith('in', i) && /\s/.test(text[i - 1] ?? '') && /\s/.test(text[i + 2] ?? '')) return i;
+  }
+  return -1;
+}
+
+function blockAt(line, index) {
+  return line.opens && line.bodyAt !== -1 && index >= line.bodyAt ? line.opens : line.block;
+}
+
+// Comprehensions and generator expressions on a line: `[x for x in xs if ...]`
+function comprehensions(line) {
+  if (line.comps) return line.comps;
+  const code = line.code;
+  const comps = [];
+  const opens = [];
+  for (let i = 0; i < code.length; i++) {
+    const ch = code[i];
+    if (ch === '(' || ch === '[' || ch === '{') {
+      opens.push({ at: i, fors: [] });
+    } else if (ch === ')' || ch === ']' || ch === '}') {
+      const open = opens.pop();
+      if (!open?.fors.length) continue;
+      const first = open.fors[0];
+      const tail = code.slice(first.iterStart, i);
+      // The first iterable ends at the next clause of the same comprehension
+      const next = /\s(?:for|if|async\s+for)\s/.exec(tailAtDepth0(tail));
+      const iterEnd = next ? first.iterStart + next.index : i;
+      comps.push({
+        kind: 'comprehension',
+        target: first.target,
+        iter: code.slice(first.iterStart, iterEnd).trim(),
+        line,
+        block: null,
+        region: { start: open.at, end: i },
+        iterStart: first.iterStart,
+        iterEnd,
+      });
+    } else if (opens.length && code.startsWith('for', i) && /\s/.test(code[i - 1] ?? '') && /\s/.test(code[i + 3] ?? '')) {
+      const rest = code.slice(i + 3);
+      const inAt = topLevelIn(rest);
+      if (inAt === -1) continue;
+      opens[opens.length - 1].fors.push({ target: rest.slice(0, inAt).trim(), iterStart: i + 3 + inAt + 2 });
+    }
+  }
+  line.comps = comps;
+  return comps;
+}
+
+// Blank nested brackets so keyword searches only see the outer level
+function tailAtDepth0(text) {
+  let depth = 0;
+  let out = '';
+  for (const ch of text) {
+    if (ch === '(' || ch === '[' || ch === '{') depth++;
+    out += depth > 0 ? ' ' : ch;
+    if (ch === ')' || ch === ']' || ch === '}') depth--;
+  }
+  return out;
+}
@@ -0,0 +1,403 @@
+import { walk, calleeName, calleeRoot, isFunction, isIterationCallback, enclosingFunction } from './ast.js';
+
+/**
+ * React rule pack: props and context values that defeat memoisation, work
+ * repeated on every render, unstable hook dependencies, index keys on
+ * reordered lists and long lists mounted in full. Spread into RULES in
+ * rules.js; each rule walks the JSX/TSX syntax tree.
+ */
+
+// Wrappers that keep the wrapped function a component or hook
+const COMPONENT_WRAPPERS = new Set(['memo', 'forwardRef', 'observer']);
+
+// Components and custom hooks run their body on every render
+const RENDER_FUNCTION = /^(?:[A-Z]|use[A-Z0-9])/;
+
+// hook name -> position of its dependency array
+const DEPS_HOOKS = new Map([
+  ['useEffect', 1], ['useLayoutEffect', 1], ['useInsertionEffect', 1],
+  ['useMemo', 1], ['useCallback', 1], ['useImperativeHandle', 2],
+]);
+
+// Array passes that walk the whole list; map only counts when it isn't rendering JSX
+const ARRAY_PASSES = new Set(['filter', 'map', 'reduce', 'reduceRight', 'flatMap', 'sort', 'toSorted']);
+
+const REORDERING = { sort: 'sorted', toSorted: 'sorted', reverse: 'reversed', toReversed: 'reversed', filter: 'filtered' };
+
+// Hooks whose result is a server-sized collection
+const DATA_HOOK = /^use(?:Query|SuspenseQuery|InfiniteQuery|SWR|SWRInfinite|Fetch|LoaderData|Collection|LiveQuery|Selector)$/;
+
+const VIRTUALIZATION_IMPORT = /^(?:react-window|react-virtualized|react-virtuoso|virtua|@tanstack\/(?:react-)?virtual|react-virtual|@shopify\/flash-list)(?:\/|$)/;
+
+export const REACT_RULES = [
+  {
+    id: 'react-inline-prop',
+    name: 'Inline Prop to a Memoized Component',
+    severity: 'medium',
+    languages: ['js', 'ts'],
+    // Memoized components imported from other files, by name
+    options: { memoComponents: [] },
+    check(context) {
+      if (!context.ast) return;
+      const { memoized } = analyse(context.ast, context.options);
+      walk(context.ast, (node, ancestors) => {
+        if (node.type !== 'JSXAttribute' || node.name.type !== 'JSXIdentifier') return;
+        const prop = node.name.name;
+        const kind = prop !== 'key' && prop !== 'ref' && inlineKind(node.value?.expression);
+        if (!kind) return;
+        const element = jsxName(ancestors[ancestors.length - 1].name);
+        if (!memoized.has(element) || !renderScope(ancestors)) return;
+        context.report({
+          node,
+          message: `Inline ${kind} passed as ${prop} to memoized <${element}> is new on every render, so memo() never skips a render.`,
+        });
+      });
+    },
+    message: 'Inline object, array or function prop defeats the memoized child\'s prop comparison.',
+    suggestion: 'Hoist constants out of the component, and wrap values in useMemo() and handlers in useCallback() so the child receives the same reference.',
+  },
+  {
+    id: 'react-context-value',
+    name: 'New Context Value Every Render',
+    severity: 'high',
+    languages: ['js', 'ts'],
+    check(context) {
+      if (!context.ast) return;
+      const state = analyse(context.ast);
+      walk(context.ast, (node, ancestors) => {
+        if (node.type !== 'JSXOpeningElement') return;
+        const element = jsxName(node.name);
+        if (!element.endsWith('.Provider') && !state.contexts.has(element)) return;
+        const value = node.attributes.find((a) => a.type === 'JSXAttribute' && a.name.name === 'value');
+        const scope = value && renderScope([...ancestors, node]);
+        if (!scope) return;
+        const kind = unstableKind(state, scope.fn, value.value?.expression);
+        if (!kind) return;
+        context.report({
+          node: value,
+          message: `<${element}> gets a new ${kind} as its value on every render of ${scope.name}, re-rendering every consumer of the context.`,
+        });
+      });
+    },
+    message: 'Context provider value is recreated on every render, re-rendering all consumers.',
+    suggestion: 'Wrap the value in useMemo() (and its functions in useCallback()), or split state and setters into separate contexts.',
+  },
+  {
+    id: 'react-unmemoized-computation',
+    name: 'Expensive Computation in Render',
+    severity: 'medium',
+    languages: ['js', 'ts'],
+    check(context) {
+      if (!context.ast) return;
+      walk(context.ast, (node, ancestors) => {
+        if (node.type !== 'CallExpression' || !isOutermostCall(node, ancestors)) return;
+        const passes = arrayPasses(node);
+        if (!passes.includes('sort') && !passes.includes('toSorted') && passes.length < 2) return;
+        const scope = renderScope(ancestors);
+        const root = calleeRoot(node);
+        if (!scope || !propNames(scope.fn).has(root)) return;
+        context.report({
+          node,
+          message: `${root}${passes.map((p) => `.${p}()`).join('')} runs on every render of ${scope.name}. Wrap it in useMemo() keyed on ${root}.`,
+        });
+      });
+    },
+    message: 'Sorting or multi-pass filtering of props runs again on every render.',
+    suggestion: 'Wrap the computation in useMemo(() => ..., [deps]) so it only reruns when its inputs change.',
+  },
+  {
+    id: 'react-unstable-deps',
+    name: 'Hook Dependency Changes Every Render',
+    severity: 'high',
+    languages: ['js', 'ts'],
+    check(context) {
+      if (!context.ast) return;
+      const state = analyse(context.ast);
+      walk(context.ast, (node, ancestors) => {
+        if (node.type !== 'CallExpression' || !DEPS_HOOKS.has(calleeName(node))) return;
+        const deps = node.arguments[DEPS_HOOKS.get(calleeName(node))];
+        const scope = deps?.type === 'ArrayExpression' && renderScope(ancestors);
+        if (!scope) return;
+        for (const dep of deps.elements) {
+          const kind = unstableKind(state, scope.fn, dep);
+          if (!kind) continue;
+          const subject = dep.type === 'Identifier' ? `${dep.name} is a new ${kind}` : `An inline ${kind} dependency is new`;
+          context.report({
+            node: dep,
+            message: `${subject} on every render, so ${calleeName(node)}() re-runs after every render of ${scope.name}.`,
+          });
+        }
+      });
+    },
+    message: 'Hook dependency is a new object, array or function on every render, so the hook never skips.',
+    suggestion: 'Move the value inside the effect, memoize it with useMemo()/useCallback(), or depend on its primitive fields instead.',
+  },
+  {
+    id: 'react-index-key',
+    name: 'Array Index as key on a Reordered List',
+    severity: 'medium',
+    languages: ['js', 'ts'],
+    check(context) {
+      if (!context.ast) return;
+      const state = analyse(context.ast);
+      walk(context.ast, (node, ancestors) => {
+        if (node.type !== 'JSXAttribute' || node.name.name !== 'key' || node.value?.type !== 'JSXExpressionContainer') return;
+        const mapped = mapCallbackOf(ancestors);
+        const index = mapped?.fn.params[1];
+        if (index?.type !== 'Identifier' || !identifiersIn(node.value.expression).has(index.name)) return;
+        const reason = reorderReason(state, mapped.call.callee.object);
+        if (!reason) return;
+        context.report({
+          node,
+          message: `The map index ${index.name} is used as key on a list that is ${reason}. When items move, React matches rows by position and re-renders or mixes up their state.`,
+        });
+      });
+    },
+    message: 'Array index used as key on a list whose order changes.',
+    suggestion: 'Use a stable id from the data (key={item.id}) so React can move rows instead of re-rendering them.',
+  },
+  {
+    id: 'react-unvirtualized-list',
+    name: 'Large List Without Virtualization',
+    severity: 'medium',
+    languages: ['js', 'ts'],
+    options: { minItems: 100 },
+    check(context) {
+      if (!context.ast) return;
+      const state = analyse(context.ast);
+      if (state.virtualized) return;
+      walk(context.ast, (node, ancestors) => {
+        if (node.type !== 'CallExpression' || !['map', 'flatMap'].includes(calleeName(node)) || !rendersJsx(node.arguments[0])) return;
+        if (!renderScope(ancestors) || chainNames(node.callee.object).includes('slice')) return;
+        const size = listSize(state, node.callee.object, context.options.minItems);
+        if (!size) return;
+        context.report({
+          node,
+          message: `${size} rendered in full with .${calleeName(node)}(): every row is mounted even when off screen. Virtualize it (react-window, @tanstack/react-virtual) or paginate.`,
+        });
+      });
+    },
+    message: 'Large list rendered in full mounts every row, even those off screen.',
+    suggestion: 'Render only visible rows with a virtualization library (react-window, @tanstack/react-virtual, react-virtuoso), or paginate the data.',
+  },
+];
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+const analyses = new WeakMap();
+
+// File-level facts shared by the rules: memoized components, contexts,
+// variable initialisers, state setters and virtualization imports
+function analyse(ast, options = {}) {
+  let state = analyses.get(ast);
+  if (!state) {
+    state = { memoized: new Set(), contexts: new Set(), inits: new Map(), stateVars: new Map(), calledSetters: new Set(), virtualized: false, locals: new Map() };
+    walk(ast, (node) => {
+      if (node.type === 'ImportDeclaration' && VIRTUALIZATION_IMPORT.test(node.source.value)) state.virtualized = true;
+      if (node.type === 'VariableDeclarator' && node.init) recordBinding(state, node.id, node.init);
+      if (node.type === 'AssignmentExpression' && node.left.type === 'Identifier' && isCallTo(node.right, 'memo')) state.memoized.add(node.left.name);
+      if (node.type === 'CallExpression' && node.callee.type === 'Identifier') state.calledSetters.add(node.callee.name);
+    });
+    analyses.set(ast, state);
+  }
+  for (const name of options.memoComponents ?? []) state.memoized.add(name);
+  return state;
+}
+
+function recordBinding(state, id, init) {
+  if (id.type === 'Identifier') {
+    if (isCallTo(init, 'memo')) state.memoized.add(id.name);
+    if (isCallTo(init, 'createContext')) state.contexts.add(id.name);
+    if (!state.inits.has(id.name)) state.inits.set(id.name, init);
+  } else if (id.type === 'ArrayPattern' && init.type === 'CallExpression' && ['useState', 'useReducer'].includes(calleeName(init))) {
+    const [value, setter] = id.elements;
+    if (value?.type === 'Identifier' && setter?.type === 'Identifier') state.stateVars.set(value.name, setter.name);
+  } else if (id.type === 'ObjectPattern') {
+    for (const prop of id.properties) {
+      const target = prop.type === 'RestElement' ? prop.argument : prop.value;
+      if (target?.type === 'Identifier' && !state.inits.has(target.name)) state.inits.set(target.name, init);
+    }
+  }
+}
+
+function isCallTo(node, name) {
+  return node?.type === 'CallExpression' && calleeName(node) === name;
+}
+
+function jsxName(name) {
+  if (name.type === 'JSXIdentifier') return name.name;
+  if (name.type === 'JSXMemberExpression') return `${jsxName(name.object)}.${name.property.name}`;
+  return '';
+}
+
+// Component or hook whose render the position runs in, looking through
+// array iteration callbacks; null inside handlers, effects and other callbacks
+function renderScope(ancestors) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    const fn = ancestors[i];
+    if (!isFunction(fn)) continue;
+    if (isIterationCallback(fn, ancestors[i - 1])) continue;
+    const name = functionName(fn, ancestors, i);
+    return name && RENDER_FUNCTION.test(name) ? { fn, name } : null;
+  }
+  return null;
+}
+
+function functionName(fn, ancestors, i) {
+  if (fn.id?.name) return fn.id.name;
+  let j = i - 1;
+  while (ancestors[j]?.type === 'CallExpression' && COMPONENT_WRAPPERS.has(calleeName(ancestors[j]))) j--;
+  const parent = ancestors[j];
+  return parent?.type === 'VariableDeclarator' && parent.id.type === 'Identifier' ? parent.id.name : null;
+}
+
+// Names a component receives as props: `props`, or the destructured fields
+function propNames(fn) {
+  const param = fn.params[0];
+  const names = new Set();
+  if (param?.type === 'Identifier') names.add(param.name);
+  if (param?.type === 'ObjectPattern') {
+    for (const prop of param.properties) {
+      const target = prop.type === 'RestElement' ? prop.argument : prop.value?.type === 'AssignmentPattern' ? prop.value.left : prop.value;
+      if (target?.type === 'Identifier') names.add(target.name);
+    }
+  }
+  return names;
+}
+
+function inlineKind(expr) {
+  if (!expr) return null;
+  if (expr.type === 'ObjectExpression') return 'object';
+  if (expr.type === 'ArrayExpression') return 'array';
+  if (isFunction(expr) || isCallTo(expr, 'bind')) return 'function';
+  return null;
+}
+
+// 'object', 'array' or 'function' when the expression gets a new identity
+// on every render (inline, or a local of the render function); null otherwise
+function unstableKind(state, fn, expr) {
+  if (expr?.type === 'Identifier') return localsOf(state, fn).get(expr.name) ?? null;
+  return inlineKind(expr);
+}
+
+// Variables the render function creates afresh each call: literals, functions, `new`
+function localsOf(state, fn) {
+  if (state.locals.has(fn)) return state.locals.get(fn);
+  const locals = new Map();
+  walk(fn.body, (node, ancestors) => {
+    // Only the render function's own statements, not nested callbacks
+    if (enclosingFunction(ancestors)) return;
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier') {
+      const kind = inlineKind(node.init) ?? (node.init?.type === 'NewExpression' ? 'object' : null);
+      if (kind) locals.set(node.id.name, kind);
+    } else if (node.type === 'FunctionDeclaration' && node.id) {
+      locals.set(node.id.name, 'function');
+    }
+  });
+  state.locals.set(fn, locals);
+  return locals;
+}
+
+function isOutermostCall(node, ancestors) {
+  const parent = ancestors[ancestors.length - 1];
+  const grand = ancestors[ancestors.length - 2];
+  return !(parent?.type === 'MemberExpression' && parent.object === node && grand?.type === 'CallExpression' && grand.callee === parent);
+}
+
+// Method names along a call chain, innermost first
+function chainNames(node) {
+  const names = [];
+  while (node?.type === 'CallExpression' && (node.callee.type === 'MemberExpression' || node.callee.type === 'OptionalMemberExpression')) {
+    names.unshift(calleeName(node));
+    node = node.callee.object;
+  }
+  return names;
+}
+
+// Whole-list passes in a chain, innermost first; a map that renders JSX doesn't count
+function arrayPasses(call) {
+  const passes = [];
+  for (let node = call; node?.type === 'CallExpression' && node.callee.type === 'MemberExpression'; node = node.callee.object) {
+    const name = calleeName(node);
+    if (ARRAY_PASSES.has(name) && !(name === 'map' && rendersJsx(node.arguments[0]))) passes.unshift(name);
+  }
+  return passes;
+}
+
+function rendersJsx(fn) {
+  if (!isFunction(fn)) return false;
+  const isJsx = (n) => n?.type === 'JSXElement' || n?.type === 'JSXFragment';
+  if (isJsx(fn.body)) return true;
+  if (fn.body.type === 'ConditionalExpression' || fn.body.type === 'LogicalExpression') return isJsx(fn.body.consequent) || isJsx(fn.body.right);
+  return fn.body.type === 'BlockStatement' && fn.body.body.some((s) => s.type === 'ReturnStatement' && isJsx(s.argument));
+}
+
+// Nearest enclosing `.map(cb)` callback of a JSX attribute
+function mapCallbackOf(ancestors) {
+  for (let i = ancestors.length - 1; i > 0; i--) {
+    const fn = ancestors[i];
+    if (!isFunction(fn)) continue;
+    const call = ancestors[i - 1];
+    return isIterationCallback(fn, call) && (calleeName(call) === 'map' || calleeName(call) === 'flatMap') ? { fn, call } : null;
+  }
+  return null;
+}
+
+function identifiersIn(expr) {
+  const names = new Set();
+  walk(expr, (node, ancestors) => {
+    const parent = ancestors[ancestors.length - 1];
+    const isProperty = parent?.type === 'MemberExpression' && parent.property === node && !parent.computed;
+    if (node.type === 'Identifier' && !isProperty) names.add(node.name);
+  });
+  return names;
+}
+
+// Why a mapped list can change order: a sort / reverse / filter in its chain
+// or in the variable it came from, or state that the component updates
+function reorderReason(state, list) {
+  for (let node = list, hops = 0; node && hops < 3; hops++) {
+    const moved = chainNames(node).find((name) => REORDERING[name]);
+    if (moved) return REORDERING[moved];
+    const root = node.type === 'Identifier' ? node.name : node.type === 'CallExpression' || node.type === 'MemberExpression' ? rootName(node) : null;
+    if (!root) return null;
+    const setter = state.stateVars.get(root);
+    if (setter && state.calledSetters.has(setter)) return `held in state and updated with ${setter}()`;
+    node = state.inits.get(root);
+  }
+  return null;
+}
+
+function rootName(node) {
+  while (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression' || node.type === 'CallExpression') {
+    node = node.type === 'CallExpression' ? node.callee : node.object;
+  }
+  return node.type === 'Identifier' ? node.name : null;
+}
+
+// Evidence that a mapped list is large: fetched data, or a literal or
+// Array.from({ length }) at or above minItems. Returns a description or null.
+function listSize(state, list, minItems) {
+  for (let node = list, hops = 0; node && hops < 3; hops++) {
+    if (node.type === 'ArrayExpression') return node.elements.length >= minItems ? `A ${node.elements.length}-item array is` : null;
+    const length = constructedLength(node);
+    if (length !== null) return length >= minItems ? `A ${length}-item array is` : null;
+    if (node.type === 'CallExpression' && DATA_HOOK.test(calleeName(node) ?? '')) return `Data from ${calleeName(node)}() is`;
+    const root = node.type === 'Identifier' ? node.name : rootName(node);
+    if (!root) return null;
+    node = state.inits.get(root);
+  }
+  return null;
+}
+
+// N for Array.from({ length: N }), new Array(N) and Array(N)
+function constructedLength(node) {
+  if (node.type === 'CallExpression' && calleeRoot(node) === 'Array' && calleeName(node) === 'from') {
+    const length = node.arguments[0]?.properties?.find((p) => p.key?.name === 'length');
+    return length?.value.type === 'NumericLiteral' ? length.value.value : null;
+  }
+  if ((node.type === 'NewExpression' || node.type === 'CallExpression') && node.callee.type === 'Identifier' && node.callee.name === 'Array') {
+    return node.arguments.length === 1 && node.arguments[0].type === 'NumericLiteral' ? node.arguments[0].value : null;
+  }
+  return null;
+}
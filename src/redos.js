@@ -0,0 +1,862 @@
+import { runInNewContext } from 'vm';
+import { walk } from './ast.js';
+
+/**
+ * ReDoS analysis for the blocking-regex rule.
+ *
+ * Regexes are pulled out of source (JS/TS literals and RegExp constructor
+ * strings, Python `re.*` calls, Go `regexp2` calls), parsed into a small tree
+ * and searched for the two shapes that make a backtracking engine blow up:
+ *
+ *   exponential — a repeated group that can match the same text in more than
+ *                 one way per iteration: `(a+)+`, `(\w+\s?)*`, `(a|aa)*`
+ *   polynomial  — two adjacent repeats competing for the same characters
+ *                 (`\d+\d+x`), or a leading repeat in an unanchored regex
+ *                 that must then hit the end of input (`\s+$`)
+ *
+ * Both only matter when something after the repeat can fail, so every
+ * report comes with an input that drives the regex into that failure.
+ */
+
+const MAX_CODE_POINT = 0x10ffff;
+
+// Repetition counts for the example inputs: enough to hang the regex, short
+// enough to read in a message
+const EXPONENTIAL_REPEAT = 40;
+const POLYNOMIAL_REPEAT = 50000;
+
+// Preferred characters when an example input needs "some character in this set"
+const READABLE_CHARS = 'a0 A_-.!x=/:@';
+const BREAKER_CHARS = '!_ 0a\n\u0000';
+
+const RE_CALL_PY = /\bre\.(?:compile|match|fullmatch|search|findall|finditer|sub|subn|split)\(\s*/g;
+// Go's standard regexp package is RE2 (linear time); only regexp2 backtracks
+const RE_CALL_GO = /\bregexp2\.(?:MustCompile|Compile)\(\s*/g;
+
+/**
+ * @typedef {Object} RegexIssue
+ * @property {'exponential'|'polynomial'} kind
+ * @property {string} subPattern - the part of the regex that backtracks
+ * @property {{ prefix: string, pump: string, repeat: number, suffix: string }} attack
+ *   example input: prefix + pump × repeat + suffix
+ *
+ * @typedef {Object} ExtractedRegex
+ * @property {string} source
+ * @property {string} flags
+ * @property {'js'|'py'|'go'} flavor
+ * @property {object} [node] - AST node, for JS/TS
+ * @property {number} [index] - character offset, for other languages
+ */
+
+/**
+ * Find regexes in a file that can backtrack catastrophically and report them
+ * through the rule context.
+ *
+ * @param {import('./checker.js').RuleContext} context
+ * @param {{ verify?: boolean, verifyTimeoutMs?: number }} options
+ *   verify: run each example input against JS/TS regexes and drop the ones
+ *   that finish within verifyTimeoutMs
+ */
+export function checkRegexes(context, options = {}) {
+  const { verify = false, verifyTimeoutMs = 100 } = options;
+
+  for (const regex of extractRegexes(context)) {
+    let issue;
+    try {
+      issue = analyzeRegex(regex.source, regex.flags, regex.flavor);
+    } catch {
+      // Syntax we don't understand (or an invalid regex): stay quiet
+      continue;
+    }
+    if (!issue) continue;
+
+    let confirmed = '';
+    if (verify && regex.node) {
+      const slow = verifyAttack(regex.source, regex.flags, issue, verifyTimeoutMs);
+      if (slow === false) continue;
+      if (slow) confirmed = ` Confirmed: the example ran longer than ${verifyTimeoutMs}ms.`;
+    }
+
+    context.report({ node: regex.node, index: regex.index, message: describeIssue(issue) + confirmed });
+  }
+}
+
+/**
+ * Pull regex sources out of a file.
+ *
+ * @param {import('./checker.js').RuleContext} context
+ * @returns {ExtractedRegex[]}
+ */
+export function extractRegexes(context) {
+  const { lang, content, ast } = context;
+  if (lang === 'js' || lang === 'ts') return ast ? extractFromAst(ast) : [];
+  if (lang === 'py') return extractFromCalls(content, RE_CALL_PY, readPythonString, 'py');
+  if (lang === 'go') return extractFromCalls(content, RE_CALL_GO, readGoString, 'go');
+  return [];
+}
+
+/**
+ * Look for catastrophic backtracking in one regex. Returns the most severe
+ * issue found, or null. Throws on syntax the parser doesn't support.
+ *
+ * @param {string} source
+ * @param {string} [flags]
+ * @param {'js'|'py'|'go'} [flavor]
+ * @returns {RegexIssue|null}
+ */
+export function analyzeRegex(source, flags = '', flavor = 'js') {
+  const root = parseRegex(source, flags, flavor);
+  const anchored = flags.includes('y');
+  return findExponential(root, source) ?? findPolynomial(root, source, anchored);
+}
+
+/**
+ * Run an issue's example input against the regex in a sandbox with a hard
+ * time limit. Returns true if it timed out, false if it finished, and null
+ * if the regex can't be compiled by V8 or the run fails some other way, so
+ * one odd pattern leaves its finding unverified instead of ending the scan.
+ *
+ * @param {string} source
+ * @param {string} flags
+ * @param {RegexIssue} issue
+ * @param {number} timeoutMs
+ * @returns {boolean|null}
+ */
+export function verifyAttack(source, flags, issue, timeoutMs) {
+  try {
+    const re = new RegExp(source, flags);
+    const { prefix, pump, suffix } = issue.attack;
+    const repeat = issue.kind === 'exponential' ? EXPONENTIAL_REPEAT : POLYNOMIAL_REPEAT;
+    const input = prefix + pump.repeat(repeat) + suffix;
+    runInNewContext('re.test(input)', { re, input }, { timeout: timeoutMs });
+    return false;
+  } catch (err) {
+    return err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' ? true : null;
+  }
+}
+
+/**
+ * Parse a regex into a tree of seq / alt / group / look / quant / char /
+ * assert / backref nodes. Each node records its start and end offset in the
+ * source so the offending sub-pattern can be quoted back.
+ *
+ * @param {string} source
+ * @param {string} [flags]
+ * @param {'js'|'py'|'go'} [flavor] - syntax dialect
+ * @returns {object}
+ */
+export function parseRegex(source, flags = '', flavor = 'js') {
+  const p = {
+    src: source,
+    pos: 0,
+    flavor,
+    ignoreCase: flags.includes('i'),
+    dotAll: flags.includes('s'),
+  };
+  const node = parseDisjunction(p);
+  if (p.pos < source.length) throw new Error(`Unmatched ")" at offset ${p.pos}`);
+  return node;
+}
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+// ── Extraction ──
+
+function extractFromAst(ast) {
+  const found = [];
+  walk(ast, (node) => {
+    if (node.type === 'RegExpLiteral') {
+      found.push({ source: node.pattern, flags: node.flags, flavor: 'js', node });
+      return;
+    }
+    if (node.type !== 'NewExpression' && node.type !== 'CallExpression') return;
+    if (node.callee.type !== 'Identifier' || node.callee.name !== 'RegExp') return;
+    const source = staticString(node.arguments[0]);
+    if (source === null) return;
+    const flags = node.arguments[1] ? staticString(node.arguments[1]) : '';
+    if (flags === null) return;
+    found.push({ source, flags, flavor: 'js', node });
+  });
+  return found;
+}
+
+function staticString(node) {
+  if (node?.type === 'StringLiteral') return node.value;
+  if (node?.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked ?? null;
+  return null;
+}
+
+function extractFromCalls(content, callPattern, readString, flavor) {
+  const found = [];
+  const rx = new RegExp(callPattern.source, 'g');
+  let match;
+  while ((match = rx.exec(content)) !== null) {
+    const literal = readString(content, rx.lastIndex);
+    if (literal !== null) found.push({ source: literal, flags: '', flavor, index: match.index });
+  }
+  return found;
+}
+
+// Reads a Python string literal (optionally r/b/u-prefixed, single or triple quoted)
+function readPythonString(content, at) {
+  const m = /^([rRbBuU]{0,2})('''|"""|'|")/.exec(content.slice(at, at + 5));
+  if (!m) return null;
+  const raw = /r/i.test(m[1]);
+  const quote = m[2];
+  let i = at + m[0].length;
+  let out = '';
+  while (i < content.length) {
+    if (content.startsWith(quote, i)) return out;
+    const ch = content[i];
+    if (ch === '\\' && i + 1 < content.length) {
+      const next = content[i + 1];
+      // Raw strings keep the backslash; normal strings only collapse the escapes regexes care about
+      if (raw) out += ch + next;
+      else if (next === '\\' || next === '\'' || next === '"') out += next;
+      else if (next === 'n') out += '\n';
+      else if (next === 't') out += '\t';
+      else out += ch + next;
+      i += 2;
+      continue;
+    }
+    if (ch === '\n' && quote.length === 1) return null;
+    out += ch;
+    i++;
+  }
+  return null;
+}
+
+// Reads a Go raw (`...`) or interpreted ("...") string literal
+function readGoString(content, at) {
+  const quote = content[at];
+  if (quote === '`') {
+    const end = content.indexOf('`', at + 1);
+    return end === -1 ? null : content.slice(at + 1, end);
+  }
+  if (quote !== '"') return null;
+  let out = '';
+  for (let i = at + 1; i < content.length; i++) {
+    const ch = content[i];
+    if (ch === '"') return out;
+    if (ch === '\n') return null;
+    if (ch === '\\' && i + 1 < content.length) {
+      const next = content[++i];
+      out += next === '\\' || next === '"' ? next : next === 'n' ? '\n' : next === 't' ? '\t' : '\\' + next;
+      continue;
+    }
+    out += ch;
+  }
+  return null;
+}
+
+// ── Character sets: sorted, merged [lo, hi] code point ranges ──
+
+const EMPTY = [];
+const ANY = [[0, MAX_CODE_POINT]];
+const DIGIT = [[0x30, 0x39]];
+const WORD = [[0x30, 0x39], [0x41, 0x5a], [0x5f, 0x5f], [0x61, 0x7a]];
+const SPACE = [
+  [0x09, 0x0d], [0x20, 0x20], [0xa0, 0xa0], [0x1680, 0x1680], [0x2000, 0x200a],
+  [0x2028, 0x2029], [0x202f, 0x202f], [0x205f, 0x205f], [0x3000, 0x3000], [0xfeff, 0xfeff],
+];
+const LINE_TERMINATORS = [[0x0a, 0x0a], [0x0d, 0x0d], [0x2028, 0x2029]];
+// \p{...} is approximated as "letters and anything outside ASCII"
+const UNICODE_PROPERTY = [[0x41, 0x5a], [0x61, 0x7a], [0x80, MAX_CODE_POINT]];
+
+function single(cp) {
+  return [[cp, cp]];
+}
+
+function union(a, b) {
+  const all = [...a, ...b].sort((x, y) => x[0] - y[0]);
+  const out = [];
+  for (const [lo, hi] of all) {
+    const last = out[out.length - 1];
+    if (last && lo <= last[1] + 1) last[1] = Math.max(last[1], hi);
+    else out.push([lo, hi]);
+  }
+  return out;
+}
+
+function intersect(a, b) {
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    const lo = Math.max(a[i][0], b[j][0]);
+    const hi = Math.min(a[i][1], b[j][1]);
+    if (lo <= hi) out.push([lo, hi]);
+    if (a[i][1] < b[j][1]) i++;
+    else j++;
+  }
+  return out;
+}
+
+function complement(set) {
+  const out = [];
+  let next = 0;
+  for (const [lo, hi] of set) {
+    if (lo > next) out.push([next, lo - 1]);
+    next = hi + 1;
+  }
+  if (next <= MAX_CODE_POINT) out.push([next, MAX_CODE_POINT]);
+  return out;
+}
+
+function contains(set, cp) {
+  return set.some(([lo, hi]) => cp >= lo && cp <= hi);
+}
+
+function withCaseVariants(set) {
+  const upper = intersect(set, [[0x41, 0x5a]]).map(([lo, hi]) => [lo + 32, hi + 32]);
+  const lower = intersect(set, [[0x61, 0x7a]]).map(([lo, hi]) => [lo - 32, hi - 32]);
+  return union(set, union(upper, lower));
+}
+
+// A representative character from a set, readable where possible
+function pickChar(set, preferred = READABLE_CHARS) {
+  if (!set.length) return null;
+  for (const ch of preferred) {
+    if (contains(set, ch.codePointAt(0))) return ch;
+  }
+  const printable = intersect(set, [[0x21, 0x7e]]);
+  return String.fromCodePoint((printable[0] ?? set[0])[0]);
+}
+
+// ── Parser ──
+
+function parseDisjunction(p) {
+  const start = p.pos;
+  const alternatives = [parseAlternative(p)];
+  while (p.src[p.pos] === '|') {
+    p.pos++;
+    alternatives.push(parseAlternative(p));
+  }
+  if (alternatives.length === 1) return alternatives[0];
+  return { type: 'alt', alternatives, start, end: p.pos };
+}
+
+function parseAlternative(p) {
+  const start = p.pos;
+  const items = [];
+  while (p.pos < p.src.length && p.src[p.pos] !== '|' && p.src[p.pos] !== ')') {
+    items.push(parseTerm(p));
+  }
+  return { type: 'seq', items, start, end: p.pos };
+}
+
+function parseTerm(p) {
+  const start = p.pos;
+  const atom = parseAtom(p);
+  const bounds = parseQuantifier(p);
+  if (!bounds) return atom;
+
+  let possessive = false;
+  if (p.src[p.pos] === '?') {
+    p.pos++;
+  } else if (p.src[p.pos] === '+') {
+    possessive = true;
+    p.pos++;
+  }
+  return { type: 'quant', body: atom, min: bounds.min, max: bounds.max, possessive, start, end: p.pos };
+}
+
+function parseQuantifier(p) {
+  const ch = p.src[p.pos];
+  if (ch === '*') return p.pos++, { min: 0, max: Infinity };
+  if (ch === '+') return p.pos++, { min: 1, max: Infinity };
+  if (ch === '?') return p.pos++, { min: 0, max: 1 };
+  if (ch !== '{') return null;
+
+  const m = /^\{(\d*)(,(\d*))?\}/.exec(p.src.slice(p.pos));
+  // "{" that isn't a valid quantifier is a literal brace; only Python allows "{,n}"
+  if (!m || (!m[1] && (!m[2] || p.flavor !== 'py'))) return null;
+  p.pos += m[0].length;
+  const min = m[1] ? Number(m[1]) : 0;
+  const max = m[2] ? (m[3] ? Number(m[3]) : Infinity) : min;
+  return { min, max };
+}
+
+function parseAtom(p) {
+  const start = p.pos;
+  const ch = p.src[p.pos];
+
+  if (ch === '(') return parseGroup(p);
+  if (ch === '[') return parseClass(p);
+  if (ch === '\\') return parseEscape(p);
+  if (ch === '*' || ch === '+' || ch === '?') throw new Error(`Nothing to repeat at offset ${start}`);
+
+  p.pos++;
+  if (ch === '.') return charNode(p.dotAll ? ANY : complement(LINE_TERMINATORS), start, p.pos);
+  if (ch === '^') return { type: 'assert', kind: 'start', start, end: p.pos };
+  if (ch === '$') return { type: 'assert', kind: 'end', start, end: p.pos };
+
+  const cp = p.src.codePointAt(start);
+  p.pos = start + String.fromCodePoint(cp).length;
+  return charNode(literalSet(p, cp), start, p.pos);
+}
+
+function parseGroup(p) {
+  const start = p.pos;
+  p.pos++;
+  const rest = p.src.slice(p.pos);
+  let kind = 'group';
+  let capturing = true;
+  let atomic = false;
+
+  if (rest.startsWith('?')) {
+    capturing = false;
+    const named = /^\?P?<([A-Za-z_]\w*)>/.exec(rest);
+    const inlineFlags = /^\?([aiLmsux]*)(?:-([imsx]*))?([:)])/.exec(rest);
+    if (rest.startsWith('?:')) {
+      p.pos += 2;
+    } else if (rest.startsWith('?=') || rest.startsWith('?!')) {
+      kind = 'look';
+      p.pos += 2;
+    } else if (rest.startsWith('?<=') || rest.startsWith('?<!')) {
+      kind = 'look';
+      p.pos += 3;
+    } else if (rest.startsWith('?>')) {
+      atomic = true;
+      p.pos += 2;
+    } else if (named) {
+      capturing = true;
+      p.pos += named[0].length;
+    } else if (rest.startsWith('?P=')) {
+      const close = p.src.indexOf(')', p.pos);
+      if (close === -1) throw new Error('Unterminated group');
+      p.pos = close + 1;
+      return { type: 'backref', start, end: p.pos };
+    } else if (rest.startsWith('?#')) {
+      const close = p.src.indexOf(')', p.pos);
+      if (close === -1) throw new Error('Unterminated comment');
+      p.pos = close + 1;
+      return { type: 'seq', items: [], start, end: p.pos };
+    } else if (inlineFlags) {
+      // Verbose mode changes what whitespace means; not worth modelling
+      if (inlineFlags[1].includes('x')) throw new Error('Verbose regexes are not supported');
+      if (inlineFlags[1].includes('i')) p.ignoreCase = true;
+      if (inlineFlags[1].includes('s')) p.dotAll = true;
+      p.pos += inlineFlags[0].length;
+      if (inlineFlags[3] === ')') return { type: 'seq', items: [], start, end: p.pos };
+    } else {
+      throw new Error(`Unsupported group syntax at offset ${start}`);
+    }
+  }
+
+  const body = parseDisjunction(p);
+  if (p.src[p.pos] !== ')') throw new Error(`Unterminated group at offset ${start}`);
+  p.pos++;
+  return { type: kind, body, capturing, atomic, start, end: p.pos };
+}
+
+function parseClass(p) {
+  const start = p.pos;
+  p.pos++;
+  let negate = false;
+  if (p.src[p.pos] === '^') {
+    negate = true;
+    p.pos++;
+  }
+
+  let set = EMPTY;
+  // Python and Go read "[]abc]" as a class containing "]"; in JS "[]" is empty
+  if (p.flavor !== 'js' && p.src[p.pos] === ']') {
+    set = single(0x5d);
+    p.pos++;
+  }
+  while (p.pos < p.src.length && p.src[p.pos] !== ']') {
+    const lo = parseClassAtom(p);
+    if (p.src[p.pos] === '-' && p.src[p.pos + 1] !== ']' && p.pos + 1 < p.src.length && typeof lo === 'number') {
+      p.pos++;
+      const hi = parseClassAtom(p);
+      if (typeof hi !== 'number') {
+        set = union(set, union(single(lo), union(single(0x2d), hi)));
+      } else {
+        if (hi < lo) throw new Error(`Range out of order at offset ${start}`);
+        set = union(set, [[lo, hi]]);
+      }
+      continue;
+    }
+    set = union(set, typeof lo === 'number' ? single(lo) : lo);
+  }
+  if (p.src[p.pos] !== ']') throw new Error(`Unterminated character class at offset ${start}`);
+  p.pos++;
+
+  if (p.ignoreCase) set = withCaseVariants(set);
+  return charNode(negate ? complement(set) : set, start, p.pos);
+}
+
+// Returns a code point, or a set for class escapes like \d
+function parseClassAtom(p) {
+  if (p.src[p.pos] !== '\\') {
+    const cp = p.src.codePointAt(p.pos);
+    p.pos += String.fromCodePoint(cp).length;
+    return cp;
+  }
+  const esc = p.src[p.pos + 1];
+  if (esc === 'b') {
+    p.pos += 2;
+    return 0x08;
+  }
+  const parsed = parseEscapeValue(p);
+  return parsed.set ?? parsed.cp;
+}
+
+function parseEscape(p) {
+  const start = p.pos;
+  const esc = p.src[p.pos + 1];
+  if (esc === undefined) throw new Error('Trailing backslash');
+
+  if (esc === 'b' || esc === 'B' || esc === 'G') {
+    p.pos += 2;
+    return { type: 'assert', kind: 'boundary', start, end: p.pos };
+  }
+  if (esc === 'A') {
+    p.pos += 2;
+    return { type: 'assert', kind: 'start', start, end: p.pos };
+  }
+  if (esc === 'Z' || esc === 'z') {
+    p.pos += 2;
+    return { type: 'assert', kind: 'end', start, end: p.pos };
+  }
+  if (/[1-9]/.test(esc)) {
+    p.pos += 1 + /^\d+/.exec(p.src.slice(p.pos + 1))[0].length;
+    return { type: 'backref', start, end: p.pos };
+  }
+  if (esc === 'k' && p.src[p.pos + 2] === '<') {
+    const close = p.src.indexOf('>', p.pos);
+    if (close === -1) throw new Error('Unterminated group name');
+    p.pos = close + 1;
+    return { type: 'backref', start, end: p.pos };
+  }
+
+  const parsed = parseEscapeValue(p);
+  const set = parsed.set ?? literalSet(p, parsed.cp);
+  return charNode(set, start, p.pos);
+}
+
+// Escapes that stand for characters or character classes
+function parseEscapeValue(p) {
+  const esc = p.src[p.pos + 1];
+  const rest = p.src.slice(p.pos + 2);
+  p.pos += 2;
+
+  const classes = { d: DIGIT, w: WORD, s: SPACE };
+  if (classes[esc]) return { set: p.ignoreCase && esc === 'w' ? withCaseVariants(WORD) : classes[esc] };
+  if (classes[esc.toLowerCase()]) return { set: complement(classes[esc.toLowerCase()]) };
+
+  if (esc === 'p' || esc === 'P') {
+    const m = /^\{[^}]*\}/.exec(rest);
+    if (m) p.pos += m[0].length;
+    return { set: esc === 'p' ? UNICODE_PROPERTY : complement(UNICODE_PROPERTY) };
+  }
+
+  const simple = { n: 0x0a, r: 0x0d, t: 0x09, f: 0x0c, v: 0x0b, 0: 0x00 };
+  if (esc in simple && !(esc === '0' && /^[0-7]/.test(rest))) return { cp: simple[esc] };
+
+  const hex = esc === 'x' ? /^[0-9a-fA-F]{2}/.exec(rest) : esc === 'u' ? /^(?:[0-9a-fA-F]{4}|\{[0-9a-fA-F]+\})/.exec(rest) : null;
+  if (hex) {
+    p.pos += hex[0].length;
+    return { cp: parseInt(hex[0].replace(/[{}]/g, ''), 16) };
+  }
+  if (esc === 'c' && /^[A-Za-z]/.test(rest)) {
+    p.pos++;
+    return { cp: rest.charCodeAt(0) % 32 };
+  }
+  if (/[0-7]/.test(esc)) {
+    const oct = /^[0-7]{0,2}/.exec(rest)[0];
+    p.pos += oct.length;
+    return { cp: parseInt(esc + oct, 8) };
+  }
+
+  const cp = p.src.codePointAt(p.pos - 1);
+  p.pos += String.fromCodePoint(cp).length - 1;
+  return { cp };
+}
+
+function literalSet(p, cp) {
+  return p.ignoreCase ? withCaseVariants(single(cp)) : single(cp);
+}
+
+function charNode(set, start, end) {
+  return { type: 'char', set, start, end };
+}
+
+// ── Tree properties ──
+
+function nullable(node) {
+  switch (node.type) {
+    case 'char': return false;
+    case 'seq': return node.items.every(nullable);
+    case 'alt': return node.alternatives.some(nullable);
+    case 'group': return nullable(node.body);
+    case 'quant': return node.min === 0 || nullable(node.body);
+    default: return true; // look, assert, backref
+  }
+}
+
+// Every character the node could consume
+function charsOf(node) {
+  switch (node.type) {
+    case 'char': return node.set;
+    case 'seq': return node.items.reduce((acc, item) => union(acc, charsOf(item)), EMPTY);
+    case 'alt': return node.alternatives.reduce((acc, alt) => union(acc, charsOf(alt)), EMPTY);
+    case 'group':
+    case 'quant': return charsOf(node.body);
+    default: return EMPTY;
+  }
+}
+
+// Characters a non-empty match of the node can start with
+function firstChars(node) {
+  switch (node.type) {
+    case 'char': return node.set;
+    case 'seq': {
+      let acc = EMPTY;
+      for (const item of node.items) {
+        acc = union(acc, firstChars(item));
+        if (!nullable(item)) break;
+      }
+      return acc;
+    }
+    case 'alt': return node.alternatives.reduce((acc, alt) => union(acc, firstChars(alt)), EMPTY);
+    case 'group':
+    case 'quant': return node.max === 0 ? EMPTY : firstChars(node.body);
+    default: return EMPTY;
+  }
+}
+
+// Characters c such that the node can match a non-empty run of c alone
+function monoChars(node) {
+  switch (node.type) {
+    case 'char': return node.set;
+    case 'seq': {
+      const required = node.items.filter((item) => !nullable(item));
+      if (!required.length) return node.items.reduce((acc, item) => union(acc, monoChars(item)), EMPTY);
+      return required.reduce((acc, item) => intersect(acc, monoChars(item)), ANY);
+    }
+    case 'alt': return node.alternatives.reduce((acc, alt) => union(acc, monoChars(alt)), EMPTY);
+    case 'group': return node.atomic ? EMPTY : monoChars(node.body);
+    case 'quant': return node.max === 0 ? EMPTY : monoChars(node.body);
+    default: return EMPTY;
+  }
+}
+
+// Shortest string the node matches (approximately)
+function sample(node) {
+  switch (node.type) {
+    case 'char': return pickChar(node.set) ?? '';
+    case 'seq': return node.items.map(sample).join('');
+    case 'alt': return node.alternatives.map(sample).sort((a, b) => a.length - b.length)[0];
+    case 'group': return sample(node.body);
+    case 'quant': return node.min ? sample(node.body).repeat(Math.min(node.min, 10)) : '';
+    default: return '';
+  }
+}
+
+function isUnbounded(node) {
+  return node.type === 'quant' && node.max === Infinity && !node.possessive;
+}
+
+// Strip capturing / non-capturing wrappers down to a single inner node
+function unwrap(node) {
+  let n = node;
+  for (;;) {
+    if (n.type === 'group' && !n.atomic) n = n.body;
+    else if (n.type === 'seq' && n.items.length === 1) n = n.items[0];
+    else return n;
+  }
+}
+
+function asSequences(node) {
+  const n = unwrap(node);
+  if (n.type === 'alt') return n.alternatives.map((a) => (a.type === 'seq' ? a.items : [a]));
+  return [n.type === 'seq' ? n.items : [n]];
+}
+
+// Walk the tree, tracking for each node the enclosing sequences and its position in them
+function visit(node, fn, path = []) {
+  fn(node, path);
+  switch (node.type) {
+    case 'seq':
+      node.items.forEach((item, i) => visit(item, fn, [...path, { seq: node, index: i }]));
+      break;
+    case 'alt':
+      for (const alt of node.alternatives) visit(alt, fn, path);
+      break;
+    case 'group':
+    case 'look':
+    case 'quant':
+      visit(node.body, fn, path);
+      break;
+    default:
+  }
+}
+
+// Items that run after the node at `path`, innermost first
+function suffixItems(path) {
+  const items = [];
+  for (let i = path.length - 1; i >= 0; i--) {
+    const { seq, index } = path[i];
+    items.push(...seq.items.slice(index + 1));
+  }
+  return items;
+}
+
+function prefixSample(path) {
+  return path.map(({ seq, index }) => seq.items.slice(0, index).map(sample).join('')).join('');
+}
+
+// Whether the rest of the regex can reject the input, i.e. force a backtrack
+function canFail(items) {
+  return items.some((item) => !nullable(item) || item.type === 'assert' || item.type === 'look');
+}
+
+function suffixFirstChars(items) {
+  let acc = EMPTY;
+  for (const item of items) {
+    acc = union(acc, firstChars(item));
+    if (!nullable(item)) break;
+  }
+  return acc;
+}
+
+// A character the repeated part can't consume and the rest can't start with
+function breakerFor(consumed, suffix) {
+  const allowed = complement(union(consumed, suffixFirstChars(suffix)));
+  return pickChar(allowed, BREAKER_CHARS);
+}
+
+// ── Detection ──
+
+function findExponential(root, source) {
+  let issue = null;
+  visit(root, (node, path) => {
+    if (issue || !isUnbounded(node) || (node.body.type === 'group' && node.body.atomic)) return;
+
+    const pumpSet = ambiguousChars(node.body);
+    if (!pumpSet.length) return;
+    const suffix = suffixItems(path);
+    if (!canFail(suffix)) return;
+    const breaker = breakerFor(charsOf(node.body), suffix);
+    if (breaker === null) return;
+
+    issue = {
+      kind: 'exponential',
+      subPattern: source.slice(node.start, node.end),
+      attack: { prefix: prefixSample(path), pump: pickChar(pumpSet), repeat: EXPONENTIAL_REPEAT, suffix: breaker },
+    };
+  });
+  return issue;
+}
+
+// Characters a repeated body can match in more than one way
+function ambiguousChars(body) {
+  let acc = EMPTY;
+  for (const items of asSequences(body)) {
+    for (let i = 0; i < items.length; i++) {
+      const inner = unwrap(items[i]);
+      const others = items.filter((_, j) => j !== i && !nullable(items[j]));
+
+      // Nested repeat: (a+)+, (\w+\s?)*, ([a-z]+[a-z])+
+      if (isUnbounded(inner)) {
+        const set = others.reduce((s, item) => intersect(s, monoChars(item)), monoChars(inner));
+        acc = union(acc, set);
+      }
+
+      // Overlapping alternatives: (a|aa)*, (\w|\d)+, ([^"]|\\.)*
+      if (inner.type === 'alt' && others.length === 0) {
+        const sets = inner.alternatives.map(monoChars);
+        for (let a = 0; a < sets.length; a++) {
+          for (let b = a + 1; b < sets.length; b++) acc = union(acc, intersect(sets[a], sets[b]));
+        }
+      }
+    }
+  }
+
+  // A body that is itself an overlapping alternation
+  const top = unwrap(body);
+  if (top.type === 'alt') {
+    const sets = top.alternatives.map(monoChars);
+    for (let a = 0; a < sets.length; a++) {
+      for (let b = a + 1; b < sets.length; b++) acc = union(acc, intersect(sets[a], sets[b]));
+    }
+  }
+  return acc;
+}
+
+function findPolynomial(root, source, sticky) {
+  let issue = null;
+
+  // Adjacent repeats competing for the same characters: \d+\.?\d+x, .*.*=
+  visit(root, (node, path) => {
+    if (issue || node.type !== 'seq') return;
+    const items = node.items;
+    for (let i = 0; i < items.length && !issue; i++) {
+      const first = unwrap(items[i]);
+      if (!isUnbounded(first)) continue;
+      for (let j = i + 1; j < items.length; j++) {
+        const second = unwrap(items[j]);
+        if (isUnbounded(second)) {
+          const between = items.slice(i + 1, j);
+          const shared = intersect(monoChars(first), monoChars(second));
+          const suffix = [...items.slice(j + 1), ...suffixItems(path)];
+          const consumed = [first, ...between, second].reduce((acc, n) => union(acc, charsOf(n)), EMPTY);
+          const breaker = shared.length && canFail(suffix) ? breakerFor(consumed, suffix) : null;
+          if (breaker !== null) {
+            issue = {
+              kind: 'polynomial',
+              subPattern: source.slice(items[i].start, items[j].end),
+              attack: {
+                prefix: prefixSample(path) + items.slice(0, i).map(sample).join(''),
+                pump: pickChar(shared),
+                repeat: POLYNOMIAL_REPEAT,
+                suffix: breaker,
+              },
+            };
+            break;
+          }
+        }
+        if (!nullable(items[j])) break;
+      }
+    }
+  });
+  if (issue || sticky) return issue;
+
+  // Unanchored leading repeat that has to reach the end: \s+$
+  const sequences = asSequences(root);
+  for (const items of sequences) {
+    if (!items.length) continue;
+    const first = unwrap(items[0]);
+    const rest = items.slice(1);
+    const endsAnchored = rest.some((item) => item.type === 'assert' && item.kind === 'end');
+    if (!isUnbounded(first) || !endsAnchored || !rest.every(nullable)) continue;
+    const breaker = breakerFor(charsOf(first), rest);
+    const pump = pickChar(monoChars(first));
+    if (breaker === null || pump === null) continue;
+    return {
+      kind: 'polynomial',
+      subPattern: source.slice(items[0].start, rest[rest.length - 1].end),
+      // Starting on the breaker keeps other alternatives (like ^\s+) from matching at once
+      attack: { prefix: sequences.length > 1 ? breaker : '', pump, repeat: POLYNOMIAL_REPEAT, suffix: breaker },
+    };
+  }
+  return null;
+}
+
+// ── Messages ──
+
+function describeIssue(issue) {
+  const sub = issue.subPattern.length > 60 ? issue.subPattern.slice(0, 57) + '...' : issue.subPattern;
+  const { prefix, pump, repeat, suffix } = issue.attack;
+  const input = [
+    prefix ? JSON.stringify(prefix) : null,
+    `${JSON.stringify(pump)} repeated ${repeat} times`,
+    suffix ? JSON.stringify(suffix) : null,
+  ].filter(Boolean).join(' + ');
+  const growth = issue.kind === 'exponential'
+    ? 'can match the same text in many ways, so backtracking grows exponentially'
+    : 'makes backtracking grow quadratically with input length';
+  return `Regex ReDoS: ${sub} ${growth}. Input like ${input} hangs it.`;
+}
@@ -1,4 +1,14 @@
 import chalk from 'chalk';
+import { readFileSync } from 'fs';
+import { relative } from 'path';
+import { pathToFileURL } from 'url';
+import { RULES } from './rules.js';
+import { fingerprint } from './baseline.js';
+import { buildHtmlReport } from './html.js';
+import { formatKb } from './deps.js';
+import { compareHotness } from './profile.js';
+
+const PKG = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
 
 const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
 
@@ -18,42 +28,72 @@ const SEVERITY_ICON = {
 
 const ACCENT = chalk.hex('#3B82F6');
 
+const SARIF_LEVEL = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note',
+};
+
+/** Formats meant for other tools; decorations would corrupt them. */
+export const MACHINE_FORMATS = new Set(['json', 'sarif']);
+
 /**
- * Format findings as text (default), JSON, or Markdown.
+ * Format findings as text (default), JSON, Markdown, or SARIF 2.1.0.
  *
  * @param {import('./checker.js').Finding[]} findings
- * @param {'text'|'json'|'markdown'} format
+ * @param {'text'|'json'|'markdown'|'sarif'} format
+ * @param {{ root?: string }} opts - root: directory SARIF locations are relative to (default: cwd)
  * @returns {string}
  */
-export function formatFindings(findings, format = 'text') {
+export function formatFindings(findings, format = 'text', opts = {}) {
   if (format === 'json') return JSON.stringify(findings, null, 2);
   if (format === 'markdown') return buildMarkdown(findings);
+  if (format === 'sarif') return JSON.stringify(buildSarif(findings, opts.root ?? process.cwd()), null, 2);
   return buildText(findings);
 }
 
 /**
- * Print a concise summary table to stdout.
+ * Print a concise summary table.
  *
  * @param {import('./checker.js').Finding[]} findings
+ * @param {NodeJS.WritableStream} [out=process.stdout]
+ */
+export function printSummary(findings, out = process.stdout) {
+  out.write(formatSummary(findings));
+}
+
+/**
+ * The summary printSummary writes, as a string: severity counts, the hottest
+ * findings when profiled, counts per workspace package when tagged, and the
+ * files with the most findings.
+ *
+ * @param {import('./checker.js').Finding[]} findings
+ * @returns {string}
  */
-export function printSummary(findings) {
+export function formatSummary(findings) {
   const total = findings.length;
-  if (total === 0) {
-    process.stdout.write(chalk.green.bold('\n  No performance issues found.\n\n'));
-    return;
-  }
+  if (total === 0) return chalk.green.bold('\n  No performance issues found.\n\n');
 
-  const counts = { critical: 0, high: 0, medium: 0, low: 0 };
-  for (const f of findings) counts[f.severity] = (counts[f.severity] ?? 0) + 1;
+  const parts = [`\n  ${ACCENT.bold('perf-x-ray')}  ${severityLine(findings)}  ${chalk.dim(`(${total} total)`)}\n`];
 
-  const line = [
-    SEVERITY_COLOR.critical(`${counts.critical} critical`),
-    SEVERITY_COLOR.high(`${counts.high} high`),
-    SEVERITY_COLOR.medium(`${counts.medium} medium`),
-    SEVERITY_COLOR.low(`${counts.low} low`),
-  ].join(chalk.dim('  |  '));
+  // With a CPU profile, where the time goes matters more than how many hits a file has
+  const hottest = findings.filter((f) => f.hotness?.percent > 0).sort(compareHotness).slice(0, 5);
+  if (hottest.length) {
+    parts.push(`\n  ${chalk.dim('Hottest:')}\n`);
+    for (const f of hottest) {
+      parts.push(`    ${chalk.red(`${f.hotness.percent}%`.padStart(6))}  ${chalk.dim(`${f.file}:${f.line}`)}  ${ACCENT(`[${f.ruleId}]`)}\n`);
+    }
+  }
 
-  process.stdout.write(`\n  ${ACCENT.bold('perf-x-ray')}  ${line}  ${chalk.dim(`(${total} total)`)}\n`);
+  const packages = packageBreakdown(findings);
+  if (packages.length) {
+    parts.push(`\n  ${chalk.dim('Packages:')}\n`);
+    const width = Math.min(40, Math.max(...packages.map((p) => p.name.length)));
+    for (const p of packages) {
+      parts.push(`    ${p.name.padEnd(width)}  ${severityLine(p.findings)}  ${chalk.dim(`top: ${p.topFile} (${p.topCount})`)}\n`);
+    }
+  }
 
   // Top 5 worst files
   const fileCounts = {};
@@ -63,21 +103,140 @@ export function printSummary(findings) {
     .slice(0, 5);
 
   if (topFiles.length) {
-    process.stdout.write(`\n  ${chalk.dim('Top files:')}\n`);
+    parts.push(`\n  ${chalk.dim('Top files:')}\n`);
     for (const [file, count] of topFiles) {
-      process.stdout.write(`    ${chalk.dim(file)}  ${chalk.yellow(count + ' issues')}\n`);
+      parts.push(`    ${chalk.dim(file)}  ${chalk.yellow(count + ' issues')}\n`);
     }
   }
-  process.stdout.write('\n');
+  parts.push('\n');
+  return parts.join('');
+}
+
+/**
+ * Print one watch-mode update: findings added and resolved in the changed
+ * files, followed by a running total for the whole project.
+ *
+ * @param {{ added: import('./checker.js').Finding[], resolved: import('./checker.js').Finding[], files: string[] }} changes
+ * @param {import('./checker.js').Finding[]} all - every current finding
+ * @param {(file: string) => string} [displayPath] - how to show file paths
+ * @param {NodeJS.WritableStream} [out=process.stdout]
+ */
+export function printWatchUpdate({ added, resolved, files }, all, displayPath = (f) => f, out = process.stdout) {
+  const time = new Date().toTimeString().slice(0, 8);
+  const changed = files.length === 1 ? displayPath(files[0]) : `${files.length} files`;
+  out.write(`\n  ${chalk.dim(time)}  ${chalk.dim('changed')} ${changed}\n`);
+
+  for (const f of added) {
+    const sev = SEVERITY_COLOR[f.severity] ?? chalk.white;
+    out.write(`    ${chalk.red('+')} ${sev(f.severity.padEnd(8))} ${chalk.dim(`${displayPath(f.file)}:${f.line}`)}  ${ACCENT(`[${f.ruleId}]`)}  ${f.message}\n`);
+  }
+  for (const f of resolved) {
+    out.write(`    ${chalk.green('-')} ${chalk.dim(f.severity.padEnd(8))} ${chalk.dim(`${displayPath(f.file)}:${f.line}`)}  ${chalk.dim(`[${f.ruleId}] resolved`)}\n`);
+  }
+  if (!added.length && !resolved.length) out.write(`    ${chalk.dim('no change in findings')}\n`);
+
+  const total = all.length;
+  const status = total === 0 ? chalk.green.bold('clean') : `${severityLine(all)}  ${chalk.dim(`(${total} total)`)}`;
+  out.write(`  ${ACCENT.bold('perf-x-ray')}  ${status}\n`);
 }
 
 /**
- * Generate a full Markdown report string.
+ * Print how the current findings compare to a baseline.
+ *
+ * @param {import('./baseline.js').BaselineComparison} comparison
+ * @param {NodeJS.WritableStream} [out=process.stdout]
+ */
+export function printBaselineSummary({ introduced, existing, fixed }, out = process.stdout) {
+  const fixedCount = fixed.reduce((n, e) => n + (e.count ?? 1), 0);
+  out.write(
+    `  ${chalk.dim('baseline:')} ${chalk.bold(introduced.length + ' new')}` +
+      chalk.dim(`  |  ${existing.length} known  |  `) +
+      chalk.green(`${fixedCount} fixed`) + '\n',
+  );
+
+  if (fixed.length) {
+    out.write(`\n  ${chalk.green('Fixed since baseline:')}\n`);
+    for (const e of fixed) {
+      const times = (e.count ?? 1) > 1 ? chalk.dim(` (x${e.count})`) : '';
+      out.write(`    ${ACCENT(`[${e.ruleId}]`)} ${chalk.dim(e.file)}  ${chalk.italic(e.snippet)}${times}\n`);
+    }
+  }
+  out.write('\n');
+}
+
+/**
+ * Print the budget check: the performance score and every budget that was
+ * exceeded, with how far over it went. Prints nothing when no budgets or
+ * fail-on severity are configured.
+ *
+ * @param {import('./budget.js').BudgetResult} result
+ * @param {NodeJS.WritableStream} [out=process.stdout]
+ */
+export function printBudgetSummary(result, out = process.stdout) {
+  if (!result.enforced) return;
+  const status = result.passed ? chalk.green('within budget') : chalk.red(`${result.violations.length} exceeded`);
+  out.write(`  ${chalk.dim('budgets:')} ${status}${chalk.dim('  |  ')}score ${scoreColor(result.score)(`${result.score}/100`)}\n`);
+
+  for (const v of result.violations) {
+    const label = {
+      'fail-on': `${v.key} or above`,
+      severity: `${v.key} findings`,
+      rule: v.key,
+      path: v.key,
+      score: 'performance score',
+    }[v.kind];
+    const detail = v.kind === 'score'
+      ? `${v.actual} < ${v.limit} minimum  ${chalk.red(`(${v.over} short)`)}`
+      : `${v.actual} / ${v.limit} allowed  ${chalk.red(`(+${v.over})`)}`;
+    out.write(`    ${chalk.red('x')} ${label.padEnd(30)} ${detail}\n`);
+  }
+  out.write('\n');
+}
+
+/**
+ * Print scan statistics: cache effectiveness and the slowest rules.
+ *
+ * @param {import('./runner.js').ScanStats} stats
+ * @param {NodeJS.WritableStream} [out=process.stdout]
+ */
+export function printStats(stats, out = process.stdout) {
+  const parts = [
+    `${stats.files} files`,
+    `${stats.checked} checked`,
+    `${stats.cacheHits} cache hits`,
+    stats.workers ? `${stats.workers} workers` : 'main thread',
+    `${Math.round(stats.durationMs)}ms`,
+  ];
+  out.write(`  ${chalk.dim('stats:')} ${parts.join(chalk.dim('  |  '))}\n`);
+
+  const slowest = Object.entries(stats.ruleTimes).sort((a, b) => b[1] - a[1]).slice(0, 10);
+  if (slowest.length) {
+    out.write(`\n  ${chalk.dim('Time per rule (summed across threads):')}\n`);
+    for (const [id, ms] of slowest) {
+      out.write(`    ${id.padEnd(26)} ${chalk.yellow(ms.toFixed(1).padStart(9) + 'ms')}\n`);
+    }
+  }
+  out.write('\n');
+}
+
+/** Formats `generateReport` can produce. */
+export const REPORT_FORMATS = ['markdown', 'html'];
+
+/**
+ * Generate a full report string: Markdown, or a self-contained HTML page with
+ * filters, sortable tables and source excerpts.
  *
  * @param {import('./checker.js').Finding[]} findings
+ * @param {{ format?: 'markdown'|'html', root?: string }} opts
+ *   root: directory the HTML report shows paths relative to (default: cwd)
  * @returns {string}
  */
-export function generateReport(findings) {
+export function generateReport(findings, opts = {}) {
+  const { format = 'markdown' } = opts;
+  if (format === 'html') return buildHtmlReport(findings, { root: opts.root, version: PKG.version });
+  if (format !== 'markdown') {
+    throw new Error(`Unknown report format "${format}" (expected one of: ${REPORT_FORMATS.join(', ')})`);
+  }
   return buildMarkdown(findings);
 }
 
@@ -96,11 +255,13 @@ function buildText(findings) {
     const header = SEVERITY_COLOR[sev](`\n  [${sev.toUpperCase()}]  ${group.length} issue${group.length !== 1 ? 's' : ''}`);
     parts.push(header);
 
-    for (const f of group) {
+    for (const f of byHotness(group)) {
       const loc = chalk.dim(`${f.file}:${f.line}`);
       const icon = SEVERITY_ICON[sev] ?? '!';
       const label = ACCENT(`[${f.ruleId}]`);
       parts.push(`  ${icon} ${loc}  ${label}  ${f.message}`);
+      if (f.route) parts.push(`      ${chalk.dim('route:')} ${f.route}`);
+      if (f.hotness) parts.push(`      ${chalk.dim('cpu:')} ${f.hotness.function ? chalk.red(hotnessText(f)) : chalk.dim(hotnessText(f))}`);
       if (f.snippet) parts.push(`      ${chalk.dim('>')} ${chalk.italic(f.snippet)}`);
       parts.push(`      ${chalk.dim('fix:')} ${f.suggestion}`);
       parts.push('');
@@ -143,6 +304,30 @@ function buildMarkdown(findings) {
     lines.push('');
   }
 
+  const packages = packageBreakdown(findings);
+  if (packages.length) {
+    lines.push('## Packages\n');
+    lines.push('| Package | Critical | High | Medium | Low | Total | Top files |');
+    lines.push('|---------|---------:|-----:|-------:|----:|------:|-----------|');
+    for (const p of packages) {
+      const counts = countBy(p.findings, (f) => f.severity);
+      const top = p.topFiles.map(([file, count]) => `\`${file}\` (${count})`).join('<br>');
+      lines.push(`| \`${p.name}\` | ${SEVERITY_ORDER.map((sev) => counts[sev] ?? 0).join(' | ')} | ${p.findings.length} | ${top} |`);
+    }
+    lines.push('');
+  }
+
+  const hottest = findings.filter((f) => f.hotness?.percent > 0).sort(compareHotness).slice(0, 5);
+  if (hottest.length) {
+    lines.push('## Hottest Findings\n');
+    lines.push('| CPU | Rule | Location | Function |');
+    lines.push('|----:|------|----------|----------|');
+    for (const f of hottest) {
+      lines.push(`| ${f.hotness.percent}% | \`${f.ruleId}\` | \`${f.file}:${f.line}\` | \`${f.hotness.function}\` |`);
+    }
+    lines.push('');
+  }
+
   const grouped = groupBySeverity(findings);
   lines.push('## Findings\n');
 
@@ -150,9 +335,12 @@ function buildMarkdown(findings) {
     const group = grouped[sev] ?? [];
     if (!group.length) continue;
     lines.push(`### ${sev.charAt(0).toUpperCase() + sev.slice(1)}\n`);
-    for (const f of group) {
+    for (const f of byHotness(group)) {
       lines.push(`**${f.ruleName}** \`${f.ruleId}\``);
       lines.push(`- **File:** \`${f.file}:${f.line}\``);
+      if (f.package) lines.push(`- **Package:** \`${f.package}\``);
+      if (f.route) lines.push(`- **Route:** \`${f.route}\``);
+      if (f.hotness) lines.push(`- **CPU:** ${hotnessText(f)}`);
       lines.push(`- **Issue:** ${f.message}`);
       if (f.snippet) lines.push(`- **Code:** \`${f.snippet}\``);
       lines.push(`- **Fix:** ${f.suggestion}`);
@@ -163,6 +351,371 @@ function buildMarkdown(findings) {
   return lines.join('\n');
 }
 
+function buildSarif(findings, root) {
+  const descriptors = RULES.map((rule) => ({
+    id: rule.id,
+    name: rule.name,
+    severity: rule.severity,
+    message: rule.message,
+    suggestion: rule.suggestion,
+  }));
+  // Findings may come from rules outside RULES (plugin rules)
+  const known = new Set(descriptors.map((d) => d.id));
+  for (const f of findings) {
+    if (known.has(f.ruleId)) continue;
+    known.add(f.ruleId);
+    descriptors.push({ id: f.ruleId, name: f.ruleName, severity: f.severity, message: f.message, suggestion: f.suggestion });
+  }
+  const ruleIndex = new Map(descriptors.map((d, i) => [d.id, i]));
+
+  const rules = descriptors.map((d) => ({
+    id: d.id,
+    name: d.name,
+    shortDescription: { text: d.name },
+    fullDescription: { text: d.message },
+    help: { text: d.suggestion, markdown: d.suggestion },
+    defaultConfiguration: { level: SARIF_LEVEL[d.severity] ?? 'warning' },
+    properties: { severity: d.severity, tags: ['performance'] },
+  }));
+
+  const results = findings.map((f) => ({
+    ruleId: f.ruleId,
+    ruleIndex: ruleIndex.get(f.ruleId),
+    level: SARIF_LEVEL[f.severity] ?? 'warning',
+    message: { text: f.message },
+    locations: [
+      {
+        physicalLocation: {
+          artifactLocation: { uri: encodeURI(relative(root, f.file).split('\\').join('/')), uriBaseId: '%SRCROOT%' },
+          region: { startLine: f.line, ...(f.snippet ? { snippet: { text: f.snippet } } : {}) },
+        },
+      },
+    ],
+    partialFingerprints: { 'perfXRay/v1': fingerprint(f, root) },
+    properties: { severity: f.severity, ...(f.route ? { route: f.route } : {}), ...(f.package ? { package: f.package } : {}), ...(f.hotness ? { hotness: f.hotness } : {}) },
+  }));
+
+  let rootUri = pathToFileURL(root).href;
+  if (!rootUri.endsWith('/')) rootUri += '/';
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: PKG.name,
+            version: PKG.version,
+            informationUri: 'https://github.com/NickCirv/perf-x-ray',
+            rules,
+          },
+        },
+        originalUriBaseIds: { '%SRCROOT%': { uri: rootUri } },
+        results,
+      },
+    ],
+  };
+}
+
+/** Formats `formatRoutes` can produce. */
+export const ROUTE_FORMATS = ['text', 'json'];
+
+/**
+ * Format a route inventory: each endpoint with the findings reachable from
+ * its handler, as text or JSON.
+ *
+ * @param {ReturnType<typeof import('./routes.js').routeInventory>} routes
+ * @param {'text'|'json'} format
+ * @param {{ root?: string }} opts - root: directory text paths are shown relative to (default: cwd)
+ * @returns {string}
+ */
+export function formatRoutes(routes, format = 'text', opts = {}) {
+  if (format === 'json') {
+    return JSON.stringify(routes.map(({ handler, reachable, ...route }) => ({ ...route, handler })), null, 2);
+  }
+  if (format !== 'text') {
+    throw new Error(`Unknown routes format "${format}" (expected one of: ${ROUTE_FORMATS.join(', ')})`);
+  }
+  if (routes.length === 0) return chalk.dim('  No HTTP routes found.');
+
+  const root = opts.root ?? process.cwd();
+  const display = (file) => relative(root, file) || file;
+  const width = Math.min(48, Math.max(...routes.map((r) => r.path.length)));
+  const parts = [''];
+  for (const r of routes) {
+    const count = r.findings.length ? chalk.yellow(`${r.findings.length} finding${r.findings.length === 1 ? '' : 's'}`) : chalk.green('clean');
+    parts.push(`  ${ACCENT(r.method.padEnd(7))} ${r.path.padEnd(width)}  ${chalk.dim(`${display(r.file)}:${r.line}  ${r.framework}`)}  ${count}`);
+    for (const f of r.findings) {
+      const sev = SEVERITY_COLOR[f.severity] ?? chalk.white;
+      parts.push(`      ${sev(f.severity.padEnd(8))} ${chalk.dim(`${display(f.file)}:${f.line}`)}  ${ACCENT(`[${f.ruleId}]`)}  ${f.message}`);
+    }
+  }
+
+  const affected = routes.filter((r) => r.findings.length);
+  const total = affected.reduce((n, r) => n + r.findings.length, 0);
+  parts.push('');
+  parts.push(`  ${ACCENT.bold('perf-x-ray')}  ${routes.length} route${routes.length === 1 ? '' : 's'}${chalk.dim('  |  ')}${affected.length} with findings${chalk.dim('  |  ')}${total} finding${total === 1 ? '' : 's'}`);
+  return parts.join('\n');
+}
+
+/** Formats `formatDeps` can produce. */
+export const DEPS_FORMATS = ['text', 'json'];
+
+/**
+ * Format a dependency inventory: imported packages ranked by the bytes they
+ * add to the bundle, with where and how each is imported.
+ *
+ * @param {ReturnType<typeof import('./deps.js').dependencyInventory>} deps
+ * @param {'text'|'json'} format
+ * @param {{ root?: string, top?: number }} opts - top: how many packages to list (default: all)
+ * @returns {string}
+ */
+export function formatDeps(deps, format = 'text', opts = {}) {
+  const shown = opts.top ? deps.slice(0, opts.top) : deps;
+  if (format === 'json') {
+    return JSON.stringify(shown.map(({ name, version, cost, weight, imports }) => ({
+      name,
+      version,
+      cost,
+      minBytes: weight.minBytes,
+      bytes: weight.bytes,
+      files: weight.files,
+      esm: weight.esm,
+      sideEffects: weight.sideEffects,
+      treeShakeable: weight.treeShakeable,
+      imports,
+    })), null, 2);
+  }
+  if (format !== 'text') {
+    throw new Error(`Unknown deps format "${format}" (expected one of: ${DEPS_FORMATS.join(', ')})`);
+  }
+  if (deps.length === 0) return chalk.dim('  No installed packages imported.');
+
+  const root = opts.root ?? process.cwd();
+  const display = (file) => relative(root, file) || file;
+  const label = (d) => `${d.name}${d.version ? `@${d.version}` : ''}`;
+  const width = Math.min(40, Math.max(...shown.map((d) => label(d).length)));
+  const parts = [''];
+  for (const d of shown) {
+    const { weight } = d;
+    const size = d.cost ? chalk.yellow(`~${formatKb(d.cost)} KB`.padStart(10)) : chalk.green('tree-shaken'.padStart(10));
+    const module = weight.treeShakeable ? 'ESM, no side effects' : weight.esm ? 'ESM, side effects' : 'CommonJS';
+    const kinds = Object.entries(countBy(d.imports, (i) => i.kind)).map(([k, n]) => `${k} ×${n}`).join(', ');
+    parts.push(`  ${ACCENT(label(d).padEnd(width))}  ${size}  ${chalk.dim(`${formatKb(weight.minBytes)} KB full  ${module}`)}  ${d.imports.length} import${d.imports.length === 1 ? '' : 's'} (${kinds})`);
+    for (const i of d.imports.slice(0, 3)) {
+      parts.push(`      ${chalk.dim(`${display(i.file)}:${i.line}`)}  ${i.kind}  ${i.specifier}`);
+    }
+    if (d.imports.length > 3) parts.push(chalk.dim(`      ... ${d.imports.length - 3} more`));
+  }
+
+  const total = deps.reduce((n, d) => n + d.cost, 0);
+  parts.push('');
+  parts.push(`  ${ACCENT.bold('perf-x-ray')}  ${deps.length} package${deps.length === 1 ? '' : 's'}${chalk.dim('  |  ')}~${formatKb(total)} KB imported whole (estimated, minified)`);
+  return parts.join('\n');
+}
+
+/** Formats `formatHistory` can produce. */
+export const HISTORY_FORMATS = ['text', 'markdown', 'json'];
+
+const SPARK = '▁▂▃▄▅▆▇█';
+
+/**
+ * Render trends as a terminal table, Markdown or JSON.
+ *
+ * @param {import('./history.js').Trends} trends
+ * @param {'text'|'markdown'|'json'} format
+ * @returns {string}
+ */
+export function formatHistory(trends, format = 'text') {
+  if (format === 'json') return JSON.stringify(trends, null, 2);
+  if (format === 'markdown') return formatHistoryMarkdown(trends);
+  if (format !== 'text') {
+    throw new Error(`Unknown history format "${format}" (expected one of: ${HISTORY_FORMATS.join(', ')})`);
+  }
+  const { snapshots } = trends;
+  if (snapshots.length === 0) return chalk.dim('  No snapshots recorded yet. Run `perf-x-ray scan --record` to start one.');
+
+  const rows = [trends.total, ...trends.severity, ...trends.rules, ...trends.directories];
+  const width = Math.min(36, Math.max(...rows.map((r) => r.key.length)));
+  const row = (s, label = s.key) =>
+    `    ${label.padEnd(width)}  ${String(s.from).padStart(5)} → ${String(s.to).padEnd(5)}  ${colorDelta(s.delta)}  ${chalk.dim(sparkline(s.values))}`;
+
+  const parts = [''];
+  parts.push(`  ${ACCENT.bold('perf-x-ray')} history  ${snapshots.length} snapshot${snapshots.length === 1 ? '' : 's'}  ${chalk.dim(`${describeSnapshot(snapshots[0])} → ${describeSnapshot(snapshots[snapshots.length - 1])}`)}`);
+  parts.push('');
+  parts.push(row(trends.total, 'total'));
+  for (const s of trends.severity) parts.push(row(s));
+  const active = (list) => list.filter((s) => s.values.some((v) => v > 0));
+  for (const [title, list] of [['Rules', trends.rules], ['Directories', trends.directories]]) {
+    if (!active(list).length) continue;
+    parts.push('');
+    parts.push(`  ${chalk.bold(title)}`);
+    for (const s of active(list)) parts.push(row(s));
+  }
+  return parts.join('\n');
+}
+
+function formatHistoryMarkdown(trends) {
+  const { snapshots } = trends;
+  const lines = ['# perf-x-ray trends', ''];
+  if (snapshots.length === 0) {
+    lines.push('No snapshots recorded yet. Run `perf-x-ray scan --record` to start one.');
+    return lines.join('\n');
+  }
+  lines.push(`${snapshots.length} snapshot${snapshots.length === 1 ? '' : 's'} from ${describeSnapshot(snapshots[0])} to ${describeSnapshot(snapshots[snapshots.length - 1])}.`, '');
+
+  const table = (title, series) => {
+    const active = series.filter((s) => s.values.some((v) => v > 0));
+    if (!active.length) return;
+    lines.push(`## ${title}`, '', `| ${title === 'Summary' ? 'Severity' : title.replace(/^By (\w)/, (_, c) => c.toUpperCase())} | Then | Now | Change | Trend |`, '|---|---:|---:|---:|---|');
+    for (const s of active) lines.push(`| ${s.key === 'total' ? '**Total**' : `\`${s.key}\``} | ${s.from} | ${s.to} | ${signed(s.delta)} | ${sparkline(s.values)} |`);
+    lines.push('');
+  };
+  table('Summary', [trends.total, ...trends.severity]);
+  table('By rule', trends.rules);
+  table('By directory', trends.directories);
+
+  lines.push('## Snapshots', '', '| Date | Commit | Files | Total | Critical | High | Medium | Low |', '|---|---|---:|---:|---:|---:|---:|---:|');
+  for (const s of snapshots) {
+    const sev = SEVERITY_ORDER.map((k) => s.bySeverity?.[k] ?? 0).join(' | ');
+    lines.push(`| ${s.timestamp.slice(0, 16).replace('T', ' ')} | ${s.commit ? `\`${s.commit.slice(0, 7)}\`${s.dirty ? ' (dirty)' : ''}` : '—'} | ${s.files} | ${s.total} | ${sev} |`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function describeSnapshot(s) {
+  const commit = s.commit ? ` ${s.commit.slice(0, 7)}${s.dirty ? '+' : ''}` : '';
+  return `${s.timestamp.slice(0, 10)}${commit}`;
+}
+
+function sparkline(values) {
+  if (values.length < 2) return '';
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return values.map((v) => SPARK[max === min ? 3 : Math.round(((v - min) / (max - min)) * (SPARK.length - 1))]).join('');
+}
+
+function signed(n) {
+  return n > 0 ? `+${n}` : n < 0 ? `−${-n}` : '0';
+}
+
+// Fewer findings is progress
+function colorDelta(n) {
+  const text = signed(n).padStart(5);
+  return n > 0 ? chalk.red(text) : n < 0 ? chalk.green(text) : chalk.dim(text);
+}
+
+function scoreColor(score) {
+  return score >= 90 ? chalk.green : score >= 50 ? chalk.yellow : chalk.red;
+}
+
+/** Formats `formatRuleTests` can produce. */
+export const RULE_TEST_FORMATS = ['text', 'json'];
+
+/**
+ * Render a fixture run: precision and recall per rule, then every missed
+ * and unexpected finding.
+ *
+ * @param {import('./fixtures.js').FixtureReport} report
+ * @param {'text'|'json'} format
+ * @param {{ root?: string }} [opts] - root: directory paths are shown relative to
+ * @returns {string}
+ */
+export function formatRuleTests(report, format = 'text', opts = {}) {
+  if (format === 'json') return JSON.stringify(report, null, 2);
+  if (report.files === 0) return chalk.yellow('  No fixtures found. Annotate lines with // expect: <rule-id> or // expect-none.');
+
+  const root = opts.root ?? process.cwd();
+  const display = (m) => `${relative(root, m.file) || m.file}:${m.line}`;
+  const pct = (n) => (n === null ? '—' : `${Math.round(n * 100)}%`);
+  const width = Math.max(26, ...report.rules.map((r) => r.ruleId.length));
+  const parts = [''];
+  parts.push(chalk.dim(`  ${'rule'.padEnd(width)}  expected  matched  missed  unexpected  precision  recall`));
+  for (const r of report.rules) {
+    const ok = !r.missed.length && !r.unexpected.length;
+    const mark = ok ? chalk.green('ok') : chalk.red('FAIL');
+    const missed = String(r.missed.length).padStart(6);
+    const unexpected = String(r.unexpected.length).padStart(10);
+    parts.push(
+      `  ${r.ruleId.padEnd(width)}  ${String(r.expected).padStart(8)}  ${String(r.matched).padStart(7)}  ${r.missed.length ? chalk.red(missed) : missed}  ${r.unexpected.length ? chalk.red(unexpected) : unexpected}  ${pct(r.precision).padStart(9)}  ${pct(r.recall).padStart(6)}  ${mark}`,
+    );
+  }
+
+  for (const r of report.rules.filter((r) => r.missed.length || r.unexpected.length)) {
+    parts.push('');
+    parts.push(`  ${ACCENT(`[${r.ruleId}]`)}`);
+    for (const m of r.missed) parts.push(`    ${chalk.red('missed')}      ${chalk.dim(display(m))}`);
+    for (const m of r.unexpected) parts.push(`    ${chalk.yellow('unexpected')}  ${chalk.dim(display(m))}  ${m.message}`);
+  }
+
+  const fixes = report.fixes ?? [];
+  if (fixes.length) {
+    parts.push('');
+    parts.push(chalk.dim('  fix output'));
+    for (const f of fixes) {
+      const mark = f.passed ? chalk.green('ok') : chalk.red(`FAIL  differs from ${display({ file: f.expected, line: f.line })}`);
+      parts.push(`  ${relative(root, f.file) || f.file}  ${mark}`);
+    }
+  }
+
+  const failing = report.rules.filter((r) => r.missed.length || r.unexpected.length).length + fixes.filter((f) => !f.passed).length;
+  const status = report.passed ? chalk.green.bold('all expectations met') : chalk.red.bold(`${failing} check${failing === 1 ? '' : 's'} failing`);
+  parts.push('');
+  parts.push(`  ${ACCENT.bold('perf-x-ray')}  ${report.files} fixture file${report.files === 1 ? '' : 's'}${chalk.dim('  |  ')}${report.rules.length} rule${report.rules.length === 1 ? '' : 's'}${chalk.dim('  |  ')}${status}`);
+  return parts.join('\n');
+}
+
+// Profiled findings sort hottest first; without a profile the order is unchanged
+function byHotness(findings) {
+  return findings.some((f) => f.hotness) ? [...findings].sort(compareHotness) : findings;
+}
+
+function hotnessText(f) {
+  const { percent, lineMs, function: fn } = f.hotness;
+  const demoted = f.demotedFrom ? `, demoted from ${f.demotedFrom}` : '';
+  if (!fn) return `never sampled${demoted}`;
+  const line = lineMs ? `, ${lineMs} ms on this line` : '';
+  return `${percent}% of profiled time in ${fn}${line}`;
+}
+
+const NO_PACKAGE = '(no package)';
+
+// Findings per workspace package, most first; empty unless findings are tagged
+function packageBreakdown(findings) {
+  if (!findings.some((f) => f.package)) return [];
+  const groups = new Map();
+  for (const f of findings) {
+    const name = f.package ?? NO_PACKAGE;
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(f);
+  }
+  return [...groups]
+    .map(([name, group]) => {
+      const topFiles = Object.entries(countBy(group, (f) => f.file)).sort((a, b) => b[1] - a[1]).slice(0, 3);
+      return { name, findings: group, topFiles, topFile: topFiles[0][0], topCount: topFiles[0][1] };
+    })
+    .sort((a, b) => (a.name === NO_PACKAGE) - (b.name === NO_PACKAGE) || b.findings.length - a.findings.length || a.name.localeCompare(b.name));
+}
+
+function countBy(items, key) {
+  const counts = {};
+  for (const item of items) counts[key(item)] = (counts[key(item)] ?? 0) + 1;
+  return counts;
+}
+
+function severityLine(findings) {
+  const counts = { critical: 0, high: 0, medium: 0, low: 0 };
+  for (const f of findings) counts[f.severity] = (counts[f.severity] ?? 0) + 1;
+
+  return [
+    SEVERITY_COLOR.critical(`${counts.critical} critical`),
+    SEVERITY_COLOR.high(`${counts.high} high`),
+    SEVERITY_COLOR.medium(`${counts.medium} medium`),
+    SEVERITY_COLOR.low(`${counts.low} low`),
+  ].join(chalk.dim('  |  '));
+}
+
 function groupBySeverity(findings) {
   const groups = {};
   for (const f of findings) {
@@ -0,0 +1,581 @@
+import { readFileSync } from 'fs';
+import { walk, isFunction, parseSource } from './ast.js';
+import { getLanguage } from './scanner.js';
+
+/**
+ * HTTP route extraction for Express, Fastify, Koa (koa-router), NestJS,
+ * Flask and FastAPI. Each route records where its handler lives so findings
+ * can be triaged by endpoint instead of by file.
+ *
+ * Paths are resolved within the file: router prefixes and mounts declared in
+ * the same file are applied, mounts made from other files are not.
+ */
+
+/** Languages routes are read from. */
+export const ROUTE_LANGUAGES = new Set(['js', 'ts', 'py']);
+
+const HTTP_METHODS = new Set(['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'all']);
+
+const NEST_DECORATORS = {
+  Get: 'GET', Post: 'POST', Put: 'PUT', Patch: 'PATCH', Delete: 'DELETE', Head: 'HEAD', Options: 'OPTIONS', All: 'ALL',
+};
+
+// HTTP clients and mocks share the get/post vocabulary but declare no routes
+const CLIENT_ROOTS = new Set(['axios', 'http', 'https', 'rest', 'request', 'superagent', 'nock', 'got', 'ky', 'cy', 'fetchMock']);
+
+const PY_DECORATOR = /^([ \t]*)@(\w+)\.(route|api_route|get|post|put|patch|delete|head|options)\s*\(/;
+
+/**
+ * @typedef {{ start: number, end: number }} LineRange - 1-based, inclusive
+ *
+ * @typedef {Object} Route
+ * @property {string} method - upper-case HTTP method, or ALL
+ * @property {string} path
+ * @property {'express'|'fastify'|'koa'|'nestjs'|'flask'|'fastapi'} framework
+ * @property {number} line - where the route is declared
+ * @property {LineRange} handler - the handler function, or the declaration when it lives elsewhere
+ * @property {LineRange[]} reachable - handler plus same-file functions it calls, transitively
+ */
+
+/**
+ * Find the HTTP routes declared in a JS/TS or Python file.
+ *
+ * @param {{ filePath: string, content: string, lang: string, ast?: object|null }} context
+ * @returns {Route[]}
+ */
+export function extractRoutes(context) {
+  const { filePath, content, lang } = context;
+  if (memo.content === content && memo.filePath === filePath) return memo.routes;
+
+  let routes = [];
+  if (lang === 'js' || lang === 'ts') {
+    const ast = context.ast ?? parseSource(content, filePath);
+    if (ast) routes = jsRoutes(ast);
+  } else if (lang === 'py') {
+    routes = pythonRoutes(content);
+  }
+
+  memo.content = content;
+  memo.filePath = filePath;
+  memo.routes = routes;
+  return routes;
+}
+
+/**
+ * `GET /users` style label for a route.
+ *
+ * @param {Route} route
+ * @returns {string}
+ */
+export function routeLabel(route) {
+  return `${route.method} ${route.path}`;
+}
+
+/**
+ * Set `route` on each finding that sits inside a route handler. When
+ * handlers nest, the innermost wins; a handler shared by several routes
+ * lists them all. A route the rule reported the finding for is kept.
+ *
+ * @param {import('./checker.js').Finding[]} findings
+ * @param {Route[]} routes
+ */
+export function tagRoutes(findings, routes) {
+  for (const f of findings) {
+    if (f.route) continue;
+    let best = null;
+    for (const r of routes) {
+      if (f.line < r.handler.start || f.line > r.handler.end) continue;
+      const size = r.handler.end - r.handler.start;
+      if (!best || size < best.size) best = { size, labels: [routeLabel(r)] };
+      else if (size === best.size && !best.labels.includes(routeLabel(r))) best.labels.push(routeLabel(r));
+    }
+    if (best) f.route = best.labels.join(', ');
+  }
+}
+
+/**
+ * Every route in the given files, each with the findings reachable from its
+ * handler (the handler itself and functions it calls in the same file).
+ *
+ * @param {string[]} files
+ * @param {import('./checker.js').Finding[]} findings
+ * @param {{ readFile?: (path: string) => string }} [opts]
+ * @returns {(Route & { file: string, findings: import('./checker.js').Finding[] })[]}
+ */
+export function routeInventory(files, findings, opts = {}) {
+  const { readFile = (p) => readFileSync(p, 'utf8') } = opts;
+  const byFile = new Map();
+  for (const f of findings) {
+    if (!byFile.has(f.file)) byFile.set(f.file, []);
+    byFile.get(f.file).push(f);
+  }
+
+  const inventory = [];
+  for (const file of files) {
+    const lang = getLanguage(file);
+    if (!ROUTE_LANGUAGES.has(lang)) continue;
+    let content;
+    try {
+      content = readFile(file);
+    } catch {
+      continue;
+    }
+    const fileFindings = byFile.get(file) ?? [];
+    const routes = extractRoutes({ filePath: file, content, lang });
+    for (const route of routes) {
+      const reached = fileFindings.filter((f) => route.reachable.some((r) => f.line >= r.start && f.line <= r.end)
+        && !attributedElsewhere(f, route, routes));
+      inventory.push({ ...route, file, findings: reached });
+    }
+  }
+  return inventory;
+}
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+// A finding in a handler shared by several routes that names only some of
+// them, like no-pagination's GET in a GET/POST Flask view
+function attributedElsewhere(finding, route, routes) {
+  if (!finding.route || finding.route.split(', ').includes(routeLabel(route))) return false;
+  const containing = routes.filter((r) => finding.line >= r.handler.start && finding.line <= r.handler.end);
+  if (!containing.length) return false;
+  const innermost = containing.reduce((a, b) => (b.handler.end - b.handler.start < a.handler.end - a.handler.start ? b : a));
+  return innermost.handler.start === route.handler.start && innermost.handler.end === route.handler.end;
+}
+
+// Routes for the most recent file; no-pagination and the checker both ask
+const memo = { content: null, filePath: null, routes: [] };
+
+function joinPath(...parts) {
+  const joined = parts.filter(Boolean).join('/').replace(/\/{2,}/g, '/');
+  const path = joined.startsWith('/') ? joined : `/${joined}`;
+  return path.length > 1 ? path.replace(/\/$/, '') : path;
+}
+
+function lines(node) {
+  return { start: node.loc.start.line, end: node.loc.end.line };
+}
+
+// ── JavaScript / TypeScript ──
+
+function jsRoutes(ast) {
+  const modules = importedModules(ast);
+  const functions = functionIndex(ast);
+  const prefixes = routerPrefixes(ast);
+  const routes = [];
+
+  const add = (method, path, framework, declaration, handlers) => {
+    const fns = handlers.map((h) => handlerFunction(h, functions)).filter(Boolean);
+    const handler = fns.length ? lines(fns[fns.length - 1]) : lines(declaration);
+    routes.push({
+      method,
+      path,
+      framework,
+      line: declaration.loc.start.line,
+      handler,
+      reachable: fns.length ? reachableRanges(fns, functions) : [handler],
+    });
+  };
+
+  walk(ast, (node) => {
+    if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+      nestRoutes(node, add);
+      return;
+    }
+    if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression' || node.callee.computed) return;
+    const method = node.callee.property.name;
+    const receiver = node.callee.object;
+
+    // app.route('/users').get(list).post(create)
+    const chained = routeChainPath(receiver);
+    if (chained && HTTP_METHODS.has(method)) {
+      const root = receiverName(chained.call.callee.object);
+      const framework = frameworkFor(modules, root);
+      const prefix = resolvePrefix(prefixes, root);
+      for (const path of chained.paths) add(method.toUpperCase(), joinPath(prefix, path), framework, node, node.arguments);
+      return;
+    }
+
+    const root = receiverName(receiver);
+    if (root === null || CLIENT_ROOTS.has(root)) return;
+    const framework = frameworkFor(modules, root);
+    const prefix = resolvePrefix(prefixes, root);
+
+    // fastify.route({ method: 'GET', url: '/users', handler })
+    if (method === 'route' && node.arguments[0]?.type === 'ObjectExpression') {
+      const opts = node.arguments[0];
+      const paths = pathValues(propertyValue(opts, 'url') ?? propertyValue(opts, 'path'));
+      const methods = stringValues(propertyValue(opts, 'method')).map((m) => m.toUpperCase());
+      const handler = propertyValue(opts, 'handler');
+      if (!paths.length || !methods.length || !handler) return;
+      for (const m of methods) for (const path of paths) add(m, joinPath(prefix, path), framework, node, [handler]);
+      return;
+    }
+
+    if (!HTTP_METHODS.has(method)) return;
+    let args = node.arguments;
+    let paths = pathValues(args[0]);
+    // koa-router: router.get('user', '/users/:id', handler)
+    if (!paths.length && args[0]?.type === 'StringLiteral') {
+      paths = pathValues(args[1]);
+      args = args.slice(1);
+    }
+    const handlers = args.slice(1);
+    if (!paths.length || !handlers.length || !handlers.every(isHandlerLike)) return;
+    // fastify.get('/users', { handler })
+    const last = handlers[handlers.length - 1];
+    const resolved = last.type === 'ObjectExpression' ? [propertyValue(last, 'handler')].filter(Boolean) : handlers;
+    if (!resolved.length) return;
+    for (const path of paths) add(method.toUpperCase(), joinPath(prefix, path), framework, node, resolved);
+  });
+
+  return routes;
+}
+
+function nestRoutes(cls, add) {
+  const controller = decoratorCall(cls, 'Controller');
+  if (!controller) return;
+  const arg = controller.arguments[0];
+  const prefixes = arg?.type === 'ObjectExpression' ? pathValues(propertyValue(arg, 'path'), true) : pathValues(arg, true);
+
+  for (const member of cls.body.body) {
+    if (member.type !== 'ClassMethod' || !member.decorators) continue;
+    for (const dec of member.decorators) {
+      const call = dec.expression;
+      const name = call.type === 'CallExpression' ? call.callee.name : call.name;
+      const method = NEST_DECORATORS[name];
+      if (!method) continue;
+      const subs = call.type === 'CallExpression' && call.arguments.length ? pathValues(call.arguments[0], true) : [''];
+      for (const prefix of prefixes.length ? prefixes : ['']) {
+        for (const sub of subs) add(method, joinPath(prefix, sub), 'nestjs', dec, [member]);
+      }
+    }
+  }
+}
+
+function decoratorCall(node, name) {
+  for (const dec of node.decorators ?? []) {
+    const expr = dec.expression;
+    if (expr.type === 'CallExpression' && expr.callee.name === name) return expr;
+  }
+  return null;
+}
+
+// Module names from import declarations and require() calls
+function importedModules(ast) {
+  const modules = new Set();
+  walk(ast, (node) => {
+    if (node.type === 'ImportDeclaration') modules.add(node.source.value);
+    else if (node.type === 'CallExpression' && node.callee.name === 'require' && node.arguments[0]?.type === 'StringLiteral') {
+      modules.add(node.arguments[0].value);
+    }
+  });
+  return modules;
+}
+
+function frameworkFor(modules, root) {
+  if (modules.has('fastify') || /fastify/i.test(root ?? '')) return 'fastify';
+  if (modules.has('@koa/router') || modules.has('koa-router') || modules.has('koa')) return 'koa';
+  return 'express';
+}
+
+// Leftmost name of a receiver chain: `router` for router.get, `app` for this.app.get
+function receiverName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression' && !node.computed) {
+    return node.object.type === 'ThisExpression' ? node.property.name : receiverName(node.object);
+  }
+  return null;
+}
+
+// The .route(path) call an Express route chain hangs off, if any
+function routeChainPath(receiver) {
+  let node = receiver;
+  while (node?.type === 'CallExpression' && node.callee.type === 'MemberExpression') {
+    if (node.callee.property.name === 'route') {
+      const paths = pathValues(node.arguments[0]);
+      return paths.length ? { call: node, paths } : null;
+    }
+    if (!HTTP_METHODS.has(node.callee.property.name)) return null;
+    node = node.callee.object;
+  }
+  return null;
+}
+
+// Prefixes from new Router({ prefix }) and from x.use('/api', router) in this file
+function routerPrefixes(ast) {
+  const own = new Map();
+  const mounts = new Map();
+  walk(ast, (node) => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init) {
+      const init = node.init;
+      if ((init.type === 'NewExpression' || init.type === 'CallExpression') && init.arguments[0]?.type === 'ObjectExpression') {
+        const prefix = pathValues(propertyValue(init.arguments[0], 'prefix'))[0];
+        if (prefix) own.set(node.id.name, prefix);
+      }
+    }
+    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' && node.callee.property.name === 'use') {
+      const [path, ...rest] = node.arguments;
+      const mountPath = pathValues(path)[0];
+      if (!mountPath) return;
+      for (const arg of rest) {
+        // router or router.routes() (koa)
+        const target = arg.type === 'CallExpression' && arg.callee.type === 'MemberExpression' ? arg.callee.object : arg;
+        if (target.type === 'Identifier') mounts.set(target.name, { path: mountPath, parent: receiverName(node.callee.object) });
+      }
+    }
+  });
+  return { own, mounts };
+}
+
+function resolvePrefix({ own, mounts }, root, depth = 0) {
+  if (!root || depth > 10) return '';
+  const mount = mounts.get(root);
+  const outer = mount ? joinPath(resolvePrefix({ own, mounts }, mount.parent, depth + 1), mount.path) : '';
+  return joinPath(outer, own.get(root) ?? '').replace(/^\/$/, '');
+}
+
+// String paths from a literal, a template without expressions (those become
+// `*`) or an array of them; with `anyString`, paths needn't start with "/"
+function pathValues(node, anyString = false) {
+  if (!node) return [];
+  if (node.type === 'ArrayExpression') return node.elements.flatMap((e) => pathValues(e, anyString));
+  let value = null;
+  if (node.type === 'StringLiteral') value = node.value;
+  else if (node.type === 'TemplateLiteral') value = node.quasis.map((q) => q.value.cooked).join('*');
+  if (value === null) return [];
+  return anyString || value.startsWith('/') || value === '*' ? [value] : [];
+}
+
+function stringValues(node) {
+  if (!node) return [];
+  if (node.type === 'StringLiteral') return [node.value];
+  if (node.type === 'ArrayExpression') return node.elements.flatMap(stringValues);
+  return [];
+}
+
+function propertyValue(obj, key) {
+  for (const prop of obj.properties) {
+    if (prop.type !== 'ObjectProperty' && prop.type !== 'ObjectMethod') continue;
+    const name = prop.key.type === 'Identifier' ? prop.key.name : prop.key.value;
+    if (name === key) return prop.type === 'ObjectMethod' ? prop : prop.value;
+  }
+  return null;
+}
+
+function isHandlerLike(node) {
+  return isFunction(node) || ['Identifier', 'MemberExpression', 'CallExpression', 'ObjectExpression', 'ArrayExpression'].includes(node.type);
+}
+
+// The function a handler argument stands for: inline, a local function by
+// name, or the function wrapped by asyncHandler(fn)-style helpers
+function handlerFunction(node, functions) {
+  if (!node) return null;
+  if (isFunction(node)) return node;
+  if (node.type === 'Identifier') return functions.get(node.name) ?? null;
+  if (node.type === 'CallExpression') {
+    for (const arg of node.arguments) {
+      const fn = handlerFunction(arg, functions);
+      if (fn) return fn;
+    }
+  }
+  return null;
+}
+
+// Named functions in the file: declarations, function-valued variables and
+// class methods (keyed as `this.name`, scoped by class)
+function functionIndex(ast) {
+  const functions = new Map();
+  walk(ast, (node, ancestors) => {
+    if (node.type === 'FunctionDeclaration' && node.id && !functions.has(node.id.name)) {
+      functions.set(node.id.name, node);
+    } else if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init && !functions.has(node.id.name)) {
+      const fn = isFunction(node.init) ? node.init : handlerFunction(node.init.type === 'CallExpression' ? node.init : null, functions);
+      if (fn) functions.set(node.id.name, fn);
+    } else if ((node.type === 'ClassMethod' || node.type === 'ClassPrivateMethod') && node.key.type === 'Identifier') {
+      const cls = ancestors[ancestors.length - 2];
+      functions.set(`${classKey(cls)}this.${node.key.name}`, node);
+      classOf.set(node, classKey(cls));
+    }
+  });
+  return functions;
+}
+
+const classOf = new WeakMap();
+const classKeys = new WeakMap();
+let nextClassKey = 0;
+
+function classKey(cls) {
+  if (!classKeys.has(cls)) classKeys.set(cls, `#${nextClassKey++}:`);
+  return classKeys.get(cls);
+}
+
+function reachableRanges(start, functions) {
+  const seen = new Set();
+  const queue = [...start];
+  while (queue.length) {
+    const fn = queue.shift();
+    if (seen.has(fn)) continue;
+    seen.add(fn);
+    const owner = classOf.get(fn) ?? '';
+    walk(fn, (node) => {
+      let target = null;
+      if (node.type === 'CallExpression') {
+        const callee = node.callee;
+        if (callee.type === 'Identifier') target = functions.get(callee.name);
+        else if (callee.type === 'MemberExpression' && callee.object.type === 'ThisExpression' && !callee.computed) {
+          target = functions.get(`${owner}this.${callee.property.name}`);
+        }
+        // Local functions passed along, e.g. users.map(toDto)
+        for (const arg of node.arguments) {
+          if (arg.type === 'Identifier' && functions.has(arg.name)) queue.push(functions.get(arg.name));
+        }
+      }
+      if (target && !seen.has(target)) queue.push(target);
+    });
+  }
+  return [...seen].map(lines);
+}
+
+// ── Python (Flask, FastAPI) ──
+
+function pythonRoutes(content) {
+  const src = content.split('\n');
+  const framework = pythonFramework(content);
+  const prefixes = pythonPrefixes(content, framework);
+  const functions = pythonFunctions(src);
+  const routes = [];
+
+  for (let i = 0; i < src.length; i++) {
+    const m = PY_DECORATOR.exec(src[i]);
+    if (!m) continue;
+    const { text, endLine } = readCall(src, i, src[i].indexOf('(', m[0].length - 1));
+    const path = /^\s*(?:(?:path|rule)\s*=\s*)?[rRuU]?(['"])(.*?)\1/.exec(text)?.[2];
+    if (path === undefined) continue;
+
+    let methods = [m[3].toUpperCase()];
+    if (m[3] === 'route' || m[3] === 'api_route') {
+      const list = /\bmethods\s*=\s*[[(]([^\])]*)[\])]/.exec(text)?.[1];
+      methods = list ? [...list.matchAll(/['"](\w+)['"]/g)].map((x) => x[1].toUpperCase()) : ['GET'];
+    }
+
+    const def = findDef(src, endLine + 1);
+    if (!def) continue;
+    const handler = { start: def.line + 1, end: def.end + 1 };
+    const fullPath = joinPath(prefixes.get(m[2]) ?? '', path);
+    const reachable = pythonReachable(src, handler, def.name, functions);
+    for (const method of methods) {
+      routes.push({ method, path: fullPath, framework, line: i + 1, handler, reachable });
+    }
+  }
+  return routes;
+}
+
+// FastAPI when the file imports it or names APIRouter / FastAPI, or a route
+// path uses {param} (Flask writes <param>); a router module that gets its
+// APIRouter from elsewhere still has the path syntax to go on
+function pythonFramework(content) {
+  if (/^\s*(?:from|import)\s+fastapi\b/m.test(content) || /\b(?:APIRouter|FastAPI)\b/.test(content)) return 'fastapi';
+  const pathParam = /^[ \t]*@\w+\.(?:route|api_route|get|post|put|patch|delete|head|options)\s*\(\s*(?:path\s*=\s*)?[rRuU]?(['"])[^'"\n]*\{\w+(?::\w+)?\}/m;
+  return pathParam.test(content) ? 'fastapi' : 'flask';
+}
+
+// router = APIRouter(prefix="/users"), bp = Blueprint(..., url_prefix="/users"),
+// plus app.include_router(router, prefix=...) / app.register_blueprint(bp, url_prefix=...)
+function pythonPrefixes(content, framework) {
+  const own = new Map();
+  for (const m of content.matchAll(/^(\w+)\s*=\s*(?:\w+\.)?(?:APIRouter|Blueprint)\s*\(([^)]*)\)/gm)) {
+    const prefix = /\b(?:url_)?prefix\s*=\s*(['"])(.*?)\1/.exec(m[2]);
+    if (prefix) own.set(m[1], prefix[2]);
+  }
+  const prefixes = new Map(own);
+  for (const m of content.matchAll(/\b\w+\.(?:include_router|register_blueprint)\s*\(\s*(\w+)([^)]*)\)/g)) {
+    const mount = /\b(?:url_)?prefix\s*=\s*(['"])(.*?)\1/.exec(m[2]);
+    if (!mount) continue;
+    // Flask's url_prefix replaces the blueprint's own; FastAPI prepends
+    prefixes.set(m[1], framework === 'flask' ? mount[2] : joinPath(mount[2], own.get(m[1]) ?? ''));
+  }
+  return prefixes;
+}
+
+// Argument text of a call whose "(" is at src[line][col], across lines
+function readCall(src, line, col) {
+  let depth = 0;
+  let quote = null;
+  let text = '';
+  for (let i = line; i < src.length; i++) {
+    const s = src[i];
+    for (let j = i === line ? col : 0; j < s.length; j++) {
+      const ch = s[j];
+      if (quote) {
+        if (ch === '\\') j++;
+        else if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '(') {
+        depth++;
+      } else if (ch === ')' && --depth === 0) {
+        return { text: text.slice(1), endLine: i };
+      }
+      text += ch;
+    }
+    text += '\n';
+  }
+  return { text: text.slice(1), endLine: src.length - 1 };
+}
+
+// The def a decorator stack applies to, with the last line of its body (0-based)
+function findDef(src, from) {
+  for (let i = from; i < src.length; i++) {
+    const line = src[i].trim();
+    if (!line || line.startsWith('#') || line.startsWith('@') || line.startsWith(')')) continue;
+    const m = /^([ \t]*)(?:async\s+)?def\s+(\w+)/.exec(src[i]);
+    return m ? { line: i, name: m[2], end: blockEnd(src, i, m[1].length) } : null;
+  }
+  return null;
+}
+
+function blockEnd(src, defLine, indent) {
+  // A multi-line signature ends at the line closing its parentheses
+  let i = defLine;
+  let depth = 0;
+  for (; i < src.length; i++) {
+    for (const ch of src[i].replace(/#.*$/, '')) {
+      if (ch === '(' || ch === '[') depth++;
+      else if (ch === ')' || ch === ']') depth--;
+    }
+    if (depth <= 0) break;
+  }
+  let end = i;
+  for (i++; i < src.length; i++) {
+    const line = src[i];
+    if (!line.trim()) continue;
+    if (line.length - line.trimStart().length <= indent) break;
+    end = i;
+  }
+  return end;
+}
+
+function pythonFunctions(src) {
+  const functions = new Map();
+  for (let i = 0; i < src.length; i++) {
+    const m = /^(?:async\s+)?def\s+(\w+)/.exec(src[i]);
+    if (m && !functions.has(m[1])) functions.set(m[1], { start: i + 1, end: blockEnd(src, i, 0) + 1 });
+  }
+  return functions;
+}
+
+function pythonReachable(src, handler, name, functions) {
+  const seen = new Map([[name, handler]]);
+  const queue = [handler];
+  while (queue.length) {
+    const range = queue.shift();
+    const body = src.slice(range.start, range.end).join('\n');
+    for (const [fn, fnRange] of functions) {
+      if (seen.has(fn) || !new RegExp(`\\b${fn}\\s*\\(`).test(body)) continue;
+      seen.set(fn, fnRange);
+      queue.push(fnRange);
+    }
+  }
+  return [...seen.values()];
+}
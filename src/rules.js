@@ -1,8 +1,125 @@
+import { walk, calleeName, calleeRoot, isLoop, enclosingLoop, isInAsyncContext } from './ast.js';
+import { fixLargeImport, fixConsoleInProd, fixSyncIo } from './fixes.js';
+import { checkRegexes } from './redos.js';
+import { checkUnboundedQueries, checkIndexUsage, checkSelectStar, checkLeadingWildcard } from './sql.js';
+import { extractRoutes, routeLabel } from './routes.js';
+import { PYTHON_RULES } from './python-rules.js';
+import { GO_RULES } from './go-rules.js';
+import { checkLargeImports } from './deps.js';
+import { REACT_RULES } from './react-rules.js';
+import { SUPPRESSION_RULES } from './suppressions.js';
+
 /**
  * Performance anti-pattern rules.
- * Each rule: { id, name, severity, languages, pattern, message, suggestion }
+ * Each rule: { id, name, severity, languages, pattern?, check?, fix?, message, suggestion }
+ *
+ * `pattern` is a regex run over the whole file. `check(context)` inspects the
+ * file structurally and calls `context.report()`; for JS/TS `context.ast` holds
+ * the parsed tree. A rule with both uses `check` whenever an AST is available
+ * and falls back to `pattern` for other languages or unparseable files.
+ * `fix(context)` returns safe text edits for `perf-x-ray fix` (JS/TS only).
+ *
+ * @typedef {Object} Rule
+ * @property {string} id
+ * @property {string} name
+ * @property {'low'|'medium'|'high'|'critical'} severity
+ * @property {string[]} languages
+ * @property {RegExp} [pattern]
+ * @property {(context: import('./checker.js').RuleContext) => void} [check]
+ * @property {(context: import('./checker.js').RuleContext) => import('./fixes.js').Edit[]} [fix]
+ * @property {string} message
+ * @property {string} suggestion
+ * @property {object} [options] - defaults for `context.options`; set per project under `rules.<id>.options`
+ * @property {string} [plugin] - module the rule was loaded from; unset for built-in rules
  */
 
+const SYNC_FS_CALLS = new Set([
+  'readFileSync', 'writeFileSync', 'appendFileSync', 'existsSync', 'mkdirSync',
+  'readdirSync', 'statSync', 'unlinkSync', 'renameSync', 'copyFileSync',
+]);
+
+// Methods that always mean a round trip to the database
+const QUERY_METHODS = new Set([
+  'query', 'execute', 'findOne', 'findAll', 'findMany', 'findUnique', 'findFirst',
+  'findById', 'findByPk', 'findOneBy', 'findBy', 'aggregate', 'raw',
+]);
+
+// Generic verbs that only mean a query when called on a client or model
+const MODEL_METHODS = new Set([
+  'find', 'select', 'get', 'fetch', 'where', 'first', 'count', 'save',
+  'create', 'insert', 'update', 'upsert', 'delete', 'destroy',
+]);
+
+const DB_ROOT = /^(db|database|prisma|orm|knex|sequelize|mongoose|pool|client|conn|connection|repo|repository|em|entityManager|model)$/i;
+
+// Query methods that return a list rather than one row
+const LIST_METHODS = new Set(['find', 'findAll', 'findMany', 'findBy', 'select', 'where', 'query', 'execute', 'raw', 'aggregate']);
+
+// Python ORM / driver calls that return every matching row
+const PY_LIST_QUERY = /\.(?:all|fetchall|scalars|find|filter|filter_by|select|execute|query)\s*\(/;
+
+// Any of these in a handler means the result set is already bounded
+const PAGINATION_HINT = /\b(?:limit|take|skip|offset|page\w*|per_?page|cursor|paginat\w*|top|first|one|fetchone|find_one)\b/i;
+
+const BUILTIN_GLOBALS = new Set(['Object', 'Array', 'Math', 'JSON', 'Promise', 'Reflect', 'Date', 'Number', 'String', 'Symbol', 'Map', 'Set', 'URL', 'Buffer']);
+
+// GET routes whose handler (or a same-file function it calls) fetches a
+// list with nothing bounding it
+function checkPagination(context) {
+  for (const route of extractRoutes(context)) {
+    if (route.method !== 'GET' && route.method !== 'ALL') continue;
+    const inRoute = (line) => route.reachable.some((r) => line >= r.start && line <= r.end);
+    const text = route.reachable.map((r) => context.lines.slice(r.start - 1, r.end).join('\n')).join('\n');
+    // A comment like "TODO: paginate" bounds nothing
+    if (PAGINATION_HINT.test(stripComments(text, context.lang))) continue;
+
+    let fetchesList = false;
+    if (context.lang === 'py') {
+      fetchesList = PY_LIST_QUERY.test(text);
+    } else if (context.ast) {
+      walk(context.ast, (node) => {
+        if (fetchesList || node.type !== 'CallExpression' || !inRoute(node.loc.start.line)) return;
+        fetchesList = LIST_METHODS.has(calleeName(node)) && isQueryCall(node);
+      });
+    }
+    if (fetchesList) {
+      // A Flask handler can serve GET and POST; only the GET returns the list
+      context.report({ line: route.handler.start, route: routeLabel(route), message: `${routeLabel(route)} returns every matching record with no pagination — the response grows with the data.` });
+    }
+  }
+}
+
+// Line and block comments dropped, roughly: a `//` or `#` inside a string cuts the line short
+function stripComments(text, lang) {
+  return lang === 'py' ? text.replace(/#.*$/gm, '') : text.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+}
+
+function isQueryCall(call) {
+  if (call.callee.type === 'Identifier') return false;
+  const name = calleeName(call);
+  if (QUERY_METHODS.has(name)) return true;
+  if (!MODEL_METHODS.has(name)) return false;
+  const root = calleeRoot(call);
+  if (!root || BUILTIN_GLOBALS.has(root)) return false;
+  // Injected repositories and models: this.repo.find(), this.userRepository.find()
+  if (root === 'this') return isRepositoryName(thisMember(call.callee));
+  return DB_ROOT.test(root) || /^[A-Z]/.test(root);
+}
+
+function isRepositoryName(name) {
+  return Boolean(name) && (DB_ROOT.test(name) || /(?:Repository|Repo|Model)$/.test(name));
+}
+
+// `x` in this.x.y.z(), or null
+function thisMember(node) {
+  while (node?.type === 'MemberExpression' || node?.type === 'OptionalMemberExpression' || node?.type === 'CallExpression') {
+    if (node.type === 'CallExpression') node = node.callee;
+    else if (node.object.type === 'ThisExpression') return node.computed ? null : node.property.name;
+    else node = node.object;
+  }
+  return null;
+}
+
 export const RULES = [
   {
     id: 'sync-io',
@@ -10,6 +127,14 @@ export const RULES = [
     severity: 'high',
     languages: ['js', 'ts'],
     pattern: /\b(readFileSync|writeFileSync|appendFileSync|existsSync|mkdirSync|readdirSync|statSync|unlinkSync|renameSync|copyFileSync)\b/g,
+    // Only flag calls that run after startup; top-level CLI setup may block freely
+    check(context) {
+      walk(context.ast, (node, ancestors) => {
+        if (node.type !== 'CallExpression' || !SYNC_FS_CALLS.has(calleeName(node))) return;
+        if (isInAsyncContext(ancestors)) context.report({ node });
+      });
+    },
+    fix: fixSyncIo,
     message: 'Synchronous filesystem call blocks the event loop.',
     suggestion: 'Replace with the async equivalent (e.g. fs.promises.readFile, readdir). Use await inside an async function.',
   },
@@ -19,6 +144,13 @@ export const RULES = [
     severity: 'critical',
     languages: ['js', 'ts', 'py', 'go'],
     pattern: /for[\s\S]{0,60}(query|findOne|findAll|find\(|select\(|\.get\(|\.fetch\(|db\.|prisma\.|orm\.)/g,
+    check(context) {
+      walk(context.ast, (node, ancestors) => {
+        if (node.type === 'CallExpression' && isQueryCall(node) && enclosingLoop(node, ancestors)) {
+          context.report({ node });
+        }
+      });
+    },
     message: 'Database query inside a loop causes N+1 queries — each iteration hits the DB.',
     suggestion: 'Batch the IDs, fetch once outside the loop (e.g. findMany({ where: { id: { in: ids } } })), then map results.',
   },
@@ -27,27 +159,26 @@ export const RULES = [
     name: 'Unbounded SQL Query',
     severity: 'high',
     languages: ['js', 'ts', 'py', 'go', 'sql'],
-    pattern: /SELECT\s+[\w\s,*]+FROM\s+\w+(?!\s*WHERE[\s\S]*LIMIT|\s*LIMIT)/gi,
+    // Aggregates and lookups by a unique key return one row and are left alone
+    check(context) {
+      checkUnboundedQueries(context);
+    },
     message: 'SELECT without LIMIT can return millions of rows and exhaust memory.',
     suggestion: 'Always add a LIMIT clause or paginate results. For reports, stream the result set.',
   },
   {
     id: 'large-import',
-    name: 'Large Barrel Import',
-    severity: 'medium',
-    languages: ['js', 'ts'],
-    pattern: /import\s+\w+\s+from\s+['"](?:lodash|moment|ramda|rxjs|antd|@mui\/material|date-fns)['"];?/g,
-    message: 'Importing the entire library pulls in megabytes of unused code.',
-    suggestion: 'Use subpath imports: import debounce from "lodash/debounce" or import { debounce } from "lodash-es".',
-  },
-  {
-    id: 'missing-memo',
-    name: 'Expensive React Render Without Memoisation',
+    name: 'Heavy Package Import',
     severity: 'medium',
     languages: ['js', 'ts'],
-    pattern: /(?:export\s+(?:default\s+)?function|const\s+\w+\s*=\s*(?:\([\s\S]*?\)|[\w]+)\s*=>)\s*[\s\S]{0,400}return\s*\([\s\S]{0,600}\<[\w.]+/g,
-    message: 'Large component re-renders on every parent update without memoisation.',
-    suggestion: 'Wrap with React.memo() for components or useMemo()/useCallback() for expensive values/handlers.',
+    // Sizes come from the installed package in node_modules; minKb is the estimated minified size
+    options: { minKb: 30 },
+    check(context) {
+      checkLargeImports(context);
+    },
+    fix: fixLargeImport,
+    message: 'Importing the whole package pulls code you don\'t use into the bundle.',
+    suggestion: 'Use named imports from a tree-shakeable build (lodash-es), subpath imports (lodash/debounce), a lighter package, or a dynamic import() off the critical path.',
   },
   {
     id: 'console-in-prod',
@@ -55,6 +186,7 @@ export const RULES = [
     severity: 'low',
     languages: ['js', 'ts'],
     pattern: /console\.(log|warn|error|info|debug|trace)\(/g,
+    fix: fixConsoleInProd,
     message: 'console calls add overhead and leak information in production.',
     suggestion: 'Remove debug logs or replace with a structured logger (pino, winston) that respects LOG_LEVEL.',
   },
@@ -64,6 +196,12 @@ export const RULES = [
     severity: 'high',
     languages: ['js', 'ts', 'py', 'go'],
     pattern: /(?:for|\.forEach|\.map|\.filter|\.reduce)\s*[\s\S]{0,200}(?:for|\.forEach|\.map|\.filter|\.reduce)/g,
+    // Report the inner loop only when it really runs inside another loop's body
+    check(context) {
+      walk(context.ast, (node, ancestors) => {
+        if (isLoop(node) && enclosingLoop(node, ancestors)) context.report({ node });
+      });
+    },
     message: 'Nested loops over arrays create O(n²) complexity — devastating at scale.',
     suggestion: 'Flatten with a Map/Set for O(n) lookup, or restructure data before iteration.',
   },
@@ -72,7 +210,9 @@ export const RULES = [
     name: 'API Endpoint Without Pagination',
     severity: 'high',
     languages: ['js', 'ts', 'py'],
-    pattern: /(?:app|router)\.(get|post)\s*\(['"]\/\w[\w/]*['"]\s*,[\s\S]{0,600}(?:find|findAll|select|query|aggregate)\s*\((?![\s\S]{0,100}(?:limit|take|page|offset|skip))/g,
+    check(context) {
+      checkPagination(context);
+    },
     message: 'API returns all records with no pagination — response grows unbounded with data.',
     suggestion: 'Accept ?page=&limit= query params, add LIMIT/OFFSET (or cursor-based pagination) to every list endpoint.',
   },
@@ -81,25 +221,59 @@ export const RULES = [
     name: 'Catastrophic Regex Backtracking',
     severity: 'critical',
     languages: ['js', 'ts', 'py', 'go'],
-    pattern: /\/(?:[^/\\]|\\.)*(?:\+|\*|\{[^}]+\})(?:[^/\\]|\\.)*(?:\+|\*|\{[^}]+\})(?:[^/\\]|\\.)*\//g,
-    message: 'Regex with nested quantifiers can backtrack exponentially on crafted input (ReDoS).',
-    suggestion: 'Rewrite using atomic groups or possessive quantifiers. Test with redos-detector or safe-regex.',
+    options: { verify: false, verifyTimeoutMs: 100 },
+    check(context) {
+      checkRegexes(context, context.options);
+    },
+    message: 'Regex can backtrack catastrophically on crafted input (ReDoS).',
+    suggestion: 'Make repeated parts unambiguous: no quantifier directly inside another, no alternatives that match the same text, and anchor or bound open-ended repeats. Cap input length before matching untrusted strings.',
   },
   {
     id: 'missing-index-hint',
-    name: 'Filter on Likely Unindexed Column',
+    name: 'Unindexed Filter, Join or Sort',
     severity: 'medium',
     languages: ['js', 'ts', 'py', 'go', 'sql'],
-    pattern: /WHERE\s+(?!id\b|_id\b|pk\b|uuid\b)(\w+)\s*(?:=|LIKE|IN|>|<)/gi,
+    // Checks the real indexes when a schema is given, otherwise guesses from column names
+    check(context) {
+      checkIndexUsage(context);
+    },
     message: 'Filtering on a column that is probably not indexed causes a full table scan.',
-    suggestion: 'Add a database index on the filtered column: CREATE INDEX idx_table_column ON table(column).',
+    suggestion: 'Add an index whose leading columns match the equality filters, then the range, join or sort column. Pass --schema to check against your real indexes.',
+  },
+  {
+    id: 'select-star',
+    name: 'SELECT * on a Wide Table',
+    severity: 'medium',
+    languages: ['js', 'ts', 'py', 'go', 'sql'],
+    options: { wideTableColumns: 12 },
+    check(context) {
+      checkSelectStar(context, context.options);
+    },
+    message: 'SELECT * on a wide table fetches columns the code never reads.',
+    suggestion: 'List the columns you need. Narrow selects move less data and can be answered from a covering index.',
+  },
+  {
+    id: 'leading-wildcard-like',
+    name: 'Leading-Wildcard LIKE',
+    severity: 'medium',
+    languages: ['js', 'ts', 'py', 'go', 'sql'],
+    check(context) {
+      checkLeadingWildcard(context);
+    },
+    message: 'LIKE pattern starting with a wildcard cannot use an index, so every row is compared.',
+    suggestion: 'Anchor the pattern (LIKE \'term%\') or use full-text search (tsvector, FULLTEXT) or a trigram index (pg_trgm) for substring matches.',
   },
+  ...PYTHON_RULES,
+  ...GO_RULES,
+  ...REACT_RULES,
+  ...SUPPRESSION_RULES,
 ];
 
 /**
  * @param {string} lang - file extension without dot
+ * @param {import('./rules.js').Rule[]} [rules] - rule set to filter (default: all built-in rules)
  * @returns {import('./rules.js').Rule[]}
  */
-export function getRulesForLanguage(lang) {
-  return RULES.filter((r) => r.languages.includes(lang));
+export function getRulesForLanguage(lang, rules = RULES) {
+  return rules.filter((r) => r.languages.includes(lang));
 }
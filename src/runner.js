@@ -0,0 +1,187 @@
+import { Worker } from 'worker_threads';
+import { readFileSync, statSync } from 'fs';
+import { availableParallelism, cpus } from 'os';
+import { checkFile } from './checker.js';
+import { rulesForFile } from './config.js';
+import { loadCache, saveCache, hashContent } from './cache.js';
+import { loadSchema } from './schema.js';
+
+// Below this many files per worker, thread startup costs more than it saves
+const MIN_FILES_PER_WORKER = 100;
+const BATCH_SIZE = 50;
+
+/**
+ * @typedef {Object} ScanStats
+ * @property {number} files - files handed to the scan
+ * @property {number} checked - files the rules actually ran on
+ * @property {number} cacheHits - files whose findings came from the cache
+ * @property {number} workers - worker threads used (0 = main thread only)
+ * @property {number} durationMs
+ * @property {Record<string, number>} ruleTimes - milliseconds per rule id, summed across threads
+ *
+ * @typedef {Object} FileResult
+ * @property {string} file
+ * @property {string} [hash]
+ * @property {boolean} [hit] - content matched the cached hash, rules were skipped
+ * @property {import('./checker.js').Finding[]} [findings]
+ * @property {string} [error] - file could not be read
+ */
+
+/**
+ * Default worker count: one per spare core, capped at 8.
+ *
+ * @returns {number}
+ */
+export function defaultJobs() {
+  const cores = typeof availableParallelism === 'function' ? availableParallelism() : cpus().length;
+  return Math.max(1, Math.min(8, cores - 1));
+}
+
+/**
+ * Read and check one file. When the content hashes to cachedHash the rules
+ * are skipped and the caller reuses its cached findings.
+ *
+ * @param {string} filePath
+ * @param {import('./config.js').Config} config
+ * @param {string|undefined} cachedHash
+ * @param {Record<string, number>} [timings]
+ * @returns {FileResult}
+ */
+export function analyzeFile(filePath, config, cachedHash, timings) {
+  let content;
+  try {
+    content = readFileSync(filePath, 'utf8');
+  } catch (err) {
+    return { file: filePath, error: err.message };
+  }
+  const hash = hashContent(content);
+  if (hash === cachedHash) return { file: filePath, hash, hit: true };
+
+  const findings = checkFile(filePath, content, {
+    rules: rulesForFile(config, filePath),
+    suppressions: config.suppressions,
+    schema: loadSchema(config.schema),
+    timings,
+  });
+  return { file: filePath, hash, hit: false, findings };
+}
+
+/**
+ * Check files using the findings cache and, for large scans, a pool of
+ * worker threads. Findings come back in the order of `files`.
+ *
+ * @param {string[]} files
+ * @param {{ config: import('./config.js').Config, cache?: boolean, jobs?: number }} opts
+ *   cache: read and update .perf-x-ray/cache (default: true); jobs: max worker threads
+ * @returns {Promise<{ findings: import('./checker.js').Finding[], stats: ScanStats }>}
+ */
+export async function runScan(files, opts) {
+  const { config, cache: useCache = true, jobs = defaultJobs() } = opts;
+  const started = performance.now();
+  const cache = useCache ? loadCache(config) : null;
+  const stats = { files: files.length, checked: 0, cacheHits: 0, workers: 0, durationMs: 0, ruleTimes: {} };
+  const byFile = new Map();
+  const pending = [];
+
+  for (const file of files) {
+    let st;
+    try {
+      st = statSync(file);
+    } catch {
+      continue;
+    }
+    const entry = cache?.entries[file];
+    if (entry && entry.mtimeMs === st.mtimeMs && entry.size === st.size) {
+      byFile.set(file, entry.findings);
+      stats.cacheHits++;
+      continue;
+    }
+    pending.push({ file, cachedHash: entry?.hash, mtimeMs: st.mtimeMs, size: st.size });
+  }
+
+  const workerCount = Math.min(jobs, Math.floor(pending.length / MIN_FILES_PER_WORKER));
+  let results;
+  if (workerCount >= 2) {
+    stats.workers = workerCount;
+    results = await runInPool(pending, config, workerCount, stats.ruleTimes);
+  } else {
+    results = pending.map((p) => analyzeFile(p.file, config, p.cachedHash, stats.ruleTimes));
+  }
+
+  const meta = new Map(pending.map((p) => [p.file, p]));
+  for (const r of results) {
+    if (r.error) continue;
+    const { mtimeMs, size } = meta.get(r.file);
+    const findings = r.hit ? cache.entries[r.file].findings : r.findings;
+    if (r.hit) stats.cacheHits++;
+    else stats.checked++;
+    byFile.set(r.file, findings);
+    if (cache) cache.entries[r.file] = { hash: r.hash, mtimeMs, size, findings };
+  }
+
+  if (cache && (results.length || !files.length)) {
+    try {
+      saveCache(cache);
+    } catch {
+      // A read-only checkout still gets a scan, just not a cache
+    }
+  }
+
+  const findings = [];
+  for (const file of files) findings.push(...(byFile.get(file) ?? []));
+  stats.durationMs = performance.now() - started;
+  return { findings, stats };
+}
+
+/**
+ * Spread pending files across worker threads in batches. Each worker loads
+ * the config and plugins itself, since rule functions can't be transferred.
+ */
+function runInPool(pending, config, count, ruleTimes) {
+  return new Promise((resolve, reject) => {
+    const batches = [];
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+      batches.push(pending.slice(i, i + BATCH_SIZE).map((p) => ({ file: p.file, cachedHash: p.cachedHash })));
+    }
+
+    // --schema can override the config file, so pass it along explicitly
+    const workerData = { configPath: config.path, configDir: config.dir, schema: config.schema };
+    const workers = [];
+    const results = [];
+    let next = 0;
+    let idle = 0;
+    let settled = false;
+
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      for (const w of workers) w.terminate();
+      if (err) reject(err);
+      else resolve(results);
+    };
+
+    const dispatch = (worker) => {
+      if (next < batches.length) {
+        worker.postMessage(batches[next++]);
+      } else if (++idle === workers.length) {
+        finish();
+      }
+    };
+
+    for (let i = 0; i < count; i++) {
+      const worker = new Worker(new URL('./worker.js', import.meta.url), { workerData });
+      workers.push(worker);
+      worker.on('message', (msg) => {
+        if (msg.error) return finish(new Error(msg.error));
+        results.push(...msg.results);
+        for (const [id, ms] of Object.entries(msg.timings)) ruleTimes[id] = (ruleTimes[id] ?? 0) + ms;
+        dispatch(worker);
+      });
+      worker.on('error', finish);
+      worker.on('exit', (code) => {
+        if (code !== 0) finish(new Error(`Scan worker exited with code ${code}`));
+      });
+    }
+    for (const w of workers) dispatch(w);
+  });
+}
@@ -0,0 +1,131 @@
+import { readFile, stat } from 'fs/promises';
+import { resolve } from 'path';
+import { setImmediate as nextTurn } from 'timers/promises';
+import { walkFilesAsync } from './scanner.js';
+import { checkFile } from './checker.js';
+import { loadConfig, isIgnored, rulesForFile } from './config.js';
+import { loadPlugins } from './plugins.js';
+import { loadSchema } from './schema.js';
+import { loadCache, saveCache, hashContent } from './cache.js';
+import { detectWorkspace, addGoModules, packageForFile } from './workspaces.js';
+
+/**
+ * Streaming scan for embedding perf-x-ray in a long-running process. Files
+ * are discovered and read asynchronously and checked one at a time, with a
+ * turn of the event loop between files, so a large scan doesn't stall the
+ * host. Uses the same findings cache as the CLI, and tags findings with
+ * their workspace package in a monorepo.
+ *
+ *   const controller = new AbortController();
+ *   for await (const finding of scan('./src', { signal: controller.signal, onProgress })) {
+ *     ...
+ *   }
+ *
+ * @typedef {Object} ScanProgress
+ * @property {'discovered'|'checked'|'done'} type
+ * @property {string} [file] - the file discovered or checked
+ * @property {boolean} [cached] - checked: findings came from the cache
+ * @property {string} [error] - checked: the file could not be read and was skipped
+ * @property {number} discovered - files found so far
+ * @property {number} checked - files checked so far, cache hits included
+ * @property {number} findings - findings yielded so far
+ *
+ * @typedef {Object} ScanOptions
+ * @property {import('./config.js').Config} [config] - a loaded config; default: discovered from root, plugins included
+ * @property {string} [configPath] - explicit config file when `config` isn't given
+ * @property {string[]} [ignore] - extra directory basenames to skip
+ * @property {boolean} [cache] - read and update .perf-x-ray/cache in the project (default: false)
+ * @property {AbortSignal} [signal] - aborting stops the scan; the iterator throws the abort reason
+ * @property {(event: ScanProgress) => void} [onProgress]
+ */
+
+/**
+ * Scan a directory, yielding findings file by file as they are found.
+ * Breaking out of the loop early stops the scan; with `cache`, files checked
+ * so far are still cached.
+ *
+ * @param {string} root
+ * @param {ScanOptions} [options]
+ * @returns {AsyncGenerator<import('./checker.js').Finding>}
+ */
+export async function* scan(root, options = {}) {
+  const { signal, onProgress, ignore = [], cache: useCache = false } = options;
+  const dir = resolve(root);
+  signal?.throwIfAborted();
+
+  let config = options.config;
+  if (!config) {
+    const loaded = loadConfig(dir, { configPath: options.configPath });
+    config = { ...loaded, pluginRules: await loadPlugins(loaded) };
+  }
+  const schema = loadSchema(config.schema);
+  const cache = useCache ? loadCache(config) : null;
+  const workspace = detectWorkspace(dir);
+  const counts = { discovered: 0, checked: 0, findings: 0 };
+  const progress = (event) => onProgress?.({ ...event, ...counts });
+  let changed = false;
+
+  try {
+    for await (const file of walkFilesAsync(dir, { ignore, exclude: (p) => isIgnored(config, p), signal })) {
+      counts.discovered++;
+      progress({ type: 'discovered', file });
+
+      const result = await analyzeFileAsync(file, config, schema, cache);
+      signal?.throwIfAborted();
+      counts.checked++;
+      if (result.error) {
+        progress({ type: 'checked', file, error: result.error });
+        continue;
+      }
+      if (cache && result.entry) {
+        cache.entries[file] = result.entry;
+        changed = true;
+      }
+      counts.findings += result.findings.length;
+      progress({ type: 'checked', file, cached: result.cached });
+      // Tag copies: the originals are what the cache stores
+      addGoModules(workspace, [file]);
+      const pkg = packageForFile(workspace, file)?.name;
+      yield* pkg ? result.findings.map((f) => ({ ...f, package: pkg })) : result.findings;
+
+      // checkFile is synchronous; give the host's other work a turn between files
+      await nextTurn();
+    }
+    progress({ type: 'done' });
+  } finally {
+    if (cache && changed) {
+      try {
+        saveCache(cache);
+      } catch {
+        // A read-only checkout still gets a scan, just not a cache
+      }
+    }
+  }
+}
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+// runner.js analyzeFile with async reads: an unchanged stat or content hash reuses the cached findings
+async function analyzeFileAsync(file, config, schema, cache) {
+  const entry = cache?.entries[file];
+  let st;
+  let content;
+  try {
+    st = await stat(file);
+    if (entry && entry.mtimeMs === st.mtimeMs && entry.size === st.size) return { findings: entry.findings, cached: true };
+    content = await readFile(file, 'utf8');
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  const hash = hashContent(content);
+  if (entry && entry.hash === hash) {
+    return { findings: entry.findings, cached: true, entry: { ...entry, mtimeMs: st.mtimeMs, size: st.size } };
+  }
+  const findings = checkFile(file, content, {
+    rules: rulesForFile(config, file),
+    suppressions: config.suppressions,
+    schema,
+  });
+  return { findings, cached: false, entry: { hash, mtimeMs: st.mtimeMs, size: st.size, findings } };
+}
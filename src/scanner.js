@@ -1,5 +1,7 @@
 import { readdirSync, statSync } from 'fs';
-import { join, extname, basename } from 'path';
+import { readdir, stat } from 'fs/promises';
+import { join, dirname, extname, basename, relative, isAbsolute, sep } from 'path';
+import { createIgnoreFilter } from './ignore.js';
 
 const SKIP_DIRS = new Set([
   'node_modules',
@@ -20,15 +22,18 @@ const SKIP_DIRS = new Set([
 const SUPPORTED_EXTENSIONS = new Set(['.js', '.ts', '.jsx', '.tsx', '.py', '.go', '.sql', '.mjs', '.cjs']);
 
 /**
- * Walk a directory tree and collect all supported source files.
+ * Walk a directory tree and collect all supported source files. Paths the
+ * .gitignore and .perfxrayignore files exclude are skipped.
  *
  * @param {string} rootPath - directory to scan
- * @param {{ ignore?: string[] }} opts
+ * @param {{ ignore?: string[], exclude?: (path: string) => boolean }} opts
+ *   ignore: extra directory basenames to skip; exclude: predicate for files and dirs to skip
  * @returns {string[]} absolute file paths
  */
 export function walkFiles(rootPath, opts = {}) {
-  const { ignore = [] } = opts;
+  const { ignore = [], exclude } = opts;
   const ignoredDirs = new Set([...SKIP_DIRS, ...ignore]);
+  const ignoreFiles = createIgnoreFilter(rootPath);
   const results = [];
 
   function walk(dir) {
@@ -50,6 +55,8 @@ export function walkFiles(rootPath, opts = {}) {
         continue;
       }
 
+      if (exclude?.(fullPath) || ignoreFiles.ignores(fullPath, stat.isDirectory())) continue;
+
       if (stat.isDirectory()) {
         if (!ignoredDirs.has(basename(fullPath))) {
           walk(fullPath);
@@ -68,6 +75,126 @@ export function walkFiles(rootPath, opts = {}) {
   return results;
 }
 
+/**
+ * Async walkFiles: yields the same files in the same order, reading
+ * directories without blocking the event loop.
+ *
+ * @param {string} rootPath - directory to scan
+ * @param {{ ignore?: string[], exclude?: (path: string) => boolean, signal?: AbortSignal }} opts
+ *   signal: stops the walk by throwing its abort reason
+ * @returns {AsyncGenerator<string>} absolute file paths
+ */
+export async function* walkFilesAsync(rootPath, opts = {}) {
+  const { ignore = [], exclude, signal } = opts;
+  const ignoredDirs = new Set([...SKIP_DIRS, ...ignore]);
+  const ignoreFiles = createIgnoreFilter(rootPath);
+
+  async function* walk(dir) {
+    signal?.throwIfAborted();
+    let entries;
+    try {
+      await ignoreFiles.preload(dir);
+      entries = await readdir(dir);
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (entry.startsWith('.') && entry !== '.') continue;
+
+      const fullPath = join(dir, entry);
+      let st;
+      try {
+        st = await stat(fullPath);
+      } catch {
+        continue;
+      }
+
+      if (exclude?.(fullPath) || ignoreFiles.ignores(fullPath, st.isDirectory())) continue;
+
+      if (st.isDirectory()) {
+        if (!ignoredDirs.has(basename(fullPath))) yield* walk(fullPath);
+        continue;
+      }
+
+      if (SUPPORTED_EXTENSIONS.has(extname(entry).toLowerCase())) yield fullPath;
+    }
+  }
+
+  yield* walk(rootPath);
+}
+
+/**
+ * Collect the directories walkFiles would descend into, rootPath included.
+ *
+ * @param {string} rootPath
+ * @param {{ ignore?: string[] }} opts
+ * @returns {string[]} absolute directory paths
+ */
+export function walkDirs(rootPath, opts = {}) {
+  const ignoredDirs = new Set([...SKIP_DIRS, ...(opts.ignore ?? [])]);
+  const ignoreFiles = createIgnoreFilter(rootPath);
+  const results = [];
+
+  function walk(dir) {
+    results.push(dir);
+    let entries;
+    try {
+      entries = readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.') || ignoredDirs.has(entry.name)) continue;
+      const fullPath = join(dir, entry.name);
+      if (!ignoreFiles.ignores(fullPath, true)) walk(fullPath);
+    }
+  }
+
+  walk(rootPath);
+  return results;
+}
+
+/**
+ * Whether walkFiles would pick up this path under rootPath: a supported
+ * extension with no skipped, hidden or ignore-file-excluded directory on the
+ * way.
+ *
+ * @param {string} filePath - absolute path
+ * @param {string} rootPath
+ * @param {{ ignore?: string[], ignoreFiles?: import('./ignore.js').IgnoreFilter }} opts
+ *   ignoreFiles: a filter to reuse across calls (default: ignore files are read afresh)
+ * @returns {boolean}
+ */
+export function isScannablePath(filePath, rootPath, opts = {}) {
+  if (!SUPPORTED_EXTENSIONS.has(extname(filePath).toLowerCase())) return false;
+  const rel = relative(rootPath, filePath);
+  if (!rel || rel.startsWith('..') || isAbsolute(rel) || basename(filePath).startsWith('.')) return false;
+  const ignoreFiles = opts.ignoreFiles ?? createIgnoreFilter(rootPath);
+  return isWalkedDir(dirname(filePath), rootPath, { ...opts, ignoreFiles }) && !ignoreFiles.ignores(filePath, false);
+}
+
+/**
+ * Whether walkFiles would descend into this directory under rootPath (the
+ * root itself included).
+ *
+ * @param {string} dirPath - absolute path
+ * @param {string} rootPath
+ * @param {{ ignore?: string[], ignoreFiles?: import('./ignore.js').IgnoreFilter }} opts
+ * @returns {boolean}
+ */
+export function isWalkedDir(dirPath, rootPath, opts = {}) {
+  const rel = relative(rootPath, dirPath);
+  if (!rel) return true;
+  if (rel.startsWith('..') || isAbsolute(rel)) return false;
+  const ignoredDirs = new Set([...SKIP_DIRS, ...(opts.ignore ?? [])]);
+  const parts = rel.split(sep);
+  if (parts.some((part) => part.startsWith('.') || ignoredDirs.has(part))) return false;
+  // A directory under an excluded one stays excluded whatever its own patterns say, as in git
+  const ignoreFiles = opts.ignoreFiles ?? createIgnoreFilter(rootPath);
+  return parts.every((_, i) => !ignoreFiles.ignores(join(rootPath, ...parts.slice(0, i + 1)), true));
+}
+
 /**
  * Map a file extension to a canonical language identifier used by rules.
  *
@@ -0,0 +1,290 @@
+import { createHash } from 'crypto';
+import { readFileSync, readdirSync, statSync } from 'fs';
+import { join, relative } from 'path';
+import { tokenizeSql } from './sql.js';
+
+/**
+ * @typedef {Object} TableIndex
+ * @property {string|null} name
+ * @property {(string|null)[]} columns - in index order; null for expressions
+ * @property {boolean} unique
+ *
+ * @typedef {Object} Table
+ * @property {string} name
+ * @property {string[]} columns
+ * @property {TableIndex[]} indexes - primary key and unique constraints included
+ *
+ * @typedef {Object} Schema
+ * @property {Map<string, Table>} tables - keyed by lower-cased table name
+ * @property {string[]} files - SQL files the schema was read from
+ * @property {string} hash - fingerprint of their content
+ */
+
+const cache = new Map();
+
+/**
+ * Load a schema from a SQL dump or a directory of migrations. Migration files
+ * are applied in path order, so later ALTER / DROP statements win. Results
+ * are cached per path for the life of the process unless `reload` is set.
+ *
+ * @param {string|null|undefined} path
+ * @param {{ reload?: boolean }} [opts]
+ * @returns {Schema|null} null when no path is given
+ */
+export function loadSchema(path, opts = {}) {
+  if (!path) return null;
+  if (opts.reload) cache.delete(path);
+  if (cache.has(path)) return cache.get(path);
+
+  let files;
+  try {
+    files = statSync(path).isDirectory() ? sqlFilesIn(path) : [path];
+  } catch (err) {
+    throw new Error(`Cannot read schema ${path}: ${err.message}`);
+  }
+  if (!files.length) throw new Error(`Schema directory ${path} contains no .sql files`);
+
+  const hash = createHash('sha1');
+  const schema = { tables: new Map(), files, hash: '' };
+  for (const file of files) {
+    const sql = readFileSync(file, 'utf8');
+    hash.update(file).update(sql);
+    applySchemaSql(schema, sql);
+  }
+  schema.hash = hash.digest('hex');
+  cache.set(path, schema);
+  return schema;
+}
+
+/**
+ * Build a schema from SQL text: CREATE TABLE (with inline and table-level
+ * PRIMARY KEY / UNIQUE / KEY definitions), CREATE INDEX, ALTER TABLE ADD and
+ * DROP INDEX / DROP TABLE.
+ *
+ * @param {string} sql
+ * @returns {Schema}
+ */
+export function parseSchema(sql) {
+  const schema = { tables: new Map(), files: [], hash: createHash('sha1').update(sql).digest('hex') };
+  applySchemaSql(schema, sql);
+  return schema;
+}
+
+/**
+ * Whether an index on the table can serve a lookup on `column`, given the
+ * columns already pinned by equality: the column must follow a prefix of an
+ * index made only of those columns.
+ *
+ * @param {Table} table
+ * @param {string} column
+ * @param {Set<string>} equal
+ * @returns {boolean}
+ */
+export function indexCovers(table, column, equal) {
+  return table.indexes.some((idx) => {
+    for (const col of idx.columns) {
+      if (col === column) return true;
+      if (col === null || !equal.has(col)) return false;
+    }
+    return false;
+  });
+}
+
+/**
+ * A CREATE INDEX statement that would cover the given columns, in order.
+ *
+ * @param {Table} table
+ * @param {string[]} columns
+ * @returns {string}
+ */
+export function suggestIndex(table, columns) {
+  const cols = [...new Set(columns)];
+  return `CREATE INDEX idx_${table.name}_${cols.join('_')} ON ${table.name} (${cols.join(', ')})`;
+}
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+function sqlFilesIn(dir) {
+  const files = [];
+  const walkDir = (d) => {
+    for (const entry of readdirSync(d, { withFileTypes: true })) {
+      const full = join(d, entry.name);
+      if (entry.isDirectory()) walkDir(full);
+      else if (entry.name.toLowerCase().endsWith('.sql')) files.push(full);
+    }
+  };
+  walkDir(dir);
+  // Migration tools prefix files with timestamps or sequence numbers
+  return files.sort((a, b) => relative(dir, a).localeCompare(relative(dir, b)));
+}
+
+function applySchemaSql(schema, sql) {
+  for (const statement of splitTopLevel(tokenizeSql(sql), ';')) {
+    const words = statement.map((t) => (t.type === 'word' ? t.upper : null));
+    if (words[0] === 'CREATE') {
+      const tableAt = indexOfWord(words, 'TABLE', 1, 5);
+      const indexAt = indexOfWord(words, 'INDEX', 1, 3);
+      if (tableAt !== -1 && (indexAt === -1 || tableAt < indexAt)) createTable(schema, statement, tableAt + 1);
+      else if (indexAt !== -1) createIndex(schema, statement, indexAt + 1, words.slice(1, indexAt).includes('UNIQUE'));
+    } else if (words[0] === 'ALTER' && words[1] === 'TABLE') {
+      alterTable(schema, statement);
+    } else if (words[0] === 'DROP' && (words[1] === 'INDEX' || words[1] === 'TABLE')) {
+      drop(schema, statement, words[1]);
+    }
+  }
+}
+
+function indexOfWord(words, word, from, to) {
+  for (let i = from; i <= to && i < words.length; i++) {
+    if (words[i] === word) return i;
+  }
+  return -1;
+}
+
+function splitTopLevel(tokens, separator) {
+  const parts = [];
+  let part = [];
+  let depth = 0;
+  for (const t of tokens) {
+    if (t.value === '(') depth++;
+    if (t.value === ')') depth--;
+    if (depth === 0 && t.value === separator && t.type === 'punct') {
+      if (part.length) parts.push(part);
+      part = [];
+    } else {
+      part.push(t);
+    }
+  }
+  if (part.length) parts.push(part);
+  return parts;
+}
+
+// Skips IF [NOT] EXISTS / ONLY / CONCURRENTLY and reads a possibly qualified name
+function readName(tokens, i) {
+  while (['IF', 'NOT', 'EXISTS', 'ONLY', 'CONCURRENTLY'].includes(tokens[i]?.upper) && tokens[i].type === 'word') i++;
+  let name = tokens[i];
+  if (!name || (name.type !== 'word' && name.type !== 'ident')) return { name: null, next: i };
+  while (tokens[i + 1]?.value === '.' && tokens[i + 2]) {
+    i += 2;
+    name = tokens[i];
+  }
+  return { name: name.value.toLowerCase(), next: i + 1 };
+}
+
+function parenBody(tokens, open) {
+  let depth = 0;
+  for (let i = open; i < tokens.length; i++) {
+    if (tokens[i].value === '(') depth++;
+    else if (tokens[i].value === ')' && --depth === 0) return { body: tokens.slice(open + 1, i), next: i + 1 };
+  }
+  return { body: tokens.slice(open + 1), next: tokens.length };
+}
+
+function tableFor(schema, name) {
+  if (!schema.tables.has(name)) schema.tables.set(name, { name, columns: [], indexes: [] });
+  return schema.tables.get(name);
+}
+
+// Column list of an index or key: plain columns, or null for expressions
+function indexColumns(body) {
+  return splitTopLevel(body, ',').map((part) => {
+    const first = part[0];
+    if (!first || (first.type !== 'word' && first.type !== 'ident')) return null;
+    const rest = part.slice(1).filter((t) => !(t.type === 'word' && ['ASC', 'DESC', 'NULLS', 'FIRST', 'LAST', 'COLLATE'].includes(t.upper)));
+    // name(10) is a MySQL prefix length, not a function call
+    const isPrefixLength = rest[0]?.value === '(' && rest[1]?.type === 'number' && rest[2]?.value === ')';
+    if (rest.length && rest[0].value === '(' && !isPrefixLength) return null;
+    return first.value.toLowerCase();
+  });
+}
+
+function createTable(schema, tokens, at) {
+  const { name, next } = readName(tokens, at);
+  if (!name || tokens[next]?.value !== '(') return;
+  const table = tableFor(schema, name);
+  const { body } = parenBody(tokens, next);
+  for (const def of splitTopLevel(body, ',')) addDefinition(table, def);
+}
+
+// One entry of a CREATE TABLE body or an ALTER TABLE ADD
+function addDefinition(table, def) {
+  let i = 0;
+  let constraintName = null;
+  if (def[i]?.upper === 'CONSTRAINT') {
+    constraintName = def[i + 1]?.value.toLowerCase() ?? null;
+    i += 2;
+  }
+  const head = def[i]?.type === 'word' ? def[i].upper : null;
+
+  if (head === 'PRIMARY' || head === 'UNIQUE' || head === 'KEY' || head === 'INDEX') {
+    const open = def.findIndex((t, j) => j > i && t.value === '(');
+    if (open === -1) return;
+    // UNIQUE KEY email_idx (email): the word before the column list names it
+    const named = open - 1 > i ? def[open - 1] : null;
+    const indexName = constraintName
+      ?? (named && !['KEY', 'INDEX', 'UNIQUE'].includes(named.upper) ? named.value.toLowerCase() : null);
+    table.indexes.push({
+      name: head === 'PRIMARY' ? 'primary' : indexName,
+      columns: indexColumns(parenBody(def, open).body),
+      unique: head === 'PRIMARY' || head === 'UNIQUE',
+    });
+    return;
+  }
+  if (['FOREIGN', 'CHECK', 'EXCLUDE', 'FULLTEXT', 'SPATIAL', 'LIKE', 'PERIOD'].includes(head)) return;
+
+  const col = def[i];
+  if (!col || (col.type !== 'word' && col.type !== 'ident')) return;
+  const column = col.value.toLowerCase();
+  if (!table.columns.includes(column)) table.columns.push(column);
+
+  const words = def.slice(i + 1).map((t) => t.upper);
+  if (words.includes('PRIMARY')) table.indexes.push({ name: 'primary', columns: [column], unique: true });
+  else if (words.includes('UNIQUE')) table.indexes.push({ name: constraintName, columns: [column], unique: true });
+}
+
+function createIndex(schema, tokens, at, unique) {
+  let i = at;
+  let indexName = null;
+  if (tokens[i]?.upper !== 'ON') {
+    const read = readName(tokens, i);
+    indexName = read.name;
+    i = read.next;
+  }
+  if (tokens[i]?.upper !== 'ON') return;
+  const { name, next } = readName(tokens, i + 1);
+  if (!name) return;
+  let open = next;
+  // USING btree / gin ...
+  while (tokens[open] && tokens[open].value !== '(') open++;
+  if (!tokens[open]) return;
+  tableFor(schema, name).indexes.push({ name: indexName, columns: indexColumns(parenBody(tokens, open).body), unique });
+}
+
+function alterTable(schema, tokens) {
+  const { name, next } = readName(tokens, 2);
+  if (!name) return;
+  const table = tableFor(schema, name);
+  for (const action of splitTopLevel(tokens.slice(next), ',')) {
+    if (action[0]?.upper !== 'ADD') continue;
+    let rest = action.slice(1);
+    if (rest[0]?.upper === 'COLUMN') rest = rest.slice(1);
+    while (['IF', 'NOT', 'EXISTS'].includes(rest[0]?.upper)) rest = rest.slice(1);
+    addDefinition(table, rest);
+  }
+}
+
+function drop(schema, tokens, kind) {
+  let i = 2;
+  while (['IF', 'EXISTS', 'CONCURRENTLY'].includes(tokens[i]?.upper)) i++;
+  for (const part of splitTopLevel(tokens.slice(i), ',')) {
+    const { name } = readName(part, 0);
+    if (!name) continue;
+    if (kind === 'TABLE') {
+      schema.tables.delete(name);
+      continue;
+    }
+    for (const table of schema.tables.values()) {
+      table.indexes = table.indexes.filter((idx) => idx.name !== name);
+    }
+  }
+}
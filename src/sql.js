@@ -0,0 +1,865 @@
+import { walk } from './ast.js';
+import { indexCovers, suggestIndex } from './schema.js';
+
+/**
+ * SQL support for the query rules: a tokenizer, extraction of queries
+ * embedded in JS/TS/Python/Go string literals, and a light clause-level
+ * reading of each statement (tables, filters, joins, ordering, limits).
+ *
+ * It is deliberately forgiving: anything it can't follow is skipped rather
+ * than reported, since a wrong finding costs more than a missed one.
+ */
+
+// Words that end a table alias or a column list rather than naming something
+const KEYWORDS = new Set([
+  'ALL', 'AND', 'ANY', 'AS', 'ASC', 'BETWEEN', 'BY', 'CASE', 'CROSS', 'DELETE', 'DESC', 'DISTINCT',
+  'ELSE', 'END', 'EXCEPT', 'EXISTS', 'FETCH', 'FOR', 'FROM', 'FULL', 'GROUP', 'HAVING', 'ILIKE', 'IN',
+  'INNER', 'INSERT', 'INTERSECT', 'INTO', 'IS', 'JOIN', 'LATERAL', 'LEFT', 'LIKE', 'LIMIT', 'NATURAL',
+  'NOT', 'NULL', 'OFFSET', 'ON', 'OR', 'ORDER', 'OUTER', 'RETURNING', 'RIGHT', 'SELECT', 'SET', 'THEN',
+  'TOP', 'UNION', 'UPDATE', 'USING', 'VALUES', 'WHEN', 'WHERE', 'WINDOW', 'WITH', 'TRUE', 'FALSE',
+]);
+
+// Clause keywords that start a new section of a statement at depth 0
+const CLAUSES = new Set([
+  'SELECT', 'FROM', 'WHERE', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET', 'FETCH', 'JOIN', 'ON',
+  'USING', 'UPDATE', 'SET', 'DELETE', 'INSERT', 'VALUES', 'RETURNING', 'WINDOW', 'WITH', 'FOR',
+]);
+
+const COMPOUND = new Set(['UNION', 'INTERSECT', 'EXCEPT']);
+const COMPARISONS = new Set(['=', '<', '>', '<=', '>=', '<>', '!=']);
+const AGGREGATES = new Set(['COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'EXISTS', 'BOOL_AND', 'BOOL_OR', 'STRING_AGG', 'ARRAY_AGG', 'JSON_AGG', 'GROUP_CONCAT']);
+// Columns the no-schema fallback assumes are keys
+const KEY_COLUMNS = new Set(['id', '_id', 'pk', 'uuid']);
+
+/**
+ * @typedef {Object} SqlToken
+ * @property {'word'|'ident'|'string'|'number'|'param'|'op'|'punct'} type
+ * @property {string} value - identifiers are unquoted; strings are unquoted and unescaped
+ * @property {string} upper - upper-cased value, for keyword tests
+ * @property {number} start - offset in the tokenized text
+ * @property {number} end
+ *
+ * @typedef {Object} EmbeddedQuery
+ * @property {string} text - the SQL, with host-language interpolations replaced by `?`
+ * @property {(offset: number) => number} fileIndex - maps an offset in text to one in the file
+ *
+ * @typedef {Object} QueryScope - one SELECT / UPDATE / DELETE, including subqueries
+ * @property {string} kind - first clause keyword: SELECT, UPDATE, DELETE, INSERT, WITH...
+ * @property {SqlToken} keyword
+ * @property {{ name: string, alias: string, token: SqlToken, on: SqlToken[], joined: boolean }[]} tables
+ * @property {Predicate[]} where
+ * @property {boolean} whereHasOr
+ * @property {{ qualifier: string|null, column: string, token: SqlToken }[]} orderBy
+ * @property {boolean} limited - LIMIT, TOP or FETCH FIRST
+ * @property {boolean} grouped
+ * @property {boolean} aggregateOnly - select list is only aggregate calls
+ * @property {SqlToken[]} selectList
+ * @property {SqlToken[]} likes - pattern tokens following LIKE / ILIKE
+ * @property {boolean} nested - a subquery rather than the statement itself
+ * @property {string|null} before - word right before a subquery's "(", e.g. EXISTS or IN
+ *
+ * @typedef {Object} Predicate
+ * @property {string|null} qualifier
+ * @property {string} column
+ * @property {string} op
+ * @property {boolean} equality
+ * @property {SqlToken} token
+ * @property {{ qualifier: string|null, column: string }|null} other - column on the other side, if any
+ */
+
+/**
+ * Split SQL text into tokens, dropping whitespace and comments.
+ *
+ * @param {string} text
+ * @returns {SqlToken[]}
+ */
+export function tokenizeSql(text) {
+  const tokens = [];
+  let i = 0;
+  const push = (type, value, start) => tokens.push({ type, value, upper: value.toUpperCase(), start, end: i });
+
+  while (i < text.length) {
+    const ch = text[i];
+    const start = i;
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (text.startsWith('--', i)) {
+      const nl = text.indexOf('\n', i);
+      i = nl === -1 ? text.length : nl;
+    } else if (text.startsWith('/*', i)) {
+      const close = text.indexOf('*/', i + 2);
+      i = close === -1 ? text.length : close + 2;
+    } else if (ch === '\'' || ((ch === 'E' || ch === 'e') && text[i + 1] === '\'')) {
+      if (ch !== '\'') i++;
+      i++;
+      let value = '';
+      while (i < text.length) {
+        if (text[i] === '\'' && text[i + 1] === '\'') {
+          value += '\'';
+          i += 2;
+        } else if (text[i] === '\'') {
+          i++;
+          break;
+        } else {
+          value += text[i++];
+        }
+      }
+      push('string', value, start);
+    } else if (ch === '$' && /^\$(\w*)\$/.test(text.slice(i, i + 64))) {
+      const tag = /^\$(\w*)\$/.exec(text.slice(i, i + 64))[0];
+      const close = text.indexOf(tag, i + tag.length);
+      const end = close === -1 ? text.length : close;
+      const value = text.slice(i + tag.length, end);
+      i = close === -1 ? text.length : close + tag.length;
+      push('string', value, start);
+    } else if (ch === '"' || ch === '`' || ch === '[') {
+      const close = ch === '[' ? ']' : ch;
+      const end = text.indexOf(close, i + 1);
+      i = end === -1 ? text.length : end + 1;
+      push('ident', text.slice(start + 1, end === -1 ? text.length : end), start);
+    } else if (/[A-Za-z_\u00c0-\uffff]/.test(ch)) {
+      while (i < text.length && /[\w$\u00c0-\uffff]/.test(text[i])) i++;
+      push('word', text.slice(start, i), start);
+    } else if (/\d/.test(ch) || (ch === '.' && /\d/.test(text[i + 1] ?? ''))) {
+      while (i < text.length && /[\d.eE]/.test(text[i])) i++;
+      push('number', text.slice(start, i), start);
+    } else if (ch === '?' || (ch === '$' && /\d/.test(text[i + 1] ?? ''))) {
+      i++;
+      while (i < text.length && /\d/.test(text[i])) i++;
+      push('param', text.slice(start, i), start);
+    } else if ((ch === ':' || ch === '@') && /[A-Za-z_]/.test(text[i + 1] ?? '') && text[i - 1] !== ':') {
+      i++;
+      while (i < text.length && /\w/.test(text[i])) i++;
+      push('param', text.slice(start, i), start);
+    } else if (ch === '%' && /^%(?:\(\w+\))?s/.test(text.slice(i, i + 40))) {
+      i += /^%(?:\(\w+\))?s/.exec(text.slice(i, i + 40))[0].length;
+      push('param', text.slice(start, i), start);
+    } else if ('(),;.'.includes(ch)) {
+      i++;
+      push('punct', ch, start);
+    } else {
+      const two = text.slice(i, i + 2);
+      i += ['<=', '>=', '<>', '!=', '||', '::', '->'].includes(two) ? 2 : 1;
+      push('op', text.slice(start, i), start);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Find SQL statements in a file: every statement of a .sql file, and string
+ * literals that read like queries in JS/TS (including concatenations and
+ * template literals), Python and Go.
+ *
+ * @param {import('./checker.js').RuleContext} context
+ * @returns {EmbeddedQuery[]}
+ */
+export function extractQueries(context) {
+  const { lang, content, ast } = context;
+  if (memo.content === content && memo.lang === lang && memo.ast === ast) return memo.queries;
+
+  let queries;
+  if (lang === 'sql') queries = splitStatements(content);
+  else if (lang === 'js' || lang === 'ts') queries = ast ? fromAst(ast) : [];
+  else if (lang === 'py' || lang === 'go') queries = fromStringLiterals(content, lang);
+  else queries = [];
+
+  memo.content = content;
+  memo.lang = lang;
+  memo.ast = ast;
+  memo.queries = queries;
+  return queries;
+}
+
+/**
+ * Read the clause structure of one statement. Returns a scope for the
+ * statement and for every parenthesised subquery inside it.
+ *
+ * @param {SqlToken[]} tokens
+ * @returns {QueryScope[]}
+ */
+export function readScopes(tokens) {
+  const scopes = [];
+  collectScopes(tokens, false, null, scopes);
+  return scopes;
+}
+
+// ─── Rule checks ──────────────────────────────────────────────────────────────
+
+/**
+ * unbounded-query: a top-level SELECT that can return every row of a table.
+ *
+ * @param {import('./checker.js').RuleContext} context
+ */
+export function checkUnboundedQueries(context) {
+  forEachScope(context, (scope, query) => {
+    if (scope.nested || scope.kind !== 'SELECT' || scope.limited || scope.aggregateOnly) return;
+    if (!scope.tables.length || isSingleRowLookup(scope, context.schema)) return;
+    context.report({ index: query.fileIndex(scope.keyword.start) });
+  });
+}
+
+/**
+ * missing-index-hint: filters, joins and LIMITed sorts that no index covers.
+ * Without a schema, falls back to flagging filters on non-key columns.
+ *
+ * @param {import('./checker.js').RuleContext} context
+ */
+export function checkIndexUsage(context) {
+  const { schema } = context;
+  forEachScope(context, (scope, query) => {
+    const report = (token, message) => context.report({ index: query.fileIndex(token.start), message });
+
+    if (!schema) {
+      const guess = scope.where.find((p) => !KEY_COLUMNS.has(p.column));
+      if (guess) {
+        report(guess.token, `Filter on "${guess.column}" is probably not indexed, which means a full table scan. Pass --schema so perf-x-ray can check the real indexes.`);
+      }
+      return;
+    }
+
+    const tables = resolveTables(scope, schema);
+    const byTable = groupByTable(scope.where, scope, tables);
+
+    for (const [alias, preds] of byTable) {
+      const table = tables.get(alias);
+      const equal = new Set(preds.filter((p) => p.equality).map((p) => p.column));
+      const covered = preds.filter((p) => indexCovers(table, p.column, equal));
+      // With AND, one usable index narrows the scan; with OR, every branch needs its own
+      const missing = scope.whereHasOr ? preds.filter((p) => !covered.includes(p)) : covered.length ? [] : preds.slice(0, 1);
+      for (const p of missing) {
+        report(p.token, `Filter on ${table.name}.${p.column} has no usable index, so the query scans the whole table. Consider ${suggestIndex(table, [...equal].filter((c) => c !== p.column).concat(p.column))}.`);
+      }
+    }
+
+    for (const ref of scope.tables) {
+      if (!ref.joined || !ref.on.length) continue;
+      const table = tables.get(ref.alias);
+      if (!table) continue;
+      const joinCols = readPredicates(ref.on)
+        .flatMap((p) => [p, p.other && { ...p.other, token: p.token }])
+        .filter((c) => c && resolveAlias(c, scope, tables) === ref.alias)
+        .map((c) => c.column);
+      if (!joinCols.length) continue;
+      const equal = new Set(joinCols);
+      if (joinCols.some((c) => indexCovers(table, c, equal))) continue;
+      report(ref.token, `Join on ${table.name}.${joinCols[0]} has no usable index, so every joined row is looked up by scanning ${table.name}. Consider ${suggestIndex(table, joinCols)}.`);
+    }
+
+    if (scope.limited && scope.orderBy.length) {
+      const first = scope.orderBy[0];
+      const alias = resolveAlias(first, scope, tables);
+      const table = alias && tables.get(alias);
+      if (table && table.columns.includes(first.column)) {
+        const equal = new Set((byTable.get(alias) ?? []).filter((p) => p.equality).map((p) => p.column));
+        if (!indexCovers(table, first.column, equal)) {
+          report(first.token, `ORDER BY ${table.name}.${first.column} with LIMIT has no usable index, so every matching row is sorted first. Consider ${suggestIndex(table, [...equal, first.column])}.`);
+        }
+      }
+    }
+  });
+}
+
+/**
+ * select-star: `SELECT *` (or `t.*`) on a table with many columns. Needs a schema.
+ *
+ * @param {import('./checker.js').RuleContext} context
+ * @param {{ wideTableColumns?: number }} options
+ */
+export function checkSelectStar(context, options = {}) {
+  const { schema } = context;
+  if (!schema) return;
+  const { wideTableColumns = 12 } = options;
+
+  forEachScope(context, (scope, query) => {
+    if (scope.kind !== 'SELECT' || scope.before === 'EXISTS') return;
+    const tables = resolveTables(scope, schema);
+    const list = scope.selectList;
+    for (let i = 0; i < list.length; i++) {
+      if (list[i].value !== '*') continue;
+      const prev = list[i - 1];
+      let targets;
+      if (prev?.value === '.' && list[i - 2]) targets = [tables.get(list[i - 2].value.toLowerCase())];
+      else if (!prev || prev.value === ',' || prev.upper === 'DISTINCT' || prev.upper === 'ALL') targets = [...tables.values()];
+      else continue;
+
+      for (const table of targets) {
+        if (!table || table.columns.length < wideTableColumns) continue;
+        context.report({
+          index: query.fileIndex(list[i].start),
+          message: `SELECT * on ${table.name} fetches all ${table.columns.length} columns. List the columns the code actually uses.`,
+        });
+      }
+    }
+  });
+}
+
+/**
+ * leading-wildcard-like: `LIKE '%term'` can't use a B-tree index.
+ *
+ * @param {import('./checker.js').RuleContext} context
+ */
+export function checkLeadingWildcard(context) {
+  forEachScope(context, (scope, query) => {
+    for (const pattern of scope.likes) {
+      if (pattern.type === 'string' && /^[%_]/.test(pattern.value)) {
+        context.report({ index: query.fileIndex(pattern.start) });
+      }
+    }
+  });
+}
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+// Queries for the most recent file; the four SQL rules all ask for the same one
+const memo = { content: null, lang: null, ast: null, queries: [] };
+
+function forEachScope(context, fn) {
+  for (const query of extractQueries(context)) {
+    for (const scope of readScopes(tokenizeSql(query.text))) fn(scope, query);
+  }
+}
+
+// ── Extraction ──
+
+const SQL_START = /^\s*\(?\s*(select|with|update|delete|insert)\b/i;
+
+// Reads as SQL rather than prose: a statement keyword in upper or lower case
+// (not "Select an option from..."), followed by the clause that must come with
+// it, and for SELECT a select list of columns and expressions rather than words
+function looksLikeSql(text) {
+  const m = SQL_START.exec(text);
+  if (!m || (m[1] !== m[1].toUpperCase() && m[1] !== m[1].toLowerCase())) return false;
+  const verb = m[1].toUpperCase();
+  if (verb === 'SELECT') return /\bfrom\s+["`[\w]/i.test(text) && hasSelectList(tokenizeSql(text));
+  if (verb === 'WITH') return /^\s*with\s+(?:recursive\s+)?["`[]?\w+["`\]]?\s*(?:\([^)]*\)\s*)?as\s*(?:(?:not\s+)?materialized\s*)?\(/i.test(text);
+  if (verb === 'UPDATE') return /^\s*update\s+\S+\s+set\b/i.test(text);
+  if (verb === 'DELETE') return /^\s*delete\s+from\b/i.test(text);
+  return /^\s*insert\s+into\b/i.test(text);
+}
+
+// Words that may sit next to each other inside a select list item
+const SELECT_LIST_KEYWORDS = new Set([
+  'AS', 'DISTINCT', 'ALL', 'TOP', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'AND', 'OR', 'NOT', 'IS',
+  'NULL', 'IN', 'LIKE', 'ILIKE', 'BETWEEN', 'OVER', 'PARTITION', 'BY', 'ORDER', 'ASC', 'DESC',
+  'FILTER', 'WHERE', 'CAST', 'INTERVAL', 'TRUE', 'FALSE', 'EXISTS', 'COLLATE',
+]);
+
+// Every item between SELECT and its FROM is an expression with at most an
+// alias after it: "select id, name as n from" passes, "select the best
+// option from" has three bare words in a row and doesn't
+function hasSelectList(tokens) {
+  const start = tokens.findIndex((t) => t.upper === 'SELECT');
+  let depth = 0;
+  let item = [];
+  const items = [item];
+  for (const token of tokens.slice(start + 1)) {
+    if (token.value === '(') depth++;
+    else if (token.value === ')') depth--;
+    else if (depth === 0 && token.type === 'word' && token.upper === 'FROM') break;
+    else if (depth === 0 && token.value === ',') items.push(item = []);
+    else if (depth === 0) item.push(token);
+  }
+  return items.every((tokens) => {
+    if (!tokens.length) return false;
+    let run = 0;
+    for (const token of tokens) {
+      run = token.type === 'word' && !SELECT_LIST_KEYWORDS.has(token.upper) ? run + 1 : 0;
+      if (run > 2) return false;
+    }
+    return true;
+  });
+}
+
+function embedded(parts) {
+  // parts: { text, fileStart }; fileStart null for interpolations
+  let text = '';
+  const segments = [];
+  for (const part of parts) {
+    segments.push({ from: text.length, to: part.fileStart });
+    text += part.text;
+  }
+  const fileIndex = (offset) => {
+    let seg = segments[0];
+    for (const s of segments) {
+      if (s.from <= offset) seg = s;
+      else break;
+    }
+    return seg.to + Math.max(0, offset - seg.from);
+  };
+  return { text, fileIndex };
+}
+
+function splitStatements(content) {
+  const queries = [];
+  let depth = 0;
+  let start = 0;
+  const flush = (end) => {
+    const text = content.slice(start, end);
+    if (text.trim()) queries.push(embedded([{ text, fileStart: start }]));
+  };
+  for (const token of tokenizeSql(content)) {
+    if (token.value === '(') depth++;
+    else if (token.value === ')') depth = Math.max(0, depth - 1);
+    else if (token.value === ';' && depth === 0) {
+      flush(token.start);
+      start = token.end;
+    }
+  }
+  flush(content.length);
+  return queries;
+}
+
+function fromAst(ast) {
+  const queries = [];
+  const consumed = new Set();
+
+  walk(ast, (node, ancestors) => {
+    if (consumed.has(node)) return;
+    let parts = null;
+
+    if (node.type === 'BinaryExpression' && node.operator === '+') {
+      const parent = ancestors[ancestors.length - 1];
+      if (parent?.type === 'BinaryExpression' && parent.operator === '+') return;
+      const leaves = flattenConcat(node);
+      if (!leaves.some((l) => l.type === 'StringLiteral' || l.type === 'TemplateLiteral')) return;
+      parts = leaves.flatMap((leaf) => {
+        consumed.add(leaf);
+        return literalParts(leaf) ?? [{ text: '?', fileStart: leaf.start }];
+      });
+    } else if (node.type === 'StringLiteral' || node.type === 'TemplateLiteral') {
+      parts = literalParts(node);
+    }
+
+    if (parts) {
+      const query = embedded(parts);
+      if (looksLikeSql(query.text)) queries.push(query);
+    }
+  });
+  return queries;
+}
+
+function flattenConcat(node) {
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    return [...flattenConcat(node.left), ...flattenConcat(node.right)];
+  }
+  return [node];
+}
+
+function literalParts(node) {
+  if (node.type === 'StringLiteral') return [{ text: node.value, fileStart: node.start + 1 }];
+  if (node.type !== 'TemplateLiteral') return null;
+  const parts = [];
+  node.quasis.forEach((quasi, i) => {
+    parts.push({ text: quasi.value.cooked ?? quasi.value.raw, fileStart: quasi.start });
+    const expr = node.expressions[i];
+    if (expr) parts.push({ text: '?', fileStart: expr.start });
+  });
+  return parts;
+}
+
+// Python and Go have no parser here, so walk their string literals directly
+function fromStringLiterals(content, lang) {
+  const queries = [];
+  let i = 0;
+  while (i < content.length) {
+    const ch = content[i];
+    if (lang === 'py' && ch === '#') {
+      i = lineEnd(content, i);
+      continue;
+    }
+    if (lang === 'go' && content.startsWith('//', i)) {
+      i = lineEnd(content, i);
+      continue;
+    }
+    if (lang === 'go' && content.startsWith('/*', i)) {
+      const close = content.indexOf('*/', i + 2);
+      i = close === -1 ? content.length : close + 2;
+      continue;
+    }
+
+    const literal = lang === 'py' ? readPythonLiteral(content, i) : readGoLiteral(content, i);
+    if (!literal) {
+      i++;
+      continue;
+    }
+    const query = embedded(literal.parts);
+    if (looksLikeSql(query.text)) queries.push(query);
+    i = literal.end;
+  }
+  return queries;
+}
+
+function lineEnd(content, i) {
+  const nl = content.indexOf('\n', i);
+  return nl === -1 ? content.length : nl;
+}
+
+function readPythonLiteral(content, at) {
+  if (at > 0 && /\w/.test(content[at - 1])) return null;
+  const m = /^([rRbBuUfF]{0,2})('''|"""|'|")/.exec(content.slice(at, at + 5));
+  if (!m) return null;
+  const isF = /f/i.test(m[1]);
+  const quote = m[2];
+  let i = at + m[0].length;
+  const parts = [];
+  let text = '';
+  let textStart = i;
+
+  while (i < content.length) {
+    if (content.startsWith(quote, i)) {
+      parts.push({ text, fileStart: textStart });
+      return { parts, end: i + quote.length };
+    }
+    const ch = content[i];
+    if (ch === '\n' && quote.length === 1) return null;
+    if (ch === '\\') {
+      text += content.slice(i, i + 2);
+      i += 2;
+    } else if (isF && ch === '{' && content[i + 1] !== '{') {
+      parts.push({ text, fileStart: textStart });
+      parts.push({ text: '?', fileStart: i });
+      const close = content.indexOf('}', i);
+      if (close === -1) return null;
+      i = close + 1;
+      text = '';
+      textStart = i;
+    } else {
+      text += ch;
+      i++;
+    }
+  }
+  return null;
+}
+
+function readGoLiteral(content, at) {
+  const quote = content[at];
+  if (quote !== '"' && quote !== '`') return null;
+  let i = at + 1;
+  while (i < content.length && content[i] !== quote) {
+    if (quote === '"' && content[i] === '\n') return null;
+    i += quote === '"' && content[i] === '\\' ? 2 : 1;
+  }
+  if (i >= content.length) return null;
+  return { parts: [{ text: content.slice(at + 1, i), fileStart: at + 1 }], end: i + 1 };
+}
+
+// ── Statement structure ──
+
+function collectScopes(tokens, nested, before, scopes) {
+  const flat = liftSubqueries(tokens, 0, scopes);
+
+  // UNION / INTERSECT / EXCEPT: each side is its own scope
+  let part = [];
+  for (const t of flat) {
+    if (!t.depth && t.type === 'word' && COMPOUND.has(t.upper)) {
+      if (part.length) scopes.push(readScope(part, nested, before));
+      part = [];
+    } else {
+      part.push(t);
+    }
+  }
+  if (part.length) scopes.push(readScope(part, nested, before));
+}
+
+// Tag tokens with their paren depth, reading each parenthesised subquery into
+// its own scope and leaving a single 'subquery' token in its place
+function liftSubqueries(tokens, depth, scopes) {
+  const out = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (t.value !== '(') {
+      out.push({ ...t, depth });
+      continue;
+    }
+    const close = matchingParen(tokens, i);
+    const inner = tokens.slice(i + 1, close);
+    if (inner[0] && (inner[0].upper === 'SELECT' || inner[0].upper === 'WITH')) {
+      collectScopes(inner, true, tokens[i - 1]?.upper ?? null, scopes);
+      out.push({ ...t, type: 'subquery', depth });
+    } else {
+      out.push({ ...t, depth }, ...liftSubqueries(inner, depth + 1, scopes));
+      if (tokens[close]) out.push({ ...tokens[close], depth });
+    }
+    i = close;
+  }
+  return out;
+}
+
+function matchingParen(tokens, open) {
+  let depth = 0;
+  for (let i = open; i < tokens.length; i++) {
+    if (tokens[i].value === '(') depth++;
+    else if (tokens[i].value === ')' && --depth === 0) return i;
+  }
+  return tokens.length;
+}
+
+function readScope(tokens, nested, before) {
+  const clauses = [];
+  for (const t of tokens) {
+    const starts = !t.depth && t.type === 'word' && CLAUSES.has(t.upper);
+    // "INSERT INTO ... SELECT" and "DELETE FROM" keep one clause kind for the verb
+    if (starts && !(t.upper === 'FROM' && clauses[clauses.length - 1]?.keyword.upper === 'DELETE')) {
+      clauses.push({ keyword: t, body: [] });
+    } else if (clauses.length) {
+      clauses[clauses.length - 1].body.push(t);
+    }
+  }
+
+  const scope = {
+    kind: clauses[0]?.keyword.upper ?? '',
+    keyword: clauses[0]?.keyword ?? tokens[0],
+    tables: [],
+    where: [],
+    whereHasOr: false,
+    orderBy: [],
+    limited: false,
+    grouped: false,
+    aggregateOnly: false,
+    selectList: [],
+    likes: [],
+    nested,
+    before,
+  };
+  // WITH ... AS (...) SELECT: the statement is the SELECT
+  if (scope.kind === 'WITH') {
+    const main = clauses.find((c) => c.keyword.upper !== 'WITH');
+    if (main) {
+      scope.kind = main.keyword.upper;
+      scope.keyword = main.keyword;
+    }
+  }
+
+  let lastJoin = null;
+  for (const { keyword, body } of clauses) {
+    switch (keyword.upper) {
+      case 'SELECT':
+        if (body[0]?.upper === 'TOP') scope.limited = true;
+        scope.selectList = body.filter((t) => !t.depth);
+        scope.aggregateOnly = isAggregateOnly(scope.selectList);
+        break;
+      case 'FROM':
+      case 'UPDATE':
+      case 'DELETE':
+        scope.tables.push(...readTableList(stripJoinWords(body.filter((t) => t.upper !== 'FROM')), false));
+        break;
+      case 'JOIN':
+        lastJoin = readTableList(stripJoinWords(body), true)[0] ?? null;
+        if (lastJoin) scope.tables.push(lastJoin);
+        break;
+      case 'ON':
+        if (lastJoin) lastJoin.on = stripJoinWords(body);
+        break;
+      case 'WHERE': {
+        const predicateTokens = body.filter((t) => t.type !== 'subquery');
+        scope.where = readPredicates(predicateTokens);
+        scope.whereHasOr = predicateTokens.some((t) => t.upper === 'OR');
+        break;
+      }
+      case 'GROUP':
+        scope.grouped = true;
+        scope.aggregateOnly = false;
+        break;
+      case 'ORDER':
+        scope.orderBy = readOrderBy(body);
+        break;
+      case 'LIMIT':
+      case 'FETCH':
+        scope.limited = true;
+        break;
+      default:
+    }
+    for (let i = 0; i < body.length; i++) {
+      if ((body[i].upper === 'LIKE' || body[i].upper === 'ILIKE') && body[i].type === 'word') {
+        scope.likes.push(likePattern(body, i + 1));
+      }
+    }
+  }
+  scope.likes = scope.likes.filter(Boolean);
+  return scope;
+}
+
+function stripJoinWords(body) {
+  // LEFT / INNER / ... trail the previous clause; drop them from both ends
+  const words = new Set(['LEFT', 'RIGHT', 'INNER', 'OUTER', 'FULL', 'CROSS', 'NATURAL', 'LATERAL']);
+  let end = body.length;
+  while (end > 0 && words.has(body[end - 1].upper)) end--;
+  let start = 0;
+  while (start < end && words.has(body[start].upper)) start++;
+  return body.slice(start, end);
+}
+
+function readTableList(body, joined) {
+  const tables = [];
+  let item = [];
+  const flush = () => {
+    const ref = readTableRef(item, joined);
+    if (ref) tables.push(ref);
+    item = [];
+  };
+  for (const t of body) {
+    if (t.value === ',' && !t.depth) flush();
+    else item.push(t);
+  }
+  flush();
+  return tables;
+}
+
+function readTableRef(tokens, joined) {
+  const t = tokens.filter((x) => !x.depth);
+  if (!t.length || (t[0].type !== 'word' && t[0].type !== 'ident')) return null;
+  let i = 0;
+  if (t[0].upper === 'ONLY') i++;
+  let name = t[i]?.value;
+  let token = t[i];
+  // schema.table: keep the table part
+  while (t[i + 1]?.value === '.' && t[i + 2]) {
+    i += 2;
+    name = t[i].value;
+    token = t[i];
+  }
+  if (!name || (t[i].type === 'word' && KEYWORDS.has(t[i].upper))) return null;
+  i++;
+  if (t[i]?.upper === 'AS') i++;
+  const aliasToken = t[i];
+  const alias = aliasToken && (aliasToken.type === 'ident' || (aliasToken.type === 'word' && !KEYWORDS.has(aliasToken.upper)))
+    ? aliasToken.value
+    : name;
+  return { name: name.toLowerCase(), alias: alias.toLowerCase(), token, on: [], joined };
+}
+
+function readColumnRef(tokens, i) {
+  // Walk back from an operator to the identifier before it: col, t.col or schema.t.col
+  const last = tokens[i];
+  if (!last || (last.type !== 'word' && last.type !== 'ident')) return null;
+  if (last.type === 'word' && KEYWORDS.has(last.upper)) return null;
+  const qualifierToken = tokens[i - 1]?.value === '.' ? tokens[i - 2] : null;
+  return {
+    qualifier: qualifierToken ? qualifierToken.value.toLowerCase() : null,
+    column: last.value.toLowerCase(),
+    token: qualifierToken ?? last,
+  };
+}
+
+function readForwardColumn(tokens, i) {
+  const first = tokens[i];
+  if (!first || (first.type !== 'word' && first.type !== 'ident')) return null;
+  if (first.type === 'word' && KEYWORDS.has(first.upper)) return null;
+  if (tokens[i + 1]?.value === '(') return null;
+  if (tokens[i + 1]?.value === '.' && tokens[i + 2] && tokens[i + 3]?.value !== '(') {
+    return { qualifier: first.value.toLowerCase(), column: tokens[i + 2].value.toLowerCase() };
+  }
+  return { qualifier: null, column: first.value.toLowerCase() };
+}
+
+/**
+ * @param {SqlToken[]} tokens
+ * @returns {Predicate[]}
+ */
+function readPredicates(tokens) {
+  const preds = [];
+  for (let i = 1; i < tokens.length; i++) {
+    const t = tokens[i];
+    let op = null;
+    let next = i + 1;
+    if (t.type === 'op' && COMPARISONS.has(t.value)) op = t.value;
+    else if (t.type === 'word' && ['IN', 'LIKE', 'ILIKE', 'BETWEEN', 'IS'].includes(t.upper)) op = t.upper;
+    else if (t.upper === 'NOT' && ['IN', 'LIKE', 'ILIKE', 'BETWEEN'].includes(tokens[i + 1]?.upper)) {
+      op = `NOT ${tokens[i + 1].upper}`;
+      next = i + 2;
+    }
+    if (!op) continue;
+    const ref = readColumnRef(tokens, i - 1);
+    if (!ref) continue;
+    preds.push({
+      ...ref,
+      op,
+      equality: op === '=' || op === 'IN' || op === 'IS',
+      other: COMPARISONS.has(op) ? readForwardColumn(tokens, next) : null,
+    });
+  }
+  return preds;
+}
+
+function readOrderBy(body) {
+  const items = [];
+  let item = [];
+  const flush = () => {
+    if (item[0]?.upper === 'BY') item = item.slice(1);
+    const t = item.filter((x) => !x.depth);
+    const col = readForwardColumn(t, 0);
+    // Expressions like "a + b" or "lower(name)" can't use a plain column index
+    const after = t[col?.qualifier ? 3 : 1];
+    if (col && (!after || after.type === 'word')) items.push({ ...col, token: t[0] });
+    item = [];
+  };
+  for (const t of body) {
+    if (t.value === ',' && !t.depth) flush();
+    else item.push(t);
+  }
+  flush();
+  return items;
+}
+
+function isAggregateOnly(list) {
+  if (!list.length) return false;
+  let item = [];
+  const items = [];
+  for (const t of list) {
+    if (t.value === ',') {
+      items.push(item);
+      item = [];
+    } else {
+      item.push(t);
+    }
+  }
+  items.push(item);
+  return items.every((it) => it.length > 0 && AGGREGATES.has(it[0].upper) && it[1]?.value === '(');
+}
+
+function likePattern(body, i) {
+  let t = body[i];
+  // CONCAT('%', ?) / '%' || ?
+  if (t?.upper === 'CONCAT' && body[i + 1]?.value === '(') t = body[i + 2];
+  return t?.type === 'string' ? t : null;
+}
+
+// ── Schema lookups ──
+
+function resolveTables(scope, schema) {
+  const tables = new Map();
+  for (const ref of scope.tables) {
+    const table = schema.tables.get(ref.name);
+    if (table) tables.set(ref.alias, table);
+  }
+  return tables;
+}
+
+function resolveAlias(ref, scope, tables) {
+  if (ref.qualifier) return tables.has(ref.qualifier) ? ref.qualifier : null;
+  const owners = [...tables].filter(([, table]) => table.columns.includes(ref.column));
+  if (owners.length === 1) return owners[0][0];
+  if (tables.size === 1 && scope.tables.length === 1) return [...tables.keys()][0];
+  return null;
+}
+
+function groupByTable(preds, scope, tables) {
+  const byTable = new Map();
+  for (const p of preds) {
+    const alias = resolveAlias(p, scope, tables);
+    if (!alias || !tables.get(alias).columns.includes(p.column)) continue;
+    if (!byTable.has(alias)) byTable.set(alias, []);
+    byTable.get(alias).push(p);
+  }
+  return byTable;
+}
+
+function isSingleRowLookup(scope, schema) {
+  if (scope.whereHasOr || scope.tables.length !== 1) return false;
+  const equal = new Set(scope.where.filter((p) => p.op === '=' && !p.other).map((p) => p.column));
+  if (!schema) return [...equal].some((c) => KEY_COLUMNS.has(c));
+  const table = schema.tables.get(scope.tables[0].name);
+  return Boolean(table?.indexes.some((idx) => idx.unique && idx.columns.length && idx.columns.every((c) => equal.has(c))));
+}
@@ -0,0 +1,151 @@
+/**
+ * Inline suppression comments.
+ *
+ *   // perf-x-ray-disable-next-line sync-io -- CLI startup, runs once
+ *   foo(); // perf-x-ray-disable-line nested-loops
+ *   // perf-x-ray-disable n-plus-one        ...  // perf-x-ray-enable n-plus-one
+ *   // perf-x-ray-disable                   (no enable: rest of file)
+ *
+ * Python uses `#`, SQL uses `--`. An empty rule list means all rules;
+ * anything after ` -- ` is the reason.
+ */
+
+const DIRECTIVE = 'perf-x-ray-(disable-next-line|disable-line|disable|enable)\\b(.*)$';
+
+const COMMENT_PATTERNS = {
+  js: new RegExp(`(?://|/\\*)\\s*${DIRECTIVE}`),
+  ts: new RegExp(`(?://|/\\*)\\s*${DIRECTIVE}`),
+  go: new RegExp(`(?://|/\\*)\\s*${DIRECTIVE}`),
+  py: new RegExp(`#\\s*${DIRECTIVE}`),
+  sql: new RegExp(`(?:--|/\\*)\\s*${DIRECTIVE}`),
+};
+
+/**
+ * Findings about the suppression comments themselves. They have no pattern
+ * or check: checkFile reports them from the parsed comments, and listing
+ * them as rules lets a config turn them off, change their severity or
+ * budget them like any other rule.
+ */
+export const SUPPRESSION_RULES = [
+  {
+    id: 'unused-suppression',
+    name: 'Unused Suppression',
+    severity: 'low',
+    languages: Object.keys(COMMENT_PATTERNS),
+    message: 'Suppression comment did not match any finding.',
+    suggestion: 'Remove the suppression comment, or fix the rule id it names.',
+  },
+  {
+    id: 'invalid-suppression',
+    name: 'Suppression Without Reason',
+    severity: 'low',
+    languages: Object.keys(COMMENT_PATTERNS),
+    message: 'Suppression comment has no reason and was ignored.',
+    suggestion: 'Add a reason after " -- ", e.g. // perf-x-ray-disable-next-line sync-io -- runs once at startup.',
+  },
+];
+
+/**
+ * @typedef {Object} Directive
+ * @property {'disable-next-line'|'disable-line'|'disable'|'enable'} kind
+ * @property {string[]} rules - empty means every rule
+ * @property {string} reason
+ * @property {number} line - 1-based line of the comment
+ * @property {number} from - first covered line
+ * @property {number} to - last covered line
+ * @property {Set<string>} used - rule ids this directive actually silenced
+ */
+
+/**
+ * Parse suppression comments from a file and return a matcher that records
+ * which directives were used.
+ *
+ * @param {string} content
+ * @param {string} lang - canonical language id from getLanguage()
+ * @param {{ requireReason?: boolean }} opts
+ * @returns {{
+ *   isSuppressed: (ruleId: string, line: number) => boolean,
+ *   covers: (ruleId: string) => boolean,
+ *   problems: (opts?: { reportUnused?: boolean }) => { line: number, kind: 'unused'|'missing-reason', directive: Directive, rules: string[] }[]
+ * }}
+ */
+export function parseSuppressions(content, lang, opts = {}) {
+  const rx = COMMENT_PATTERNS[lang] ?? COMMENT_PATTERNS.js;
+  const lines = content.split('\n');
+  const active = [];
+  const invalid = [];
+  const open = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].includes('perf-x-ray-')) continue;
+    const m = rx.exec(lines[i]);
+    if (!m) continue;
+
+    const line = i + 1;
+    const kind = m[1];
+    const { rules, reason } = parseBody(m[2]);
+    const directive = { kind, rules, reason, line, from: line, to: line, used: new Set() };
+
+    if (kind === 'enable') {
+      for (let j = open.length - 1; j >= 0; j--) {
+        const d = open[j];
+        if (!rules.length || d.rules.some((r) => rules.includes(r))) {
+          d.to = line;
+          open.splice(j, 1);
+        }
+      }
+      continue;
+    }
+
+    if (opts.requireReason && !reason) {
+      invalid.push(directive);
+      continue;
+    }
+
+    if (kind === 'disable-next-line') {
+      directive.from = directive.to = line + 1;
+    } else if (kind === 'disable') {
+      directive.to = lines.length;
+      open.push(directive);
+    }
+    active.push(directive);
+  }
+
+  return {
+    isSuppressed(ruleId, line) {
+      let hit = false;
+      for (const d of active) {
+        if (line < d.from || line > d.to) continue;
+        if (d.rules.length && !d.rules.includes(ruleId)) continue;
+        d.used.add(ruleId);
+        hit = true;
+      }
+      return hit;
+    },
+
+    // Whether any directive could silence ruleId somewhere in the file
+    covers(ruleId) {
+      return active.some((d) => !d.rules.length || d.rules.includes(ruleId));
+    },
+
+    problems({ reportUnused = true } = {}) {
+      const out = invalid.map((d) => ({ line: d.line, kind: 'missing-reason', directive: d, rules: d.rules }));
+      if (reportUnused) {
+        for (const d of active) {
+          const unused = d.rules.length ? d.rules.filter((r) => !d.used.has(r)) : d.used.size ? [] : ['*'];
+          if (unused.length) out.push({ line: d.line, kind: 'unused', directive: d, rules: unused });
+        }
+      }
+      return out.sort((a, b) => a.line - b.line);
+    },
+  };
+}
+
+function parseBody(body) {
+  const text = body.replace(/\*\/\s*$/, '').trim();
+  const sep = text.search(/(?:^|\s)--(?:\s|$)/);
+  const rulePart = sep === -1 ? text : text.slice(0, sep);
+  const reason = sep === -1 ? '' : text.slice(sep).replace(/^\s*--/, '').trim();
+  const rules = rulePart.split(/[\s,]+/).filter(Boolean);
+  return { rules, reason };
+}
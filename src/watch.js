@@ -0,0 +1,118 @@
+import { watch, statSync } from 'fs';
+import { join, resolve } from 'path';
+import { walkDirs, walkFiles, isWalkedDir } from './scanner.js';
+
+const DEBOUNCE_MS = 150;
+
+/**
+ * Watch a directory tree and report changed files in debounced batches.
+ * Uses a single recursive watcher where the platform supports one, and one
+ * watcher per directory otherwise (Linux before Node 20), adding watchers
+ * for directories created while watching.
+ *
+ * @param {string} rootPath
+ * @param {(files: string[]) => void} onChange - absolute paths changed since the last call
+ * @param {{ debounceMs?: number, ignore?: string[] }} opts
+ *   ignore: extra directory basenames to skip when watching per directory
+ * @returns {() => void} stops watching
+ */
+export function watchTree(rootPath, onChange, opts = {}) {
+  const root = resolve(rootPath);
+  const { debounceMs = DEBOUNCE_MS } = opts;
+  const pending = new Set();
+  let timer = null;
+
+  const queue = (dir, name) => {
+    if (!name) return;
+    pending.add(join(dir, name.toString()));
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const files = [...pending];
+      pending.clear();
+      onChange(files);
+    }, debounceMs);
+  };
+
+  const watchers = new Map(); // directory → FSWatcher
+  try {
+    watchers.set(root, watch(root, { recursive: true }, (_, name) => queue(root, name)));
+  } catch (err) {
+    if (err.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw err;
+    const watchDir = (dir) => {
+      if (watchers.has(dir)) return;
+      const watcher = watch(dir, (_, name) => {
+        queue(dir, name);
+        if (name) addedDir(join(dir, name.toString()));
+      });
+      // The directory was removed (or can no longer be read)
+      watcher.on('error', () => unwatch(dir));
+      watchers.set(dir, watcher);
+    };
+    const unwatch = (dir) => {
+      watchers.get(dir)?.close();
+      watchers.delete(dir);
+    };
+    // A new directory gets watchers of its own, and the files created in it
+    // before they were attached count as changed
+    const addedDir = (path) => {
+      const isDir = isDirectory(path);
+      if (watchers.has(path)) {
+        if (!isDir) unwatch(path);
+        return;
+      }
+      // Skipped, hidden and ignore-file-excluded directories stay unwatched, as at startup
+      if (!isDir || !isWalkedDir(path, root, { ignore: opts.ignore })) return;
+      for (const dir of walkDirs(path, { ignore: opts.ignore })) watchDir(dir);
+      for (const file of walkFiles(path, { ignore: opts.ignore })) queue(path, file.slice(path.length + 1));
+    };
+    for (const dir of walkDirs(root, { ignore: opts.ignore })) watchDir(dir);
+  }
+
+  return () => {
+    clearTimeout(timer);
+    for (const w of watchers.values()) w.close();
+    watchers.clear();
+  };
+}
+
+/**
+ * Compare a file's findings before and after a change. Findings are matched
+ * on rule and snippet rather than line, so code moving up or down the file
+ * doesn't show up as resolved-then-added.
+ *
+ * @param {import('./checker.js').Finding[]} before
+ * @param {import('./checker.js').Finding[]} after
+ * @returns {{ added: import('./checker.js').Finding[], resolved: import('./checker.js').Finding[] }}
+ */
+export function diffFindings(before, after) {
+  const remaining = new Map();
+  for (const f of before) {
+    const key = findingKey(f);
+    if (!remaining.has(key)) remaining.set(key, []);
+    remaining.get(key).push(f);
+  }
+
+  const added = [];
+  for (const f of after) {
+    const matches = remaining.get(findingKey(f));
+    if (matches?.length) matches.shift();
+    else added.push(f);
+  }
+
+  const resolved = [...remaining.values()].flat();
+  return { added, resolved };
+}
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+function isDirectory(path) {
+  try {
+    return statSync(path).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function findingKey(f) {
+  return `${f.file}\0${f.ruleId}\0${f.snippet}`;
+}
@@ -0,0 +1,26 @@
+// Worker thread entry for runner.js: loads the project config and plugins
+// once, then checks each batch of files it is sent.
+
+import { parentPort, workerData } from 'worker_threads';
+import { loadConfig } from './config.js';
+import { loadPlugins } from './plugins.js';
+import { analyzeFile } from './runner.js';
+
+let config;
+try {
+  const loaded = loadConfig(workerData.configDir, { configPath: workerData.configPath ?? undefined });
+  config = { ...loaded, schema: workerData.schema, pluginRules: await loadPlugins(loaded) };
+} catch (err) {
+  parentPort.postMessage({ error: err.message });
+}
+
+parentPort.on('message', (batch) => {
+  if (!config) return;
+  const timings = {};
+  try {
+    const results = batch.map(({ file, cachedHash }) => analyzeFile(file, config, cachedHash, timings));
+    parentPort.postMessage({ results, timings });
+  } catch (err) {
+    parentPort.postMessage({ error: err.message });
+  }
+});
@@ -0,0 +1,265 @@
+import { readFileSync, readdirSync, statSync, existsSync } from 'fs';
+import { join, dirname, relative, resolve, sep } from 'path';
+import { walkDirs } from './scanner.js';
+import { matchGlob, globToRegExp } from './glob.js';
+
+/**
+ * Monorepo layout: npm, yarn and pnpm workspaces and Go modules. Findings
+ * are tagged with the package their file belongs to so reports can break
+ * them down per package and a run can be scoped to one.
+ *
+ * @typedef {Object} WorkspacePackage
+ * @property {string} name - package.json name, or the Go module path
+ * @property {string} dir - absolute package directory
+ * @property {'npm'|'go'} kind
+ *
+ * @typedef {Object} Workspace
+ * @property {string} root - directory holding the workspace manifest, or the scan root
+ * @property {WorkspacePackage[]} packages - deepest directory first, so nested packages win
+ */
+
+/**
+ * Find the workspace around startDir: the nearest directory at or above it
+ * with a pnpm-workspace.yaml, a package.json "workspaces" field or a
+ * go.work, and its packages. npm packages are resolved from the workspace
+ * globs and Go modules from go.work's `use` lines, reading only the
+ * directories those name. Go modules outside a go.work are found from the
+ * files being scanned, see addGoModules. A single module at the root isn't
+ * a monorepo and yields no packages.
+ *
+ * @param {string} startDir
+ * @param {{ files?: string[] }} [opts] - files about to be scanned
+ * @returns {Workspace}
+ */
+export function detectWorkspace(startDir, opts = {}) {
+  const start = resolve(startDir);
+  let root = start;
+  let patterns = [];
+  for (let dir = start; ; dir = dirname(dir)) {
+    const found = workspacePatterns(dir);
+    if (found) {
+      root = dir;
+      patterns = found;
+      break;
+    }
+    if (dirname(dir) === dir) break;
+  }
+
+  const include = patterns.filter((p) => !p.startsWith('!')).map(anchored);
+  const exclude = patterns.filter((p) => p.startsWith('!')).map((p) => anchored(p.slice(1)));
+  const packages = [];
+  const dirs = new Set(include.flatMap((pattern) => expandGlob(root, pattern)));
+  for (const dir of dirs) {
+    const rel = relative(root, dir).split(sep).join('/');
+    if (!rel || !matchGlob(rel, include) || matchGlob(rel, exclude)) continue;
+    const name = packageJsonName(dir);
+    if (name !== undefined) packages.push({ name: name ?? rel, dir, kind: 'npm' });
+  }
+  for (const dir of goWorkModules(root)) {
+    const goModule = goModulePath(dir);
+    if (goModule) packages.push({ name: goModule, dir, kind: 'go' });
+  }
+
+  const workspace = { root, packages };
+  addGoModules(workspace, opts.files ?? []);
+  if (packages.length === 1 && packages[0].dir === root) packages.length = 0;
+  packages.sort((a, b) => b.dir.length - a.dir.length);
+  return workspace;
+}
+
+/**
+ * Add the Go modules that contain any of these files: a go.mod in the
+ * file's directory or one above it, below the workspace root. Only those
+ * directories are read, and each once per workspace.
+ *
+ * @param {Workspace} workspace
+ * @param {string[]} files - absolute paths
+ */
+export function addGoModules(workspace, files) {
+  if (!checkedDirs.has(workspace)) checkedDirs.set(workspace, new Set());
+  const checked = checkedDirs.get(workspace);
+  let added = false;
+  for (const file of files) {
+    if (!file.startsWith(workspace.root + sep)) continue;
+    for (let dir = dirname(file); dir !== workspace.root && !checked.has(dir); dir = dirname(dir)) {
+      checked.add(dir);
+      const goModule = goModulePath(dir);
+      if (goModule && !workspace.packages.some((p) => p.dir === dir)) {
+        workspace.packages.push({ name: goModule, dir, kind: 'go' });
+        added = true;
+      }
+    }
+  }
+  if (added) workspace.packages.sort((a, b) => b.dir.length - a.dir.length);
+}
+
+/**
+ * The package a file belongs to: the one with the deepest directory
+ * containing it.
+ *
+ * @param {Workspace} workspace
+ * @param {string} file - absolute path
+ * @returns {WorkspacePackage|null}
+ */
+export function packageForFile(workspace, file) {
+  return workspace.packages.find((p) => file === p.dir || file.startsWith(p.dir + sep)) ?? null;
+}
+
+/**
+ * Set `package` on each finding whose file is inside a workspace package.
+ *
+ * @param {import('./checker.js').Finding[]} findings
+ * @param {Workspace} workspace
+ */
+export function tagPackages(findings, workspace) {
+  if (!workspace.packages.length) return;
+  const byFile = new Map();
+  for (const f of findings) {
+    if (!byFile.has(f.file)) byFile.set(f.file, packageForFile(workspace, f.file)?.name ?? null);
+    const name = byFile.get(f.file);
+    if (name) f.package = name;
+  }
+}
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+// Workspace → directories addGoModules has already looked in
+const checkedDirs = new WeakMap();
+
+// Directories matching an anchored workspace glob, reading only the levels
+// the glob reaches into: `packages/*` lists packages/, `libs/**` walks libs/
+function expandGlob(root, pattern) {
+  const found = [];
+  const visit = (dir, segments) => {
+    if (!segments.length) {
+      found.push(dir);
+      return;
+    }
+    const [segment, ...rest] = segments;
+    if (segment === '**') {
+      for (const d of walkDirs(dir)) visit(d, rest);
+    } else if (!/[*?[{]/.test(segment)) {
+      if (isDirectory(join(dir, segment))) visit(join(dir, segment), rest);
+    } else {
+      const rx = globToRegExp(segment);
+      for (const name of subdirectories(dir)) {
+        if (rx.test(name)) visit(join(dir, name), rest);
+      }
+    }
+  };
+  visit(root, pattern.split('/').filter(Boolean));
+  return found;
+}
+
+function subdirectories(dir) {
+  try {
+    return readdirSync(dir, { withFileTypes: true })
+      .filter((e) => e.isDirectory() && !e.name.startsWith('.') && e.name !== 'node_modules')
+      .map((e) => e.name);
+  } catch {
+    return [];
+  }
+}
+
+function isDirectory(path) {
+  try {
+    return statSync(path).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+// Module directories from go.work: `use ./api` and `use ( ./api ./web )`
+function goWorkModules(root) {
+  const text = readText(join(root, 'go.work'));
+  if (text === null) return [];
+  const dirs = [];
+  const body = text.replace(/\/\/.*$/gm, '');
+  for (const m of body.matchAll(/^\s*use\s*(?:\(([^)]*)\)|(\S+))/gm)) {
+    for (const path of (m[1] ?? m[2]).split(/\s+/).filter(Boolean)) {
+      dirs.push(resolve(root, path.replace(/^"(.*)"$/, '$1')));
+    }
+  }
+  return dirs;
+}
+
+// Workspace globs declared in dir, or null when it isn't a workspace root
+function workspacePatterns(dir) {
+  const patterns = [];
+  let found = false;
+
+  const pnpm = readText(join(dir, 'pnpm-workspace.yaml'));
+  if (pnpm !== null) {
+    found = true;
+    patterns.push(...yamlPackages(pnpm));
+  }
+
+  const pkg = readText(join(dir, 'package.json'));
+  if (pkg !== null) {
+    let workspaces;
+    try {
+      workspaces = JSON.parse(pkg).workspaces;
+    } catch {
+      // Not our file to validate; a broken package.json just isn't a workspace root
+    }
+    // npm and yarn take an array; yarn 1 also { packages: [...] }
+    const list = Array.isArray(workspaces) ? workspaces : workspaces?.packages;
+    if (Array.isArray(list)) {
+      found = true;
+      patterns.push(...list.filter((p) => typeof p === 'string'));
+    }
+  }
+
+  // go.work lists its modules; other go.mod files are found from the scanned files
+  if (existsSync(join(dir, 'go.work'))) found = true;
+  return found ? patterns : null;
+}
+
+// The `packages:` list of a pnpm-workspace.yaml, block or flow style
+function yamlPackages(yaml) {
+  const unquote = (s) => s.trim().replace(/^(['"])(.*)\1$/, '$2');
+  const lines = yaml.split(/\r?\n/).map((l) => l.replace(/\s+#.*$/, ''));
+  const at = lines.findIndex((l) => /^packages\s*:/.test(l));
+  if (at < 0) return [];
+  const inline = /^packages\s*:\s*\[(.*)\]/.exec(lines[at]);
+  if (inline) return inline[1].split(',').map(unquote).filter(Boolean);
+
+  const patterns = [];
+  for (const line of lines.slice(at + 1)) {
+    if (!line.trim()) continue;
+    const item = /^\s+-\s*(.+)$/.exec(line);
+    if (!item) break;
+    patterns.push(unquote(item[1]));
+  }
+  return patterns;
+}
+
+// Workspace globs are relative to the root, never basename matches
+function anchored(pattern) {
+  return '/' + pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+}
+
+// undefined without a package.json, null when it has no name
+function packageJsonName(dir) {
+  const text = readText(join(dir, 'package.json'));
+  if (text === null) return undefined;
+  try {
+    const { name } = JSON.parse(text);
+    return typeof name === 'string' && name ? name : null;
+  } catch {
+    return null;
+  }
+}
+
+function goModulePath(dir) {
+  const text = readText(join(dir, 'go.mod'));
+  return text === null ? null : /^module\s+"?([^\s"]+)"?/m.exec(text)?.[1] ?? null;
+}
+
+function readText(path) {
+  try {
+    return readFileSync(path, 'utf8');
+  } catch {
+    return null;
+  }
+}